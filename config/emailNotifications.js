@@ -0,0 +1,64 @@
+// Email notification types users can set preferences for, and the templates sent under each.
+// Mandatory types are always delivered immediately whatever the user's preference.
+const notificationTypes = {
+  'security_alerts': {
+    label: 'Security and account access',
+    mandatory: true,
+    templates: ['password-reset', 'audit-alert', 'user-registration-confirmation', 'school-creation-confirmation']
+  },
+  'system_notifications': {
+    label: 'System notifications',
+    templates: ['system-notification']
+  },
+  'account_changes': {
+    label: 'Changes to your account',
+    templates: []
+  },
+  'school_updates': {
+    label: 'School updates and announcements',
+    templates: []
+  },
+  'audit_reports': {
+    label: 'Audit reports',
+    templates: []
+  },
+  'attendance_alerts': {
+    label: 'Attendance alerts',
+    templates: ['attendance-alert']
+  },
+  'leave_updates': {
+    label: 'Teacher leave requests and decisions',
+    templates: ['leave-request']
+  },
+  'fee_receipts': {
+    label: 'Fee receipts',
+    templates: ['fee-receipt']
+  },
+  'messages': {
+    label: 'Reminders about unread messages',
+    templates: ['message-nudge']
+  }
+};
+
+// immediate: sent as it happens; daily/weekly: collected into one digest email
+const frequencies = ['immediate', 'daily', 'weekly'];
+
+function getNotificationType(template) {
+  return Object.keys(notificationTypes).find(type => notificationTypes[type].templates.includes(template)) || null;
+}
+
+function isMandatory(type) {
+  return Boolean(notificationTypes[type] && notificationTypes[type].mandatory);
+}
+
+function getSupportedTypes() {
+  return Object.keys(notificationTypes);
+}
+
+module.exports = {
+  notificationTypes,
+  frequencies,
+  getNotificationType,
+  isMandatory,
+  getSupportedTypes
+};
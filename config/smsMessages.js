@@ -3,16 +3,30 @@ const smsMessages = {
     'registration': 'Your SIMS registration verification code is: {code}. Valid for 10 minutes. Do not share this code.',
     'login': 'Your SIMS login verification code is: {code}. Valid for 5 minutes. Do not share this code.',
     'password_reset': 'Your SIMS password reset code is: {code}. Valid for 15 minutes. Do not share this code.',
-    'two_factor': 'Your SIMS 2FA verification code is: {code}. Valid for 5 minutes. Do not share this code.'
+    'two_factor': 'Your SIMS 2FA verification code is: {code}. Valid for 5 minutes. Do not share this code.',
+    'attendance_alert': 'SIMS {school}: {details} on {date}. Please contact the school if you have any questions.',
+    'attendance_alert_student': '{student} was recorded {details}',
+    'attendance_alert_subject': '{school}: attendance alert for {students}',
+    'message_nudge': 'SIMS {school}: you have {count} unread message(s) from {senders}. Sign in to SIMS to read and reply.'
   },
   'am': { // Amharic for Ethiopia
     'registration': 'የSIMS ምዝገባ ማረጋገጫ ኮድዎ: {code}። ለ10 ደቂቃ ይቆያል። ይህን ኮድ አያጋሩ።',
     'login': 'የSIMS መግቢያ ማረጋገጫ ኮድዎ: {code}። ለ5 ደቂቃ ይቆያል። ይህን ኮድ አያጋሩ።',
     'password_reset': 'የSIMS የይለፍ ቃል ዳግም ማስተካከያ ኮድዎ: {code}። ለ15 ደቂቃ ይቆያል። ይህን ኮድ አያጋሩ።',
-    'two_factor': 'የSIMS 2FA ማረጋገጫ ኮድዎ: {code}። ለ5 ደቂቃ ይቆያል። ይህን ኮድ አያጋሩ።'
+    'two_factor': 'የSIMS 2FA ማረጋገጫ ኮድዎ: {code}። ለ5 ደቂቃ ይቆያል። ይህን ኮድ አያጋሩ።',
+    'attendance_alert': 'SIMS {school}: በ{date} {details}። ጥያቄ ካለዎት ትምህርት ቤቱን ያነጋግሩ።',
+    'attendance_alert_student': '{student} {details} ተብሎ ተመዝግቧል',
+    'attendance_alert_subject': '{school}: የ{students} የክትትል ማሳወቂያ',
+    'message_nudge': 'SIMS {school}: ከ{senders} {count} ያልተነበቡ መልዕክቶች አሉዎት። ለማንበብና ለመመለስ ወደ SIMS ይግቡ።'
   }
 };
 
+// Words substituted into attendance alerts
+const attendanceStatusLabels = {
+  'en': { 'absent': 'absent', 'late': 'late', 'daily': 'for the day', 'period': 'for the {time} period' },
+  'am': { 'absent': 'ቀሪ', 'late': 'አርፍዶ', 'daily': 'ለቀኑ', 'period': 'ለ{time} ክፍለ ጊዜ' }
+};
+
 function getMessage(purpose, language = 'en', code = null) {
   const messages = smsMessages[language] || smsMessages['en'];
   let message = messages[purpose] || messages['registration'];
@@ -24,6 +38,27 @@ function getMessage(purpose, language = 'en', code = null) {
   return message;
 }
 
+// Replace every {key} in text with params[key]
+function fillPlaceholders(text, params) {
+  return Object.entries(params).reduce(
+    (result, [key, value]) => result.split(`{${key}}`).join(value),
+    text
+  );
+}
+
+/**
+ * Localized message with named placeholders, e.g. { student: 'Abebe', date: '2024-01-15' }
+ */
+function formatMessage(purpose, language = 'en', params = {}) {
+  const messages = smsMessages[language] || smsMessages['en'];
+  return fillPlaceholders(messages[purpose] || smsMessages['en'][purpose] || '', params);
+}
+
+function getAttendanceLabel(key, language = 'en', params = {}) {
+  const labels = attendanceStatusLabels[language] || attendanceStatusLabels['en'];
+  return fillPlaceholders(labels[key] || key, params);
+}
+
 function getSupportedLanguages() {
   return Object.keys(smsMessages);
 }
@@ -35,6 +70,8 @@ function getSupportedPurposes() {
 module.exports = {
   smsMessages,
   getMessage,
+  formatMessage,
+  getAttendanceLabel,
   getSupportedLanguages,
   getSupportedPurposes
 };
\ No newline at end of file
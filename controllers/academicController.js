@@ -1,5 +1,15 @@
 const pool = require('../config/database');
-const { successResponse, errorResponse, getPaginationParams, buildPaginatedResponse } = require('../utils/helpers');
+const rolloverService = require('../services/rolloverService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const {
+  successResponse,
+  errorResponse,
+  getPaginationParams,
+  buildPaginatedResponse,
+  hasSchoolAccess,
+  hasSchoolRole,
+  buildAuditContext
+} = require('../utils/helpers');
 
 // Academic Years
 const getAcademicYears = async (req, res) => {
@@ -102,6 +112,83 @@ const createAcademicYear = async (req, res) => {
   }
 };
 
+// End-of-year rollover: dry_run returns the plan without writing anything
+const rolloverAcademicYear = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { id } = req.params;
+    const dryRun = req.body.dry_run === true;
+
+    const sourceResult = await client.query(
+      `SELECT id, school_id, name,
+              to_char(start_date, 'YYYY-MM-DD') as start_date,
+              to_char(end_date, 'YYYY-MM-DD') as end_date
+       FROM academic_years WHERE id = $1`,
+      [id]
+    );
+
+    if (sourceResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Academic year not found', 404);
+    }
+
+    const sourceYear = sourceResult.rows[0];
+
+    if (!hasSchoolRole(req.user, sourceYear.school_id, ['Super Admin', 'Admin'])) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Permission denied', 403);
+    }
+
+    const plan = await rolloverService.buildPlan(client, sourceYear, req.body);
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+      return successResponse(res, { dryRun: true, ...plan }, 'Rollover preview generated');
+    }
+
+    if (plan.conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Rollover cannot be applied', 409, plan.conflicts);
+    }
+
+    const created = await rolloverService.applyPlan(client, sourceYear.school_id, plan);
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('CREATE', 'academic_years', created.academicYear.id, null, {
+      ...created.academicYear,
+      rolledOverFrom: sourceYear.id,
+      summary: plan.summary
+    }, { ...buildAuditContext(req), schoolId: sourceYear.school_id });
+
+    successResponse(res, {
+      dryRun: false,
+      academicYear: {
+        id: created.academicYear.id,
+        schoolId: created.academicYear.school_id,
+        name: created.academicYear.name,
+        startDate: created.academicYear.start_date,
+        endDate: created.academicYear.end_date,
+        isCurrent: created.academicYear.is_current
+      },
+      termIds: created.terms.map(term => term.id),
+      classIds: created.classes.map(cls => cls.id),
+      arrearsFeeIds: created.arrears.map(fee => fee.id),
+      summary: plan.summary
+    }, 'Academic year rolled over successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Rollover academic year error:', error);
+    errorResponse(res, 'Failed to roll over academic year', 500);
+  } finally {
+    client.release();
+  }
+};
+
 // Classes
 const getClasses = async (req, res) => {
   try {
@@ -303,71 +390,11 @@ const getAttendance = async (req, res) => {
   }
 };
 
-const markAttendance = async (req, res) => {
-  const client = await pool.connect();
-  
-  try {
-    await client.query('BEGIN');
-    
-    const { student_id, class_id, date, status, notes } = req.body;
-    const marked_by = req.user.id;
-    
-    // Check if attendance already exists for this student and date
-    const existingAttendance = await client.query(
-      'SELECT id FROM attendance WHERE student_id = $1 AND date = $2',
-      [student_id, date]
-    );
-    
-    let attendanceResult;
-    
-    if (existingAttendance.rows.length > 0) {
-      // Update existing attendance
-      attendanceResult = await client.query(
-        `UPDATE attendance 
-         SET status = $1, notes = $2, marked_by = $3, updatedAt = NOW()
-         WHERE student_id = $4 AND date = $5
-         RETURNING *`,
-        [status, notes, marked_by, student_id, date]
-      );
-    } else {
-      // Create new attendance record
-      attendanceResult = await client.query(
-        `INSERT INTO attendance (student_id, class_id, date, status, notes, marked_by)
-         VALUES ($1, $2, $3, $4, $5, $6)
-         RETURNING *`,
-        [student_id, class_id, date, status, notes, marked_by]
-      );
-    }
-    
-    const attendance = attendanceResult.rows[0];
-    
-    await client.query('COMMIT');
-    
-    successResponse(res, {
-      id: attendance.id,
-      studentId: attendance.student_id,
-      classId: attendance.class_id,
-      date: attendance.date,
-      status: attendance.status,
-      notes: attendance.notes,
-      createdAt: attendance.createdAt,
-      updatedAt: attendance.updatedAt
-    }, 'Attendance marked successfully', existingAttendance.rows.length > 0 ? 200 : 201);
-    
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Mark attendance error:', error);
-    errorResponse(res, 'Failed to mark attendance', 500);
-  } finally {
-    client.release();
-  }
-};
-
 module.exports = {
   getAcademicYears,
   createAcademicYear,
+  rolloverAcademicYear,
   getClasses,
   createClass,
-  getAttendance,
-  markAttendance
+  getAttendance
 };
\ No newline at end of file
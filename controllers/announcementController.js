@@ -0,0 +1,463 @@
+const pool = require('../config/database');
+const {
+  successResponse,
+  errorResponse,
+  getPaginationParams,
+  buildPaginatedResponse,
+  hasSchoolAccess,
+  hasSchoolRole
+} = require('../utils/helpers');
+
+// Drafts and announcement changes need one of these roles at the announcement's school
+const ANNOUNCEMENT_MANAGER_ROLES = ['Super Admin', 'Admin', 'Principal'];
+
+const PRIORITY_ORDER = `CASE a.priority WHEN 'urgent' THEN 1 WHEN 'high' THEN 2 WHEN 'normal' THEN 3 ELSE 4 END`;
+
+// SQL conditions for each lifecycle state, relative to NOW()
+const STATUS_CONDITIONS = {
+  draft: 'a.is_published = false',
+  scheduled: 'a.is_published = true AND a.published_at > NOW()',
+  published: 'a.is_published = true AND a.published_at <= NOW() AND (a.expires_at IS NULL OR a.expires_at > NOW())',
+  expired: 'a.is_published = true AND a.expires_at <= NOW()'
+};
+
+const getAnnouncementStatus = (announcement) => {
+  const now = new Date();
+
+  if (!announcement.is_published) {
+    return 'draft';
+  }
+  if (announcement.expires_at && new Date(announcement.expires_at) <= now) {
+    return 'expired';
+  }
+  if (announcement.published_at && new Date(announcement.published_at) > now) {
+    return 'scheduled';
+  }
+  return 'published';
+};
+
+const formatAnnouncement = (announcement) => ({
+  id: announcement.id,
+  schoolId: announcement.school_id,
+  title: announcement.title,
+  content: announcement.content,
+  priority: announcement.priority,
+  targetAudience: announcement.target_audience,
+  targetRoles: announcement.target_roles || [],
+  targetClassIds: announcement.target_class_ids || [],
+  targetGradeLevels: announcement.target_grade_levels || [],
+  status: getAnnouncementStatus(announcement),
+  isPublished: announcement.is_published,
+  publishedAt: announcement.published_at,
+  expiresAt: announcement.expires_at,
+  createdBy: announcement.author_first_name ? {
+    id: announcement.created_by,
+    firstName: announcement.author_first_name,
+    lastName: announcement.author_last_name
+  } : announcement.created_by,
+  createdAt: announcement.created_at,
+  updatedAt: announcement.updated_at
+});
+
+// An announcement with no role, class or grade targets goes to the whole school
+const resolveTargetAudience = (targetRoles, targetClassIds, targetGradeLevels) => {
+  const hasTargets = [targetRoles, targetClassIds, targetGradeLevels]
+    .some(targets => Array.isArray(targets) && targets.length > 0);
+  return hasTargets ? 'targeted' : 'all';
+};
+
+// Every target class must belong to the announcement's school
+const classesBelongToSchool = async (classIds, schoolId) => {
+  if (!classIds || classIds.length === 0) {
+    return true;
+  }
+
+  const classResult = await pool.query(
+    'SELECT COUNT(*) as count FROM classes WHERE id = ANY($1::uuid[]) AND school_id = $2',
+    [classIds, schoolId]
+  );
+
+  return parseInt(classResult.rows[0].count) === new Set(classIds).size;
+};
+
+const expiresBeforePublished = (publishedAt, expiresAt) =>
+  Boolean(publishedAt && expiresAt) && new Date(expiresAt) <= new Date(publishedAt);
+
+const findAnnouncement = async (id) => {
+  const result = await pool.query('SELECT * FROM announcements WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+const getAnnouncements = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { school_id, status, priority } = req.query;
+
+    if (!school_id) {
+      return errorResponse(res, 'School ID is required', 400);
+    }
+
+    if (!hasSchoolRole(req.user, school_id, ANNOUNCEMENT_MANAGER_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = ['a.school_id = $1'];
+    let queryParams = [school_id];
+    let paramCount = 1;
+
+    if (status) {
+      whereConditions.push(`(${STATUS_CONDITIONS[status]})`);
+    }
+
+    if (priority) {
+      paramCount++;
+      whereConditions.push(`a.priority = $${paramCount}`);
+      queryParams.push(priority);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM announcements a WHERE ${whereClause}`,
+      queryParams
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const announcementsResult = await pool.query(
+      `SELECT a.*, u.first_name as author_first_name, u.last_name as author_last_name
+       FROM announcements a
+       JOIN users u ON a.created_by = u.id
+       WHERE ${whereClause}
+       ORDER BY a.created_at DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const response = buildPaginatedResponse(announcementsResult.rows.map(formatAnnouncement), total, page, limit);
+    successResponse(res, response);
+
+  } catch (error) {
+    console.error('Get announcements error:', error);
+    errorResponse(res, 'Failed to get announcements', 500);
+  }
+};
+
+const getMyAnnouncements = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { school_id } = req.query;
+
+    let schoolIds = [...new Set(req.user.roles.map(role => role.schoolId).filter(Boolean))];
+
+    if (school_id) {
+      if (!hasSchoolAccess(req.user, school_id)) {
+        return errorResponse(res, 'Access denied to this school', 403);
+      }
+      schoolIds = [school_id];
+    }
+
+    if (schoolIds.length === 0) {
+      return successResponse(res, buildPaginatedResponse([], 0, page, limit));
+    }
+
+    const roleNames = [...new Set(req.user.roles.map(role => role.roleName))];
+
+    // Classes the user is linked to as a student, a guardian, a class teacher or a timetabled teacher
+    const audienceCte = `
+      WITH my_classes AS (
+        SELECT e.class_id
+        FROM enrollments e
+        JOIN student_profiles sp ON e.student_id = sp.id
+        WHERE sp.user_id = $1 AND e.status = 'active'
+        UNION
+        SELECT e.class_id
+        FROM enrollments e
+        JOIN parent_student_relationships psr ON psr.student_id = e.student_id
+        JOIN parent_profiles pp ON psr.parent_id = pp.id
+        WHERE pp.user_id = $1 AND e.status = 'active'
+        UNION
+        SELECT c.id FROM classes c WHERE c.class_teacher_id = $1 AND c.is_active = true
+        UNION
+        SELECT t.class_id
+        FROM timetables t
+        JOIN teacher_profiles tp ON t.teacher_id = tp.id
+        WHERE tp.user_id = $1 AND t.is_active = true
+      ),
+      my_grades AS (
+        SELECT DISTINCT c.grade_level
+        FROM classes c
+        JOIN my_classes mc ON c.id = mc.class_id
+      )
+    `;
+
+    const whereClause = `
+      a.school_id = ANY($2::uuid[])
+      AND ${STATUS_CONDITIONS.published}
+      AND (
+        a.target_audience = 'all'
+        OR a.target_roles && $3::text[]
+        OR a.target_class_ids && ARRAY(SELECT class_id FROM my_classes)
+        OR a.target_grade_levels && ARRAY(SELECT grade_level FROM my_grades)
+      )
+    `;
+
+    const queryParams = [req.user.id, schoolIds, roleNames];
+
+    const countResult = await pool.query(
+      `${audienceCte} SELECT COUNT(*) as total FROM announcements a WHERE ${whereClause}`,
+      queryParams
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const announcementsResult = await pool.query(
+      `${audienceCte}
+       SELECT a.*, u.first_name as author_first_name, u.last_name as author_last_name
+       FROM announcements a
+       JOIN users u ON a.created_by = u.id
+       WHERE ${whereClause}
+       ORDER BY ${PRIORITY_ORDER}, a.published_at DESC
+       LIMIT $4 OFFSET $5`,
+      [...queryParams, limit, offset]
+    );
+
+    const response = buildPaginatedResponse(announcementsResult.rows.map(formatAnnouncement), total, page, limit);
+    successResponse(res, response);
+
+  } catch (error) {
+    console.error('Get my announcements error:', error);
+    errorResponse(res, 'Failed to get announcements', 500);
+  }
+};
+
+const getAnnouncementById = async (req, res) => {
+  try {
+    const announcement = await findAnnouncement(req.params.id);
+
+    if (!announcement) {
+      return errorResponse(res, 'Announcement not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, announcement.school_id, ANNOUNCEMENT_MANAGER_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    successResponse(res, formatAnnouncement(announcement));
+
+  } catch (error) {
+    console.error('Get announcement error:', error);
+    errorResponse(res, 'Failed to get announcement', 500);
+  }
+};
+
+const createAnnouncement = async (req, res) => {
+  try {
+    const {
+      school_id,
+      title,
+      content,
+      priority,
+      target_roles = [],
+      target_class_ids = [],
+      target_grade_levels = [],
+      publish,
+      published_at,
+      expires_at
+    } = req.body;
+
+    if (!hasSchoolRole(req.user, school_id, ANNOUNCEMENT_MANAGER_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (!(await classesBelongToSchool(target_class_ids, school_id))) {
+      return errorResponse(res, 'All target classes must belong to this school', 400);
+    }
+
+    // A publish time without the publish flag still schedules the announcement
+    const isPublished = Boolean(publish || published_at);
+
+    if (isPublished && expiresBeforePublished(published_at || new Date(), expires_at)) {
+      return errorResponse(res, 'Announcement would expire before it is published', 400);
+    }
+
+    const announcementResult = await pool.query(
+      `INSERT INTO announcements (school_id, title, content, target_audience, target_roles, target_class_ids,
+                                  target_grade_levels, priority, is_published, published_at, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 'normal'), $9,
+               CASE WHEN $9 THEN COALESCE($10::timestamptz, NOW()) END, $11, $12)
+       RETURNING *`,
+      [
+        school_id, title, content,
+        resolveTargetAudience(target_roles, target_class_ids, target_grade_levels),
+        target_roles, target_class_ids, target_grade_levels,
+        priority, isPublished, published_at || null, expires_at || null, req.user.id
+      ]
+    );
+
+    const announcement = announcementResult.rows[0];
+    const status = getAnnouncementStatus(announcement);
+
+    successResponse(res, formatAnnouncement(announcement),
+      status === 'draft' ? 'Announcement saved as draft' : `Announcement ${status} successfully`, 201);
+
+  } catch (error) {
+    console.error('Create announcement error:', error);
+    errorResponse(res, 'Failed to create announcement', 500);
+  }
+};
+
+const updateAnnouncement = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await findAnnouncement(id);
+
+    if (!existing) {
+      return errorResponse(res, 'Announcement not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, existing.school_id, ANNOUNCEMENT_MANAGER_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const { title, content, priority, target_roles, target_class_ids, target_grade_levels, expires_at } = req.body;
+
+    const roles = target_roles !== undefined ? target_roles : existing.target_roles;
+    const classIds = target_class_ids !== undefined ? target_class_ids : existing.target_class_ids;
+    const gradeLevels = target_grade_levels !== undefined ? target_grade_levels : existing.target_grade_levels;
+
+    if (target_class_ids !== undefined && !(await classesBelongToSchool(classIds, existing.school_id))) {
+      return errorResponse(res, 'All target classes must belong to this school', 400);
+    }
+
+    if (existing.is_published && expiresBeforePublished(existing.published_at,
+      expires_at !== undefined ? expires_at : existing.expires_at)) {
+      return errorResponse(res, 'Announcement would expire before it is published', 400);
+    }
+
+    const updateResult = await pool.query(
+      `UPDATE announcements
+       SET title = COALESCE($1, title),
+           content = COALESCE($2, content),
+           priority = COALESCE($3, priority),
+           target_roles = $4,
+           target_class_ids = $5,
+           target_grade_levels = $6,
+           target_audience = $7,
+           expires_at = CASE WHEN $8::boolean THEN $9::timestamptz ELSE expires_at END,
+           updated_at = NOW()
+       WHERE id = $10
+       RETURNING *`,
+      [
+        title, content, priority, roles, classIds, gradeLevels,
+        resolveTargetAudience(roles, classIds, gradeLevels),
+        expires_at !== undefined, expires_at || null, id
+      ]
+    );
+
+    successResponse(res, formatAnnouncement(updateResult.rows[0]), 'Announcement updated successfully');
+
+  } catch (error) {
+    console.error('Update announcement error:', error);
+    errorResponse(res, 'Failed to update announcement', 500);
+  }
+};
+
+const publishAnnouncement = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { published_at } = req.body;
+    const existing = await findAnnouncement(id);
+
+    if (!existing) {
+      return errorResponse(res, 'Announcement not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, existing.school_id, ANNOUNCEMENT_MANAGER_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const publishAt = published_at ? new Date(published_at) : new Date();
+
+    if (expiresBeforePublished(publishAt, existing.expires_at)) {
+      return errorResponse(res, 'Announcement would expire before it is published', 400);
+    }
+
+    const updateResult = await pool.query(
+      `UPDATE announcements
+       SET is_published = true, published_at = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [publishAt, id]
+    );
+
+    const announcement = updateResult.rows[0];
+
+    successResponse(res, formatAnnouncement(announcement), `Announcement ${getAnnouncementStatus(announcement)} successfully`);
+
+  } catch (error) {
+    console.error('Publish announcement error:', error);
+    errorResponse(res, 'Failed to publish announcement', 500);
+  }
+};
+
+const unpublishAnnouncement = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await findAnnouncement(id);
+
+    if (!existing) {
+      return errorResponse(res, 'Announcement not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, existing.school_id, ANNOUNCEMENT_MANAGER_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const updateResult = await pool.query(
+      `UPDATE announcements
+       SET is_published = false, published_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+
+    successResponse(res, formatAnnouncement(updateResult.rows[0]), 'Announcement moved back to drafts');
+
+  } catch (error) {
+    console.error('Unpublish announcement error:', error);
+    errorResponse(res, 'Failed to unpublish announcement', 500);
+  }
+};
+
+const deleteAnnouncement = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await findAnnouncement(id);
+
+    if (!existing) {
+      return errorResponse(res, 'Announcement not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, existing.school_id, ANNOUNCEMENT_MANAGER_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    await pool.query('DELETE FROM announcements WHERE id = $1', [id]);
+
+    successResponse(res, { id }, 'Announcement deleted successfully');
+
+  } catch (error) {
+    console.error('Delete announcement error:', error);
+    errorResponse(res, 'Failed to delete announcement', 500);
+  }
+};
+
+module.exports = {
+  getAnnouncements,
+  getMyAnnouncements,
+  getAnnouncementById,
+  createAnnouncement,
+  updateAnnouncement,
+  publishAnnouncement,
+  unpublishAnnouncement,
+  deleteAnnouncement
+};
@@ -0,0 +1,514 @@
+const pool = require('../config/database');
+const attendanceService = require('../services/attendanceService');
+const attendanceAlertService = require('../services/attendanceAlertService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const {
+  successResponse,
+  errorResponse,
+  hasSchoolRole,
+  getPaginationParams,
+  buildPaginatedResponse,
+  buildAuditContext
+} = require('../utils/helpers');
+
+const REGISTER_ADMIN_ROLES = ['Super Admin', 'Admin', 'Principal'];
+
+/**
+ * Load the class (and slot, when marking a single period) for a register
+ * and check the user may take it: school admins, the class teacher, or a
+ * teacher timetabled for the class (for a slot, that slot's teacher or the
+ * substitute covering it that day).
+ */
+const loadRegisterContext = async (db, user, classId, date, timetableId) => {
+  const classResult = await db.query(
+    'SELECT id, school_id, name, class_teacher_id FROM classes WHERE id = $1 AND is_active = true',
+    [classId]
+  );
+
+  if (classResult.rows.length === 0) {
+    return { error: 'Class not found', status: 404 };
+  }
+
+  const cls = classResult.rows[0];
+  let slot = null;
+
+  if (timetableId) {
+    const slotResult = await db.query(
+      `SELECT tt.id, tt.day_of_week, tt.start_time, tt.end_time, tp.user_id as teacher_user_id
+       FROM timetables tt
+       JOIN teacher_profiles tp ON tt.teacher_id = tp.id
+       WHERE tt.id = $1 AND tt.class_id = $2 AND tt.is_active = true`,
+      [timetableId, classId]
+    );
+
+    if (slotResult.rows.length === 0) {
+      return { error: 'Timetable slot not found for this class', status: 404 };
+    }
+
+    slot = slotResult.rows[0];
+
+    if (slot.day_of_week !== attendanceService.dayOfWeek(date)) {
+      return { error: 'Timetable slot is not scheduled on this date', status: 400 };
+    }
+  }
+
+  const isAdmin = hasSchoolRole(user, cls.school_id, REGISTER_ADMIN_ROLES);
+
+  if (!isAdmin) {
+    let allowed = cls.class_teacher_id === user.id || (slot && slot.teacher_user_id === user.id);
+
+    // A substitute confirmed for this lesson on this date may take its register
+    if (!allowed && slot) {
+      const coverResult = await db.query(
+        `SELECT 1 FROM substitutions s
+         JOIN teacher_profiles tp ON s.substitute_teacher_id = tp.id
+         WHERE s.timetable_id = $1 AND s.date = $2 AND s.status = 'confirmed' AND tp.user_id = $3`,
+        [slot.id, date, user.id]
+      );
+      allowed = coverResult.rows.length > 0;
+    }
+
+    if (!allowed && !slot) {
+      const teachesResult = await db.query(
+        `SELECT 1 FROM timetables tt
+         JOIN teacher_profiles tp ON tt.teacher_id = tp.id
+         WHERE tt.class_id = $1 AND tp.user_id = $2 AND tt.is_active = true
+         LIMIT 1`,
+        [classId, user.id]
+      );
+      allowed = teachesResult.rows.length > 0;
+    }
+
+    if (!allowed) {
+      return { error: 'You are not assigned to take this register', status: 403 };
+    }
+  }
+
+  return { cls, slot, isAdmin };
+};
+
+const getRoster = async (db, classId) => {
+  const result = await db.query(
+    `SELECT sp.id, sp.student_id, u.first_name, u.last_name
+     FROM enrollments e
+     JOIN student_profiles sp ON e.student_id = sp.id
+     JOIN users u ON sp.user_id = u.id
+     WHERE e.class_id = $1 AND e.status = 'active'
+     ORDER BY u.last_name, u.first_name`,
+    [classId]
+  );
+
+  return result.rows;
+};
+
+// Daily registers have no slot; period registers are keyed by their timetable slot
+const getExistingRecords = async (db, classId, date, timetableId, lock = false) => {
+  const result = await db.query(
+    `SELECT * FROM attendance
+     WHERE class_id = $1 AND date = $2
+       AND timetable_id IS NOT DISTINCT FROM $3
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [classId, date, timetableId || null]
+  );
+
+  return new Map(result.rows.map(record => [record.student_id, record]));
+};
+
+const getRegister = async (req, res) => {
+  try {
+    const { class_id, date, timetable_id } = req.query;
+
+    if (!class_id || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      return errorResponse(res, 'Class ID and a YYYY-MM-DD date are required', 400);
+    }
+
+    const { cls, slot, error, status } = await loadRegisterContext(pool, req.user, class_id, date, timetable_id);
+    if (error) {
+      return errorResponse(res, error, status);
+    }
+
+    const [roster, existing, lockHours] = await Promise.all([
+      getRoster(pool, class_id),
+      getExistingRecords(pool, class_id, date, timetable_id),
+      attendanceService.getLockHours(cls.school_id)
+    ]);
+
+    successResponse(res, {
+      classId: cls.id,
+      className: cls.name,
+      date,
+      timetableId: slot ? slot.id : null,
+      locked: attendanceService.isLocked(date, lockHours),
+      lockedAt: attendanceService.getLockTime(date, lockHours),
+      students: roster.map(student => {
+        const record = existing.get(student.id);
+        return {
+          studentId: student.id,
+          studentNumber: student.student_id,
+          firstName: student.first_name,
+          lastName: student.last_name,
+          attendanceId: record ? record.id : null,
+          status: record ? record.status : null,
+          notes: record ? record.notes : null
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Get attendance register error:', error);
+    errorResponse(res, 'Failed to get attendance register', 500);
+  }
+};
+
+const submitRegister = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { class_id, date, timetable_id, default_status = 'present', records = [] } = req.body;
+
+    const { cls, slot, isAdmin, error, status } = await loadRegisterContext(client, req.user, class_id, date, timetable_id);
+    if (error) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, error, status);
+    }
+
+    // Admins can still correct locked registers; teachers cannot
+    const lockHours = await attendanceService.getLockHours(cls.school_id, client);
+    if (!isAdmin && attendanceService.isLocked(date, lockHours)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'This register is locked and can only be changed by an administrator', 403, {
+        lockedAt: attendanceService.getLockTime(date, lockHours)
+      });
+    }
+
+    const roster = await getRoster(client, class_id);
+    const rosterIds = new Set(roster.map(student => student.id));
+
+    const notEnrolled = records.filter(record => !rosterIds.has(record.student_id)).map(record => record.student_id);
+    if (notEnrolled.length > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Some students are not enrolled in this class', 400, { studentIds: notEnrolled });
+    }
+
+    const submitted = new Map(records.map(record => [record.student_id, record]));
+    const existing = await getExistingRecords(client, class_id, date, timetable_id, true);
+    const changes = [];
+
+    for (const student of roster) {
+      const record = submitted.get(student.id);
+      const previous = existing.get(student.id);
+
+      // Students left off the sheet get the default, but never overwrite an earlier mark
+      if (!record && previous) {
+        continue;
+      }
+
+      const newStatus = record ? record.status : default_status;
+      const notes = record ? record.notes || null : null;
+
+      if (previous) {
+        if (previous.status === newStatus && (previous.notes || null) === notes) {
+          continue;
+        }
+
+        const updatedResult = await client.query(
+          `UPDATE attendance SET status = $1, notes = $2, marked_by = $3, updated_at = NOW()
+           WHERE id = $4
+           RETURNING *`,
+          [newStatus, notes, req.user.id, previous.id]
+        );
+        changes.push({ operation: 'UPDATE', before: previous, after: updatedResult.rows[0] });
+      } else {
+        const insertedResult = await client.query(
+          `INSERT INTO attendance (student_id, class_id, date, timetable_id, status, notes, marked_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [student.id, class_id, date, slot ? slot.id : null, newStatus, notes, req.user.id]
+        );
+        changes.push({ operation: 'CREATE', before: null, after: insertedResult.rows[0] });
+      }
+    }
+
+    await client.query('COMMIT');
+
+    // Edits to a locked register are admin corrections and worth an audit trail
+    if (attendanceService.isLocked(date, lockHours)) {
+      const context = { ...buildAuditContext(req), schoolId: cls.school_id };
+      for (const change of changes) {
+        await logDatabaseOperation(change.operation, 'attendance', change.after.id, change.before, change.after, context);
+      }
+    }
+
+    const counts = { present: 0, absent: 0, late: 0, excused: 0 };
+    const finalRecords = await getExistingRecords(pool, class_id, date, timetable_id);
+    finalRecords.forEach(record => counts[record.status]++);
+
+    successResponse(res, {
+      classId: class_id,
+      date,
+      timetableId: slot ? slot.id : null,
+      created: changes.filter(change => change.operation === 'CREATE').length,
+      updated: changes.filter(change => change.operation === 'UPDATE').length,
+      totals: counts
+    }, 'Attendance register saved successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Submit attendance register error:', error);
+    errorResponse(res, 'Failed to save attendance register', 500);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Mark one student's daily attendance (the original POST /attendance).
+ * Goes through the same assignment, edit-lock and enrollment checks as
+ * the daily register.
+ */
+const markStudentAttendance = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { student_id, class_id, date, status, notes } = req.body;
+
+    const { cls, isAdmin, error, status: errorStatus } = await loadRegisterContext(client, req.user, class_id, date, null);
+    if (error) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, error, errorStatus);
+    }
+
+    const lockHours = await attendanceService.getLockHours(cls.school_id, client);
+    if (!isAdmin && attendanceService.isLocked(date, lockHours)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'This register is locked and can only be changed by an administrator', 403, {
+        lockedAt: attendanceService.getLockTime(date, lockHours)
+      });
+    }
+
+    const roster = await getRoster(client, class_id);
+    if (!roster.some(student => student.id === student_id)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Student is not enrolled in this class', 400);
+    }
+
+    const existing = await getExistingRecords(client, class_id, date, null, true);
+    const previous = existing.get(student_id);
+    let attendanceResult;
+
+    if (previous) {
+      attendanceResult = await client.query(
+        `UPDATE attendance SET status = $1, notes = $2, marked_by = $3, updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [status, notes || null, req.user.id, previous.id]
+      );
+    } else {
+      attendanceResult = await client.query(
+        `INSERT INTO attendance (student_id, class_id, date, status, notes, marked_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [student_id, class_id, date, status, notes || null, req.user.id]
+      );
+    }
+
+    const attendance = attendanceResult.rows[0];
+
+    await client.query('COMMIT');
+
+    if (attendanceService.isLocked(date, lockHours)) {
+      await logDatabaseOperation(previous ? 'UPDATE' : 'CREATE', 'attendance', attendance.id, previous || null, attendance, {
+        ...buildAuditContext(req),
+        schoolId: cls.school_id
+      });
+    }
+
+    successResponse(res, {
+      id: attendance.id,
+      studentId: attendance.student_id,
+      classId: attendance.class_id,
+      date: attendance.date,
+      status: attendance.status,
+      notes: attendance.notes,
+      createdAt: attendance.created_at,
+      updatedAt: attendance.updated_at
+    }, 'Attendance marked successfully', previous ? 200 : 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Mark attendance error:', error);
+    errorResponse(res, 'Failed to mark attendance', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const formatAlert = (alert) => ({
+  id: alert.id,
+  schoolId: alert.school_id,
+  studentId: alert.student_id,
+  studentName: alert.student_first_name ? `${alert.student_first_name} ${alert.student_last_name}` : null,
+  parentId: alert.parent_id,
+  parentName: alert.parent_first_name ? `${alert.parent_first_name} ${alert.parent_last_name}` : null,
+  alertDate: alert.alert_date,
+  channel: alert.channel,
+  recipient: alert.recipient,
+  attendanceIds: alert.attendance_ids,
+  message: alert.message,
+  status: alert.status,
+  providerMessageId: alert.provider_message_id,
+  errorMessage: alert.error_message,
+  createdAt: alert.created_at
+});
+
+const getAttendanceAlerts = async (req, res) => {
+  try {
+    const { school_id, date, student_id, status } = req.query;
+    const { page, limit, offset } = getPaginationParams(req);
+
+    if (!hasSchoolRole(req.user, school_id, REGISTER_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const whereConditions = ['al.school_id = $1'];
+    const queryParams = [school_id];
+    let paramCount = 1;
+
+    if (date) {
+      paramCount++;
+      whereConditions.push(`al.alert_date = $${paramCount}`);
+      queryParams.push(date);
+    }
+
+    if (student_id) {
+      paramCount++;
+      whereConditions.push(`al.student_id = $${paramCount}`);
+      queryParams.push(student_id);
+    }
+
+    if (status) {
+      paramCount++;
+      whereConditions.push(`al.status = $${paramCount}`);
+      queryParams.push(status);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM attendance_alerts al WHERE ${whereClause}`,
+      queryParams
+    );
+
+    const alertsResult = await pool.query(
+      `SELECT al.*, to_char(al.alert_date, 'YYYY-MM-DD') as alert_date,
+              su.first_name as student_first_name, su.last_name as student_last_name,
+              pu.first_name as parent_first_name, pu.last_name as parent_last_name
+       FROM attendance_alerts al
+       JOIN student_profiles sp ON al.student_id = sp.id
+       JOIN users su ON sp.user_id = su.id
+       JOIN parent_profiles pp ON al.parent_id = pp.id
+       JOIN users pu ON pp.user_id = pu.id
+       WHERE ${whereClause}
+       ORDER BY al.created_at DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    successResponse(res, buildPaginatedResponse(
+      alertsResult.rows.map(formatAlert),
+      parseInt(countResult.rows[0].count),
+      page,
+      limit
+    ));
+
+  } catch (error) {
+    console.error('Get attendance alerts error:', error);
+    errorResponse(res, 'Failed to get attendance alerts', 500);
+  }
+};
+
+/**
+ * Send a school's pending alerts now instead of waiting for the scheduler,
+ * e.g. after late register corrections. Already-alerted records are skipped.
+ */
+const dispatchAttendanceAlerts = async (req, res) => {
+  try {
+    const { school_id, date } = req.body;
+
+    if (!hasSchoolRole(req.user, school_id, REGISTER_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const summary = await attendanceAlertService.dispatch(date, school_id);
+
+    successResponse(res, summary, 'Attendance alerts dispatched');
+
+  } catch (error) {
+    console.error('Dispatch attendance alerts error:', error);
+    errorResponse(res, 'Failed to dispatch attendance alerts', 500);
+  }
+};
+
+/**
+ * Guardians manage their own alert preferences; school admins may set them
+ * on a guardian's behalf by passing parent_id
+ */
+const updateAlertPreferences = async (req, res) => {
+  try {
+    const { parent_id, alert_channel, preferred_language } = req.body;
+
+    const parentResult = parent_id
+      ? await pool.query('SELECT * FROM parent_profiles WHERE id = $1', [parent_id])
+      : await pool.query('SELECT * FROM parent_profiles WHERE user_id = $1', [req.user.id]);
+
+    if (parentResult.rows.length === 0) {
+      return errorResponse(res, 'Parent profile not found', 404);
+    }
+
+    const parent = parentResult.rows[0];
+
+    if (parent.user_id !== req.user.id && !hasSchoolRole(req.user, parent.school_id, REGISTER_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this parent profile', 403);
+    }
+
+    const updatedResult = await pool.query(
+      `UPDATE parent_profiles
+       SET alert_channel = COALESCE($1, alert_channel),
+           preferred_language = COALESCE($2, preferred_language),
+           updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [alert_channel || null, preferred_language || null, parent.id]
+    );
+
+    const updated = updatedResult.rows[0];
+
+    await logDatabaseOperation('UPDATE', 'parent_profiles', parent.id, parent, updated, {
+      ...buildAuditContext(req),
+      schoolId: parent.school_id
+    });
+
+    successResponse(res, {
+      parentId: updated.id,
+      alertChannel: updated.alert_channel,
+      preferredLanguage: updated.preferred_language
+    }, 'Alert preferences updated successfully');
+
+  } catch (error) {
+    console.error('Update alert preferences error:', error);
+    errorResponse(res, 'Failed to update alert preferences', 500);
+  }
+};
+
+module.exports = {
+  getRegister,
+  submitRegister,
+  markStudentAttendance,
+  getAttendanceAlerts,
+  dispatchAttendanceAlerts,
+  updateAlertPreferences
+};
@@ -0,0 +1,164 @@
+const attendanceService = require('../services/attendanceService');
+const attendanceReportService = require('../services/attendanceReportService');
+const {
+  successResponse,
+  errorResponse,
+  hasSchoolRole,
+  toCsv
+} = require('../utils/helpers');
+
+const REPORT_ROLES = ['Super Admin', 'Admin', 'Principal'];
+
+const COUNT_COLUMNS = [
+  { key: 'present', header: 'Present' },
+  { key: 'absent', header: 'Absent' },
+  { key: 'late', header: 'Late' },
+  { key: 'excused', header: 'Excused' },
+  { key: 'totalDays', header: 'Total Records' },
+  { key: 'rate', header: 'Attendance Rate (%)' }
+];
+
+/**
+ * Check school access and resolve the report's date range from the query.
+ * Returns { range } or { error, status }.
+ */
+const loadReportScope = async (req) => {
+  const { school_id, term_id, start_date, end_date } = req.query;
+
+  if (!hasSchoolRole(req.user, school_id, REPORT_ROLES)) {
+    return { error: 'Access denied to this school', status: 403 };
+  }
+
+  const range = await attendanceReportService.resolveRange(school_id, {
+    termId: term_id,
+    startDate: start_date,
+    endDate: end_date
+  });
+
+  if (!range) {
+    return term_id
+      ? { error: 'Term not found for this school', status: 404 }
+      : { error: 'No current term; provide term_id or start_date and end_date', status: 400 };
+  }
+
+  if (range.startDate > range.endDate) {
+    return { error: 'Start date must be on or before end date', status: 400 };
+  }
+
+  return { range };
+};
+
+const sendReport = (res, format, name, range, rows, columns, meta = {}) => {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}_${range.startDate}_${range.endDate}.csv"`);
+    return res.send(toCsv(rows, columns));
+  }
+
+  successResponse(res, { ...range, ...meta, rows });
+};
+
+const getAttendanceRates = async (req, res) => {
+  try {
+    const { school_id, group_by = 'class', interval, class_id, grade_level, format = 'json' } = req.query;
+
+    const { range, error, status } = await loadReportScope(req);
+    if (error) {
+      return errorResponse(res, error, status);
+    }
+
+    const rows = await attendanceReportService.getRates(school_id, range, {
+      groupBy: group_by,
+      interval,
+      classId: class_id,
+      gradeLevel: grade_level
+    });
+
+    const columns = [
+      { key: 'groupName', header: group_by === 'student' ? 'Student' : group_by === 'grade' ? 'Grade' : 'Class' },
+      ...(group_by === 'student' ? [{ key: 'studentNumber', header: 'Student ID' }] : []),
+      ...(group_by !== 'grade' ? [{ key: 'gradeLevel', header: 'Grade Level' }] : []),
+      ...(interval ? [{ key: 'period', header: interval === 'week' ? 'Week Starting' : 'Month' }] : []),
+      ...COUNT_COLUMNS
+    ];
+
+    sendReport(res, format, `attendance_rates_by_${group_by}`, range, rows, columns, {
+      groupBy: group_by,
+      interval: interval || null
+    });
+
+  } catch (error) {
+    console.error('Get attendance rates error:', error);
+    errorResponse(res, 'Failed to get attendance rates', 500);
+  }
+};
+
+const getChronicAbsentees = async (req, res) => {
+  try {
+    const { school_id, threshold, min_records, class_id, grade_level, format = 'json' } = req.query;
+
+    const { range, error, status } = await loadReportScope(req);
+    if (error) {
+      return errorResponse(res, error, status);
+    }
+
+    const appliedThreshold = threshold ?? await attendanceService.getChronicThreshold(school_id);
+
+    const rows = await attendanceReportService.getChronicAbsentees(school_id, range, {
+      threshold: appliedThreshold,
+      minRecords: min_records || 1,
+      classId: class_id,
+      gradeLevel: grade_level
+    });
+
+    const columns = [
+      { key: 'studentNumber', header: 'Student ID' },
+      { key: 'lastName', header: 'Last Name' },
+      { key: 'firstName', header: 'First Name' },
+      { key: 'classNames', header: 'Class' },
+      { key: 'gradeLevel', header: 'Grade Level' },
+      { key: 'lastAbsence', header: 'Last Absence' },
+      ...COUNT_COLUMNS
+    ];
+
+    sendReport(res, format, 'chronic_absentees', range, rows, columns, { threshold: appliedThreshold });
+
+  } catch (error) {
+    console.error('Get chronic absentees error:', error);
+    errorResponse(res, 'Failed to get chronic absentees', 500);
+  }
+};
+
+const getAttendanceTrends = async (req, res) => {
+  try {
+    const { school_id, by = 'day_of_week', class_id, grade_level, format = 'json' } = req.query;
+
+    const { range, error, status } = await loadReportScope(req);
+    if (error) {
+      return errorResponse(res, error, status);
+    }
+
+    const rows = await attendanceReportService.getTrends(school_id, range, {
+      by,
+      classId: class_id,
+      gradeLevel: grade_level
+    });
+
+    const columns = [
+      { key: 'label', header: by === 'day_of_week' ? 'Day' : by === 'term' ? 'Term' : 'Month' },
+      ...COUNT_COLUMNS
+    ];
+
+    sendReport(res, format, `attendance_trends_by_${by}`, range, rows, columns, { by });
+
+  } catch (error) {
+    console.error('Get attendance trends error:', error);
+    errorResponse(res, 'Failed to get attendance trends', 500);
+  }
+};
+
+module.exports = {
+  getAttendanceRates,
+  getChronicAbsentees,
+  getAttendanceTrends
+};
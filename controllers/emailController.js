@@ -7,8 +7,74 @@
  * @version 1.0.0
  */
 
+const pool = require('../config/database');
 const emailService = require('../src/services/emailService');
+const emailPreferenceService = require('../services/emailPreferenceService');
+const emailTemplateService = require('../services/emailTemplateService');
+const notificationService = require('../services/notificationService');
+const { frequencies, isMandatory } = require('../config/emailNotifications');
 const logger = require('../src/utils/logger');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const { getPaginationParams, buildPaginatedResponse, buildAuditContext, hasSchoolRole } = require('../utils/helpers');
+
+// Template overrides need one of these roles at the template's school
+const TEMPLATE_ADMIN_ROLES = ['Super Admin', 'Admin'];
+
+const formatTemplate = (row) => ({
+  id: row.id,
+  schoolId: row.school_id,
+  name: row.name,
+  language: row.language,
+  subjectTemplate: row.subject_template,
+  htmlTemplate: row.html_template,
+  textTemplate: row.text_template,
+  currentVersion: row.current_version,
+  isActive: row.is_active,
+  updatedBy: row.updated_by_first_name ? `${row.updated_by_first_name} ${row.updated_by_last_name}` : undefined,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const formatTemplateVersion = (row) => ({
+  version: row.version,
+  subjectTemplate: row.subject_template,
+  htmlTemplate: row.html_template,
+  textTemplate: row.text_template,
+  comment: row.comment,
+  restoredFromVersion: row.restored_from_version,
+  createdBy: row.created_by_first_name ? `${row.created_by_first_name} ${row.created_by_last_name}` : row.created_by,
+  createdAt: row.created_at
+});
+
+// School and language a template request is for; language defaults to English
+const getTemplateScope = (req) => {
+  const source = req.method === 'GET' || req.method === 'DELETE' ? req.query : req.body;
+  return { schoolId: source.school_id, language: source.language || 'en' };
+};
+
+/**
+ * Reject template requests for templates schools cannot override or for
+ * schools the user does not administer. Returns true when a response was sent.
+ */
+const rejectTemplateRequest = (req, res, schoolId) => {
+  if (!emailTemplateService.isOverridable(req.params.name)) {
+    res.status(404).json({
+      success: false,
+      message: `Email template ${req.params.name} cannot be customised; customisable templates are: ${emailTemplateService.getOverridableNames().join(', ')}`
+    });
+    return true;
+  }
+
+  if (!hasSchoolRole(req.user, schoolId, TEMPLATE_ADMIN_ROLES)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied to this school'
+    });
+    return true;
+  }
+
+  return false;
+};
 
 class EmailController {
   /**
@@ -230,6 +296,16 @@ class EmailController {
         details
       });
 
+      await notificationService.notifySafely({ role: 'Super Admin' }, {
+        title: `Audit alert: ${alertType}`,
+        message: description,
+        type: severity === 'HIGH' ? 'error' : 'warning',
+        category: 'audit',
+        link: '/audit/logs',
+        data: { alertType, severity, details: details || null },
+        sentBy: req.user.id
+      });
+
       res.json({
         success: true,
         message: 'Audit alert sent successfully',
@@ -279,7 +355,9 @@ class EmailController {
         success: true,
         message: 'Bulk notification sent successfully',
         data: {
-          totalSent: result.filter(r => r.success).length,
+          totalSent: result.filter(r => r.success && r.queued).length,
+          totalDigested: result.filter(r => r.success && r.digested.length > 0).length,
+          totalOptedOut: result.filter(r => r.success && r.optedOut.length > 0).length,
           totalFailed: result.filter(r => !r.success).length,
           results: result
         }
@@ -330,6 +408,537 @@ class EmailController {
     }
   }
 
+  /**
+   * The signed-in user's preference for every notification type
+   */
+  static async getEmailPreferences(req, res) {
+    try {
+      const preferences = await emailPreferenceService.getPreferences(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Email preferences retrieved successfully',
+        data: { preferences, frequencies }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get email preferences', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get email preferences',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update the signed-in user's preferences. Mandatory types cannot be
+   * turned off or moved to a digest.
+   */
+  static async updateEmailPreferences(req, res) {
+    const client = await pool.connect();
+
+    try {
+      const { preferences } = req.body;
+
+      const locked = preferences.find(preference => isMandatory(preference.notification_type) &&
+        (preference.is_enabled === false || (preference.frequency && preference.frequency !== 'immediate')));
+
+      if (locked) {
+        return res.status(400).json({
+          success: false,
+          message: `${locked.notification_type} emails are mandatory and always sent immediately`
+        });
+      }
+
+      const previous = await emailPreferenceService.getPreferences(req.user.id, client);
+
+      await client.query('BEGIN');
+      await emailPreferenceService.savePreferences(client, req.user.id, preferences);
+      await client.query('COMMIT');
+
+      const updated = await emailPreferenceService.getPreferences(req.user.id);
+
+      await logDatabaseOperation('UPDATE', 'email_preferences', req.user.id, previous, updated, buildAuditContext(req));
+
+      res.json({
+        success: true,
+        message: 'Email preferences updated successfully',
+        data: { preferences: updated, frequencies }
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to update email preferences', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update email preferences',
+        error: error.message
+      });
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List queued messages, optionally by status, template or recipient
+   */
+  static async getEmailQueue(req, res) {
+    try {
+      const { page, limit, offset } = getPaginationParams(req);
+      const { status, template, recipient } = req.query;
+
+      const { messages, total, counts } = await emailService.getQueuedEmails({
+        status,
+        template,
+        recipient,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        message: 'Email queue retrieved successfully',
+        data: { ...buildPaginatedResponse(messages, total, page, limit), counts }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get email queue', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get email queue',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one queued message with its rendered content and attachment names
+   */
+  static async getQueuedEmail(req, res) {
+    try {
+      const message = await emailService.getQueuedEmail(req.params.id);
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: 'Queued email not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Queued email retrieved successfully',
+        data: message
+      });
+
+    } catch (error) {
+      logger.error('Failed to get queued email', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get queued email',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Requeue failed messages: the one in the path, or every failed message
+   * (optionally only those of one template)
+   */
+  static async requeueFailedEmails(req, res) {
+    try {
+      const queueId = req.params.id || null;
+      const template = queueId ? null : (req.body.template || null);
+
+      const requeued = await emailService.requeueFailedEmails({ queueId, template });
+
+      if (queueId && requeued.length === 0) {
+        const message = await emailService.getQueuedEmail(queueId);
+        return res.status(message ? 409 : 404).json({
+          success: false,
+          message: message ? `Only failed emails can be requeued; this one is ${message.status}` : 'Queued email not found'
+        });
+      }
+
+      await logDatabaseOperation('UPDATE', 'email_queue', queueId, null, {
+        status: 'pending',
+        requeued,
+        template
+      }, buildAuditContext(req));
+
+      res.json({
+        success: true,
+        message: `${requeued.length} email(s) requeued`,
+        data: { requeued }
+      });
+
+    } catch (error) {
+      logger.error('Failed to requeue emails', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to requeue emails',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * The templates a school can customise, with its overrides of each
+   */
+  static async getSchoolTemplates(req, res) {
+    try {
+      const schoolId = req.query.school_id;
+
+      if (!hasSchoolRole(req.user, schoolId, TEMPLATE_ADMIN_ROLES)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied to this school'
+        });
+      }
+
+      const overrides = await emailTemplateService.findOverrides(schoolId);
+
+      const templates = emailTemplateService.getOverridableNames().map(name => ({
+        name,
+        overrides: overrides.filter(row => row.name === name).map(formatTemplate)
+      }));
+
+      res.json({
+        success: true,
+        message: 'Email templates retrieved successfully',
+        data: { templates }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get email templates', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get email templates',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * A school's override of a template in one language, with its versions
+   */
+  static async getSchoolTemplate(req, res) {
+    try {
+      const { schoolId, language } = getTemplateScope(req);
+
+      if (rejectTemplateRequest(req, res, schoolId)) {
+        return;
+      }
+
+      const override = await emailTemplateService.findOverride(schoolId, req.params.name, language);
+
+      if (!override) {
+        return res.status(404).json({
+          success: false,
+          message: 'This school has not customised this template in this language'
+        });
+      }
+
+      const versions = await emailTemplateService.findVersions(override.id);
+
+      res.json({
+        success: true,
+        message: 'Email template retrieved successfully',
+        data: { ...formatTemplate(override), versions: versions.map(formatTemplateVersion) }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get email template', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get email template',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Save a school's override of a template as its next version. Content
+   * that is not valid Handlebars is rejected.
+   */
+  static async saveSchoolTemplate(req, res) {
+    const { schoolId, language } = getTemplateScope(req);
+
+    if (rejectTemplateRequest(req, res, schoolId)) {
+      return;
+    }
+
+    const content = {
+      subject_template: req.body.subject_template,
+      html_template: req.body.html_template,
+      text_template: req.body.text_template || null
+    };
+
+    const errors = emailTemplateService.validate(content, req.params.name);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email template',
+        errors
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { previous, template } = await emailTemplateService.saveVersion(client, {
+        schoolId,
+        name: req.params.name,
+        language,
+        content,
+        comment: req.body.comment || null,
+        userId: req.user.id
+      });
+
+      await client.query('COMMIT');
+
+      await logDatabaseOperation(previous ? 'UPDATE' : 'CREATE', 'email_templates', template.id, previous, template, {
+        ...buildAuditContext(req),
+        schoolId
+      });
+
+      res.status(previous ? 200 : 201).json({
+        success: true,
+        message: `Email template saved as version ${template.current_version}`,
+        data: formatTemplate(template)
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to save email template', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save email template',
+        error: error.message
+      });
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Stop using a school's override so its emails go back to the default
+   * template. Its versions are kept; saving or rolling back reactivates it.
+   */
+  static async deactivateSchoolTemplate(req, res) {
+    try {
+      const { schoolId, language } = getTemplateScope(req);
+
+      if (rejectTemplateRequest(req, res, schoolId)) {
+        return;
+      }
+
+      const override = await emailTemplateService.findOverride(schoolId, req.params.name, language);
+
+      if (!override) {
+        return res.status(404).json({
+          success: false,
+          message: 'This school has not customised this template in this language'
+        });
+      }
+
+      const result = await pool.query(
+        'UPDATE email_templates SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [override.id]
+      );
+
+      await logDatabaseOperation('UPDATE', 'email_templates', override.id, override, result.rows[0], {
+        ...buildAuditContext(req),
+        schoolId
+      });
+
+      res.json({
+        success: true,
+        message: 'School email template deactivated; the default template is used',
+        data: formatTemplate(result.rows[0])
+      });
+
+    } catch (error) {
+      logger.error('Failed to deactivate email template', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to deactivate email template',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Every saved version of a school's override, newest first
+   */
+  static async getSchoolTemplateVersions(req, res) {
+    try {
+      const { schoolId, language } = getTemplateScope(req);
+
+      if (rejectTemplateRequest(req, res, schoolId)) {
+        return;
+      }
+
+      const override = await emailTemplateService.findOverride(schoolId, req.params.name, language);
+      const versions = override ? await emailTemplateService.findVersions(override.id) : [];
+
+      res.json({
+        success: true,
+        message: 'Email template versions retrieved successfully',
+        data: {
+          currentVersion: override ? override.current_version : null,
+          versions: versions.map(formatTemplateVersion)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get email template versions', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get email template versions',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Roll a school's override back to an earlier version. The restored
+   * content is saved as a new version, so the history is never rewritten.
+   */
+  static async rollbackSchoolTemplate(req, res) {
+    const { schoolId, language } = getTemplateScope(req);
+
+    if (rejectTemplateRequest(req, res, schoolId)) {
+      return;
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const override = await emailTemplateService.findOverride(schoolId, req.params.name, language, client, true);
+      const version = override ? await emailTemplateService.findVersion(override.id, req.body.version, client) : null;
+
+      if (!version) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          message: 'Email template version not found'
+        });
+      }
+
+      const { previous, template } = await emailTemplateService.saveVersion(client, {
+        schoolId,
+        name: req.params.name,
+        language,
+        content: version,
+        comment: req.body.comment || `Rolled back to version ${version.version}`,
+        restoredFromVersion: version.version,
+        userId: req.user.id
+      });
+
+      await client.query('COMMIT');
+
+      await logDatabaseOperation('UPDATE', 'email_templates', template.id, previous, template, {
+        ...buildAuditContext(req),
+        schoolId
+      });
+
+      res.json({
+        success: true,
+        message: `Email template rolled back to version ${version.version}, saved as version ${template.current_version}`,
+        data: formatTemplate(template)
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to roll back email template', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to roll back email template',
+        error: error.message
+      });
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Render a template with sample data (merged with any data sent): the
+   * draft content in the request when there is any, else the school's
+   * active override, else the default template
+   */
+  static async previewSchoolTemplate(req, res) {
+    try {
+      const { schoolId, language } = getTemplateScope(req);
+      const { name } = req.params;
+
+      if (rejectTemplateRequest(req, res, schoolId)) {
+        return;
+      }
+
+      const data = { ...emailTemplateService.getSampleData(name), ...(req.body.data || {}) };
+      let source;
+      let rendered;
+
+      if (req.body.subject_template || req.body.html_template) {
+        const draft = {
+          subject_template: req.body.subject_template,
+          html_template: req.body.html_template,
+          text_template: req.body.text_template || null
+        };
+
+        const errors = emailTemplateService.validate(draft, name);
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid email template',
+            errors
+          });
+        }
+
+        source = 'draft';
+        rendered = emailTemplateService.render(draft, data);
+      } else {
+        const override = await emailTemplateService.resolveOverride(schoolId, name, language);
+
+        if (override) {
+          source = `override:${override.language}:v${override.current_version}`;
+          rendered = emailTemplateService.renderOverride(override, data);
+          rendered.text = rendered.text || emailService.extractTextFromHtml(rendered.html);
+        } else if (emailService.templates.has(name)) {
+          // The default template has no subject; callers set it when sending
+          const html = emailService.templates.get(name)(data);
+          source = 'default';
+          rendered = { subject: null, html, text: emailService.extractTextFromHtml(html) };
+        } else {
+          return res.status(404).json({
+            success: false,
+            message: `Email template ${name} is not loaded`
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'Email template preview rendered successfully',
+        data: { name, language, source, sampleData: data, ...rendered }
+      });
+
+    } catch (error) {
+      logger.error('Failed to preview email template', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to preview email template',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Test email configuration
    */
@@ -361,7 +970,7 @@ class EmailController {
 
       res.json({
         success: true,
-        message: 'Test email sent successfully',
+        message: 'Test email queued successfully; check the email queue for the delivery result',
         data: result
       });
 
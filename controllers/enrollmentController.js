@@ -0,0 +1,538 @@
+const pool = require('../config/database');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const {
+  successResponse,
+  errorResponse,
+  getPaginationParams,
+  buildPaginatedResponse,
+  hasSchoolAccess,
+  hasSchoolRole,
+  buildAuditContext
+} = require('../utils/helpers');
+
+// Enrollment changes need one of these roles at the class's school
+const ENROLLMENT_ADMIN_ROLES = ['Super Admin', 'Admin', 'Principal'];
+
+const formatEnrollment = (enrollment) => ({
+  id: enrollment.id,
+  studentId: enrollment.student_id,
+  classId: enrollment.class_id,
+  academicYearId: enrollment.academic_year_id,
+  enrollmentDate: enrollment.enrollment_date,
+  status: enrollment.status,
+  createdAt: enrollment.created_at,
+  updatedAt: enrollment.updated_at
+});
+
+/**
+ * Lock a class row and count its active enrollments so capacity checks
+ * cannot be raced by a concurrent enrollment into the same class
+ */
+const lockClassWithCount = async (client, classId) => {
+  const classResult = await client.query(
+    'SELECT * FROM classes WHERE id = $1 AND is_active = true FOR UPDATE',
+    [classId]
+  );
+
+  if (classResult.rows.length === 0) {
+    return null;
+  }
+
+  const countResult = await client.query(
+    `SELECT COUNT(*) as active_count FROM enrollments WHERE class_id = $1 AND status = 'active'`,
+    [classId]
+  );
+
+  return {
+    ...classResult.rows[0],
+    active_count: parseInt(countResult.rows[0].active_count)
+  };
+};
+
+const hasCapacity = (cls, additional = 1) => {
+  return !cls.max_students || cls.active_count + additional <= cls.max_students;
+};
+
+// Audit entries are written after commit so a rolled-back transition is never logged
+const auditTransitions = async (req, schoolId, transitions) => {
+  const context = { ...buildAuditContext(req), schoolId };
+
+  for (const { operation, before, after } of transitions) {
+    await logDatabaseOperation(operation, 'enrollments', after.id, before, after, context);
+  }
+};
+
+const getEnrollments = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { school_id, class_id, student_id, academic_year_id, status } = req.query;
+
+    if (!school_id) {
+      return errorResponse(res, 'School ID is required', 400);
+    }
+
+    if (!hasSchoolAccess(req.user, school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = ['c.school_id = $1'];
+    let queryParams = [school_id];
+    let paramCount = 1;
+
+    if (class_id) {
+      paramCount++;
+      whereConditions.push(`e.class_id = $${paramCount}`);
+      queryParams.push(class_id);
+    }
+
+    if (student_id) {
+      paramCount++;
+      whereConditions.push(`e.student_id = $${paramCount}`);
+      queryParams.push(student_id);
+    }
+
+    if (academic_year_id) {
+      paramCount++;
+      whereConditions.push(`e.academic_year_id = $${paramCount}`);
+      queryParams.push(academic_year_id);
+    }
+
+    if (status) {
+      paramCount++;
+      whereConditions.push(`e.status = $${paramCount}`);
+      queryParams.push(status);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total
+       FROM enrollments e
+       JOIN classes c ON e.class_id = c.id
+       WHERE ${whereClause}`,
+      queryParams
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const enrollmentsResult = await pool.query(
+      `SELECT e.*, c.name as class_name, c.grade_level, c.section,
+              sp.student_id as student_number, sp.admission_number,
+              u.first_name, u.last_name
+       FROM enrollments e
+       JOIN classes c ON e.class_id = c.id
+       JOIN student_profiles sp ON e.student_id = sp.id
+       JOIN users u ON sp.user_id = u.id
+       WHERE ${whereClause}
+       ORDER BY c.grade_level, c.name, u.last_name, u.first_name
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const enrollments = enrollmentsResult.rows.map(enrollment => ({
+      ...formatEnrollment(enrollment),
+      student: {
+        id: enrollment.student_id,
+        studentId: enrollment.student_number,
+        admissionNumber: enrollment.admission_number,
+        firstName: enrollment.first_name,
+        lastName: enrollment.last_name
+      },
+      class: {
+        id: enrollment.class_id,
+        name: enrollment.class_name,
+        gradeLevel: enrollment.grade_level,
+        section: enrollment.section
+      }
+    }));
+
+    const response = buildPaginatedResponse(enrollments, total, page, limit);
+    successResponse(res, response);
+
+  } catch (error) {
+    console.error('Get enrollments error:', error);
+    errorResponse(res, 'Failed to get enrollments', 500);
+  }
+};
+
+const enrollStudent = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { student_id, class_id, enrollment_date } = req.body;
+
+    const cls = await lockClassWithCount(client, class_id);
+
+    if (!cls) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Class not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, cls.school_id, ENROLLMENT_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const studentResult = await client.query(
+      'SELECT id, school_id FROM student_profiles WHERE id = $1 AND is_active = true',
+      [student_id]
+    );
+
+    if (studentResult.rows.length === 0 || studentResult.rows[0].school_id !== cls.school_id) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Student not found in this school', 404);
+    }
+
+    const existingResult = await client.query(
+      `SELECT id, class_id FROM enrollments
+       WHERE student_id = $1 AND academic_year_id = $2 AND status = 'active'`,
+      [student_id, cls.academic_year_id]
+    );
+
+    if (existingResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Student is already enrolled for this academic year; use transfer to change class', 409, {
+        enrollmentId: existingResult.rows[0].id,
+        classId: existingResult.rows[0].class_id
+      });
+    }
+
+    if (!hasCapacity(cls)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Class is full (${cls.max_students} students)`, 409);
+    }
+
+    const enrollmentResult = await client.query(
+      `INSERT INTO enrollments (student_id, class_id, academic_year_id, enrollment_date, status)
+       VALUES ($1, $2, $3, COALESCE($4, CURRENT_DATE), 'active')
+       RETURNING *`,
+      [student_id, class_id, cls.academic_year_id, enrollment_date || null]
+    );
+
+    await client.query('COMMIT');
+
+    const enrollment = enrollmentResult.rows[0];
+    await auditTransitions(req, cls.school_id, [{ operation: 'CREATE', before: null, after: enrollment }]);
+
+    successResponse(res, formatEnrollment(enrollment), 'Student enrolled successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // A concurrent request enrolled the student first; the one-active-enrollment index caught it
+    if (error.code === '23505') {
+      return errorResponse(res, 'Student is already enrolled for this academic year; use transfer to change class', 409);
+    }
+    console.error('Enroll student error:', error);
+    errorResponse(res, 'Failed to enroll student', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const transferStudent = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { id } = req.params;
+    const { class_id } = req.body;
+
+    const enrollmentResult = await client.query(
+      `SELECT * FROM enrollments WHERE id = $1 AND status = 'active' FOR UPDATE`,
+      [id]
+    );
+
+    if (enrollmentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Active enrollment not found', 404);
+    }
+
+    const current = enrollmentResult.rows[0];
+
+    if (current.class_id === class_id) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Student is already in this class', 400);
+    }
+
+    const target = await lockClassWithCount(client, class_id);
+
+    if (!target) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Target class not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, target.school_id, ENROLLMENT_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    // Transfers move between sections of the same school year
+    if (target.academic_year_id !== current.academic_year_id) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Target class must be in the same academic year', 400);
+    }
+
+    if (!hasCapacity(target)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Target class is full (${target.max_students} students)`, 409);
+    }
+
+    const closedResult = await client.query(
+      `UPDATE enrollments SET status = 'transferred', updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [id]
+    );
+
+    const newResult = await client.query(
+      `INSERT INTO enrollments (student_id, class_id, academic_year_id, enrollment_date, status)
+       VALUES ($1, $2, $3, CURRENT_DATE, 'active')
+       RETURNING *`,
+      [current.student_id, class_id, current.academic_year_id]
+    );
+
+    await client.query('COMMIT');
+
+    await auditTransitions(req, target.school_id, [
+      { operation: 'UPDATE', before: current, after: closedResult.rows[0] },
+      { operation: 'CREATE', before: null, after: newResult.rows[0] }
+    ]);
+
+    successResponse(res, {
+      previous: formatEnrollment(closedResult.rows[0]),
+      current: formatEnrollment(newResult.rows[0])
+    }, 'Student transferred successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Transfer student error:', error);
+    errorResponse(res, 'Failed to transfer student', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const promoteStudents = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const {
+      school_id,
+      from_academic_year_id,
+      to_academic_year_id,
+      grade_level,
+      class_mapping = {},
+      exclude_student_ids = []
+    } = req.body;
+
+    if (!hasSchoolRole(req.user, school_id, ENROLLMENT_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (from_academic_year_id === to_academic_year_id) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Target academic year must differ from the current one', 400);
+    }
+
+    const sourceResult = await client.query(
+      `SELECT e.*, c.section
+       FROM enrollments e
+       JOIN classes c ON e.class_id = c.id
+       WHERE c.school_id = $1 AND e.academic_year_id = $2 AND c.grade_level = $3
+         AND e.status = 'active' AND NOT (e.student_id = ANY($4::uuid[]))
+       ORDER BY c.section NULLS LAST, e.enrollment_date
+       FOR UPDATE OF e`,
+      [school_id, from_academic_year_id, grade_level, exclude_student_ids]
+    );
+
+    if (sourceResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'No active enrollments found for this grade', 404);
+    }
+
+    const targetIdsResult = await client.query(
+      `SELECT id FROM classes
+       WHERE school_id = $1 AND academic_year_id = $2 AND grade_level = $3 AND is_active = true
+       ORDER BY section NULLS LAST, name`,
+      [school_id, to_academic_year_id, grade_level + 1]
+    );
+
+    if (targetIdsResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `No grade ${grade_level + 1} classes exist in the target academic year`, 400);
+    }
+
+    const targets = [];
+    for (const row of targetIdsResult.rows) {
+      targets.push(await lockClassWithCount(client, row.id));
+    }
+    const targetsById = new Map(targets.map(cls => [cls.id, cls]));
+
+    // Explicit mapping first, then the same section letter, then any class with room
+    const pickTarget = (enrollment) => {
+      const mapped = class_mapping[enrollment.class_id];
+      if (mapped) {
+        return targetsById.get(mapped) || null;
+      }
+
+      const sameSection = targets.find(cls => cls.section && cls.section === enrollment.section && hasCapacity(cls));
+      return sameSection || targets.find(cls => hasCapacity(cls)) || null;
+    };
+
+    const transitions = [];
+    const unplaced = [];
+
+    for (const enrollment of sourceResult.rows) {
+      const target = pickTarget(enrollment);
+
+      if (!target || !hasCapacity(target)) {
+        unplaced.push({ studentId: enrollment.student_id, fromClassId: enrollment.class_id });
+        continue;
+      }
+
+      const alreadyEnrolled = await client.query(
+        `SELECT id FROM enrollments WHERE student_id = $1 AND academic_year_id = $2 AND status = 'active'`,
+        [enrollment.student_id, to_academic_year_id]
+      );
+
+      if (alreadyEnrolled.rows.length > 0) {
+        continue;
+      }
+
+      const closedResult = await client.query(
+        `UPDATE enrollments SET status = 'inactive', updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [enrollment.id]
+      );
+
+      const newResult = await client.query(
+        `INSERT INTO enrollments (student_id, class_id, academic_year_id, enrollment_date, status)
+         VALUES ($1, $2, $3, CURRENT_DATE, 'active')
+         RETURNING *`,
+        [enrollment.student_id, target.id, to_academic_year_id]
+      );
+
+      target.active_count++;
+
+      transitions.push(
+        { operation: 'UPDATE', before: enrollment, after: closedResult.rows[0] },
+        { operation: 'CREATE', before: null, after: newResult.rows[0] }
+      );
+    }
+
+    // Promotion is all-or-nothing: a partial cohort would split the grade across years
+    if (unplaced.length > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Not enough capacity in the target classes to promote every student', 409, {
+        unplaced,
+        capacity: targets.map(cls => ({
+          classId: cls.id,
+          name: cls.name,
+          maxStudents: cls.max_students,
+          enrolled: cls.active_count
+        }))
+      });
+    }
+
+    await client.query('COMMIT');
+
+    await auditTransitions(req, school_id, transitions);
+
+    const promoted = transitions.filter(t => t.operation === 'CREATE').map(t => formatEnrollment(t.after));
+
+    successResponse(res, {
+      promotedCount: promoted.length,
+      skippedCount: sourceResult.rows.length - promoted.length,
+      enrollments: promoted
+    }, `Promoted ${promoted.length} students to grade ${grade_level + 1}`);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return errorResponse(res, 'A student in this grade was enrolled in the target year while promoting; try again', 409);
+    }
+    console.error('Promote students error:', error);
+    errorResponse(res, 'Failed to promote students', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const graduateStudents = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { school_id, academic_year_id, grade_level, student_ids } = req.body;
+
+    if (!hasSchoolRole(req.user, school_id, ENROLLMENT_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = [`c.school_id = $1`, `e.academic_year_id = $2`, `e.status = 'active'`];
+    let queryParams = [school_id, academic_year_id];
+
+    if (grade_level) {
+      queryParams.push(grade_level);
+      whereConditions.push(`c.grade_level = $${queryParams.length}`);
+    }
+
+    if (student_ids && student_ids.length > 0) {
+      queryParams.push(student_ids);
+      whereConditions.push(`e.student_id = ANY($${queryParams.length}::uuid[])`);
+    }
+
+    const currentResult = await client.query(
+      `SELECT e.* FROM enrollments e
+       JOIN classes c ON e.class_id = c.id
+       WHERE ${whereConditions.join(' AND ')}
+       FOR UPDATE OF e`,
+      queryParams
+    );
+
+    if (currentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'No active enrollments match the graduation criteria', 404);
+    }
+
+    const updatedResult = await client.query(
+      `UPDATE enrollments SET status = 'graduated', updated_at = NOW()
+       WHERE id = ANY($1::uuid[])
+       RETURNING *`,
+      [currentResult.rows.map(enrollment => enrollment.id)]
+    );
+
+    await client.query('COMMIT');
+
+    const before = new Map(currentResult.rows.map(enrollment => [enrollment.id, enrollment]));
+    await auditTransitions(req, school_id, updatedResult.rows.map(enrollment => ({
+      operation: 'UPDATE',
+      before: before.get(enrollment.id),
+      after: enrollment
+    })));
+
+    successResponse(res, {
+      graduatedCount: updatedResult.rows.length,
+      enrollments: updatedResult.rows.map(formatEnrollment)
+    }, `Graduated ${updatedResult.rows.length} students`);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Graduate students error:', error);
+    errorResponse(res, 'Failed to graduate students', 500);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getEnrollments,
+  enrollStudent,
+  transferStudent,
+  promoteStudents,
+  graduateStudents
+};
@@ -0,0 +1,476 @@
+const pool = require('../config/database');
+const feeService = require('../services/feeService');
+const receiptService = require('../services/receiptService');
+const notificationService = require('../services/notificationService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const { hasSchoolPermission } = require('../middleware/rbac');
+const {
+  successResponse,
+  errorResponse,
+  buildAuditContext,
+  toCents,
+  fromCents,
+  formatDate,
+  generateUUID
+} = require('../utils/helpers');
+
+const generateTransactionReference = (date = new Date()) => {
+  const datePart = formatDate(date).replace(/-/g, '');
+  const randomPart = generateUUID().replace(/-/g, '').substring(0, 8).toUpperCase();
+  return `TXN-${datePart}-${randomPart}`;
+};
+
+const resolveFeeStatus = (amountCents, paidCents) => {
+  if (paidCents >= amountCents) {
+    return 'paid';
+  }
+  return paidCents > 0 ? 'partially_paid' : 'unpaid';
+};
+
+// Fee collection
+const collectFee = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { student_fee_id, amount, payment_method, transaction_reference, payment_date, notes } = req.body;
+
+    // Lock the fee row so concurrent payments cannot both pass the balance check
+    const feeResult = await client.query(
+      `SELECT sf.*, sp.school_id, fs.fee_type
+       FROM student_fees sf
+       JOIN student_profiles sp ON sf.student_id = sp.id
+       JOIN fee_structures fs ON sf.fee_structure_id = fs.id
+       WHERE sf.id = $1
+       FOR UPDATE OF sf`,
+      [student_fee_id]
+    );
+
+    if (feeResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Student fee not found', 404);
+    }
+
+    const studentFee = feeResult.rows[0];
+
+    if (!hasSchoolPermission(req, 'finance', 'collect_fees', studentFee.school_id)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (['paid', 'waived'].includes(studentFee.status)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Fee is already ${studentFee.status}`, 409);
+    }
+
+    if (studentFee.carried_forward_to) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Fee was carried forward as arrears; collect against the arrears fee instead', 409, {
+        arrearsFeeId: studentFee.carried_forward_to
+      });
+    }
+
+    const paidResult = await client.query(
+      'SELECT COALESCE(SUM(amount_paid), 0) as total_paid FROM fee_payments WHERE student_fee_id = $1',
+      [student_fee_id]
+    );
+
+    const feeCents = toCents(studentFee.amount);
+    const previouslyPaidCents = toCents(paidResult.rows[0].total_paid);
+    const outstandingCents = feeCents - previouslyPaidCents;
+    const paymentCents = toCents(amount);
+
+    if (paymentCents > outstandingCents) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Payment exceeds outstanding balance', 400, {
+        outstandingBalance: fromCents(outstandingCents),
+        attemptedAmount: fromCents(paymentCents)
+      });
+    }
+
+    const reference = transaction_reference || generateTransactionReference();
+
+    const paymentResult = await client.query(
+      `INSERT INTO fee_payments (student_fee_id, amount_paid, payment_method, transaction_reference, payment_date, received_by, notes)
+       VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_DATE), $6, $7)
+       RETURNING *`,
+      [student_fee_id, fromCents(paymentCents), payment_method, reference, payment_date || null, req.user.id, notes || null]
+    );
+
+    const totalPaidCents = previouslyPaidCents + paymentCents;
+    const status = resolveFeeStatus(feeCents, totalPaidCents);
+
+    await client.query(
+      'UPDATE student_fees SET status = $1, updated_at = NOW() WHERE id = $2',
+      [status, student_fee_id]
+    );
+
+    const payment = paymentResult.rows[0];
+    const receipt = await receiptService.issueReceipt(client, payment.id, req.user.id);
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('CREATE', 'fee_payments', payment.id, null, payment, {
+      ...buildAuditContext(req),
+      schoolId: studentFee.school_id
+    });
+
+    await notificationService.notifySafely({ studentIds: [studentFee.student_id], includeGuardians: true }, {
+      title: 'Fee payment received',
+      message: `A payment of ${fromCents(paymentCents).toFixed(2)} towards ${studentFee.fee_type} was received (receipt ${receipt.receipt_number}). Outstanding balance: ${fromCents(feeCents - totalPaidCents).toFixed(2)}.`,
+      type: 'success',
+      category: 'fees',
+      link: `/fees/receipts/${receipt.id}`,
+      data: { paymentId: payment.id, receiptId: receipt.id, studentFeeId: student_fee_id },
+      schoolId: studentFee.school_id,
+      sentBy: req.user.id
+    });
+
+    successResponse(res, {
+      transactionId: payment.id,
+      transactionReference: payment.transaction_reference,
+      studentFeeId: student_fee_id,
+      studentId: studentFee.student_id,
+      feeType: studentFee.fee_type,
+      amount: fromCents(paymentCents),
+      paymentMethod: payment.payment_method,
+      paymentDate: payment.payment_date,
+      totalAmount: fromCents(feeCents),
+      totalPaid: fromCents(totalPaidCents),
+      balance: fromCents(feeCents - totalPaidCents),
+      status,
+      receiptId: receipt.id,
+      receiptNumber: receipt.receipt_number
+    }, 'Fee collection processed successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Collect fee error:', error);
+    errorResponse(res, 'Failed to process fee collection', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const formatFeeStructure = (structure) => ({
+  id: structure.id,
+  schoolId: structure.school_id,
+  academicYearId: structure.academic_year_id,
+  academicYearName: structure.academic_year_name,
+  classId: structure.class_id,
+  className: structure.class_name || null,
+  feeType: structure.fee_type,
+  amount: parseFloat(structure.amount),
+  frequency: structure.frequency,
+  dueDateRule: structure.due_date_rule,
+  isMandatory: structure.is_mandatory,
+  isActive: structure.is_active,
+  createdAt: structure.created_at
+});
+
+// Another active structure for the same fee in the same year and class
+const findDuplicateStructure = async (structure, excludeId = null) => {
+  const result = await pool.query(
+    `SELECT id FROM fee_structures
+     WHERE school_id = $1 AND academic_year_id = $2 AND class_id IS NOT DISTINCT FROM $3
+       AND LOWER(fee_type) = LOWER($4) AND is_active = true AND id IS DISTINCT FROM $5`,
+    [structure.school_id, structure.academic_year_id, structure.class_id, structure.fee_type, excludeId]
+  );
+  return result.rows[0] || null;
+};
+
+// Fee structures
+const getFeeStructures = async (req, res) => {
+  try {
+    const { school_id, academic_year_id, class_id, include_inactive } = req.query;
+
+    if (!hasSchoolPermission(req, 'finance', 'read', school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = ['fs.school_id = $1'];
+    let queryParams = [school_id];
+    let paramCount = 1;
+
+    if (academic_year_id) {
+      paramCount++;
+      whereConditions.push(`fs.academic_year_id = $${paramCount}`);
+      queryParams.push(academic_year_id);
+    }
+
+    if (class_id) {
+      paramCount++;
+      whereConditions.push(`(fs.class_id = $${paramCount} OR fs.class_id IS NULL)`);
+      queryParams.push(class_id);
+    }
+
+    if (include_inactive !== 'true') {
+      whereConditions.push('fs.is_active = true');
+    }
+
+    const structuresResult = await pool.query(
+      `SELECT fs.*, ay.name as academic_year_name, c.name as class_name
+       FROM fee_structures fs
+       JOIN academic_years ay ON fs.academic_year_id = ay.id
+       LEFT JOIN classes c ON fs.class_id = c.id
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY ay.start_date DESC, c.name NULLS FIRST, fs.fee_type`,
+      queryParams
+    );
+
+    successResponse(res, structuresResult.rows.map(formatFeeStructure));
+
+  } catch (error) {
+    console.error('Get fee structures error:', error);
+    errorResponse(res, 'Failed to get fee structures', 500);
+  }
+};
+
+const createFeeStructure = async (req, res) => {
+  try {
+    const {
+      school_id,
+      academic_year_id,
+      class_id,
+      fee_type,
+      amount,
+      frequency = 'monthly',
+      due_date_rule,
+      is_mandatory = true
+    } = req.body;
+
+    if (!hasSchoolPermission(req, 'finance', 'create', school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const academicYear = await feeService.findAcademicYear(academic_year_id);
+    if (!academicYear || academicYear.school_id !== school_id) {
+      return errorResponse(res, 'Academic year not found in this school', 404);
+    }
+
+    if (class_id) {
+      const classResult = await pool.query(
+        'SELECT id FROM classes WHERE id = $1 AND school_id = $2 AND academic_year_id = $3',
+        [class_id, school_id, academic_year_id]
+      );
+
+      if (classResult.rows.length === 0) {
+        return errorResponse(res, 'Class not found in this school and academic year', 404);
+      }
+    }
+
+    const duplicate = await findDuplicateStructure({ school_id, academic_year_id, class_id: class_id || null, fee_type });
+    if (duplicate) {
+      return errorResponse(res, 'An active fee structure for this fee type already exists', 409, {
+        feeStructureId: duplicate.id
+      });
+    }
+
+    const structureResult = await pool.query(
+      `INSERT INTO fee_structures (school_id, academic_year_id, class_id, fee_type, amount, frequency, due_date_rule, is_mandatory)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [school_id, academic_year_id, class_id || null, fee_type, amount, frequency, due_date_rule || null, is_mandatory]
+    );
+
+    const structure = structureResult.rows[0];
+
+    await logDatabaseOperation('CREATE', 'fee_structures', structure.id, null, structure, {
+      ...buildAuditContext(req),
+      schoolId: school_id
+    });
+
+    successResponse(res, {
+      ...formatFeeStructure(structure),
+      schedule: feeService.buildSchedule(structure, academicYear)
+    }, 'Fee structure created successfully', 201);
+
+  } catch (error) {
+    console.error('Create fee structure error:', error);
+    errorResponse(res, 'Failed to create fee structure', 500);
+  }
+};
+
+/**
+ * Changes apply to instalments generated from now on; existing student
+ * fees keep their amount and due date. The frequency is fixed once
+ * instalments exist, since it decides how they are numbered.
+ */
+const updateFeeStructure = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const structureResult = await pool.query('SELECT * FROM fee_structures WHERE id = $1', [id]);
+
+    if (structureResult.rows.length === 0) {
+      return errorResponse(res, 'Fee structure not found', 404);
+    }
+
+    const structure = structureResult.rows[0];
+
+    if (!hasSchoolPermission(req, 'finance', 'update', structure.school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const { fee_type, amount, frequency, due_date_rule, is_mandatory, is_active } = req.body;
+
+    if (frequency && frequency !== structure.frequency) {
+      const generatedResult = await pool.query(
+        'SELECT 1 FROM student_fees WHERE fee_structure_id = $1 AND installment_number IS NOT NULL LIMIT 1',
+        [id]
+      );
+
+      if (generatedResult.rows.length > 0) {
+        return errorResponse(res, 'Frequency cannot change after instalments have been generated', 409);
+      }
+    }
+
+    if ((fee_type && fee_type.toLowerCase() !== structure.fee_type.toLowerCase()) || (is_active && !structure.is_active)) {
+      const duplicate = await findDuplicateStructure({ ...structure, fee_type: fee_type || structure.fee_type }, id);
+      if (duplicate) {
+        return errorResponse(res, 'An active fee structure for this fee type already exists', 409, {
+          feeStructureId: duplicate.id
+        });
+      }
+    }
+
+    const updatedResult = await pool.query(
+      `UPDATE fee_structures
+       SET fee_type = COALESCE($1, fee_type),
+           amount = COALESCE($2, amount),
+           frequency = COALESCE($3, frequency),
+           due_date_rule = COALESCE($4, due_date_rule),
+           is_mandatory = COALESCE($5, is_mandatory),
+           is_active = COALESCE($6, is_active),
+           updated_at = NOW()
+       WHERE id = $7
+       RETURNING *`,
+      [fee_type, amount, frequency, due_date_rule, is_mandatory, is_active, id]
+    );
+
+    const updated = updatedResult.rows[0];
+
+    await logDatabaseOperation('UPDATE', 'fee_structures', id, structure, updated, {
+      ...buildAuditContext(req),
+      schoolId: structure.school_id
+    });
+
+    successResponse(res, formatFeeStructure(updated), 'Fee structure updated successfully');
+
+  } catch (error) {
+    console.error('Update fee structure error:', error);
+    errorResponse(res, 'Failed to update fee structure', 500);
+  }
+};
+
+// Deactivates the structure; instalments already generated remain payable
+const deleteFeeStructure = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const structureResult = await pool.query('SELECT * FROM fee_structures WHERE id = $1', [id]);
+
+    if (structureResult.rows.length === 0) {
+      return errorResponse(res, 'Fee structure not found', 404);
+    }
+
+    const structure = structureResult.rows[0];
+
+    if (!hasSchoolPermission(req, 'finance', 'update', structure.school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    await pool.query('UPDATE fee_structures SET is_active = false, updated_at = NOW() WHERE id = $1', [id]);
+
+    await logDatabaseOperation('DELETE', 'fee_structures', id, structure, null, {
+      ...buildAuditContext(req),
+      schoolId: structure.school_id
+    });
+
+    successResponse(res, null, 'Fee structure deactivated successfully');
+
+  } catch (error) {
+    console.error('Delete fee structure error:', error);
+    errorResponse(res, 'Failed to deactivate fee structure', 500);
+  }
+};
+
+/**
+ * Generate the dated instalments of a year's fee structures for every
+ * enrolled student. Safe to re-run: only missing instalments are created,
+ * and the response reports what was created and what already existed.
+ */
+const generateStudentFees = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { school_id, academic_year_id, fee_structure_ids, class_id, student_ids, dry_run = false } = req.body;
+
+    if (!hasSchoolPermission(req, 'finance', 'create', school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const academicYear = await feeService.findAcademicYear(academic_year_id);
+    if (!academicYear || academicYear.school_id !== school_id) {
+      return errorResponse(res, 'Academic year not found in this school', 404);
+    }
+
+    const structures = await feeService.findGeneratableStructures(academic_year_id, {
+      feeStructureIds: fee_structure_ids || null,
+      classId: class_id || null
+    });
+
+    if (fee_structure_ids) {
+      const missing = fee_structure_ids.filter(id => !structures.some(structure => structure.id === id));
+      if (missing.length > 0) {
+        return errorResponse(res, 'Some fee structures are not active in this academic year', 400, {
+          feeStructureIds: missing
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const report = await feeService.generateStudentFees(client, {
+      academicYear,
+      structures,
+      classId: class_id || null,
+      studentIds: student_ids || null,
+      dryRun: dry_run
+    });
+
+    await client.query('COMMIT');
+
+    if (!dry_run && report.created > 0) {
+      await logDatabaseOperation('CREATE', 'student_fees', academic_year_id, null, {
+        academicYearId: academic_year_id,
+        created: report.created,
+        structures: report.structures.map(({ fees, schedule, ...entry }) => entry)
+      }, {
+        ...buildAuditContext(req),
+        schoolId: school_id
+      });
+    }
+
+    const message = dry_run
+      ? `${report.created} instalments would be created`
+      : `${report.created} instalments created, ${report.existing} already existed`;
+
+    successResponse(res, report, message, !dry_run && report.created > 0 ? 201 : 200);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Generate student fees error:', error);
+    errorResponse(res, 'Failed to generate student fees', 500);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  collectFee,
+  getFeeStructures,
+  createFeeStructure,
+  updateFeeStructure,
+  deleteFeeStructure,
+  generateStudentFees
+};
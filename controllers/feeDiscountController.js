@@ -0,0 +1,293 @@
+const pool = require('../config/database');
+const feeDiscountService = require('../services/feeDiscountService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const { hasSchoolPermission } = require('../middleware/rbac');
+const {
+  successResponse,
+  errorResponse,
+  getPaginationParams,
+  buildPaginatedResponse,
+  buildAuditContext
+} = require('../utils/helpers');
+
+const formatDiscount = (discount) => ({
+  id: discount.id,
+  schoolId: discount.school_id,
+  academicYearId: discount.academic_year_id,
+  name: discount.name,
+  kind: discount.kind,
+  valueType: discount.value_type,
+  value: parseFloat(discount.value),
+  scope: discount.scope,
+  feeType: discount.fee_type,
+  studentId: discount.student_id,
+  studentName: discount.student_first_name ? `${discount.student_first_name} ${discount.student_last_name}` : null,
+  minSiblings: discount.min_siblings,
+  reason: discount.reason,
+  status: discount.status,
+  requestedBy: discount.requested_by,
+  decidedBy: discount.decided_by,
+  decidedAt: discount.decided_at,
+  decisionNote: discount.decision_note,
+  createdAt: discount.created_at
+});
+
+const getFeeDiscounts = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { school_id, status, scope, kind, student_id, academic_year_id } = req.query;
+
+    if (!hasSchoolPermission(req, 'finance', 'read', school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = ['fd.school_id = $1'];
+    let queryParams = [school_id];
+    let paramCount = 1;
+
+    const filters = [
+      ['fd.status', status],
+      ['fd.scope', scope],
+      ['fd.kind', kind],
+      ['fd.student_id', student_id],
+      ['fd.academic_year_id', academic_year_id]
+    ];
+
+    filters.filter(([, value]) => value).forEach(([column, value]) => {
+      paramCount++;
+      whereConditions.push(`${column} = $${paramCount}`);
+      queryParams.push(value);
+    });
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM fee_discounts fd WHERE ${whereClause}`,
+      queryParams
+    );
+
+    const discountsResult = await pool.query(
+      `SELECT fd.*, u.first_name as student_first_name, u.last_name as student_last_name
+       FROM fee_discounts fd
+       LEFT JOIN student_profiles sp ON fd.student_id = sp.id
+       LEFT JOIN users u ON sp.user_id = u.id
+       WHERE ${whereClause}
+       ORDER BY fd.created_at DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+    successResponse(res, buildPaginatedResponse(discountsResult.rows.map(formatDiscount), total, page, limit));
+
+  } catch (error) {
+    console.error('Get fee discounts error:', error);
+    errorResponse(res, 'Failed to get fee discounts', 500);
+  }
+};
+
+/**
+ * Propose a discount, scholarship or waiver. It has no effect until a
+ * second finance user approves it.
+ */
+const createFeeDiscount = async (req, res) => {
+  try {
+    const {
+      school_id,
+      academic_year_id,
+      name,
+      kind,
+      value_type,
+      value,
+      scope,
+      fee_type,
+      student_id,
+      min_siblings,
+      reason
+    } = req.body;
+
+    if (!hasSchoolPermission(req, 'finance', 'create', school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (academic_year_id) {
+      const yearResult = await pool.query(
+        'SELECT id FROM academic_years WHERE id = $1 AND school_id = $2',
+        [academic_year_id, school_id]
+      );
+
+      if (yearResult.rows.length === 0) {
+        return errorResponse(res, 'Academic year not found in this school', 404);
+      }
+    }
+
+    if (scope === 'student') {
+      const studentResult = await pool.query(
+        'SELECT id FROM student_profiles WHERE id = $1 AND school_id = $2',
+        [student_id, school_id]
+      );
+
+      if (studentResult.rows.length === 0) {
+        return errorResponse(res, 'Student not found in this school', 404);
+      }
+    }
+
+    const discountResult = await pool.query(
+      `INSERT INTO fee_discounts (school_id, academic_year_id, name, kind, value_type, value, scope,
+                                  fee_type, student_id, min_siblings, reason, requested_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING id`,
+      [school_id, academic_year_id || null, name, kind, value_type, value, scope, fee_type || null,
+        scope === 'student' ? student_id : null, scope === 'sibling' ? min_siblings : null, reason, req.user.id]
+    );
+
+    const discount = await feeDiscountService.findDiscount(discountResult.rows[0].id);
+
+    await logDatabaseOperation('CREATE', 'fee_discounts', discount.id, null, discount, {
+      ...buildAuditContext(req),
+      schoolId: school_id
+    });
+
+    successResponse(res, formatDiscount(discount), 'Discount submitted for approval', 201);
+
+  } catch (error) {
+    console.error('Create fee discount error:', error);
+    errorResponse(res, 'Failed to create fee discount', 500);
+  }
+};
+
+/**
+ * Approve or reject a pending rule. Approved rules apply to instalments
+ * generated from then on and, unless apply_to_existing is false, to
+ * generated fees nothing has been paid against yet.
+ */
+const decideFeeDiscount = (decision) => async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { note, apply_to_existing = true } = req.body;
+
+    await client.query('BEGIN');
+
+    const discount = await feeDiscountService.findDiscount(req.params.id, client, true);
+
+    if (!discount) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Fee discount not found', 404);
+    }
+
+    if (!hasSchoolPermission(req, 'finance', 'update', discount.school_id)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (discount.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Fee discount is already ${discount.status}`, 409);
+    }
+
+    if (discount.requested_by === req.user.id) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'A discount must be approved by someone other than its requester', 403);
+    }
+
+    const updatedResult = await client.query(
+      `UPDATE fee_discounts
+       SET status = $1, decided_by = $2, decided_at = NOW(), decision_note = $3
+       WHERE id = $4
+       RETURNING *`,
+      [decision, req.user.id, note || null, discount.id]
+    );
+    const updated = { ...discount, ...updatedResult.rows[0] };
+
+    const repriced = decision === 'approved' && apply_to_existing
+      ? await feeDiscountService.applyToExistingFees(client, updated)
+      : [];
+    const feesUpdated = repriced.length;
+
+    await client.query('COMMIT');
+
+    const auditContext = { ...buildAuditContext(req), schoolId: discount.school_id };
+
+    await logDatabaseOperation('UPDATE', 'fee_discounts', discount.id, discount, {
+      ...updated,
+      decision,
+      reason: discount.reason,
+      feesUpdated
+    }, auditContext);
+
+    for (const fee of repriced) {
+      await logDatabaseOperation('UPDATE', 'student_fees', fee.before.id, fee.before, {
+        ...fee.after,
+        feeDiscountId: discount.id,
+        reason: discount.reason
+      }, auditContext);
+    }
+
+    successResponse(res, { ...formatDiscount(updated), feesUpdated },
+      decision === 'approved' ? 'Discount approved' : 'Discount rejected');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Decide fee discount error:', error);
+    errorResponse(res, 'Failed to record discount decision', 500);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Withdraw a pending rule or stop an approved one applying to future
+ * instalments. Fees it already reduced keep their amounts.
+ */
+const revokeFeeDiscount = async (req, res) => {
+  try {
+    const { note } = req.body;
+    const discount = await feeDiscountService.findDiscount(req.params.id);
+
+    if (!discount) {
+      return errorResponse(res, 'Fee discount not found', 404);
+    }
+
+    if (!hasSchoolPermission(req, 'finance', 'update', discount.school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (!['pending', 'approved'].includes(discount.status)) {
+      return errorResponse(res, `Fee discount is already ${discount.status}`, 409);
+    }
+
+    const updatedResult = await pool.query(
+      `UPDATE fee_discounts
+       SET status = 'revoked', decided_by = $1, decided_at = NOW(), decision_note = COALESCE($2, decision_note)
+       WHERE id = $3 AND status = $4
+       RETURNING *`,
+      [req.user.id, note || null, discount.id, discount.status]
+    );
+
+    if (updatedResult.rows.length === 0) {
+      return errorResponse(res, 'Fee discount changed while revoking; try again', 409);
+    }
+
+    const updated = { ...discount, ...updatedResult.rows[0] };
+
+    await logDatabaseOperation('UPDATE', 'fee_discounts', discount.id, discount, updated, {
+      ...buildAuditContext(req),
+      schoolId: discount.school_id
+    });
+
+    successResponse(res, formatDiscount(updated), 'Discount revoked');
+
+  } catch (error) {
+    console.error('Revoke fee discount error:', error);
+    errorResponse(res, 'Failed to revoke fee discount', 500);
+  }
+};
+
+module.exports = {
+  getFeeDiscounts,
+  createFeeDiscount,
+  approveFeeDiscount: decideFeeDiscount('approved'),
+  rejectFeeDiscount: decideFeeDiscount('rejected'),
+  revokeFeeDiscount
+};
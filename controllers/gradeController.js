@@ -0,0 +1,575 @@
+const pool = require('../config/database');
+const gradingService = require('../services/gradingService');
+const notificationService = require('../services/notificationService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const { canViewStudent } = require('../middleware/rbac');
+const {
+  successResponse,
+  errorResponse,
+  hasSchoolRole,
+  buildAuditContext
+} = require('../utils/helpers');
+
+const STAFF_ROLES = ['Super Admin', 'Admin', 'Principal', 'Teacher'];
+
+const formatGrade = (grade) => ({
+  id: grade.id,
+  studentId: grade.student_id,
+  student: grade.first_name ? {
+    id: grade.student_id,
+    studentId: grade.student_number,
+    firstName: grade.first_name,
+    lastName: grade.last_name
+  } : undefined,
+  subjectId: grade.subject_id,
+  subjectName: grade.subject_name,
+  termId: grade.term_id,
+  assessmentType: grade.assessment_type,
+  assessmentName: grade.assessment_name,
+  marksObtained: parseFloat(grade.marks_obtained),
+  totalMarks: parseFloat(grade.total_marks),
+  percentage: Math.round((grade.marks_obtained / grade.total_marks) * 10000) / 100,
+  grade: grade.grade,
+  remarks: grade.remarks,
+  assessedBy: grade.assessed_by,
+  assessmentDate: grade.assessment_date,
+  createdAt: grade.created_at,
+  updatedAt: grade.updated_at
+});
+
+/**
+ * Load the class, subject and term for a mark entry and check they belong together
+ */
+const loadGradingContext = async (db, classId, subjectId, termId) => {
+  const result = await db.query(
+    `SELECT c.id as class_id, c.school_id, c.academic_year_id,
+            s.id as subject_id, s.school_id as subject_school_id, s.name as subject_name,
+            t.id as term_id, t.academic_year_id as term_academic_year_id
+     FROM classes c
+     LEFT JOIN subjects s ON s.id = $2
+     LEFT JOIN terms t ON t.id = $3
+     WHERE c.id = $1`,
+    [classId, subjectId, termId]
+  );
+
+  const context = result.rows[0];
+
+  if (!context) {
+    return { error: 'Class not found', status: 404 };
+  }
+  if (!context.subject_id || context.subject_school_id !== context.school_id) {
+    return { error: 'Subject not found in this school', status: 404 };
+  }
+  if (!context.term_id || context.term_academic_year_id !== context.academic_year_id) {
+    return { error: 'Term does not belong to the class academic year', status: 400 };
+  }
+
+  return { context };
+};
+
+/**
+ * Marks may only be entered by the teacher timetabled for the class and subject
+ */
+const canEnterMarks = async (db, user, context) => {
+  const result = await db.query(
+    `SELECT 1 FROM timetables tt
+     JOIN teacher_profiles tp ON tt.teacher_id = tp.id
+     WHERE tp.user_id = $1 AND tt.class_id = $2 AND tt.subject_id = $3
+       AND tt.is_active = true AND tp.is_active = true
+     LIMIT 1`,
+    [user.id, context.class_id, context.subject_id]
+  );
+
+  return result.rows.length > 0;
+};
+
+const findActiveEnrollments = async (db, classId, studentIds) => {
+  const result = await db.query(
+    `SELECT student_id FROM enrollments
+     WHERE class_id = $1 AND status = 'active' AND student_id = ANY($2::uuid[])`,
+    [classId, studentIds]
+  );
+
+  return new Set(result.rows.map(row => row.student_id));
+};
+
+const letterFor = (marksObtained, totalMarks, config) => {
+  const band = gradingService.bandFor(marksObtained / totalMarks * 100, config.scale);
+  return band ? band.letter : null;
+};
+
+// Re-entering the same assessment for a student updates the existing mark
+const upsertGrade = async (db, entry) => {
+  const existingResult = await db.query(
+    `SELECT * FROM grades
+     WHERE student_id = $1 AND subject_id = $2 AND term_id = $3
+       AND assessment_type = $4 AND assessment_name = $5
+     FOR UPDATE`,
+    [entry.student_id, entry.subject_id, entry.term_id, entry.assessment_type, entry.assessment_name]
+  );
+
+  if (existingResult.rows.length > 0) {
+    const before = existingResult.rows[0];
+    const updatedResult = await db.query(
+      `UPDATE grades
+       SET marks_obtained = $1, total_marks = $2, grade = $3, remarks = COALESCE($4, remarks),
+           assessed_by = $5, assessment_date = COALESCE($6, assessment_date), updated_at = NOW()
+       WHERE id = $7
+       RETURNING *`,
+      [entry.marks_obtained, entry.total_marks, entry.grade, entry.remarks || null, entry.assessed_by,
+        entry.assessment_date || null, before.id]
+    );
+    return { operation: 'UPDATE', before, after: updatedResult.rows[0] };
+  }
+
+  const insertedResult = await db.query(
+    `INSERT INTO grades (student_id, subject_id, term_id, assessment_type, assessment_name,
+                         marks_obtained, total_marks, grade, remarks, assessed_by, assessment_date)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, CURRENT_DATE))
+     RETURNING *`,
+    [entry.student_id, entry.subject_id, entry.term_id, entry.assessment_type, entry.assessment_name,
+      entry.marks_obtained, entry.total_marks, entry.grade, entry.remarks || null, entry.assessed_by,
+      entry.assessment_date || null]
+  );
+  return { operation: 'CREATE', before: null, after: insertedResult.rows[0] };
+};
+
+const auditGradeChanges = async (req, schoolId, changes) => {
+  const context = { ...buildAuditContext(req), schoolId };
+
+  for (const { operation, before, after } of changes) {
+    await logDatabaseOperation(operation, 'grades', after.id, before, after, context);
+  }
+};
+
+// Students whose marks were entered, and their guardians, see them in their notifications
+const notifyGradeChanges = async (req, context, changes) => {
+  const { assessment_name: assessmentName, assessment_type: assessmentType } = changes[0].after;
+
+  await notificationService.notifySafely({
+    studentIds: changes.map(change => change.after.student_id),
+    includeGuardians: true
+  }, {
+    title: `New marks in ${context.subject_name}`,
+    message: `Marks for ${assessmentName} in ${context.subject_name} have been recorded.`,
+    category: 'grades',
+    link: '/grades',
+    data: { subjectId: context.subject_id, termId: context.term_id, assessmentType, assessmentName },
+    schoolId: context.school_id,
+    sentBy: req.user.id
+  });
+};
+
+// Entry
+const recordGrade = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { class_id, subject_id, term_id, student_id } = req.body;
+
+    const { context, error, status } = await loadGradingContext(client, class_id, subject_id, term_id);
+    if (error) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, error, status);
+    }
+
+    if (!(await canEnterMarks(client, req.user, context))) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Only the assigned subject teacher can enter marks for this class', 403);
+    }
+
+    const enrolled = await findActiveEnrollments(client, class_id, [student_id]);
+    if (!enrolled.has(student_id)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Student is not enrolled in this class', 400);
+    }
+
+    const config = await gradingService.getGradingConfig(context.school_id, client);
+    const change = await upsertGrade(client, {
+      ...req.body,
+      grade: letterFor(req.body.marks_obtained, req.body.total_marks, config),
+      assessed_by: req.user.id
+    });
+
+    await client.query('COMMIT');
+
+    await auditGradeChanges(req, context.school_id, [change]);
+    await notifyGradeChanges(req, context, [change]);
+
+    successResponse(res, formatGrade(change.after),
+      change.operation === 'CREATE' ? 'Grade recorded successfully' : 'Grade updated successfully',
+      change.operation === 'CREATE' ? 201 : 200);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Record grade error:', error);
+    errorResponse(res, 'Failed to record grade', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const recordBulkGrades = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const {
+      class_id,
+      subject_id,
+      term_id,
+      assessment_type,
+      assessment_name,
+      total_marks,
+      assessment_date,
+      marks
+    } = req.body;
+
+    const { context, error, status } = await loadGradingContext(client, class_id, subject_id, term_id);
+    if (error) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, error, status);
+    }
+
+    if (!(await canEnterMarks(client, req.user, context))) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Only the assigned subject teacher can enter marks for this class', 403);
+    }
+
+    const enrolled = await findActiveEnrollments(client, class_id, marks.map(mark => mark.student_id));
+    const seen = new Set();
+    const rejected = [];
+
+    marks.forEach((mark, index) => {
+      if (!enrolled.has(mark.student_id)) {
+        rejected.push({ index, studentId: mark.student_id, reason: 'Student is not enrolled in this class' });
+      } else if (seen.has(mark.student_id)) {
+        rejected.push({ index, studentId: mark.student_id, reason: 'Duplicate entry for student' });
+      }
+      seen.add(mark.student_id);
+    });
+
+    // The whole sheet is rejected so a teacher never ends up with half a class marked
+    if (rejected.length > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Some marks could not be accepted', 400, rejected);
+    }
+
+    const config = await gradingService.getGradingConfig(context.school_id, client);
+    const changes = [];
+    for (const mark of marks) {
+      changes.push(await upsertGrade(client, {
+        student_id: mark.student_id,
+        subject_id,
+        term_id,
+        assessment_type,
+        assessment_name,
+        marks_obtained: mark.marks_obtained,
+        total_marks,
+        grade: letterFor(mark.marks_obtained, total_marks, config),
+        remarks: mark.remarks,
+        assessment_date,
+        assessed_by: req.user.id
+      }));
+    }
+
+    await client.query('COMMIT');
+
+    await auditGradeChanges(req, context.school_id, changes);
+    await notifyGradeChanges(req, context, changes);
+
+    successResponse(res, {
+      created: changes.filter(change => change.operation === 'CREATE').length,
+      updated: changes.filter(change => change.operation === 'UPDATE').length,
+      grades: changes.map(change => formatGrade(change.after))
+    }, 'Marks recorded successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Record bulk grades error:', error);
+    errorResponse(res, 'Failed to record marks', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const updateGrade = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { id } = req.params;
+    const { marks_obtained, total_marks, remarks } = req.body;
+
+    const gradeResult = await client.query(
+      `SELECT g.*, e.class_id
+       FROM grades g
+       JOIN terms t ON g.term_id = t.id
+       LEFT JOIN enrollments e ON e.student_id = g.student_id
+         AND e.academic_year_id = t.academic_year_id AND e.status = 'active'
+       WHERE g.id = $1
+       FOR UPDATE OF g`,
+      [id]
+    );
+
+    if (gradeResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Grade not found', 404);
+    }
+
+    const before = gradeResult.rows[0];
+
+    if (!before.class_id) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Student has no active enrollment for this term', 409);
+    }
+
+    const { context, error, status } = await loadGradingContext(client, before.class_id, before.subject_id, before.term_id);
+    if (error) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, error, status);
+    }
+
+    if (!(await canEnterMarks(client, req.user, context))) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Only the assigned subject teacher can change these marks', 403);
+    }
+
+    const newMarks = marks_obtained !== undefined ? marks_obtained : parseFloat(before.marks_obtained);
+    const newTotal = total_marks !== undefined ? total_marks : parseFloat(before.total_marks);
+
+    if (newMarks > newTotal) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Marks obtained cannot exceed total marks', 400);
+    }
+
+    const config = await gradingService.getGradingConfig(context.school_id, client);
+
+    const updatedResult = await client.query(
+      `UPDATE grades
+       SET marks_obtained = $1, total_marks = $2, grade = $3, remarks = COALESCE($4, remarks),
+           assessed_by = $5, updated_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [newMarks, newTotal, letterFor(newMarks, newTotal, config), remarks !== undefined ? remarks : null, req.user.id, id]
+    );
+
+    await client.query('COMMIT');
+
+    const after = updatedResult.rows[0];
+    await auditGradeChanges(req, context.school_id, [{ operation: 'UPDATE', before, after }]);
+
+    successResponse(res, formatGrade(after), 'Grade updated successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update grade error:', error);
+    errorResponse(res, 'Failed to update grade', 500);
+  } finally {
+    client.release();
+  }
+};
+
+// Results
+const getStudentGrades = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { term_id, subject_id } = req.query;
+
+    const studentResult = await pool.query(
+      'SELECT id, school_id FROM student_profiles WHERE id = $1',
+      [studentId]
+    );
+
+    if (studentResult.rows.length === 0) {
+      return errorResponse(res, 'Student not found', 404);
+    }
+
+    if (!(await canViewStudent(req.user, studentResult.rows[0]))) {
+      return errorResponse(res, 'Access denied to this student', 403);
+    }
+
+    let whereConditions = ['g.student_id = $1'];
+    let queryParams = [studentId];
+    let paramCount = 1;
+
+    if (term_id) {
+      paramCount++;
+      whereConditions.push(`g.term_id = $${paramCount}`);
+      queryParams.push(term_id);
+    }
+
+    if (subject_id) {
+      paramCount++;
+      whereConditions.push(`g.subject_id = $${paramCount}`);
+      queryParams.push(subject_id);
+    }
+
+    const gradesResult = await pool.query(
+      `SELECT g.*, s.name as subject_name
+       FROM grades g
+       JOIN subjects s ON g.subject_id = s.id
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY s.name, g.assessment_date, g.assessment_name`,
+      queryParams
+    );
+
+    const grades = gradesResult.rows.map(formatGrade);
+
+    // Weighted averages and GPA only make sense within a single term
+    let summary;
+    if (term_id) {
+      const config = await gradingService.getGradingConfig(studentResult.rows[0].school_id);
+      summary = gradingService.summarize(grades, config);
+    }
+
+    successResponse(res, { studentId, grades, summary });
+
+  } catch (error) {
+    console.error('Get student grades error:', error);
+    errorResponse(res, 'Failed to get student grades', 500);
+  }
+};
+
+const getClassGrades = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { term_id, subject_id } = req.query;
+
+    if (!term_id) {
+      return errorResponse(res, 'Term ID is required', 400);
+    }
+
+    const classResult = await pool.query('SELECT id, school_id FROM classes WHERE id = $1', [classId]);
+
+    if (classResult.rows.length === 0) {
+      return errorResponse(res, 'Class not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, classResult.rows[0].school_id, STAFF_ROLES)) {
+      return errorResponse(res, 'Access denied to this class', 403);
+    }
+
+    let queryParams = [classId, term_id];
+    let subjectFilter = '';
+
+    if (subject_id) {
+      queryParams.push(subject_id);
+      subjectFilter = 'AND g.subject_id = $3';
+    }
+
+    const gradesResult = await pool.query(
+      `SELECT g.*, s.name as subject_name, sp.student_id as student_number, u.first_name, u.last_name
+       FROM grades g
+       JOIN enrollments e ON e.student_id = g.student_id AND e.class_id = $1 AND e.status = 'active'
+       JOIN subjects s ON g.subject_id = s.id
+       JOIN student_profiles sp ON g.student_id = sp.id
+       JOIN users u ON sp.user_id = u.id
+       WHERE g.term_id = $2 ${subjectFilter}
+       ORDER BY s.name, u.last_name, u.first_name, g.assessment_name`,
+      queryParams
+    );
+
+    const statisticsResult = await pool.query(
+      `SELECT s.id as subject_id, s.name as subject_name,
+              ROUND(AVG(g.marks_obtained / g.total_marks * 100), 2) as average_percentage,
+              ROUND(MAX(g.marks_obtained / g.total_marks * 100), 2) as highest_percentage,
+              ROUND(MIN(g.marks_obtained / g.total_marks * 100), 2) as lowest_percentage,
+              COUNT(DISTINCT g.student_id) as total_students
+       FROM grades g
+       JOIN enrollments e ON e.student_id = g.student_id AND e.class_id = $1 AND e.status = 'active'
+       JOIN subjects s ON g.subject_id = s.id
+       WHERE g.term_id = $2 ${subjectFilter}
+       GROUP BY s.id, s.name
+       ORDER BY s.name`,
+      queryParams
+    );
+
+    successResponse(res, {
+      classId,
+      termId: term_id,
+      grades: gradesResult.rows.map(formatGrade),
+      statistics: statisticsResult.rows.map(row => ({
+        subjectId: row.subject_id,
+        subjectName: row.subject_name,
+        averagePercentage: parseFloat(row.average_percentage),
+        highestPercentage: parseFloat(row.highest_percentage),
+        lowestPercentage: parseFloat(row.lowest_percentage),
+        totalStudents: parseInt(row.total_students)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get class grades error:', error);
+    errorResponse(res, 'Failed to get class grades', 500);
+  }
+};
+
+const getSubjectGrades = async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { term_id, class_id, assessment_type } = req.query;
+
+    if (!term_id) {
+      return errorResponse(res, 'Term ID is required', 400);
+    }
+
+    const subjectResult = await pool.query('SELECT id, school_id FROM subjects WHERE id = $1', [subjectId]);
+
+    if (subjectResult.rows.length === 0) {
+      return errorResponse(res, 'Subject not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, subjectResult.rows[0].school_id, STAFF_ROLES)) {
+      return errorResponse(res, 'Access denied to this subject', 403);
+    }
+
+    let whereConditions = ['g.subject_id = $1', 'g.term_id = $2'];
+    let queryParams = [subjectId, term_id];
+    let paramCount = 2;
+    let classJoin = '';
+
+    if (class_id) {
+      paramCount++;
+      classJoin = `JOIN enrollments e ON e.student_id = g.student_id AND e.class_id = $${paramCount} AND e.status = 'active'`;
+      queryParams.push(class_id);
+    }
+
+    if (assessment_type) {
+      paramCount++;
+      whereConditions.push(`g.assessment_type = $${paramCount}`);
+      queryParams.push(assessment_type);
+    }
+
+    const gradesResult = await pool.query(
+      `SELECT g.*, s.name as subject_name, sp.student_id as student_number, u.first_name, u.last_name
+       FROM grades g
+       ${classJoin}
+       JOIN subjects s ON g.subject_id = s.id
+       JOIN student_profiles sp ON g.student_id = sp.id
+       JOIN users u ON sp.user_id = u.id
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY g.assessment_name, u.last_name, u.first_name`,
+      queryParams
+    );
+
+    successResponse(res, gradesResult.rows.map(formatGrade));
+
+  } catch (error) {
+    console.error('Get subject grades error:', error);
+    errorResponse(res, 'Failed to get subject grades', 500);
+  }
+};
+
+module.exports = {
+  recordGrade,
+  recordBulkGrades,
+  updateGrade,
+  getStudentGrades,
+  getClassGrades,
+  getSubjectGrades
+};
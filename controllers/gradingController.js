@@ -0,0 +1,109 @@
+const pool = require('../config/database');
+const gradingService = require('../services/gradingService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const {
+  successResponse,
+  errorResponse,
+  hasSchoolAccess,
+  hasSchoolRole,
+  buildAuditContext
+} = require('../utils/helpers');
+
+// Changing the scale or weights regrades published results, so it needs one of these roles at the school
+const GRADING_ADMIN_ROLES = ['Super Admin', 'Admin', 'Principal'];
+
+const getGradingConfig = async (req, res) => {
+  try {
+    const { school_id } = req.query;
+
+    if (!school_id) {
+      return errorResponse(res, 'School ID is required', 400);
+    }
+
+    if (!hasSchoolAccess(req.user, school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const config = await gradingService.getGradingConfig(school_id);
+    successResponse(res, config);
+
+  } catch (error) {
+    console.error('Get grading config error:', error);
+    errorResponse(res, 'Failed to get grading configuration', 500);
+  }
+};
+
+const updateGradingScale = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { school_id, scale } = req.body;
+
+    if (!hasSchoolRole(req.user, school_id, GRADING_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const errors = gradingService.validateScale(scale);
+    if (errors.length > 0) {
+      return errorResponse(res, 'Invalid grading scale', 400, errors);
+    }
+
+    await client.query('BEGIN');
+
+    const previous = await gradingService.getGradingConfig(school_id, client);
+    const { settingId, regradedCount } = await gradingService.saveScale(client, school_id, scale, req.user.id);
+
+    await client.query('COMMIT');
+
+    const config = await gradingService.getGradingConfig(school_id);
+
+    await logDatabaseOperation('UPDATE', 'tenant_settings', settingId,
+      { grading_scale: previous.scale },
+      { grading_scale: config.scale },
+      { ...buildAuditContext(req), schoolId: school_id });
+
+    successResponse(res, { ...config, regradedCount }, 'Grading scale updated successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update grading scale error:', error);
+    errorResponse(res, 'Failed to update grading scale', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const updateAssessmentWeights = async (req, res) => {
+  try {
+    const { school_id, weights } = req.body;
+
+    if (!hasSchoolRole(req.user, school_id, GRADING_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const errors = gradingService.validateWeights(weights);
+    if (errors.length > 0) {
+      return errorResponse(res, 'Invalid assessment weights', 400, errors);
+    }
+
+    const previous = await gradingService.getGradingConfig(school_id);
+    const settingId = await gradingService.saveWeights(pool, school_id, weights, req.user.id);
+
+    await logDatabaseOperation('UPDATE', 'tenant_settings', settingId,
+      { assessment_weights: previous.weights },
+      { assessment_weights: weights },
+      { ...buildAuditContext(req), schoolId: school_id });
+
+    successResponse(res, { ...previous, weights }, 'Assessment weights updated successfully');
+
+  } catch (error) {
+    console.error('Update assessment weights error:', error);
+    errorResponse(res, 'Failed to update assessment weights', 500);
+  }
+};
+
+module.exports = {
+  getGradingConfig,
+  updateGradingScale,
+  updateAssessmentWeights
+};
@@ -0,0 +1,711 @@
+const pool = require('../config/database');
+const leaveService = require('../services/leaveService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const { LEAVE_APPROVAL_CHAIN, canDecideLeave, nextLeaveStage } = require('../middleware/rbac');
+const {
+  successResponse,
+  errorResponse,
+  getPaginationParams,
+  buildPaginatedResponse,
+  hasSchoolAccess,
+  hasSchoolRole,
+  buildAuditContext
+} = require('../utils/helpers');
+
+const LEAVE_ADMIN_ROLES = ['Super Admin', 'Admin', 'Principal'];
+
+const formatLeaveType = (leaveType) => ({
+  id: leaveType.id,
+  schoolId: leaveType.school_id,
+  name: leaveType.name,
+  annualAllowance: parseFloat(leaveType.annual_allowance),
+  isPaid: leaveType.is_paid,
+  isActive: leaveType.is_active,
+  createdAt: leaveType.created_at
+});
+
+const formatLeaveRequest = (request) => ({
+  id: request.id,
+  schoolId: request.school_id,
+  teacherId: request.teacher_id,
+  teacherName: request.teacher_first_name ? `${request.teacher_first_name} ${request.teacher_last_name}` : null,
+  leaveTypeId: request.leave_type_id,
+  leaveType: request.leave_type_name,
+  startDate: request.start_date,
+  endDate: request.end_date,
+  days: parseFloat(request.days),
+  daysByYear: request.days_by_year,
+  reason: request.reason,
+  status: request.status,
+  currentStage: request.current_stage,
+  absenceId: request.absence_id,
+  requestedBy: request.requested_by,
+  createdAt: request.created_at,
+  decidedAt: request.decided_at
+});
+
+// The caller's own teacher profile at a school, if they have one
+const findOwnTeacher = async (userId, schoolId) => {
+  const result = await pool.query(
+    'SELECT id, school_id, user_id FROM teacher_profiles WHERE user_id = $1 AND school_id = $2 AND is_active = true',
+    [userId, schoolId]
+  );
+  return result.rows[0] || null;
+};
+
+const getLeaveTypes = async (req, res) => {
+  try {
+    const { school_id, include_inactive } = req.query;
+
+    if (!hasSchoolAccess(req.user, school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const typesResult = await pool.query(
+      `SELECT * FROM leave_types
+       WHERE school_id = $1 ${include_inactive === 'true' ? '' : 'AND is_active = true'}
+       ORDER BY name`,
+      [school_id]
+    );
+
+    successResponse(res, typesResult.rows.map(formatLeaveType));
+
+  } catch (error) {
+    console.error('Get leave types error:', error);
+    errorResponse(res, 'Failed to get leave types', 500);
+  }
+};
+
+const createLeaveType = async (req, res) => {
+  try {
+    const { school_id, name, annual_allowance, is_paid = true } = req.body;
+
+    if (!hasSchoolRole(req.user, school_id, LEAVE_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const existingResult = await pool.query(
+      'SELECT id FROM leave_types WHERE school_id = $1 AND LOWER(name) = LOWER($2)',
+      [school_id, name]
+    );
+
+    if (existingResult.rows.length > 0) {
+      return errorResponse(res, 'A leave type with this name already exists', 409);
+    }
+
+    const typeResult = await pool.query(
+      `INSERT INTO leave_types (school_id, name, annual_allowance, is_paid)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [school_id, name, annual_allowance, is_paid]
+    );
+
+    const leaveType = typeResult.rows[0];
+
+    await logDatabaseOperation('CREATE', 'leave_types', leaveType.id, null, leaveType, {
+      ...buildAuditContext(req),
+      schoolId: school_id
+    });
+
+    successResponse(res, formatLeaveType(leaveType), 'Leave type created successfully', 201);
+
+  } catch (error) {
+    console.error('Create leave type error:', error);
+    errorResponse(res, 'Failed to create leave type', 500);
+  }
+};
+
+const updateLeaveType = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const leaveType = await leaveService.findLeaveType(id);
+
+    if (!leaveType) {
+      return errorResponse(res, 'Leave type not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, leaveType.school_id, LEAVE_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const { name, annual_allowance, is_paid, is_active } = req.body;
+
+    if (name && name.toLowerCase() !== leaveType.name.toLowerCase()) {
+      const existingResult = await pool.query(
+        'SELECT id FROM leave_types WHERE school_id = $1 AND LOWER(name) = LOWER($2) AND id <> $3',
+        [leaveType.school_id, name, id]
+      );
+
+      if (existingResult.rows.length > 0) {
+        return errorResponse(res, 'A leave type with this name already exists', 409);
+      }
+    }
+
+    const updatedResult = await pool.query(
+      `UPDATE leave_types
+       SET name = COALESCE($1, name),
+           annual_allowance = COALESCE($2, annual_allowance),
+           is_paid = COALESCE($3, is_paid),
+           is_active = COALESCE($4, is_active)
+       WHERE id = $5
+       RETURNING *`,
+      [name, annual_allowance, is_paid, is_active, id]
+    );
+
+    const updated = updatedResult.rows[0];
+
+    await logDatabaseOperation('UPDATE', 'leave_types', id, leaveType, updated, {
+      ...buildAuditContext(req),
+      schoolId: leaveType.school_id
+    });
+
+    successResponse(res, formatLeaveType(updated), 'Leave type updated successfully');
+
+  } catch (error) {
+    console.error('Update leave type error:', error);
+    errorResponse(res, 'Failed to update leave type', 500);
+  }
+};
+
+/**
+ * Balances for one teacher in a year. Teachers see their own; school
+ * admins pass teacher_id.
+ */
+const getLeaveBalances = async (req, res) => {
+  try {
+    const { school_id, teacher_id } = req.query;
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const isAdmin = hasSchoolRole(req.user, school_id, LEAVE_ADMIN_ROLES);
+
+    let teacherId = teacher_id;
+    if (!isAdmin) {
+      const ownTeacher = await findOwnTeacher(req.user.id, school_id);
+
+      if (!ownTeacher || (teacher_id && teacher_id !== ownTeacher.id)) {
+        return errorResponse(res, 'You can only view your own leave balances', 403);
+      }
+      teacherId = ownTeacher.id;
+    }
+
+    if (!teacherId) {
+      return errorResponse(res, 'teacher_id is required', 400);
+    }
+
+    const balances = await leaveService.getBalances(teacherId, school_id, year);
+
+    successResponse(res, { teacherId, year, balances });
+
+  } catch (error) {
+    console.error('Get leave balances error:', error);
+    errorResponse(res, 'Failed to get leave balances', 500);
+  }
+};
+
+const setLeaveAllowance = async (req, res) => {
+  try {
+    const { teacher_id, leave_type_id, year, allowance } = req.body;
+    const leaveType = await leaveService.findLeaveType(leave_type_id);
+
+    if (!leaveType) {
+      return errorResponse(res, 'Leave type not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, leaveType.school_id, LEAVE_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const teacherResult = await pool.query(
+      'SELECT id FROM teacher_profiles WHERE id = $1 AND school_id = $2',
+      [teacher_id, leaveType.school_id]
+    );
+
+    if (teacherResult.rows.length === 0) {
+      return errorResponse(res, 'Teacher not found in this school', 404);
+    }
+
+    const balanceId = await leaveService.setAllowance(teacher_id, leave_type_id, year, allowance);
+
+    await logDatabaseOperation('UPDATE', 'leave_balances', balanceId, null, req.body, {
+      ...buildAuditContext(req),
+      schoolId: leaveType.school_id
+    });
+
+    const balances = await leaveService.getBalances(teacher_id, leaveType.school_id, year);
+
+    successResponse(res, {
+      teacherId: teacher_id,
+      year,
+      balance: balances.find(balance => balance.leaveTypeId === leave_type_id) || null
+    }, 'Leave allowance saved successfully');
+
+  } catch (error) {
+    console.error('Set leave allowance error:', error);
+    errorResponse(res, 'Failed to save leave allowance', 500);
+  }
+};
+
+/**
+ * Teachers see their own requests; approvers see the school's, and with
+ * awaiting_me=true only those waiting on a stage they can decide
+ */
+const getLeaveRequests = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { school_id, status, teacher_id, awaiting_me } = req.query;
+    const isAdmin = hasSchoolRole(req.user, school_id, LEAVE_ADMIN_ROLES);
+
+    if (!isAdmin && !hasSchoolRole(req.user, school_id, ['Teacher'])) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = ['lr.school_id = $1'];
+    let queryParams = [school_id];
+    let paramCount = 1;
+
+    if (!isAdmin) {
+      paramCount++;
+      whereConditions.push(`tp.user_id = $${paramCount}`);
+      queryParams.push(req.user.id);
+    }
+
+    if (status) {
+      paramCount++;
+      whereConditions.push(`lr.status = $${paramCount}`);
+      queryParams.push(status);
+    }
+
+    if (teacher_id) {
+      paramCount++;
+      whereConditions.push(`lr.teacher_id = $${paramCount}`);
+      queryParams.push(teacher_id);
+    }
+
+    if (awaiting_me === 'true') {
+      const stages = LEAVE_APPROVAL_CHAIN
+        .filter(step => canDecideLeave(req.user, school_id, step.stage))
+        .map(step => step.stage);
+
+      paramCount++;
+      whereConditions.push(`lr.status = 'pending' AND lr.current_stage = ANY($${paramCount})`);
+      queryParams.push(stages);
+      paramCount++;
+      whereConditions.push(`tp.user_id <> $${paramCount}`);
+      queryParams.push(req.user.id);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total
+       FROM leave_requests lr
+       JOIN teacher_profiles tp ON lr.teacher_id = tp.id
+       WHERE ${whereClause}`,
+      queryParams
+    );
+
+    const requestsResult = await pool.query(
+      `SELECT lr.*, to_char(lr.start_date, 'YYYY-MM-DD') as start_date, to_char(lr.end_date, 'YYYY-MM-DD') as end_date,
+              lt.name as leave_type_name, u.first_name as teacher_first_name, u.last_name as teacher_last_name
+       FROM leave_requests lr
+       JOIN leave_types lt ON lr.leave_type_id = lt.id
+       JOIN teacher_profiles tp ON lr.teacher_id = tp.id
+       JOIN users u ON tp.user_id = u.id
+       WHERE ${whereClause}
+       ORDER BY lr.start_date DESC, lr.created_at DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+    successResponse(res, buildPaginatedResponse(requestsResult.rows.map(formatLeaveRequest), total, page, limit));
+
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    errorResponse(res, 'Failed to get leave requests', 500);
+  }
+};
+
+const getLeaveRequest = async (req, res) => {
+  try {
+    const request = await leaveService.findRequest(req.params.id);
+
+    if (!request) {
+      return errorResponse(res, 'Leave request not found', 404);
+    }
+
+    if (request.teacher_user_id !== req.user.id && !hasSchoolRole(req.user, request.school_id, LEAVE_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this leave request', 403);
+    }
+
+    const approvals = await leaveService.getApprovals(request.id);
+
+    successResponse(res, { ...formatLeaveRequest(request), approvals });
+
+  } catch (error) {
+    console.error('Get leave request error:', error);
+    errorResponse(res, 'Failed to get leave request', 500);
+  }
+};
+
+/**
+ * Teachers request leave for themselves; school admins can file one on a
+ * teacher's behalf with teacher_id. The request counts the school's
+ * working days in the range against the teacher's remaining balance.
+ */
+const createLeaveRequest = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { teacher_id, leave_type_id, start_date, end_date, reason } = req.body;
+
+    await client.query('BEGIN');
+
+    const leaveType = await leaveService.findLeaveType(leave_type_id, client);
+
+    if (!leaveType || !leaveType.is_active) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Leave type not found', 404);
+    }
+
+    const teacherResult = teacher_id
+      ? await client.query('SELECT id, school_id, user_id FROM teacher_profiles WHERE id = $1 AND is_active = true', [teacher_id])
+      : await client.query('SELECT id, school_id, user_id FROM teacher_profiles WHERE user_id = $1 AND school_id = $2 AND is_active = true', [req.user.id, leaveType.school_id]);
+
+    if (teacherResult.rows.length === 0 || teacherResult.rows[0].school_id !== leaveType.school_id) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Teacher profile not found in this school', 404);
+    }
+
+    const teacher = teacherResult.rows[0];
+
+    if (teacher.user_id !== req.user.id && !hasSchoolRole(req.user, teacher.school_id, LEAVE_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'You can only request leave for yourself', 403);
+    }
+
+    const workingDates = await leaveService.getWorkingDates(teacher.school_id, start_date, end_date, client);
+
+    if (workingDates.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'The requested dates contain no working days', 400);
+    }
+
+    // Held until COMMIT so concurrent requests see each other's days
+    await leaveService.lockTeacher(client, teacher.id);
+
+    const overlapping = await leaveService.findOverlappingRequest(teacher.id, start_date, end_date, client);
+
+    if (overlapping) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Leave is already requested for part of this period', 409, {
+        leaveRequestId: overlapping.id
+      });
+    }
+
+    const daysByYear = leaveService.daysByYear(workingDates);
+
+    for (const [year, days] of Object.entries(daysByYear)) {
+      const balances = await leaveService.getBalances(teacher.id, teacher.school_id, parseInt(year), client);
+      const balance = balances.find(entry => entry.leaveTypeId === leave_type_id);
+
+      if (balance.remaining < days) {
+        await client.query('ROLLBACK');
+        return errorResponse(res, 'Insufficient leave balance', 400, {
+          year: parseInt(year),
+          requested: days,
+          remaining: balance.remaining
+        });
+      }
+    }
+
+    const requestResult = await client.query(
+      `INSERT INTO leave_requests (school_id, teacher_id, leave_type_id, start_date, end_date, days, days_by_year,
+                                   reason, current_stage, requested_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [teacher.school_id, teacher.id, leave_type_id, start_date, end_date, workingDates.length,
+        JSON.stringify(daysByYear), reason || null, LEAVE_APPROVAL_CHAIN[0].stage, req.user.id]
+    );
+
+    const request = await leaveService.findRequest(requestResult.rows[0].id, client);
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('CREATE', 'leave_requests', request.id, null, formatLeaveRequest(request), {
+      ...buildAuditContext(req),
+      schoolId: teacher.school_id
+    });
+
+    await leaveService.notify(request, 'submitted');
+
+    successResponse(res, formatLeaveRequest(request), 'Leave request submitted successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create leave request error:', error);
+    errorResponse(res, 'Failed to submit leave request', 500);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Record an approval or rejection at the request's current stage. Approval
+ * at the last stage approves the leave and blocks the teacher's
+ * availability for its dates.
+ */
+const decideLeaveRequest = (decision) => async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { comment } = req.body;
+
+    await client.query('BEGIN');
+
+    const request = await leaveService.findRequest(req.params.id, client, true);
+
+    if (!request) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Leave request not found', 404);
+    }
+
+    if (request.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Leave request is already ${request.status}`, 409);
+    }
+
+    if (!canDecideLeave(req.user, request.school_id, request.current_stage)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `This request is awaiting ${request.current_stage} approval`, 403);
+    }
+
+    if (request.teacher_user_id === req.user.id) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'You cannot decide your own leave request', 403);
+    }
+
+    const earlierResult = await client.query(
+      'SELECT 1 FROM leave_approvals WHERE leave_request_id = $1 AND decided_by = $2',
+      [request.id, req.user.id]
+    );
+
+    if (earlierResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Each approval stage must be decided by a different person', 403);
+    }
+
+    await client.query(
+      `INSERT INTO leave_approvals (leave_request_id, stage, decision, decided_by, comment)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [request.id, request.current_stage, decision, req.user.id, comment || null]
+    );
+
+    const nextStage = decision === 'approved' ? nextLeaveStage(request.current_stage) : null;
+    let event;
+
+    if (decision === 'rejected') {
+      await client.query(
+        "UPDATE leave_requests SET status = 'rejected', current_stage = NULL, decided_at = NOW() WHERE id = $1",
+        [request.id]
+      );
+      event = 'rejected';
+    } else if (nextStage) {
+      await client.query('UPDATE leave_requests SET current_stage = $1 WHERE id = $2', [nextStage, request.id]);
+      event = 'forwarded';
+    } else {
+      await leaveService.lockTeacher(client, request.teacher_id);
+      const absence = await leaveService.findOverlappingAbsence(request.teacher_id, request.start_date, request.end_date, client);
+
+      if (absence) {
+        await client.query('ROLLBACK');
+        return errorResponse(res, 'An absence is already recorded for part of this leave; cancel it before approving', 409, {
+          absenceId: absence.id
+        });
+      }
+
+      await client.query(
+        "UPDATE leave_requests SET status = 'approved', current_stage = NULL, decided_at = NOW() WHERE id = $1",
+        [request.id]
+      );
+      await leaveService.createAbsence(client, request, req.user.id);
+      event = 'approved';
+    }
+
+    const updated = await leaveService.findRequest(request.id, client);
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('UPDATE', 'leave_requests', request.id, formatLeaveRequest(request), {
+      ...formatLeaveRequest(updated),
+      decision,
+      stage: request.current_stage,
+      comment: comment || null
+    }, {
+      ...buildAuditContext(req),
+      schoolId: request.school_id
+    });
+
+    await leaveService.notify(updated, event, {
+      comment,
+      decidedByName: `${req.user.firstName} ${req.user.lastName}`
+    });
+
+    const messages = {
+      rejected: 'Leave request rejected',
+      forwarded: `Leave request approved and forwarded for ${nextStage} approval`,
+      approved: 'Leave request approved'
+    };
+
+    successResponse(res, formatLeaveRequest(updated), messages[event]);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Decide leave request error:', error);
+    errorResponse(res, 'Failed to record leave decision', 500);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Teachers can withdraw pending requests and cancel approved leave that
+ * has not started; school admins can cancel any open request
+ */
+const cancelLeaveRequest = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const request = await leaveService.findRequest(req.params.id, client, true);
+
+    if (!request) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Leave request not found', 404);
+    }
+
+    const isAdmin = hasSchoolRole(req.user, request.school_id, LEAVE_ADMIN_ROLES);
+
+    if (request.teacher_user_id !== req.user.id && !isAdmin) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'You can only cancel your own leave', 403);
+    }
+
+    if (!['pending', 'approved'].includes(request.status)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Leave request is already ${request.status}`, 409);
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    if (!isAdmin && request.status === 'approved' && request.start_date <= today) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Leave that has already started can only be cancelled by an administrator', 403);
+    }
+
+    await client.query(
+      "UPDATE leave_requests SET status = 'cancelled', current_stage = NULL, decided_at = NOW() WHERE id = $1",
+      [request.id]
+    );
+
+    if (request.absence_id) {
+      await leaveService.cancelAbsence(client, request.absence_id);
+    }
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('UPDATE', 'leave_requests', request.id, formatLeaveRequest(request), {
+      ...formatLeaveRequest(request),
+      status: 'cancelled'
+    }, {
+      ...buildAuditContext(req),
+      schoolId: request.school_id
+    });
+
+    if (request.teacher_user_id !== req.user.id) {
+      await leaveService.notify(request, 'cancelled', {
+        decidedByName: `${req.user.firstName} ${req.user.lastName}`
+      });
+    }
+
+    successResponse(res, { id: request.id }, 'Leave cancelled successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Cancel leave request error:', error);
+    errorResponse(res, 'Failed to cancel leave', 500);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Who is on leave on each working day of a range. Pending requests are
+ * included with include_pending=true so approvers can see clashes.
+ */
+const getLeaveCalendar = async (req, res) => {
+  try {
+    const { school_id, start_date, end_date, teacher_id, include_pending } = req.query;
+
+    if (!hasSchoolRole(req.user, school_id, [...LEAVE_ADMIN_ROLES, 'Teacher'])) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const statuses = include_pending === 'true' ? ['approved', 'pending'] : ['approved'];
+    let whereConditions = ['lr.school_id = $1', 'lr.status = ANY($2)', 'lr.start_date <= $4', 'lr.end_date >= $3'];
+    let queryParams = [school_id, statuses, start_date, end_date];
+
+    if (teacher_id) {
+      whereConditions.push('lr.teacher_id = $5');
+      queryParams.push(teacher_id);
+    }
+
+    const requestsResult = await pool.query(
+      `SELECT lr.*, to_char(lr.start_date, 'YYYY-MM-DD') as start_date, to_char(lr.end_date, 'YYYY-MM-DD') as end_date,
+              lt.name as leave_type_name, u.first_name as teacher_first_name, u.last_name as teacher_last_name
+       FROM leave_requests lr
+       JOIN leave_types lt ON lr.leave_type_id = lt.id
+       JOIN teacher_profiles tp ON lr.teacher_id = tp.id
+       JOIN users u ON tp.user_id = u.id
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY lr.start_date, u.last_name`,
+      queryParams
+    );
+
+    const requests = requestsResult.rows.map(formatLeaveRequest);
+    const workingDates = await leaveService.getWorkingDates(school_id, start_date, end_date);
+
+    const days = workingDates.map(date => ({
+      date,
+      onLeave: requests
+        .filter(request => request.startDate <= date && request.endDate >= date)
+        .map(request => ({
+          leaveRequestId: request.id,
+          teacherId: request.teacherId,
+          teacherName: request.teacherName,
+          leaveType: request.leaveType,
+          status: request.status
+        }))
+    }));
+
+    successResponse(res, { startDate: start_date, endDate: end_date, days, requests });
+
+  } catch (error) {
+    console.error('Get leave calendar error:', error);
+    errorResponse(res, 'Failed to get leave calendar', 500);
+  }
+};
+
+module.exports = {
+  getLeaveTypes,
+  createLeaveType,
+  updateLeaveType,
+  getLeaveBalances,
+  setLeaveAllowance,
+  getLeaveRequests,
+  getLeaveRequest,
+  createLeaveRequest,
+  approveLeaveRequest: decideLeaveRequest('approved'),
+  rejectLeaveRequest: decideLeaveRequest('rejected'),
+  cancelLeaveRequest,
+  getLeaveCalendar
+};
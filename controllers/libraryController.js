@@ -0,0 +1,685 @@
+const pool = require('../config/database');
+const libraryService = require('../services/libraryService');
+const {
+  successResponse,
+  errorResponse,
+  getPaginationParams,
+  buildPaginatedResponse,
+  hasSchoolAccess,
+  hasSchoolRole
+} = require('../utils/helpers');
+
+// Catalog changes and circulation need one of these roles at the book's school
+const LIBRARY_STAFF_ROLES = ['Super Admin', 'Admin', 'Librarian'];
+
+const formatBook = (book) => ({
+  id: book.id,
+  schoolId: book.school_id,
+  isbn: book.isbn,
+  title: book.title,
+  author: book.author,
+  publisher: book.publisher,
+  publicationYear: book.publication_year,
+  category: book.category,
+  copiesTotal: book.copies_total,
+  copiesAvailable: book.copies_available,
+  location: book.location,
+  isActive: book.is_active,
+  createdAt: book.created_at,
+  updatedAt: book.updated_at
+});
+
+const formatIssue = (issue) => ({
+  id: issue.id,
+  bookId: issue.book_id,
+  book: issue.title ? {
+    id: issue.book_id,
+    title: issue.title,
+    author: issue.author,
+    isbn: issue.isbn
+  } : undefined,
+  userId: issue.user_id,
+  borrower: issue.borrower_first_name ? {
+    id: issue.user_id,
+    firstName: issue.borrower_first_name,
+    lastName: issue.borrower_last_name,
+    email: issue.borrower_email
+  } : undefined,
+  issuedBy: issue.issued_by,
+  issueDate: issue.issue_date,
+  dueDate: issue.due_date,
+  returnDate: issue.return_date,
+  returnedBy: issue.returned_by,
+  renewalCount: issue.renewal_count,
+  fineAmount: parseFloat(issue.fine_amount || 0),
+  status: issue.status,
+  notes: issue.notes,
+  createdAt: issue.created_at,
+  updatedAt: issue.updated_at
+});
+
+// Catalog
+const getBooks = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { school_id, search, category, available_only } = req.query;
+
+    if (!school_id) {
+      return errorResponse(res, 'School ID is required', 400);
+    }
+
+    if (!hasSchoolAccess(req.user, school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = ['school_id = $1', 'is_active = true'];
+    let queryParams = [school_id];
+    let paramCount = 1;
+
+    if (search) {
+      paramCount++;
+      whereConditions.push(`(title ILIKE $${paramCount} OR author ILIKE $${paramCount} OR publisher ILIKE $${paramCount} OR isbn ILIKE $${paramCount})`);
+      queryParams.push(`%${search}%`);
+    }
+
+    if (category) {
+      paramCount++;
+      whereConditions.push(`category = $${paramCount}`);
+      queryParams.push(category);
+    }
+
+    if (available_only === 'true') {
+      whereConditions.push('copies_available > 0');
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM library_books WHERE ${whereClause}`,
+      queryParams
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const booksResult = await pool.query(
+      `SELECT * FROM library_books
+       WHERE ${whereClause}
+       ORDER BY title, author
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const response = buildPaginatedResponse(booksResult.rows.map(formatBook), total, page, limit);
+    successResponse(res, response);
+
+  } catch (error) {
+    console.error('Get books error:', error);
+    errorResponse(res, 'Failed to get books', 500);
+  }
+};
+
+const getBookById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bookResult = await pool.query(
+      'SELECT * FROM library_books WHERE id = $1 AND is_active = true',
+      [id]
+    );
+
+    if (bookResult.rows.length === 0) {
+      return errorResponse(res, 'Book not found', 404);
+    }
+
+    const book = bookResult.rows[0];
+
+    if (!hasSchoolAccess(req.user, book.school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    successResponse(res, formatBook(book));
+
+  } catch (error) {
+    console.error('Get book error:', error);
+    errorResponse(res, 'Failed to get book', 500);
+  }
+};
+
+const getBookByISBN = async (req, res) => {
+  try {
+    const { school_id } = req.query;
+    const isbn = libraryService.normalizeISBN(req.params.isbn);
+
+    if (!school_id) {
+      return errorResponse(res, 'School ID is required', 400);
+    }
+
+    if (!hasSchoolAccess(req.user, school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const bookResult = await pool.query(
+      'SELECT * FROM library_books WHERE school_id = $1 AND isbn = $2 AND is_active = true',
+      [school_id, isbn]
+    );
+
+    if (bookResult.rows.length === 0) {
+      return errorResponse(res, 'No book with this ISBN in the catalog', 404);
+    }
+
+    successResponse(res, formatBook(bookResult.rows[0]));
+
+  } catch (error) {
+    console.error('Get book by ISBN error:', error);
+    errorResponse(res, 'Failed to look up ISBN', 500);
+  }
+};
+
+const createBook = async (req, res) => {
+  try {
+    const { school_id, isbn, title, author, publisher, publication_year, category, copies_total, location } = req.body;
+
+    if (!hasSchoolRole(req.user, school_id, LIBRARY_STAFF_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const normalizedISBN = libraryService.normalizeISBN(isbn);
+
+    if (normalizedISBN) {
+      const existing = await pool.query(
+        'SELECT id FROM library_books WHERE school_id = $1 AND isbn = $2 AND is_active = true',
+        [school_id, normalizedISBN]
+      );
+
+      if (existing.rows.length > 0) {
+        return errorResponse(res, 'A book with this ISBN already exists; add copies to it instead', 409, {
+          bookId: existing.rows[0].id
+        });
+      }
+    }
+
+    const copies = parseInt(copies_total) || 1;
+
+    const bookResult = await pool.query(
+      `INSERT INTO library_books (school_id, isbn, title, author, publisher, publication_year, category, copies_total, copies_available, location)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9)
+       RETURNING *`,
+      [school_id, normalizedISBN, title, author, publisher, publication_year, category, copies, location]
+    );
+
+    successResponse(res, formatBook(bookResult.rows[0]), 'Book added successfully', 201);
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return errorResponse(res, 'A book with this ISBN already exists; add copies to it instead', 409);
+    }
+    console.error('Create book error:', error);
+    errorResponse(res, 'Failed to add book', 500);
+  }
+};
+
+const updateBook = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { id } = req.params;
+    const { isbn, title, author, publisher, publication_year, category, copies_total, location } = req.body;
+
+    const bookResult = await client.query(
+      'SELECT * FROM library_books WHERE id = $1 AND is_active = true FOR UPDATE',
+      [id]
+    );
+
+    if (bookResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Book not found', 404);
+    }
+
+    const book = bookResult.rows[0];
+
+    if (!hasSchoolRole(req.user, book.school_id, LIBRARY_STAFF_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const normalizedISBN = libraryService.normalizeISBN(isbn);
+
+    if (normalizedISBN && normalizedISBN !== book.isbn) {
+      const existing = await client.query(
+        'SELECT id FROM library_books WHERE school_id = $1 AND isbn = $2 AND is_active = true AND id <> $3',
+        [book.school_id, normalizedISBN, id]
+      );
+
+      if (existing.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return errorResponse(res, 'Another book with this ISBN already exists', 409, {
+          bookId: existing.rows[0].id
+        });
+      }
+    }
+
+    // Changing the copy count shifts availability by the same amount
+    let newTotal = book.copies_total;
+    let newAvailable = book.copies_available;
+
+    if (copies_total !== undefined) {
+      const onLoan = book.copies_total - book.copies_available;
+      newTotal = parseInt(copies_total);
+
+      if (newTotal < onLoan) {
+        await client.query('ROLLBACK');
+        return errorResponse(res, `Cannot reduce copies below the ${onLoan} currently on loan`, 409);
+      }
+
+      newAvailable = newTotal - onLoan;
+    }
+
+    const updateResult = await client.query(
+      `UPDATE library_books
+       SET isbn = COALESCE($1, isbn),
+           title = COALESCE($2, title),
+           author = COALESCE($3, author),
+           publisher = COALESCE($4, publisher),
+           publication_year = COALESCE($5, publication_year),
+           category = COALESCE($6, category),
+           copies_total = $7,
+           copies_available = $8,
+           location = COALESCE($9, location),
+           updated_at = NOW()
+       WHERE id = $10
+       RETURNING *`,
+      [normalizedISBN, title, author, publisher, publication_year, category,
+        newTotal, newAvailable, location, id]
+    );
+
+    await client.query('COMMIT');
+
+    successResponse(res, formatBook(updateResult.rows[0]), 'Book updated successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // A concurrent create or update claimed the ISBN between our check and write
+    if (error.code === '23505') {
+      return errorResponse(res, 'Another book with this ISBN already exists', 409);
+    }
+    console.error('Update book error:', error);
+    errorResponse(res, 'Failed to update book', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const deleteBook = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bookResult = await pool.query(
+      'SELECT * FROM library_books WHERE id = $1 AND is_active = true',
+      [id]
+    );
+
+    if (bookResult.rows.length === 0) {
+      return errorResponse(res, 'Book not found', 404);
+    }
+
+    const book = bookResult.rows[0];
+
+    if (!hasSchoolRole(req.user, book.school_id, LIBRARY_STAFF_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    // Deactivate only when every copy is back on the shelf
+    const updateResult = await pool.query(
+      `UPDATE library_books
+       SET is_active = false, updated_at = NOW()
+       WHERE id = $1 AND copies_available = copies_total
+       RETURNING id`,
+      [id]
+    );
+
+    if (updateResult.rows.length === 0) {
+      return errorResponse(res, 'Cannot remove a book with copies on loan', 409);
+    }
+
+    successResponse(res, { id }, 'Book removed successfully');
+
+  } catch (error) {
+    console.error('Delete book error:', error);
+    errorResponse(res, 'Failed to remove book', 500);
+  }
+};
+
+// Circulation
+const getIssues = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { school_id, status, user_id, book_id } = req.query;
+
+    if (!school_id) {
+      return errorResponse(res, 'School ID is required', 400);
+    }
+
+    if (!hasSchoolRole(req.user, school_id, LIBRARY_STAFF_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = ['lb.school_id = $1'];
+    let queryParams = [school_id];
+    let paramCount = 1;
+
+    if (status) {
+      paramCount++;
+      whereConditions.push(`li.status = $${paramCount}`);
+      queryParams.push(status);
+    }
+
+    if (user_id) {
+      paramCount++;
+      whereConditions.push(`li.user_id = $${paramCount}`);
+      queryParams.push(user_id);
+    }
+
+    if (book_id) {
+      paramCount++;
+      whereConditions.push(`li.book_id = $${paramCount}`);
+      queryParams.push(book_id);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total
+       FROM library_issues li
+       JOIN library_books lb ON li.book_id = lb.id
+       WHERE ${whereClause}`,
+      queryParams
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const issuesResult = await pool.query(
+      `SELECT li.*, lb.title, lb.author, lb.isbn,
+              u.first_name as borrower_first_name, u.last_name as borrower_last_name, u.email as borrower_email
+       FROM library_issues li
+       JOIN library_books lb ON li.book_id = lb.id
+       JOIN users u ON li.user_id = u.id
+       WHERE ${whereClause}
+       ORDER BY li.issue_date DESC, li.created_at DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const response = buildPaginatedResponse(issuesResult.rows.map(formatIssue), total, page, limit);
+    successResponse(res, response);
+
+  } catch (error) {
+    console.error('Get issues error:', error);
+    errorResponse(res, 'Failed to get library issues', 500);
+  }
+};
+
+const issueBook = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { book_id, user_id, due_date, notes } = req.body;
+
+    const bookResult = await client.query(
+      'SELECT * FROM library_books WHERE id = $1 AND is_active = true',
+      [book_id]
+    );
+
+    if (bookResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Book not found', 404);
+    }
+
+    const book = bookResult.rows[0];
+
+    if (!hasSchoolRole(req.user, book.school_id, LIBRARY_STAFF_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    // Borrower must be an active member of the book's school. Locking the
+    // borrower serializes concurrent issues to them, so the loan checks below
+    // see each other's loans.
+    const borrowerResult = await client.query(
+      `SELECT u.id FROM users u
+       JOIN user_roles ur ON u.id = ur.user_id AND ur.is_active = true
+       WHERE u.id = $1 AND u.is_active = true AND ur.school_id = $2
+       LIMIT 1
+       FOR NO KEY UPDATE OF u`,
+      [user_id, book.school_id]
+    );
+
+    if (borrowerResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Borrower is not an active member of this school', 400);
+    }
+
+    const loansResult = await client.query(
+      `SELECT COUNT(*) as active_loans,
+              COUNT(*) FILTER (WHERE book_id = $2) as same_book
+       FROM library_issues
+       WHERE user_id = $1 AND status IN ('issued', 'overdue')`,
+      [user_id, book_id]
+    );
+
+    const loans = loansResult.rows[0];
+
+    if (parseInt(loans.same_book) > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Borrower already has a copy of this book', 409);
+    }
+
+    if (parseInt(loans.active_loans) >= libraryService.maxActiveLoans) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Borrower has reached the limit of ${libraryService.maxActiveLoans} active loans`, 409);
+    }
+
+    // Conditional decrement: concurrent issues cannot push availability below zero
+    const reserveResult = await client.query(
+      `UPDATE library_books
+       SET copies_available = copies_available - 1, updated_at = NOW()
+       WHERE id = $1 AND copies_available > 0
+       RETURNING copies_available`,
+      [book_id]
+    );
+
+    if (reserveResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'No copies of this book are available', 409);
+    }
+
+    const issueResult = await client.query(
+      `INSERT INTO library_issues (book_id, user_id, issued_by, due_date, notes)
+       VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE + $6::int), $5)
+       RETURNING *`,
+      [book_id, user_id, req.user.id, due_date || null, notes, libraryService.loanDays]
+    );
+
+    await client.query('COMMIT');
+
+    successResponse(res, {
+      ...formatIssue(issueResult.rows[0]),
+      copiesAvailable: reserveResult.rows[0].copies_available
+    }, 'Book issued successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Issue book error:', error);
+    errorResponse(res, 'Failed to issue book', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const returnBook = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { id } = req.params;
+    const { notes } = req.body;
+
+    const issueResult = await client.query(
+      `SELECT li.*, lb.school_id
+       FROM library_issues li
+       JOIN library_books lb ON li.book_id = lb.id
+       WHERE li.id = $1
+       FOR UPDATE OF li`,
+      [id]
+    );
+
+    if (issueResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Library issue not found', 404);
+    }
+
+    const issue = issueResult.rows[0];
+
+    if (!hasSchoolRole(req.user, issue.school_id, LIBRARY_STAFF_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (!['issued', 'overdue'].includes(issue.status)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Book has already been marked as ${issue.status}`, 409);
+    }
+
+    const { overdueDays, fineAmount } = libraryService.calculateFine(issue.due_date);
+
+    const updateResult = await client.query(
+      `UPDATE library_issues
+       SET status = 'returned',
+           return_date = CURRENT_DATE,
+           returned_by = $1,
+           fine_amount = $2,
+           notes = COALESCE($3, notes),
+           updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [req.user.id, fineAmount, notes, id]
+    );
+
+    await client.query(
+      `UPDATE library_books
+       SET copies_available = LEAST(copies_available + 1, copies_total), updated_at = NOW()
+       WHERE id = $1`,
+      [issue.book_id]
+    );
+
+    await client.query('COMMIT');
+
+    successResponse(res, {
+      ...formatIssue(updateResult.rows[0]),
+      overdueDays
+    }, 'Book returned successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Return book error:', error);
+    errorResponse(res, 'Failed to return book', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const renewBook = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { id } = req.params;
+
+    const issueResult = await client.query(
+      `SELECT li.*, lb.school_id
+       FROM library_issues li
+       JOIN library_books lb ON li.book_id = lb.id
+       WHERE li.id = $1
+       FOR UPDATE OF li`,
+      [id]
+    );
+
+    if (issueResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Library issue not found', 404);
+    }
+
+    const issue = issueResult.rows[0];
+
+    if (!hasSchoolRole(req.user, issue.school_id, LIBRARY_STAFF_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (issue.status !== 'issued') {
+      await client.query('ROLLBACK');
+      return errorResponse(res, issue.status === 'overdue'
+        ? 'Overdue books must be returned before they can be renewed'
+        : `Cannot renew a book that is ${issue.status}`, 409);
+    }
+
+    if (issue.renewal_count >= libraryService.maxRenewals) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Renewal limit of ${libraryService.maxRenewals} reached`, 409);
+    }
+
+    const updateResult = await client.query(
+      `UPDATE library_issues
+       SET due_date = due_date + $1::int, renewal_count = renewal_count + 1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [libraryService.loanDays, id]
+    );
+
+    await client.query('COMMIT');
+
+    successResponse(res, formatIssue(updateResult.rows[0]), 'Book renewed successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Renew book error:', error);
+    errorResponse(res, 'Failed to renew book', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const markOverdue = async (req, res) => {
+  try {
+    const { school_id } = req.body;
+
+    if (!hasSchoolRole(req.user, school_id, LIBRARY_STAFF_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const updated = await libraryService.markOverdueIssues(school_id);
+
+    successResponse(res, { updated }, 'Overdue issues updated successfully');
+
+  } catch (error) {
+    console.error('Mark overdue error:', error);
+    errorResponse(res, 'Failed to mark overdue issues', 500);
+  }
+};
+
+module.exports = {
+  getBooks,
+  getBookById,
+  getBookByISBN,
+  createBook,
+  updateBook,
+  deleteBook,
+  getIssues,
+  issueBook,
+  returnBook,
+  renewBook,
+  markOverdue
+};
@@ -0,0 +1,445 @@
+const pool = require('../config/database');
+const messagingService = require('../services/messagingService');
+const notificationService = require('../services/notificationService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const {
+  canModerateMessages,
+  canStartThread,
+  canViewThread,
+  isThreadParticipant
+} = require('../middleware/rbac');
+const {
+  successResponse,
+  errorResponse,
+  getPaginationParams,
+  buildPaginatedResponse,
+  buildAuditContext
+} = require('../utils/helpers');
+
+const PREVIEW_LENGTH = 140;
+
+const formatThread = (thread) => ({
+  id: thread.id,
+  schoolId: thread.school_id,
+  subject: thread.subject,
+  status: thread.status,
+  student: {
+    id: thread.student_id,
+    firstName: thread.student_first_name,
+    lastName: thread.student_last_name
+  },
+  teacher: {
+    id: thread.teacher_id,
+    firstName: thread.teacher_first_name,
+    lastName: thread.teacher_last_name
+  },
+  unreadCount: thread.unread_count !== undefined ? parseInt(thread.unread_count) : undefined,
+  lastMessage: thread.last_message_created_at ? {
+    preview: thread.last_message_body.substring(0, PREVIEW_LENGTH),
+    senderId: thread.last_message_sender_id,
+    createdAt: thread.last_message_created_at
+  } : undefined,
+  lockedBy: thread.locked_by,
+  lockedAt: thread.locked_at,
+  lockReason: thread.lock_reason,
+  createdBy: thread.created_by,
+  lastMessageAt: thread.last_message_at,
+  createdAt: thread.created_at
+});
+
+const formatParticipant = (participant) => ({
+  userId: participant.user_id,
+  role: participant.role,
+  firstName: participant.first_name,
+  lastName: participant.last_name
+});
+
+/**
+ * Moderators see hidden messages in full; everyone else sees only that a
+ * message was removed
+ */
+const formatThreadMessage = (message, moderator) => {
+  const visible = !message.is_hidden || moderator;
+
+  return {
+    id: message.id,
+    sender: {
+      id: message.sender_id,
+      firstName: message.sender_first_name,
+      lastName: message.sender_last_name
+    },
+    body: visible ? message.body : null,
+    attachments: visible ? message.attachments : [],
+    receipts: message.receipts,
+    isHidden: message.is_hidden,
+    hiddenBy: moderator ? message.hidden_by : undefined,
+    hiddenAt: message.hidden_at,
+    hiddenReason: moderator ? message.hidden_reason : undefined,
+    createdAt: message.created_at
+  };
+};
+
+// What a message looks like in audit_logs: its text and attachment names, never file content
+const auditMessage = (message, attachments) => ({
+  thread_id: message.thread_id,
+  sender_id: message.sender_id,
+  body: message.body,
+  attachments: attachments.map(attachment => ({ filename: attachment.filename, size_bytes: attachment.size_bytes }))
+});
+
+/**
+ * Content-Disposition for a user-supplied file name: an ASCII-only filename for
+ * older clients and the exact name, percent-encoded as UTF-8 (RFC 5987), for the rest
+ */
+const attachmentDisposition = (filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// The notification names the thread but leaves the text out, so a message
+// hidden by a moderator later does not live on in recipients' notifications
+const notifyRecipients = async (req, thread, message, recipientIds) => {
+  await notificationService.notifySafely({ userIds: recipientIds }, {
+    title: `New message from ${req.user.firstName} ${req.user.lastName}`,
+    message: `New message in "${thread.subject}"`,
+    category: 'messages',
+    link: `/messages/${thread.id}`,
+    data: { threadId: thread.id, messageId: message.id },
+    schoolId: thread.school_id,
+    sentBy: req.user.id
+  });
+};
+
+const getThreads = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { school_id, student_id, status, unread } = req.query;
+
+    // Listing a whole school's threads is moderation
+    if (school_id && !canModerateMessages(req.user, school_id)) {
+      return errorResponse(res, 'Only school administrators can list every thread in a school', 403);
+    }
+
+    const { threads, total } = await messagingService.getThreads(req.user.id, {
+      schoolId: school_id,
+      studentId: student_id,
+      status,
+      unreadOnly: unread === 'true',
+      limit,
+      offset
+    });
+
+    successResponse(res, buildPaginatedResponse(threads.map(formatThread), total, page, limit));
+
+  } catch (error) {
+    console.error('Get message threads error:', error);
+    errorResponse(res, 'Failed to get message threads', 500);
+  }
+};
+
+const createThread = async (req, res) => {
+  const { student_id, subject, body, attachments } = req.body;
+  const teacherId = req.body.teacher_id || req.user.id;
+
+  const { files, error } = messagingService.decodeAttachments(attachments);
+  if (error) {
+    return errorResponse(res, error, 400);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const student = await messagingService.findStudent(student_id);
+    if (!student) {
+      return errorResponse(res, 'Student not found', 404);
+    }
+
+    if (!(await canStartThread(req.user, student, teacherId))) {
+      return errorResponse(res, 'Threads are between a teacher who teaches the student and the student\'s guardians', 403);
+    }
+
+    await client.query('BEGIN');
+
+    const created = await messagingService.createThread(client, {
+      student,
+      teacherId,
+      subject,
+      createdBy: req.user.id
+    });
+    const { message, attachments: saved, recipientIds } = await messagingService.addMessage(client, created, req.user.id, body, files);
+
+    if (recipientIds.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'The student has no guardians with an active SIMS account to message', 400);
+    }
+
+    await client.query('COMMIT');
+
+    const context = { ...buildAuditContext(req), schoolId: student.school_id };
+    await logDatabaseOperation('CREATE', 'message_threads', created.id, null, created, context);
+    await logDatabaseOperation('CREATE', 'messages', message.id, null, auditMessage(message, saved), context);
+
+    const thread = await messagingService.findThread(created.id);
+    await notifyRecipients(req, thread, message, recipientIds);
+
+    const participants = await messagingService.getParticipants(thread.id);
+
+    successResponse(res, {
+      ...formatThread(thread),
+      participants: participants.map(formatParticipant),
+      messageId: message.id
+    }, 'Message thread started successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create message thread error:', error);
+    errorResponse(res, 'Failed to start message thread', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const getThread = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+
+    const thread = await messagingService.findThread(req.params.id);
+    if (!thread || !(await canViewThread(req.user, thread))) {
+      return errorResponse(res, 'Message thread not found', 404);
+    }
+
+    const moderator = canModerateMessages(req.user, thread.school_id);
+    const participants = await messagingService.getParticipants(thread.id);
+    const { messages, total } = await messagingService.getMessages(thread.id, { limit, offset });
+
+    successResponse(res, {
+      ...formatThread(thread),
+      participants: participants.map(formatParticipant),
+      messages: buildPaginatedResponse(messages.map(message => formatThreadMessage(message, moderator)), total, page, limit)
+    });
+
+  } catch (error) {
+    console.error('Get message thread error:', error);
+    errorResponse(res, 'Failed to get message thread', 500);
+  }
+};
+
+const postMessage = async (req, res) => {
+  const { body, attachments } = req.body;
+
+  const { files, error } = messagingService.decodeAttachments(attachments);
+  if (error) {
+    return errorResponse(res, error, 400);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Locked so a moderator locking the thread and a reply cannot interleave
+    const thread = await messagingService.findThread(req.params.id, client, true);
+
+    if (!thread || !(await canViewThread(req.user, thread))) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Message thread not found', 404);
+    }
+
+    if (!(await isThreadParticipant(req.user, thread))) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Only the teacher and guardians in a thread can post in it', 403);
+    }
+
+    if (thread.status === 'locked') {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'This thread has been locked by the school', 409);
+    }
+
+    const { message, attachments: saved, recipientIds } = await messagingService.addMessage(client, thread, req.user.id, body, files);
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('CREATE', 'messages', message.id, null, auditMessage(message, saved), {
+      ...buildAuditContext(req),
+      schoolId: thread.school_id
+    });
+
+    await notifyRecipients(req, thread, message, recipientIds);
+
+    successResponse(res, formatThreadMessage({
+      ...message,
+      sender_first_name: req.user.firstName,
+      sender_last_name: req.user.lastName,
+      attachments: saved.map(attachment => ({
+        id: attachment.id,
+        filename: attachment.filename,
+        contentType: attachment.content_type,
+        sizeBytes: attachment.size_bytes
+      })),
+      receipts: recipientIds.map(userId => ({ userId, readAt: null }))
+    }, false), 'Message sent successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Post message error:', error);
+    errorResponse(res, 'Failed to send message', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const markThreadRead = async (req, res) => {
+  try {
+    const thread = await messagingService.findThread(req.params.id);
+
+    if (!thread || !(await isThreadParticipant(req.user, thread))) {
+      return errorResponse(res, 'Message thread not found', 404);
+    }
+
+    const messageIds = await messagingService.markThreadRead(thread.id, req.user.id);
+
+    if (messageIds.length > 0) {
+      await logDatabaseOperation('UPDATE', 'message_receipts', thread.id, null, {
+        event: 'read',
+        messageIds
+      }, { ...buildAuditContext(req), schoolId: thread.school_id });
+    }
+
+    successResponse(res, { threadId: thread.id, marked: messageIds.length }, `${messageIds.length} message(s) marked as read`);
+
+  } catch (error) {
+    console.error('Mark thread read error:', error);
+    errorResponse(res, 'Failed to mark messages as read', 500);
+  }
+};
+
+const downloadAttachment = async (req, res) => {
+  try {
+    const thread = await messagingService.findThread(req.params.id);
+    if (!thread || !(await canViewThread(req.user, thread))) {
+      return errorResponse(res, 'Message thread not found', 404);
+    }
+
+    const attachment = await messagingService.findAttachment(thread.id, req.params.attachmentId);
+    if (!attachment || (attachment.is_hidden && !canModerateMessages(req.user, thread.school_id))) {
+      return errorResponse(res, 'Attachment not found', 404);
+    }
+
+    await logDatabaseOperation('ACCESS', 'message_attachments', attachment.id, null, {
+      message_id: attachment.message_id,
+      filename: attachment.filename
+    }, { ...buildAuditContext(req), schoolId: thread.school_id });
+
+    res.setHeader('Content-Type', attachment.content_type);
+    res.setHeader('Content-Disposition', attachmentDisposition(attachment.filename));
+    res.send(attachment.content);
+
+  } catch (error) {
+    console.error('Download message attachment error:', error);
+    errorResponse(res, 'Failed to download attachment', 500);
+  }
+};
+
+/**
+ * Lock a thread so no more messages can be posted, or reopen it (moderators)
+ */
+const updateThreadStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const thread = await messagingService.findThread(req.params.id);
+    if (!thread) {
+      return errorResponse(res, 'Message thread not found', 404);
+    }
+
+    if (!canModerateMessages(req.user, thread.school_id)) {
+      return errorResponse(res, 'Only school administrators can lock or reopen threads', 403);
+    }
+
+    const locked = status === 'locked';
+    const result = await pool.query(
+      `UPDATE message_threads
+       SET status = $1, locked_by = $2, locked_at = $3, lock_reason = $4, updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [status, locked ? req.user.id : null, locked ? new Date() : null, locked ? (reason || null) : null, thread.id]
+    );
+
+    await logDatabaseOperation('UPDATE', 'message_threads', thread.id, thread, result.rows[0], {
+      ...buildAuditContext(req),
+      schoolId: thread.school_id
+    });
+
+    successResponse(res, formatThread({ ...thread, ...result.rows[0] }),
+      locked ? 'Message thread locked' : 'Message thread reopened');
+
+  } catch (error) {
+    console.error('Update message thread status error:', error);
+    errorResponse(res, 'Failed to update message thread', 500);
+  }
+};
+
+/**
+ * Hide a message from the thread's participants, or restore it (moderators)
+ */
+const moderateMessage = async (req, res) => {
+  try {
+    const { hidden, reason } = req.body;
+
+    const thread = await messagingService.findThread(req.params.id);
+    if (!thread) {
+      return errorResponse(res, 'Message thread not found', 404);
+    }
+
+    if (!canModerateMessages(req.user, thread.school_id)) {
+      return errorResponse(res, 'Only school administrators can moderate messages', 403);
+    }
+
+    const message = await messagingService.findMessage(thread.id, req.params.messageId);
+    if (!message) {
+      return errorResponse(res, 'Message not found', 404);
+    }
+
+    const result = await pool.query(
+      `UPDATE messages
+       SET is_hidden = $1, hidden_by = $2, hidden_at = $3, hidden_reason = $4
+       WHERE id = $5
+       RETURNING *`,
+      [hidden, hidden ? req.user.id : null, hidden ? new Date() : null, hidden ? (reason || null) : null, message.id]
+    );
+    const moderated = result.rows[0];
+
+    await logDatabaseOperation('UPDATE', 'messages', message.id, {
+      is_hidden: message.is_hidden,
+      hidden_reason: message.hidden_reason
+    }, {
+      is_hidden: moderated.is_hidden,
+      hidden_reason: moderated.hidden_reason
+    }, { ...buildAuditContext(req), schoolId: thread.school_id });
+
+    successResponse(res, {
+      id: moderated.id,
+      isHidden: moderated.is_hidden,
+      hiddenBy: moderated.hidden_by,
+      hiddenAt: moderated.hidden_at,
+      hiddenReason: moderated.hidden_reason
+    }, hidden ? 'Message hidden' : 'Message restored');
+
+  } catch (error) {
+    console.error('Moderate message error:', error);
+    errorResponse(res, 'Failed to moderate message', 500);
+  }
+};
+
+module.exports = {
+  getThreads,
+  createThread,
+  getThread,
+  postMessage,
+  markThreadRead,
+  downloadAttachment,
+  updateThreadStatus,
+  moderateMessage
+};
@@ -0,0 +1,132 @@
+const notificationService = require('../services/notificationService');
+const {
+  successResponse,
+  errorResponse,
+  getPaginationParams,
+  buildPaginatedResponse
+} = require('../utils/helpers');
+
+const getNotifications = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { unread, category } = req.query;
+
+    const { notifications, total } = await notificationService.getInbox(req.user.id, {
+      unreadOnly: unread === 'true',
+      category,
+      limit,
+      offset
+    });
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+    successResponse(res, { ...buildPaginatedResponse(notifications, total, page, limit), unreadCount });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    errorResponse(res, 'Failed to get notifications', 500);
+  }
+};
+
+const getUnreadCount = async (req, res) => {
+  try {
+    const count = await notificationService.getUnreadCount(req.user.id);
+    successResponse(res, { count });
+
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    errorResponse(res, 'Failed to get unread notification count', 500);
+  }
+};
+
+const markAsRead = async (req, res) => {
+  try {
+    const notification = await notificationService.findNotification(req.user.id, req.params.id);
+
+    if (!notification) {
+      return errorResponse(res, 'Notification not found', 404);
+    }
+
+    await notificationService.markRead(req.user.id, req.params.id);
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+    successResponse(res, { id: notification.id, unreadCount }, 'Notification marked as read');
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    errorResponse(res, 'Failed to mark notification as read', 500);
+  }
+};
+
+const markAllAsRead = async (req, res) => {
+  try {
+    const ids = await notificationService.markRead(req.user.id);
+
+    successResponse(res, { marked: ids.length, unreadCount: 0 }, `${ids.length} notification(s) marked as read`);
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    errorResponse(res, 'Failed to mark notifications as read', 500);
+  }
+};
+
+const deleteNotification = async (req, res) => {
+  try {
+    const deleted = await notificationService.deleteNotification(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return errorResponse(res, 'Notification not found', 404);
+    }
+
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+    successResponse(res, { id: deleted.id, unreadCount }, 'Notification deleted successfully');
+
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    errorResponse(res, 'Failed to delete notification', 500);
+  }
+};
+
+/**
+ * Issue a single-use ticket for opening the notification stream with
+ * EventSource, which cannot send the Authorization header
+ */
+const createStreamTicket = async (req, res) => {
+  try {
+    const { ticket, expiresAt } = await notificationService.createStreamTicket(req.user.id);
+
+    successResponse(res, { ticket, expiresAt }, 'Stream ticket issued', 201);
+
+  } catch (error) {
+    console.error('Create stream ticket error:', error);
+    errorResponse(res, 'Failed to issue stream ticket', 500);
+  }
+};
+
+/**
+ * Server-Sent Events stream of the user's new notifications and unread
+ * count. Stays open until the client disconnects.
+ */
+const streamNotifications = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = notificationService.subscribe(req.user.id, res);
+  req.on('close', unsubscribe);
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  createStreamTicket,
+  streamNotifications
+};
@@ -0,0 +1,294 @@
+const pool = require('../config/database');
+const receiptService = require('../services/receiptService');
+const emailService = require('../src/services/emailService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const { hasSchoolPermission } = require('../middleware/rbac');
+const {
+  successResponse,
+  errorResponse,
+  getPaginationParams,
+  buildPaginatedResponse,
+  buildAuditContext
+} = require('../utils/helpers');
+
+const FORMATS = ['json', 'html', 'pdf'];
+
+const sendPdfUnavailable = (res) => {
+  return errorResponse(res, 'PDF rendering is not configured on this server; request format=html instead', 503);
+};
+
+/**
+ * Respond with a receipt as JSON, or print it as HTML or PDF. Every print
+ * after the first is rendered as a duplicate.
+ */
+const sendReceipt = async (req, res, receipt) => {
+  const { format = 'json' } = req.query;
+
+  if (!FORMATS.includes(format)) {
+    return errorResponse(res, `Format must be one of: ${FORMATS.join(', ')}`, 400);
+  }
+
+  if (format === 'json') {
+    return successResponse(res, receiptService.formatReceipt(receipt));
+  }
+
+  if (format === 'pdf' && !receiptService.isPdfAvailable()) {
+    return sendPdfUnavailable(res);
+  }
+
+  const duplicate = await receiptService.recordPrint(receipt.id);
+  const html = receiptService.renderHtml(receipt, { duplicate });
+
+  if (format === 'html') {
+    return res.type('html').send(html);
+  }
+
+  const pdf = await receiptService.renderPdf(html);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${receiptService.fileNameFor(receipt, 'pdf')}"`);
+  res.send(pdf);
+};
+
+const getReceipts = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { school_id, academic_year_id, student_id, from_date, to_date } = req.query;
+
+    if (!hasSchoolPermission(req, 'finance', 'read', school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = ['fr.school_id = $1'];
+    let queryParams = [school_id];
+    let paramCount = 1;
+
+    const filters = [
+      ['fr.academic_year_id = ', academic_year_id],
+      ['sp.id = ', student_id],
+      ['fp.payment_date >= ', from_date],
+      ['fp.payment_date <= ', to_date]
+    ];
+
+    filters.filter(([, value]) => value).forEach(([condition, value]) => {
+      paramCount++;
+      whereConditions.push(`${condition}$${paramCount}`);
+      queryParams.push(value);
+    });
+
+    const { receipts, total } = await receiptService.findReceipts(whereConditions, queryParams, limit, offset);
+
+    successResponse(res, buildPaginatedResponse(receipts.map(receiptService.formatReceipt), total, page, limit));
+
+  } catch (error) {
+    console.error('Get receipts error:', error);
+    errorResponse(res, 'Failed to get receipts', 500);
+  }
+};
+
+const getReceipt = async (req, res) => {
+  try {
+    const receipt = await receiptService.findReceipt(req.params.id);
+
+    if (!receipt) {
+      return errorResponse(res, 'Receipt not found', 404);
+    }
+
+    if (!hasSchoolPermission(req, 'finance', 'read', receipt.school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    await sendReceipt(req, res, receipt);
+
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    errorResponse(res, 'Failed to get receipt', 500);
+  }
+};
+
+const findPaymentSchool = async (db, paymentId, lock = false) => {
+  const paymentResult = await db.query(
+    `SELECT fp.id, fs.school_id
+     FROM fee_payments fp
+     JOIN student_fees sf ON fp.student_fee_id = sf.id
+     JOIN fee_structures fs ON sf.fee_structure_id = fs.id
+     WHERE fp.id = $1
+     ${lock ? 'FOR UPDATE OF fp' : ''}`,
+    [paymentId]
+  );
+
+  return paymentResult.rows[0] || null;
+};
+
+const getPaymentReceipt = async (req, res) => {
+  try {
+    const payment = await findPaymentSchool(pool, req.params.paymentId);
+
+    if (!payment) {
+      return errorResponse(res, 'Payment not found', 404);
+    }
+
+    if (!hasSchoolPermission(req, 'finance', 'read', payment.school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const receipt = await receiptService.findPaymentReceipt(payment.id);
+
+    if (!receipt) {
+      return errorResponse(res, 'This payment has no receipt yet; issue one with POST', 404);
+    }
+
+    await sendReceipt(req, res, receipt);
+
+  } catch (error) {
+    console.error('Get payment receipt error:', error);
+    errorResponse(res, 'Failed to get payment receipt', 500);
+  }
+};
+
+/**
+ * Issue the receipt of a payment recorded before receipts existed. Payments
+ * that already have one get it back unchanged.
+ */
+const issuePaymentReceipt = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Locking the payment keeps two requests from both numbering it
+    const payment = await findPaymentSchool(client, req.params.paymentId, true);
+
+    if (!payment) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Payment not found', 404);
+    }
+
+    if (!hasSchoolPermission(req, 'finance', 'collect_fees', payment.school_id)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const existing = await receiptService.findPaymentReceipt(payment.id, client);
+
+    if (existing) {
+      await client.query('ROLLBACK');
+      return successResponse(res, receiptService.formatReceipt(existing), 'Payment already has a receipt');
+    }
+
+    const issued = await receiptService.issueReceipt(client, payment.id, req.user.id);
+
+    if (!issued) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Payment has no fee structure academic year to number its receipt', 409);
+    }
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('CREATE', 'fee_receipts', issued.id, null, issued, {
+      ...buildAuditContext(req),
+      schoolId: issued.school_id
+    });
+
+    const receipt = await receiptService.findReceipt(issued.id);
+    successResponse(res, receiptService.formatReceipt(receipt), 'Receipt issued successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Issue payment receipt error:', error);
+    errorResponse(res, 'Failed to issue payment receipt', 500);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Email a receipt to the given addresses, or to the student's guardians,
+ * with the receipt attached as a PDF (HTML when PDF rendering is not
+ * configured)
+ */
+const emailReceipt = async (req, res) => {
+  try {
+    const receipt = await receiptService.findReceipt(req.params.id);
+
+    if (!receipt) {
+      return errorResponse(res, 'Receipt not found', 404);
+    }
+
+    if (!hasSchoolPermission(req, 'finance', 'collect_fees', receipt.school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const recipients = req.body.to && req.body.to.length > 0
+      ? req.body.to
+      : await receiptService.findGuardianEmails(receipt.student_id);
+
+    if (recipients.length === 0) {
+      return errorResponse(res, 'The student has no guardian with an email address; specify recipients', 400);
+    }
+
+    const formatted = receiptService.formatReceipt(receipt);
+    const duplicate = receipt.print_count > 0 || Boolean(receipt.emailed_at);
+    const html = receiptService.renderHtml(receipt, { duplicate });
+
+    const attachment = receiptService.isPdfAvailable()
+      ? { filename: receiptService.fileNameFor(receipt, 'pdf'), content: await receiptService.renderPdf(html), contentType: 'application/pdf' }
+      : { filename: receiptService.fileNameFor(receipt, 'html'), content: html, contentType: 'text/html' };
+
+    const result = await emailService.sendEmail({
+      to: recipients,
+      subject: `${formatted.school.name}: receipt ${formatted.receiptNumber}`,
+      template: 'fee-receipt',
+      schoolId: receipt.school_id,
+      data: {
+        schoolName: formatted.school.name,
+        studentName: formatted.student.name,
+        receiptNumber: formatted.receiptNumber,
+        feeType: formatted.fee.feeType,
+        amount: formatted.payment.amount.toFixed(2),
+        paymentDate: formatted.payment.date,
+        balance: formatted.fee.balance.toFixed(2)
+      },
+      attachments: [attachment],
+      trackingId: `receipt-${receipt.id}`
+    });
+
+    if (!result.queued) {
+      return errorResponse(res, 'Every recipient has opted out of fee receipt emails', 409, { optedOut: result.optedOut });
+    }
+
+    const sentTo = recipients.filter(recipient => !result.optedOut.includes(recipient));
+
+    const updatedResult = await pool.query(
+      `UPDATE fee_receipts SET emailed_to = $1, emailed_at = NOW()
+       WHERE id = $2
+       RETURNING emailed_to, emailed_at`,
+      [sentTo.join(', '), receipt.id]
+    );
+
+    await logDatabaseOperation('UPDATE', 'fee_receipts', receipt.id,
+      { emailed_to: receipt.emailed_to, emailed_at: receipt.emailed_at },
+      updatedResult.rows[0],
+      { ...buildAuditContext(req), schoolId: receipt.school_id });
+
+    successResponse(res, {
+      receiptId: receipt.id,
+      receiptNumber: receipt.receipt_number,
+      recipients: sentTo,
+      optedOut: result.optedOut,
+      attachment: attachment.filename,
+      queueId: result.queueId
+    }, 'Receipt queued for email');
+
+  } catch (error) {
+    console.error('Email receipt error:', error);
+    errorResponse(res, 'Failed to email receipt', 500);
+  }
+};
+
+module.exports = {
+  getReceipts,
+  getReceipt,
+  getPaymentReceipt,
+  issuePaymentReceipt,
+  emailReceipt
+};
@@ -0,0 +1,215 @@
+const archiver = require('archiver');
+const pool = require('../config/database');
+const reportCardService = require('../services/reportCardService');
+const { canViewStudent } = require('../middleware/rbac');
+const {
+  successResponse,
+  errorResponse,
+  hasSchoolRole
+} = require('../utils/helpers');
+
+const STAFF_ROLES = ['Super Admin', 'Admin', 'Principal', 'Teacher'];
+const PRINCIPAL_ROLES = ['Super Admin', 'Admin', 'Principal'];
+const FORMATS = ['json', 'html', 'pdf'];
+
+const sendPdfUnavailable = (res) => {
+  return errorResponse(res, 'PDF rendering is not configured on this server; request format=html instead', 503);
+};
+
+const getStudentReportCard = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { term_id, format = 'json' } = req.query;
+
+    if (!term_id) {
+      return errorResponse(res, 'Term ID is required', 400);
+    }
+
+    if (!FORMATS.includes(format)) {
+      return errorResponse(res, `Format must be one of: ${FORMATS.join(', ')}`, 400);
+    }
+
+    // The class the student belonged to during the term's academic year
+    const enrollmentResult = await pool.query(
+      `SELECT e.class_id, sp.id, sp.school_id
+       FROM enrollments e
+       JOIN student_profiles sp ON e.student_id = sp.id
+       JOIN terms t ON t.academic_year_id = e.academic_year_id
+       WHERE e.student_id = $1 AND t.id = $2 AND e.status <> 'transferred'
+       ORDER BY (e.status = 'active') DESC, e.enrollment_date DESC
+       LIMIT 1`,
+      [studentId, term_id]
+    );
+
+    if (enrollmentResult.rows.length === 0) {
+      return errorResponse(res, 'Student has no enrollment for this term', 404);
+    }
+
+    const enrollment = enrollmentResult.rows[0];
+
+    if (!(await canViewStudent(req.user, enrollment))) {
+      return errorResponse(res, 'Access denied to this student', 403);
+    }
+
+    const result = await reportCardService.buildClassReportCards(enrollment.class_id, term_id);
+    const card = result && result.cards.find(c => c.student.id === studentId);
+
+    if (!card) {
+      return errorResponse(res, 'Report card not found', 404);
+    }
+
+    if (format === 'json') {
+      return successResponse(res, card);
+    }
+
+    const html = reportCardService.renderHtml(card);
+
+    if (format === 'html') {
+      return res.type('html').send(html);
+    }
+
+    if (!reportCardService.isPdfAvailable()) {
+      return sendPdfUnavailable(res);
+    }
+
+    const [pdf] = await reportCardService.renderPdfs([html]);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${reportCardService.fileNameFor(card, 'pdf')}"`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Get student report card error:', error);
+    errorResponse(res, 'Failed to generate report card', 500);
+  }
+};
+
+const getClassReportCards = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { term_id, format = 'pdf' } = req.query;
+
+    if (!term_id) {
+      return errorResponse(res, 'Term ID is required', 400);
+    }
+
+    if (!FORMATS.includes(format)) {
+      return errorResponse(res, `Format must be one of: ${FORMATS.join(', ')}`, 400);
+    }
+
+    const classResult = await pool.query('SELECT id, school_id, name FROM classes WHERE id = $1', [classId]);
+
+    if (classResult.rows.length === 0) {
+      return errorResponse(res, 'Class not found', 404);
+    }
+
+    const cls = classResult.rows[0];
+
+    if (!hasSchoolRole(req.user, cls.school_id, STAFF_ROLES)) {
+      return errorResponse(res, 'Access denied to this class', 403);
+    }
+
+    const result = await reportCardService.buildClassReportCards(classId, term_id);
+
+    if (!result) {
+      return errorResponse(res, 'Term does not belong to the class academic year', 400);
+    }
+
+    if (format === 'json') {
+      return successResponse(res, result.cards);
+    }
+
+    if (format === 'pdf' && !reportCardService.isPdfAvailable()) {
+      return sendPdfUnavailable(res);
+    }
+
+    const htmlDocuments = result.cards.map(card => reportCardService.renderHtml(card));
+    const documents = format === 'pdf' ? await reportCardService.renderPdfs(htmlDocuments) : htmlDocuments;
+
+    const archiveName = `${cls.name}_${result.cards[0]?.term.name || 'term'}_report_cards`.replace(/[^A-Za-z0-9_-]+/g, '_');
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${archiveName}.zip"`);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (error) => {
+      console.error('Report card archive error:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    result.cards.forEach((card, index) => {
+      archive.append(documents[index], { name: reportCardService.fileNameFor(card, format) });
+    });
+
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('Get class report cards error:', error);
+    if (!res.headersSent) {
+      errorResponse(res, 'Failed to generate report cards', 500);
+    }
+  }
+};
+
+const saveReportCardRemarks = async (req, res) => {
+  try {
+    const { student_id, term_id, class_teacher_remarks, principal_remarks } = req.body;
+
+    const contextResult = await pool.query(
+      `SELECT c.school_id, c.class_teacher_id
+       FROM enrollments e
+       JOIN classes c ON e.class_id = c.id
+       JOIN terms t ON t.academic_year_id = e.academic_year_id
+       WHERE e.student_id = $1 AND t.id = $2 AND e.status <> 'transferred'
+       ORDER BY (e.status = 'active') DESC, e.enrollment_date DESC
+       LIMIT 1`,
+      [student_id, term_id]
+    );
+
+    if (contextResult.rows.length === 0) {
+      return errorResponse(res, 'Student has no enrollment for this term', 404);
+    }
+
+    const { school_id, class_teacher_id } = contextResult.rows[0];
+    const isPrincipal = hasSchoolRole(req.user, school_id, PRINCIPAL_ROLES);
+
+    if (principal_remarks !== undefined && !isPrincipal) {
+      return errorResponse(res, 'Only the principal or an admin can write principal remarks', 403);
+    }
+
+    if (class_teacher_remarks !== undefined && !isPrincipal && class_teacher_id !== req.user.id) {
+      return errorResponse(res, 'Only the class teacher can write class teacher remarks', 403);
+    }
+
+    const remarksResult = await pool.query(
+      `INSERT INTO report_card_remarks (student_id, term_id, class_teacher_remarks, principal_remarks, updated_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (student_id, term_id) DO UPDATE SET
+         class_teacher_remarks = COALESCE(EXCLUDED.class_teacher_remarks, report_card_remarks.class_teacher_remarks),
+         principal_remarks = COALESCE(EXCLUDED.principal_remarks, report_card_remarks.principal_remarks),
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+       RETURNING *`,
+      [student_id, term_id, class_teacher_remarks ?? null, principal_remarks ?? null, req.user.id]
+    );
+
+    const remarks = remarksResult.rows[0];
+
+    successResponse(res, {
+      studentId: remarks.student_id,
+      termId: remarks.term_id,
+      classTeacherRemarks: remarks.class_teacher_remarks,
+      principalRemarks: remarks.principal_remarks,
+      updatedBy: remarks.updated_by
+    }, 'Report card remarks saved successfully');
+
+  } catch (error) {
+    console.error('Save report card remarks error:', error);
+    errorResponse(res, 'Failed to save report card remarks', 500);
+  }
+};
+
+module.exports = {
+  getStudentReportCard,
+  getClassReportCards,
+  saveReportCardRemarks
+};
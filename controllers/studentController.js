@@ -0,0 +1,152 @@
+const pool = require('../config/database');
+const {
+  successResponse,
+  errorResponse,
+  getPaginationParams,
+  buildPaginatedResponse,
+  hasSchoolAccess
+} = require('../utils/helpers');
+
+const getStudents = async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { school_id, class_id, grade_level, gender, is_active, search } = req.query;
+
+    if (!school_id) {
+      return errorResponse(res, 'School ID is required', 400);
+    }
+
+    // Check school access
+    if (!hasSchoolAccess(req.user, school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = ['sp.school_id = $1'];
+    let queryParams = [school_id];
+    let paramCount = 1;
+
+    // Active students only unless explicitly asked otherwise
+    paramCount++;
+    whereConditions.push(`sp.is_active = $${paramCount}`);
+    queryParams.push(is_active === undefined ? true : is_active === 'true');
+
+    if (class_id) {
+      paramCount++;
+      whereConditions.push(`ce.class_id = $${paramCount}`);
+      queryParams.push(class_id);
+    }
+
+    if (grade_level) {
+      paramCount++;
+      whereConditions.push(`ce.grade_level = $${paramCount}`);
+      queryParams.push(parseInt(grade_level));
+    }
+
+    if (gender) {
+      paramCount++;
+      whereConditions.push(`sp.gender = $${paramCount}`);
+      queryParams.push(gender);
+    }
+
+    if (search) {
+      paramCount++;
+      whereConditions.push(`(u.first_name ILIKE $${paramCount} OR u.last_name ILIKE $${paramCount}
+        OR (u.first_name || ' ' || u.last_name) ILIKE $${paramCount}
+        OR sp.admission_number ILIKE $${paramCount} OR sp.student_id ILIKE $${paramCount})`);
+      queryParams.push(`%${search}%`);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    // Current enrollment: the active enrollment, preferring the school's current academic year
+    const fromClause = `
+      FROM student_profiles sp
+      JOIN users u ON sp.user_id = u.id
+      LEFT JOIN LATERAL (
+        SELECT e.id as enrollment_id, e.class_id, e.academic_year_id, e.enrollment_date,
+               c.name as class_name, c.grade_level, c.section
+        FROM enrollments e
+        JOIN classes c ON e.class_id = c.id
+        JOIN academic_years ay ON e.academic_year_id = ay.id
+        WHERE e.student_id = sp.id AND e.status = 'active'
+        ORDER BY ay.is_current DESC, e.enrollment_date DESC
+        LIMIT 1
+      ) ce ON true
+      LEFT JOIN LATERAL (
+        SELECT pu.id as guardian_user_id, pu.first_name, pu.last_name, pu.phone, pu.email,
+               psr.relationship_type
+        FROM parent_student_relationships psr
+        JOIN parent_profiles pp ON psr.parent_id = pp.id
+        JOIN users pu ON pp.user_id = pu.id
+        WHERE psr.student_id = sp.id
+        ORDER BY psr.is_primary DESC, psr.created_at
+        LIMIT 1
+      ) g ON true
+    `;
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total ${fromClause} WHERE ${whereClause}`,
+      queryParams
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const studentsResult = await pool.query(
+      `SELECT sp.*, u.email, u.first_name, u.last_name, u.phone, u.avatar_url,
+              ce.enrollment_id, ce.class_id, ce.academic_year_id, ce.enrollment_date,
+              ce.class_name, ce.grade_level, ce.section,
+              g.guardian_user_id, g.first_name as guardian_first_name, g.last_name as guardian_last_name,
+              g.phone as guardian_phone, g.email as guardian_email, g.relationship_type
+       ${fromClause}
+       WHERE ${whereClause}
+       ORDER BY u.last_name, u.first_name
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const students = studentsResult.rows.map(student => ({
+      id: student.id,
+      userId: student.user_id,
+      schoolId: student.school_id,
+      studentId: student.student_id,
+      admissionNumber: student.admission_number,
+      admissionDate: student.admission_date,
+      firstName: student.first_name,
+      lastName: student.last_name,
+      email: student.email,
+      phone: student.phone,
+      avatarUrl: student.avatar_url,
+      dateOfBirth: student.date_of_birth,
+      gender: student.gender,
+      isActive: student.is_active,
+      currentEnrollment: student.enrollment_id ? {
+        id: student.enrollment_id,
+        classId: student.class_id,
+        className: student.class_name,
+        gradeLevel: student.grade_level,
+        section: student.section,
+        academicYearId: student.academic_year_id,
+        enrollmentDate: student.enrollment_date
+      } : null,
+      primaryGuardian: student.guardian_user_id ? {
+        userId: student.guardian_user_id,
+        firstName: student.guardian_first_name,
+        lastName: student.guardian_last_name,
+        phone: student.guardian_phone,
+        email: student.guardian_email,
+        relationshipType: student.relationship_type
+      } : null,
+      createdAt: student.created_at
+    }));
+
+    const response = buildPaginatedResponse(students, total, page, limit);
+    successResponse(res, response, 'Students retrieved successfully');
+
+  } catch (error) {
+    console.error('Get students error:', error);
+    errorResponse(res, 'Failed to retrieve students', 500);
+  }
+};
+
+module.exports = {
+  getStudents
+};
@@ -0,0 +1,384 @@
+const pool = require('../config/database');
+const substitutionService = require('../services/substitutionService');
+const timetableService = require('../services/timetableService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const {
+  successResponse,
+  errorResponse,
+  hasSchoolRole,
+  buildAuditContext
+} = require('../utils/helpers');
+
+const COVER_ADMIN_ROLES = ['Super Admin', 'Admin', 'Principal'];
+
+const formatAbsence = (absence) => ({
+  id: absence.id,
+  schoolId: absence.school_id,
+  teacherId: absence.teacher_id,
+  teacherName: absence.teacher_first_name ? `${absence.teacher_first_name} ${absence.teacher_last_name}` : null,
+  startDate: absence.start_date,
+  endDate: absence.end_date,
+  reason: absence.reason,
+  status: absence.status,
+  recordedBy: absence.recorded_by,
+  createdAt: absence.created_at
+});
+
+const getTeacherAbsences = async (req, res) => {
+  try {
+    const { school_id, teacher_id, date, status = 'active' } = req.query;
+    const isAdmin = hasSchoolRole(req.user, school_id, COVER_ADMIN_ROLES);
+
+    if (!isAdmin && !hasSchoolRole(req.user, school_id, ['Teacher'])) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = ['ta.school_id = $1', 'ta.status = $2'];
+    let queryParams = [school_id, status];
+    let paramCount = 2;
+
+    // Teachers only see their own absences
+    if (!isAdmin) {
+      paramCount++;
+      whereConditions.push(`tp.user_id = $${paramCount}`);
+      queryParams.push(req.user.id);
+    }
+
+    if (teacher_id) {
+      paramCount++;
+      whereConditions.push(`ta.teacher_id = $${paramCount}`);
+      queryParams.push(teacher_id);
+    }
+
+    if (date) {
+      paramCount++;
+      whereConditions.push(`$${paramCount} BETWEEN ta.start_date AND ta.end_date`);
+      queryParams.push(date);
+    }
+
+    const absencesResult = await pool.query(
+      `SELECT ta.*, to_char(ta.start_date, 'YYYY-MM-DD') as start_date, to_char(ta.end_date, 'YYYY-MM-DD') as end_date,
+              u.first_name as teacher_first_name, u.last_name as teacher_last_name
+       FROM teacher_absences ta
+       JOIN teacher_profiles tp ON ta.teacher_id = tp.id
+       JOIN users u ON tp.user_id = u.id
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY ta.start_date DESC, u.last_name`,
+      queryParams
+    );
+
+    successResponse(res, absencesResult.rows.map(formatAbsence));
+
+  } catch (error) {
+    console.error('Get teacher absences error:', error);
+    errorResponse(res, 'Failed to get teacher absences', 500);
+  }
+};
+
+/**
+ * Teachers record their own absences; school admins can record one for any
+ * teacher by passing teacher_id. The teacher's profile row is locked so two
+ * overlapping absences cannot both pass the overlap check.
+ */
+const createTeacherAbsence = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { teacher_id, start_date, end_date, reason } = req.body;
+
+    await client.query('BEGIN');
+
+    const teacherResult = teacher_id
+      ? await client.query('SELECT id, school_id, user_id FROM teacher_profiles WHERE id = $1 AND is_active = true FOR UPDATE', [teacher_id])
+      : await client.query('SELECT id, school_id, user_id FROM teacher_profiles WHERE user_id = $1 AND is_active = true FOR UPDATE', [req.user.id]);
+
+    if (teacherResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Teacher profile not found', 404);
+    }
+
+    const teacher = teacherResult.rows[0];
+
+    if (teacher.user_id !== req.user.id && !hasSchoolRole(req.user, teacher.school_id, COVER_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'You can only record your own absences', 403);
+    }
+
+    const overlapResult = await client.query(
+      `SELECT id FROM teacher_absences
+       WHERE teacher_id = $1 AND status = 'active' AND start_date <= $3 AND end_date >= $2`,
+      [teacher.id, start_date, end_date]
+    );
+
+    if (overlapResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'An absence is already recorded for part of this period', 409, {
+        absenceId: overlapResult.rows[0].id
+      });
+    }
+
+    const absenceResult = await client.query(
+      `INSERT INTO teacher_absences (school_id, teacher_id, start_date, end_date, reason, recorded_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [teacher.school_id, teacher.id, start_date, end_date, reason || null, req.user.id]
+    );
+
+    await client.query('COMMIT');
+
+    const absence = await substitutionService.findAbsence(absenceResult.rows[0].id);
+    const lessons = await substitutionService.findAffectedLessons(absence);
+
+    await logDatabaseOperation('CREATE', 'teacher_absences', absence.id, null, absence, {
+      ...buildAuditContext(req),
+      schoolId: teacher.school_id
+    });
+
+    successResponse(res, {
+      ...formatAbsence(absence),
+      affectedLessons: lessons.length
+    }, 'Absence recorded successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create teacher absence error:', error);
+    errorResponse(res, 'Failed to record absence', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const cancelTeacherAbsence = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const absence = await substitutionService.findAbsence(req.params.id, client, true);
+
+    if (!absence) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Absence not found', 404);
+    }
+
+    if (absence.teacher_user_id !== req.user.id && !hasSchoolRole(req.user, absence.school_id, COVER_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'You can only cancel your own absences', 403);
+    }
+
+    if (absence.status !== 'active') {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Absence is already cancelled', 409);
+    }
+
+    await client.query("UPDATE teacher_absences SET status = 'cancelled' WHERE id = $1", [absence.id]);
+    const cancelledResult = await client.query(
+      "UPDATE substitutions SET status = 'cancelled' WHERE absence_id = $1 AND status = 'confirmed'",
+      [absence.id]
+    );
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('UPDATE', 'teacher_absences', absence.id, absence, { ...absence, status: 'cancelled' }, {
+      ...buildAuditContext(req),
+      schoolId: absence.school_id
+    });
+
+    successResponse(res, { id: absence.id, substitutionsCancelled: cancelledResult.rowCount }, 'Absence cancelled successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Cancel teacher absence error:', error);
+    errorResponse(res, 'Failed to cancel absence', 500);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Every lesson the absence affects, with its confirmed substitute or, when
+ * uncovered, the free teachers proposed to cover it
+ */
+const getCoverProposals = async (req, res) => {
+  try {
+    const absence = await substitutionService.findAbsence(req.params.id);
+
+    if (!absence) {
+      return errorResponse(res, 'Absence not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, absence.school_id, COVER_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const lessons = await substitutionService.findAffectedLessons(absence);
+    const limit = req.query.limit || 5;
+
+    const cover = [];
+    for (const lesson of lessons) {
+      const candidates = lesson.substitution || absence.status !== 'active'
+        ? []
+        : await substitutionService.findCandidates(absence.school_id, lesson.slot, lesson.date);
+
+      cover.push({
+        date: lesson.date,
+        slot: timetableService.formatSlot(lesson.slot),
+        substitution: lesson.substitution,
+        candidates: candidates.slice(0, limit)
+      });
+    }
+
+    successResponse(res, {
+      absence: formatAbsence(absence),
+      uncovered: cover.filter(lesson => !lesson.substitution).length,
+      lessons: cover
+    });
+
+  } catch (error) {
+    console.error('Get cover proposals error:', error);
+    errorResponse(res, 'Failed to get cover proposals', 500);
+  }
+};
+
+const confirmSubstitution = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { absence_id, timetable_id, date, substitute_teacher_id } = req.body;
+
+    const absence = await substitutionService.findAbsence(absence_id, client, true);
+
+    if (!absence) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Absence not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, absence.school_id, COVER_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (absence.status !== 'active') {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Absence has been cancelled', 409);
+    }
+
+    const lesson = (await substitutionService.findAffectedLessons(absence, client))
+      .find(affected => affected.slot.id === timetable_id && affected.date === date);
+
+    if (!lesson) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'This lesson is not affected by the absence', 400);
+    }
+
+    if (lesson.substitution && lesson.substitution.substituteTeacherId === substitute_teacher_id) {
+      await client.query('ROLLBACK');
+      return successResponse(res, lesson.substitution, 'Substitute already confirmed');
+    }
+
+    const substituteResult = await client.query(
+      'SELECT id FROM teacher_profiles WHERE id = $1 AND school_id = $2 AND is_active = true',
+      [substitute_teacher_id, absence.school_id]
+    );
+
+    if (substituteResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Substitute teacher not found in this school', 404);
+    }
+
+    // Serialize with timetable edits and other confirmations before checking availability
+    await timetableService.lockSchoolTimetable(client, absence.school_id);
+
+    if (!(await substitutionService.isTeacherFree(substitute_teacher_id, lesson.slot, date, client))) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Substitute teacher is not free for this lesson', 409);
+    }
+
+    if (lesson.substitution) {
+      await client.query("UPDATE substitutions SET status = 'cancelled' WHERE id = $1", [lesson.substitution.id]);
+    }
+
+    const substitutionResult = await client.query(
+      `INSERT INTO substitutions (absence_id, timetable_id, date, substitute_teacher_id, confirmed_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *, to_char(date, 'YYYY-MM-DD') as date`,
+      [absence.id, timetable_id, date, substitute_teacher_id, req.user.id]
+    );
+    const substitution = substitutionResult.rows[0];
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('CREATE', 'substitutions', substitution.id, lesson.substitution, substitution, {
+      ...buildAuditContext(req),
+      schoolId: absence.school_id
+    });
+
+    successResponse(res, {
+      id: substitution.id,
+      absenceId: substitution.absence_id,
+      timetableId: substitution.timetable_id,
+      date: substitution.date,
+      substituteTeacherId: substitution.substitute_teacher_id,
+      replacedSubstitutionId: lesson.substitution ? lesson.substitution.id : null
+    }, 'Substitute confirmed successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Confirm substitution error:', error);
+    errorResponse(res, 'Failed to confirm substitute', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const cancelSubstitution = async (req, res) => {
+  try {
+    const substitutionResult = await pool.query(
+      `SELECT s.*, ta.school_id FROM substitutions s
+       JOIN teacher_absences ta ON s.absence_id = ta.id
+       WHERE s.id = $1`,
+      [req.params.id]
+    );
+
+    if (substitutionResult.rows.length === 0) {
+      return errorResponse(res, 'Substitution not found', 404);
+    }
+
+    const substitution = substitutionResult.rows[0];
+
+    if (!hasSchoolRole(req.user, substitution.school_id, COVER_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (substitution.status !== 'confirmed') {
+      return errorResponse(res, 'Substitution is already cancelled', 409);
+    }
+
+    await pool.query("UPDATE substitutions SET status = 'cancelled' WHERE id = $1", [substitution.id]);
+
+    await logDatabaseOperation('UPDATE', 'substitutions', substitution.id, substitution, {
+      ...substitution,
+      status: 'cancelled'
+    }, {
+      ...buildAuditContext(req),
+      schoolId: substitution.school_id
+    });
+
+    successResponse(res, null, 'Substitution cancelled successfully');
+
+  } catch (error) {
+    console.error('Cancel substitution error:', error);
+    errorResponse(res, 'Failed to cancel substitution', 500);
+  }
+};
+
+module.exports = {
+  getTeacherAbsences,
+  createTeacherAbsence,
+  cancelTeacherAbsence,
+  getCoverProposals,
+  confirmSubstitution,
+  cancelSubstitution
+};
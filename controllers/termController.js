@@ -0,0 +1,284 @@
+const pool = require('../config/database');
+const termService = require('../services/termService');
+const {
+  successResponse,
+  errorResponse,
+  hasSchoolAccess,
+  hasSchoolRole
+} = require('../utils/helpers');
+
+// Term changes need one of these roles at the academic year's school
+const TERM_ADMIN_ROLES = ['Super Admin', 'Admin'];
+
+const formatTerm = (term) => ({
+  id: term.id,
+  academicYearId: term.academic_year_id,
+  academicYearName: term.academic_year_name,
+  name: term.name,
+  startDate: term.start_date,
+  endDate: term.end_date,
+  isCurrent: term.is_current,
+  createdAt: term.created_at,
+  updatedAt: term.updated_at
+});
+
+/**
+ * Lock the academic year so concurrent term writes for it are serialized,
+ * and check the proposed range sits inside it
+ */
+const lockAcademicYear = async (client, academicYearId, startDate, endDate) => {
+  const result = await client.query(
+    `SELECT id, school_id, name, start_date, end_date,
+            ($2::date >= start_date AND $3::date <= end_date) as within_year
+     FROM academic_years WHERE id = $1 FOR UPDATE`,
+    [academicYearId, startDate, endDate]
+  );
+
+  return result.rows[0] || null;
+};
+
+const getTerms = async (req, res) => {
+  try {
+    const { academic_year_id, school_id } = req.query;
+
+    if (!academic_year_id && !school_id) {
+      return errorResponse(res, 'Academic year ID or school ID is required', 400);
+    }
+
+    let whereConditions = [];
+    let queryParams = [];
+    let paramCount = 0;
+
+    if (academic_year_id) {
+      paramCount++;
+      whereConditions.push(`t.academic_year_id = $${paramCount}`);
+      queryParams.push(academic_year_id);
+    }
+
+    if (school_id) {
+      if (!hasSchoolAccess(req.user, school_id)) {
+        return errorResponse(res, 'Access denied to this school', 403);
+      }
+      paramCount++;
+      whereConditions.push(`ay.school_id = $${paramCount}`);
+      queryParams.push(school_id);
+    }
+
+    const termsResult = await pool.query(
+      `SELECT t.*, ay.school_id, ay.name as academic_year_name
+       FROM terms t
+       JOIN academic_years ay ON t.academic_year_id = ay.id
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY ay.start_date DESC, t.start_date`,
+      queryParams
+    );
+
+    if (termsResult.rows.some(term => !hasSchoolAccess(req.user, term.school_id))) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    successResponse(res, termsResult.rows.map(formatTerm));
+
+  } catch (error) {
+    console.error('Get terms error:', error);
+    errorResponse(res, 'Failed to get terms', 500);
+  }
+};
+
+const getCurrentTerm = async (req, res) => {
+  try {
+    const { school_id } = req.query;
+
+    if (!school_id) {
+      return errorResponse(res, 'School ID is required', 400);
+    }
+
+    if (!hasSchoolAccess(req.user, school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const term = await termService.findCurrentTerm(school_id);
+
+    if (!term) {
+      return errorResponse(res, 'No current term found for this school', 404);
+    }
+
+    successResponse(res, formatTerm(term));
+
+  } catch (error) {
+    console.error('Get current term error:', error);
+    errorResponse(res, 'Failed to get current term', 500);
+  }
+};
+
+const createTerm = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { academic_year_id, name, start_date, end_date, is_current } = req.body;
+
+    const academicYear = await lockAcademicYear(client, academic_year_id, start_date, end_date);
+
+    if (!academicYear) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Academic year not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, academicYear.school_id, TERM_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (!academicYear.within_year) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Term dates must fall within the academic year', 400, {
+        academicYearStart: academicYear.start_date,
+        academicYearEnd: academicYear.end_date
+      });
+    }
+
+    const overlapping = await termService.findOverlappingTerm(academic_year_id, start_date, end_date, null, client);
+
+    if (overlapping) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Term dates overlap "${overlapping.name}"`, 409, { termId: overlapping.id });
+    }
+
+    if (is_current) {
+      await termService.clearCurrentTerm(academicYear.school_id, client);
+    }
+
+    const termResult = await client.query(
+      `INSERT INTO terms (academic_year_id, name, start_date, end_date, is_current)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [academic_year_id, name, start_date, end_date, is_current || false]
+    );
+
+    await client.query('COMMIT');
+
+    successResponse(res, formatTerm(termResult.rows[0]), 'Term created successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create term error:', error);
+    errorResponse(res, 'Failed to create term', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const updateTerm = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { id } = req.params;
+
+    const existingResult = await client.query('SELECT * FROM terms WHERE id = $1', [id]);
+
+    if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Term not found', 404);
+    }
+
+    const existing = existingResult.rows[0];
+    const name = req.body.name !== undefined ? req.body.name : existing.name;
+    const startDate = req.body.start_date || existing.start_date;
+    const endDate = req.body.end_date || existing.end_date;
+    const isCurrent = req.body.is_current !== undefined ? req.body.is_current : existing.is_current;
+
+    const academicYear = await lockAcademicYear(client, existing.academic_year_id, startDate, endDate);
+
+    if (!hasSchoolRole(req.user, academicYear.school_id, TERM_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (!academicYear.within_year) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Term dates must fall within the academic year', 400, {
+        academicYearStart: academicYear.start_date,
+        academicYearEnd: academicYear.end_date
+      });
+    }
+
+    const overlapping = await termService.findOverlappingTerm(existing.academic_year_id, startDate, endDate, id, client);
+
+    if (overlapping) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Term dates overlap "${overlapping.name}"`, 409, { termId: overlapping.id });
+    }
+
+    if (isCurrent && !existing.is_current) {
+      await termService.clearCurrentTerm(academicYear.school_id, client);
+    }
+
+    const termResult = await client.query(
+      `UPDATE terms
+       SET name = $1, start_date = $2, end_date = $3, is_current = $4, updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [name, startDate, endDate, isCurrent, id]
+    );
+
+    await client.query('COMMIT');
+
+    successResponse(res, formatTerm(termResult.rows[0]), 'Term updated successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update term error:', error);
+    errorResponse(res, 'Failed to update term', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const deleteTerm = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const termResult = await pool.query(
+      `SELECT t.*, ay.school_id,
+              (SELECT COUNT(*) FROM grades g WHERE g.term_id = t.id) as grade_count
+       FROM terms t
+       JOIN academic_years ay ON t.academic_year_id = ay.id
+       WHERE t.id = $1`,
+      [id]
+    );
+
+    if (termResult.rows.length === 0) {
+      return errorResponse(res, 'Term not found', 404);
+    }
+
+    const term = termResult.rows[0];
+
+    if (!hasSchoolRole(req.user, term.school_id, TERM_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (parseInt(term.grade_count) > 0) {
+      return errorResponse(res, 'Cannot delete a term that has recorded grades', 409);
+    }
+
+    await pool.query('DELETE FROM terms WHERE id = $1', [id]);
+
+    successResponse(res, null, 'Term deleted successfully');
+
+  } catch (error) {
+    console.error('Delete term error:', error);
+    errorResponse(res, 'Failed to delete term', 500);
+  }
+};
+
+module.exports = {
+  getTerms,
+  getCurrentTerm,
+  createTerm,
+  updateTerm,
+  deleteTerm
+};
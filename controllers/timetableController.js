@@ -0,0 +1,463 @@
+const pool = require('../config/database');
+const timetableService = require('../services/timetableService');
+const substitutionService = require('../services/substitutionService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const {
+  successResponse,
+  errorResponse,
+  hasSchoolAccess,
+  hasSchoolRole,
+  buildAuditContext
+} = require('../utils/helpers');
+
+// Timetable changes need one of these roles at the class's school
+const TIMETABLE_ADMIN_ROLES = ['Super Admin', 'Admin', 'Principal'];
+
+const SLOT_FIELDS = ['subject_id', 'teacher_id', 'day_of_week', 'start_time', 'end_time', 'room_number'];
+
+const loadClass = async (db, classId) => {
+  const result = await db.query(
+    'SELECT id, school_id, name FROM classes WHERE id = $1 AND is_active = true',
+    [classId]
+  );
+
+  return result.rows[0] || null;
+};
+
+const insertSlot = async (client, classId, slot) => {
+  const result = await client.query(
+    `INSERT INTO timetables (class_id, subject_id, teacher_id, day_of_week, start_time, end_time, room_number)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id`,
+    [classId, slot.subject_id, slot.teacher_id, slot.day_of_week, slot.start_time, slot.end_time, slot.room_number || null]
+  );
+
+  return timetableService.findSlot(result.rows[0].id, client);
+};
+
+const getTimetableSlots = async (req, res) => {
+  try {
+    const { school_id, class_id, teacher_id, day_of_week } = req.query;
+
+    if (!hasSchoolAccess(req.user, school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    let whereConditions = ['c.school_id = $1'];
+    let queryParams = [school_id];
+    let paramCount = 1;
+
+    if (class_id) {
+      paramCount++;
+      whereConditions.push(`tt.class_id = $${paramCount}`);
+      queryParams.push(class_id);
+    }
+
+    if (teacher_id) {
+      paramCount++;
+      whereConditions.push(`tt.teacher_id = $${paramCount}`);
+      queryParams.push(teacher_id);
+    }
+
+    if (day_of_week) {
+      paramCount++;
+      whereConditions.push(`tt.day_of_week = $${paramCount}`);
+      queryParams.push(day_of_week);
+    }
+
+    const slots = await timetableService.findSlots(whereConditions, queryParams);
+
+    successResponse(res, slots.map(slot => timetableService.formatSlot(slot)));
+
+  } catch (error) {
+    console.error('Get timetable slots error:', error);
+    errorResponse(res, 'Failed to get timetable slots', 500);
+  }
+};
+
+const createTimetableSlot = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { class_id } = req.body;
+    const cls = await loadClass(client, class_id);
+
+    if (!cls) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Class not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, cls.school_id, TIMETABLE_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const invalid = await timetableService.findInvalidReferences(cls.school_id, [req.body], client);
+    if (invalid) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Subject or teacher not found in this school', 400, invalid);
+    }
+
+    await timetableService.lockSchoolTimetable(client, cls.school_id);
+
+    const conflicts = await timetableService.findConflicts(req.body, cls.school_id, [], client);
+    if (conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Timetable slot conflicts with an existing slot', 409, { conflicts });
+    }
+
+    const slot = await insertSlot(client, class_id, req.body);
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('CREATE', 'timetables', slot.id, null, slot, {
+      ...buildAuditContext(req),
+      schoolId: cls.school_id
+    });
+
+    successResponse(res, timetableService.formatSlot(slot), 'Timetable slot created successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create timetable slot error:', error);
+    errorResponse(res, 'Failed to create timetable slot', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const updateTimetableSlot = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { id } = req.params;
+    const existing = await timetableService.findSlot(id, client);
+
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Timetable slot not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, existing.school_id, TIMETABLE_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const proposed = { ...existing };
+    SLOT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        proposed[field] = req.body[field];
+      }
+    });
+
+    if (proposed.start_time >= proposed.end_time) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Start time must be before end time', 400);
+    }
+
+    const invalid = await timetableService.findInvalidReferences(existing.school_id, [proposed], client);
+    if (invalid) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Subject or teacher not found in this school', 400, invalid);
+    }
+
+    await timetableService.lockSchoolTimetable(client, existing.school_id);
+
+    const conflicts = await timetableService.findConflicts(proposed, existing.school_id, [id], client);
+    if (conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Timetable slot conflicts with an existing slot', 409, { conflicts });
+    }
+
+    await client.query(
+      `UPDATE timetables
+       SET subject_id = $1, teacher_id = $2, day_of_week = $3, start_time = $4, end_time = $5,
+           room_number = $6, updated_at = NOW()
+       WHERE id = $7`,
+      [proposed.subject_id, proposed.teacher_id, proposed.day_of_week, proposed.start_time,
+        proposed.end_time, proposed.room_number || null, id]
+    );
+
+    const slot = await timetableService.findSlot(id, client);
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('UPDATE', 'timetables', id, existing, slot, {
+      ...buildAuditContext(req),
+      schoolId: existing.school_id
+    });
+
+    successResponse(res, timetableService.formatSlot(slot), 'Timetable slot updated successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update timetable slot error:', error);
+    errorResponse(res, 'Failed to update timetable slot', 500);
+  } finally {
+    client.release();
+  }
+};
+
+// Slots are deactivated rather than deleted: period attendance records reference them
+const deleteTimetableSlot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await timetableService.findSlot(id);
+
+    if (!existing) {
+      return errorResponse(res, 'Timetable slot not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, existing.school_id, TIMETABLE_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    await pool.query('UPDATE timetables SET is_active = false, updated_at = NOW() WHERE id = $1', [id]);
+
+    await logDatabaseOperation('DELETE', 'timetables', id, existing, null, {
+      ...buildAuditContext(req),
+      schoolId: existing.school_id
+    });
+
+    successResponse(res, null, 'Timetable slot deleted successfully');
+
+  } catch (error) {
+    console.error('Delete timetable slot error:', error);
+    errorResponse(res, 'Failed to delete timetable slot', 500);
+  }
+};
+
+/**
+ * Replace a class's whole week in one go. Every slot is checked against the
+ * rest of the batch and against other classes' slots; nothing is saved if
+ * any of them conflict.
+ */
+const importTimetableWeek = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { class_id, slots } = req.body;
+    const cls = await loadClass(client, class_id);
+
+    if (!cls) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Class not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, cls.school_id, TIMETABLE_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const proposed = slots.map(slot => ({ ...slot, class_id }));
+
+    const invalid = await timetableService.findInvalidReferences(cls.school_id, proposed, client);
+    if (invalid) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Subject or teacher not found in this school', 400, invalid);
+    }
+
+    const batchConflicts = timetableService.findBatchConflicts(proposed);
+    if (batchConflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Imported slots overlap each other', 409, { conflicts: batchConflicts });
+    }
+
+    await timetableService.lockSchoolTimetable(client, cls.school_id);
+
+    const replacedResult = await client.query(
+      'SELECT id FROM timetables WHERE class_id = $1 AND is_active = true',
+      [class_id]
+    );
+    const replacedIds = replacedResult.rows.map(row => row.id);
+
+    const conflicts = [];
+    for (const [index, slot] of proposed.entries()) {
+      const found = await timetableService.findConflicts(slot, cls.school_id, replacedIds, client);
+      found.forEach(conflict => conflicts.push({ index, ...conflict }));
+    }
+
+    if (conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Imported slots conflict with existing slots', 409, { conflicts });
+    }
+
+    await client.query(
+      'UPDATE timetables SET is_active = false, updated_at = NOW() WHERE id = ANY($1::uuid[])',
+      [replacedIds]
+    );
+
+    const created = [];
+    for (const slot of proposed) {
+      created.push(await insertSlot(client, class_id, slot));
+    }
+
+    await client.query('COMMIT');
+
+    const context = { ...buildAuditContext(req), schoolId: cls.school_id };
+    for (const slot of created) {
+      await logDatabaseOperation('CREATE', 'timetables', slot.id, null, slot, context);
+    }
+
+    successResponse(res, {
+      classId: class_id,
+      replaced: replacedIds.length,
+      created: created.map(slot => timetableService.formatSlot(slot))
+    }, 'Timetable imported successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Import timetable error:', error);
+    errorResponse(res, 'Failed to import timetable', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const getClassWeek = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const cls = await loadClass(pool, classId);
+
+    if (!cls) {
+      return errorResponse(res, 'Class not found', 404);
+    }
+
+    if (!hasSchoolAccess(req.user, cls.school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const schedule = await timetableService.getWeeklySchedule({ classId });
+
+    successResponse(res, { classId, className: cls.name, schedule });
+
+  } catch (error) {
+    console.error('Get class timetable error:', error);
+    errorResponse(res, 'Failed to get class timetable', 500);
+  }
+};
+
+const getTeacherWeek = async (req, res) => {
+  try {
+    const { teacherId } = req.params;
+
+    const teacherResult = await pool.query(
+      `SELECT tp.id, tp.school_id, u.first_name, u.last_name
+       FROM teacher_profiles tp
+       JOIN users u ON tp.user_id = u.id
+       WHERE tp.id = $1`,
+      [teacherId]
+    );
+
+    if (teacherResult.rows.length === 0) {
+      return errorResponse(res, 'Teacher not found', 404);
+    }
+
+    const teacher = teacherResult.rows[0];
+
+    if (!hasSchoolAccess(req.user, teacher.school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const schedule = await timetableService.getWeeklySchedule({ teacherId });
+
+    successResponse(res, {
+      teacherId,
+      teacherName: `${teacher.first_name} ${teacher.last_name}`,
+      schedule
+    });
+
+  } catch (error) {
+    console.error('Get teacher timetable error:', error);
+    errorResponse(res, 'Failed to get teacher timetable', 500);
+  }
+};
+
+const getRoomWeek = async (req, res) => {
+  try {
+    const { school_id, room_number } = req.query;
+
+    if (!hasSchoolAccess(req.user, school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const schedule = await timetableService.getWeeklySchedule({ schoolId: school_id, roomNumber: room_number });
+
+    successResponse(res, { roomNumber: room_number, schedule });
+
+  } catch (error) {
+    console.error('Get room timetable error:', error);
+    errorResponse(res, 'Failed to get room timetable', 500);
+  }
+};
+
+/**
+ * One day's lessons for a class or teacher with confirmed substitutes applied
+ */
+const getClassDay = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { date } = req.query;
+    const cls = await loadClass(pool, classId);
+
+    if (!cls) {
+      return errorResponse(res, 'Class not found', 404);
+    }
+
+    if (!hasSchoolAccess(req.user, cls.school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const lessons = await substitutionService.getDaySchedule({ classId }, date);
+
+    successResponse(res, { classId, className: cls.name, date, lessons });
+
+  } catch (error) {
+    console.error('Get class day timetable error:', error);
+    errorResponse(res, 'Failed to get class timetable', 500);
+  }
+};
+
+const getTeacherDay = async (req, res) => {
+  try {
+    const { teacherId } = req.params;
+    const { date } = req.query;
+
+    const teacherResult = await pool.query('SELECT id, school_id FROM teacher_profiles WHERE id = $1', [teacherId]);
+
+    if (teacherResult.rows.length === 0) {
+      return errorResponse(res, 'Teacher not found', 404);
+    }
+
+    if (!hasSchoolAccess(req.user, teacherResult.rows[0].school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const lessons = await substitutionService.getDaySchedule({ teacherId }, date);
+
+    successResponse(res, { teacherId, date, lessons });
+
+  } catch (error) {
+    console.error('Get teacher day timetable error:', error);
+    errorResponse(res, 'Failed to get teacher timetable', 500);
+  }
+};
+
+module.exports = {
+  getTimetableSlots,
+  createTimetableSlot,
+  updateTimetableSlot,
+  deleteTimetableSlot,
+  importTimetableWeek,
+  getClassWeek,
+  getTeacherWeek,
+  getRoomWeek,
+  getClassDay,
+  getTeacherDay
+};
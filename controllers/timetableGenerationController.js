@@ -0,0 +1,335 @@
+const pool = require('../config/database');
+const timetableService = require('../services/timetableService');
+const timetableGeneratorService = require('../services/timetableGeneratorService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const {
+  successResponse,
+  errorResponse,
+  hasSchoolAccess,
+  hasSchoolRole,
+  buildAuditContext
+} = require('../utils/helpers');
+
+// Changing the period grid or generating, applying and discarding drafts needs one of these roles at the school
+const TIMETABLE_ADMIN_ROLES = ['Super Admin', 'Admin', 'Principal'];
+
+const formatGeneration = (generation) => ({
+  id: generation.id,
+  schoolId: generation.school_id,
+  classIds: generation.class_ids,
+  status: generation.status,
+  seed: generation.seed,
+  unmet: generation.unmet,
+  createdBy: generation.created_by,
+  createdAt: generation.created_at,
+  publishedBy: generation.published_by,
+  publishedAt: generation.published_at,
+  discardedAt: generation.discarded_at
+});
+
+// Draft slots grouped per class, each as a weekly grid
+const groupByClass = (slots) => {
+  const classes = new Map();
+  slots.forEach(slot => {
+    if (!classes.has(slot.class_id)) {
+      classes.set(slot.class_id, { classId: slot.class_id, className: slot.class_name, slots: [] });
+    }
+    classes.get(slot.class_id).slots.push(slot);
+  });
+
+  return [...classes.values()].map(({ slots: classSlots, ...cls }) => ({
+    ...cls,
+    schedule: timetableService.groupByDay(classSlots)
+  }));
+};
+
+const getPeriodGrid = async (req, res) => {
+  try {
+    const { school_id } = req.query;
+
+    if (!hasSchoolAccess(req.user, school_id)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const grid = await timetableGeneratorService.getPeriodGrid(school_id);
+
+    if (!grid) {
+      return errorResponse(res, 'No period grid has been set for this school', 404);
+    }
+
+    successResponse(res, grid);
+
+  } catch (error) {
+    console.error('Get period grid error:', error);
+    errorResponse(res, 'Failed to get period grid', 500);
+  }
+};
+
+const updatePeriodGrid = async (req, res) => {
+  try {
+    const { school_id, days, periods } = req.body;
+
+    if (!hasSchoolRole(req.user, school_id, TIMETABLE_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const grid = { days, periods: periods.map(({ start_time, end_time }) => ({ start_time, end_time })) };
+    const errors = timetableGeneratorService.validatePeriodGrid(grid);
+
+    if (errors.length > 0) {
+      return errorResponse(res, 'Invalid period grid', 400, errors);
+    }
+
+    grid.periods.sort((a, b) => (a.start_time > b.start_time ? 1 : -1));
+    const settingId = await timetableGeneratorService.savePeriodGrid(school_id, grid);
+
+    await logDatabaseOperation('UPDATE', 'tenant_settings', settingId, null, grid, {
+      ...buildAuditContext(req),
+      schoolId: school_id
+    });
+
+    successResponse(res, grid, 'Period grid saved successfully');
+
+  } catch (error) {
+    console.error('Update period grid error:', error);
+    errorResponse(res, 'Failed to save period grid', 500);
+  }
+};
+
+/**
+ * Solve the requirements into a draft timetable for the classes they cover.
+ * The draft is saved inactive for review (or only returned, with dry_run)
+ * and replaces those classes' current slots when published.
+ */
+const generateTimetable = async (req, res) => {
+  try {
+    const {
+      school_id,
+      requirements,
+      teacher_unavailability = [],
+      rooms = [],
+      period_grid,
+      attempts,
+      seed,
+      dry_run = false
+    } = req.body;
+
+    if (!hasSchoolRole(req.user, school_id, TIMETABLE_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const grid = period_grid || await timetableGeneratorService.getPeriodGrid(school_id);
+
+    if (!grid) {
+      return errorResponse(res, 'No period grid set for this school; save one or pass period_grid', 400);
+    }
+
+    const gridErrors = timetableGeneratorService.validatePeriodGrid(grid);
+    if (gridErrors.length > 0) {
+      return errorResponse(res, 'Invalid period grid', 400, gridErrors);
+    }
+
+    const invalid = await timetableService.findInvalidReferences(school_id, requirements);
+    if (invalid) {
+      return errorResponse(res, 'Subject or teacher not found in this school', 400, invalid);
+    }
+
+    const classIds = [...new Set(requirements.map(requirement => requirement.class_id))];
+    const teacherIds = [...new Set(requirements.map(requirement => requirement.teacher_id))];
+    const { classes, busySlots, teacherCommitments } = await timetableGeneratorService.loadContext(
+      school_id, classIds, grid, teacherIds
+    );
+
+    const missingClasses = classIds.filter(id => !classes.some(cls => cls.id === id));
+    if (missingClasses.length > 0) {
+      return errorResponse(res, 'Some classes were not found in this school', 400, { classIds: missingClasses });
+    }
+
+    const result = timetableGeneratorService.solve({
+      grid,
+      classes,
+      requirements,
+      busySlots,
+      teacherCommitments,
+      unavailability: teacher_unavailability,
+      rooms,
+      attempts,
+      seed
+    });
+
+    if (dry_run) {
+      const slots = await timetableGeneratorService.nameSlots(result.slots, classes);
+
+      return successResponse(res, {
+        dryRun: true,
+        seed: result.seed,
+        slots: slots.map(slot => timetableService.formatSlot(slot)),
+        unmet: result.unmet
+      }, result.unmet.length > 0 ? 'Draft leaves some requirements unmet' : 'Draft satisfies every requirement');
+    }
+
+    const client = await pool.connect();
+    let generation;
+    let draftSlots;
+
+    try {
+      await client.query('BEGIN');
+
+      generation = await timetableGeneratorService.saveDraft(client, {
+        schoolId: school_id,
+        classIds,
+        input: { requirements, teacher_unavailability, rooms, period_grid: grid },
+        result,
+        userId: req.user.id
+      });
+      draftSlots = await timetableGeneratorService.getDraftSlots(generation.id, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await logDatabaseOperation('CREATE', 'timetable_generations', generation.id, null, generation, {
+      ...buildAuditContext(req),
+      schoolId: school_id
+    });
+
+    successResponse(res, {
+      ...formatGeneration(generation),
+      classes: groupByClass(draftSlots)
+    }, result.unmet.length > 0 ? 'Draft saved; some requirements could not be met' : 'Draft saved', 201);
+
+  } catch (error) {
+    console.error('Generate timetable error:', error);
+    errorResponse(res, 'Failed to generate timetable', 500);
+  }
+};
+
+const getGeneration = async (req, res) => {
+  try {
+    const generation = await timetableGeneratorService.findGeneration(req.params.id);
+
+    if (!generation) {
+      return errorResponse(res, 'Timetable draft not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, generation.school_id, TIMETABLE_ADMIN_ROLES)) {
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    const draftSlots = await timetableGeneratorService.getDraftSlots(generation.id);
+
+    successResponse(res, { ...formatGeneration(generation), classes: groupByClass(draftSlots) });
+
+  } catch (error) {
+    console.error('Get timetable draft error:', error);
+    errorResponse(res, 'Failed to get timetable draft', 500);
+  }
+};
+
+const publishGeneration = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const generation = await timetableGeneratorService.findGeneration(req.params.id, client, true);
+
+    if (!generation) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Timetable draft not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, generation.school_id, TIMETABLE_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (generation.status !== 'draft') {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Timetable draft is already ${generation.status}`, 409);
+    }
+
+    const outcome = await timetableGeneratorService.publish(client, generation, req.user.id);
+
+    if (outcome.conflicts) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Draft conflicts with slots added since it was generated', 409, {
+        conflicts: outcome.conflicts
+      });
+    }
+
+    await client.query('COMMIT');
+
+    await logDatabaseOperation('UPDATE', 'timetable_generations', generation.id, generation, {
+      ...generation,
+      status: 'published'
+    }, {
+      ...buildAuditContext(req),
+      schoolId: generation.school_id
+    });
+
+    successResponse(res, {
+      id: generation.id,
+      replaced: outcome.replaced,
+      activated: outcome.activated
+    }, 'Timetable published successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Publish timetable draft error:', error);
+    errorResponse(res, 'Failed to publish timetable draft', 500);
+  } finally {
+    client.release();
+  }
+};
+
+const discardGeneration = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const generation = await timetableGeneratorService.findGeneration(req.params.id, client, true);
+
+    if (!generation) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Timetable draft not found', 404);
+    }
+
+    if (!hasSchoolRole(req.user, generation.school_id, TIMETABLE_ADMIN_ROLES)) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 'Access denied to this school', 403);
+    }
+
+    if (generation.status !== 'draft') {
+      await client.query('ROLLBACK');
+      return errorResponse(res, `Timetable draft is already ${generation.status}`, 409);
+    }
+
+    await timetableGeneratorService.discard(client, generation);
+
+    await client.query('COMMIT');
+
+    successResponse(res, null, 'Timetable draft discarded');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Discard timetable draft error:', error);
+    errorResponse(res, 'Failed to discard timetable draft', 500);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getPeriodGrid,
+  updatePeriodGrid,
+  generateTimetable,
+  getGeneration,
+  publishGeneration,
+  discardGeneration
+};
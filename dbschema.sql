@@ -19,6 +19,9 @@ CREATE TABLE public.announcements (
   title text NOT NULL,
   content text NOT NULL,
   target_audience text NOT NULL,
+  target_roles ARRAY DEFAULT '{}'::text[],
+  target_class_ids ARRAY DEFAULT '{}'::uuid[],
+  target_grade_levels ARRAY DEFAULT '{}'::integer[],
   priority text DEFAULT 'normal'::text CHECK (priority = ANY (ARRAY['low'::text, 'normal'::text, 'high'::text, 'urgent'::text])),
   is_published boolean DEFAULT false,
   published_at timestamp with time zone,
@@ -35,6 +38,7 @@ CREATE TABLE public.attendance (
   student_id uuid NOT NULL,
   class_id uuid NOT NULL,
   date date NOT NULL,
+  timetable_id uuid,
   status text NOT NULL CHECK (status = ANY (ARRAY['present'::text, 'absent'::text, 'late'::text, 'excused'::text])),
   marked_by uuid NOT NULL,
   notes text,
@@ -43,7 +47,27 @@ CREATE TABLE public.attendance (
   CONSTRAINT attendance_pkey PRIMARY KEY (id),
   CONSTRAINT attendance_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.student_profiles(id),
   CONSTRAINT attendance_class_id_fkey FOREIGN KEY (class_id) REFERENCES public.classes(id),
-  CONSTRAINT attendance_marked_by_fkey FOREIGN KEY (marked_by) REFERENCES public.users(id)
+  CONSTRAINT attendance_marked_by_fkey FOREIGN KEY (marked_by) REFERENCES public.users(id),
+  CONSTRAINT attendance_timetable_id_fkey FOREIGN KEY (timetable_id) REFERENCES public.timetables(id)
+);
+CREATE TABLE public.attendance_alerts (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  school_id uuid NOT NULL,
+  student_id uuid NOT NULL,
+  parent_id uuid NOT NULL,
+  alert_date date NOT NULL,
+  channel text NOT NULL CHECK (channel = ANY (ARRAY['sms'::text, 'email'::text])),
+  recipient text,
+  attendance_ids ARRAY NOT NULL,
+  message text,
+  status text NOT NULL CHECK (status = ANY (ARRAY['sent'::text, 'digested'::text, 'skipped'::text, 'failed'::text])),
+  provider_message_id text,
+  error_message text,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT attendance_alerts_pkey PRIMARY KEY (id),
+  CONSTRAINT attendance_alerts_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id),
+  CONSTRAINT attendance_alerts_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.student_profiles(id),
+  CONSTRAINT attendance_alerts_parent_id_fkey FOREIGN KEY (parent_id) REFERENCES public.parent_profiles(id)
 );
 CREATE TABLE public.audit_configuration (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
@@ -149,6 +173,23 @@ CREATE TABLE public.data_access_logs (
   CONSTRAINT fk_data_access_user FOREIGN KEY (user_id) REFERENCES public.users(id),
   CONSTRAINT fk_data_access_school FOREIGN KEY (school_id) REFERENCES public.schools(id)
 );
+CREATE TABLE public.email_digest_items (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  user_id uuid NOT NULL,
+  recipient_email character varying NOT NULL,
+  notification_type character varying NOT NULL,
+  frequency character varying NOT NULL CHECK (frequency::text = ANY (ARRAY['daily'::character varying, 'weekly'::character varying]::text[])),
+  subject character varying NOT NULL,
+  template_name character varying,
+  template_data jsonb,
+  tracking_id character varying,
+  digested_at timestamp with time zone,
+  queue_id uuid,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT email_digest_items_pkey PRIMARY KEY (id),
+  CONSTRAINT email_digest_items_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id),
+  CONSTRAINT email_digest_items_queue_id_fkey FOREIGN KEY (queue_id) REFERENCES public.email_queue(id)
+);
 CREATE TABLE public.email_logs (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
   recipient_email character varying NOT NULL,
@@ -164,7 +205,10 @@ CREATE TABLE public.email_logs (
   sent_at timestamp with time zone DEFAULT now(),
   created_at timestamp with time zone DEFAULT now(),
   updated_at timestamp with time zone DEFAULT now(),
-  CONSTRAINT email_logs_pkey PRIMARY KEY (id)
+  queue_id uuid,
+  attempts integer DEFAULT 0,
+  CONSTRAINT email_logs_pkey PRIMARY KEY (id),
+  CONSTRAINT email_logs_queue_id_fkey FOREIGN KEY (queue_id) REFERENCES public.email_queue(id)
 );
 CREATE TABLE public.email_preferences (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
@@ -188,17 +232,43 @@ CREATE TABLE public.email_queue (
   priority integer DEFAULT 5,
   max_attempts integer DEFAULT 3,
   attempts integer DEFAULT 0,
-  status character varying DEFAULT 'pending'::character varying,
+  status character varying DEFAULT 'pending'::character varying CHECK (status::text = ANY (ARRAY['pending'::character varying, 'processing'::character varying, 'sent'::character varying, 'failed'::character varying]::text[])),
   scheduled_at timestamp with time zone DEFAULT now(),
   processed_at timestamp with time zone,
   error_message text,
   created_at timestamp with time zone DEFAULT now(),
   updated_at timestamp with time zone DEFAULT now(),
-  CONSTRAINT email_queue_pkey PRIMARY KEY (id)
+  html_content text,
+  text_content text,
+  attachments jsonb DEFAULT '[]'::jsonb,
+  tracking_id character varying,
+  message_id character varying,
+  locked_by character varying,
+  locked_at timestamp with time zone,
+  school_id uuid,
+  language character varying DEFAULT 'en'::character varying,
+  CONSTRAINT email_queue_pkey PRIMARY KEY (id),
+  CONSTRAINT email_queue_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id)
+);
+CREATE TABLE public.email_template_versions (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  template_id uuid NOT NULL,
+  version integer NOT NULL,
+  subject_template character varying NOT NULL,
+  html_template text NOT NULL,
+  text_template text,
+  comment text,
+  restored_from_version integer,
+  created_by uuid,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT email_template_versions_pkey PRIMARY KEY (id),
+  CONSTRAINT email_template_versions_template_id_version_key UNIQUE (template_id, version),
+  CONSTRAINT email_template_versions_template_id_fkey FOREIGN KEY (template_id) REFERENCES public.email_templates(id),
+  CONSTRAINT email_template_versions_created_by_fkey FOREIGN KEY (created_by) REFERENCES public.users(id)
 );
 CREATE TABLE public.email_templates (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
-  name character varying NOT NULL UNIQUE,
+  name character varying NOT NULL,
   subject_template character varying NOT NULL,
   html_template text NOT NULL,
   text_template text,
@@ -208,8 +278,13 @@ CREATE TABLE public.email_templates (
   created_by uuid,
   created_at timestamp with time zone DEFAULT now(),
   updated_at timestamp with time zone DEFAULT now(),
+  school_id uuid,
+  language character varying NOT NULL DEFAULT 'en'::character varying,
+  current_version integer NOT NULL DEFAULT 0,
   CONSTRAINT email_templates_pkey PRIMARY KEY (id),
-  CONSTRAINT email_templates_created_by_fkey FOREIGN KEY (created_by) REFERENCES public.users(id)
+  CONSTRAINT email_templates_school_id_name_language_key UNIQUE (school_id, name, language),
+  CONSTRAINT email_templates_created_by_fkey FOREIGN KEY (created_by) REFERENCES public.users(id),
+  CONSTRAINT email_templates_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id)
 );
 CREATE TABLE public.enrollments (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
@@ -257,6 +332,32 @@ CREATE TABLE public.feature_usage (
   CONSTRAINT feature_usage_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id),
   CONSTRAINT feature_usage_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id)
 );
+CREATE TABLE public.fee_discounts (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  school_id uuid NOT NULL,
+  academic_year_id uuid,
+  name text NOT NULL,
+  kind text NOT NULL CHECK (kind = ANY (ARRAY['discount'::text, 'scholarship'::text, 'waiver'::text])),
+  value_type text NOT NULL CHECK (value_type = ANY (ARRAY['percentage'::text, 'fixed'::text])),
+  value numeric NOT NULL CHECK (value > 0::numeric),
+  scope text NOT NULL CHECK (scope = ANY (ARRAY['fee_type'::text, 'student'::text, 'sibling'::text])),
+  fee_type text,
+  student_id uuid,
+  min_siblings integer CHECK (min_siblings >= 1),
+  reason text NOT NULL,
+  status text NOT NULL DEFAULT 'pending'::text CHECK (status = ANY (ARRAY['pending'::text, 'approved'::text, 'rejected'::text, 'revoked'::text])),
+  requested_by uuid NOT NULL,
+  decided_by uuid,
+  decided_at timestamp with time zone,
+  decision_note text,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT fee_discounts_pkey PRIMARY KEY (id),
+  CONSTRAINT fee_discounts_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id),
+  CONSTRAINT fee_discounts_academic_year_id_fkey FOREIGN KEY (academic_year_id) REFERENCES public.academic_years(id),
+  CONSTRAINT fee_discounts_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.student_profiles(id),
+  CONSTRAINT fee_discounts_requested_by_fkey FOREIGN KEY (requested_by) REFERENCES public.users(id),
+  CONSTRAINT fee_discounts_decided_by_fkey FOREIGN KEY (decided_by) REFERENCES public.users(id)
+);
 CREATE TABLE public.fee_payments (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
   student_fee_id uuid NOT NULL,
@@ -271,6 +372,26 @@ CREATE TABLE public.fee_payments (
   CONSTRAINT fee_payments_student_fee_id_fkey FOREIGN KEY (student_fee_id) REFERENCES public.student_fees(id),
   CONSTRAINT fee_payments_received_by_fkey FOREIGN KEY (received_by) REFERENCES public.users(id)
 );
+CREATE TABLE public.fee_receipts (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  school_id uuid NOT NULL,
+  academic_year_id uuid NOT NULL,
+  fee_payment_id uuid NOT NULL UNIQUE,
+  sequence_number integer NOT NULL,
+  receipt_number text NOT NULL UNIQUE,
+  issued_by uuid,
+  issued_at timestamp with time zone DEFAULT now(),
+  print_count integer NOT NULL DEFAULT 0,
+  last_printed_at timestamp with time zone,
+  emailed_to text,
+  emailed_at timestamp with time zone,
+  CONSTRAINT fee_receipts_pkey PRIMARY KEY (id),
+  CONSTRAINT fee_receipts_school_id_academic_year_id_sequence_number_key UNIQUE (school_id, academic_year_id, sequence_number),
+  CONSTRAINT fee_receipts_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id),
+  CONSTRAINT fee_receipts_academic_year_id_fkey FOREIGN KEY (academic_year_id) REFERENCES public.academic_years(id),
+  CONSTRAINT fee_receipts_fee_payment_id_fkey FOREIGN KEY (fee_payment_id) REFERENCES public.fee_payments(id),
+  CONSTRAINT fee_receipts_issued_by_fkey FOREIGN KEY (issued_by) REFERENCES public.users(id)
+);
 CREATE TABLE public.fee_structures (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
   school_id uuid NOT NULL,
@@ -310,6 +431,65 @@ CREATE TABLE public.grades (
   CONSTRAINT grades_term_id_fkey FOREIGN KEY (term_id) REFERENCES public.terms(id),
   CONSTRAINT grades_assessed_by_fkey FOREIGN KEY (assessed_by) REFERENCES public.users(id)
 );
+CREATE TABLE public.leave_approvals (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  leave_request_id uuid NOT NULL,
+  stage text NOT NULL CHECK (stage = ANY (ARRAY['principal'::text, 'admin'::text])),
+  decision text NOT NULL CHECK (decision = ANY (ARRAY['approved'::text, 'rejected'::text])),
+  decided_by uuid NOT NULL,
+  comment text,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT leave_approvals_pkey PRIMARY KEY (id),
+  CONSTRAINT leave_approvals_leave_request_id_fkey FOREIGN KEY (leave_request_id) REFERENCES public.leave_requests(id),
+  CONSTRAINT leave_approvals_decided_by_fkey FOREIGN KEY (decided_by) REFERENCES public.users(id)
+);
+CREATE TABLE public.leave_balances (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  teacher_id uuid NOT NULL,
+  leave_type_id uuid NOT NULL,
+  year integer NOT NULL,
+  allowance numeric NOT NULL CHECK (allowance >= 0::numeric),
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT leave_balances_pkey PRIMARY KEY (id),
+  CONSTRAINT leave_balances_teacher_id_leave_type_id_year_key UNIQUE (teacher_id, leave_type_id, year),
+  CONSTRAINT leave_balances_teacher_id_fkey FOREIGN KEY (teacher_id) REFERENCES public.teacher_profiles(id),
+  CONSTRAINT leave_balances_leave_type_id_fkey FOREIGN KEY (leave_type_id) REFERENCES public.leave_types(id)
+);
+CREATE TABLE public.leave_requests (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  school_id uuid NOT NULL,
+  teacher_id uuid NOT NULL,
+  leave_type_id uuid NOT NULL,
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  days numeric NOT NULL,
+  days_by_year jsonb NOT NULL,
+  reason text,
+  status text NOT NULL DEFAULT 'pending'::text CHECK (status = ANY (ARRAY['pending'::text, 'approved'::text, 'rejected'::text, 'cancelled'::text])),
+  current_stage text CHECK (current_stage = ANY (ARRAY['principal'::text, 'admin'::text])),
+  absence_id uuid,
+  requested_by uuid,
+  created_at timestamp with time zone DEFAULT now(),
+  decided_at timestamp with time zone,
+  CONSTRAINT leave_requests_pkey PRIMARY KEY (id),
+  CONSTRAINT leave_requests_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id),
+  CONSTRAINT leave_requests_teacher_id_fkey FOREIGN KEY (teacher_id) REFERENCES public.teacher_profiles(id),
+  CONSTRAINT leave_requests_leave_type_id_fkey FOREIGN KEY (leave_type_id) REFERENCES public.leave_types(id),
+  CONSTRAINT leave_requests_absence_id_fkey FOREIGN KEY (absence_id) REFERENCES public.teacher_absences(id),
+  CONSTRAINT leave_requests_requested_by_fkey FOREIGN KEY (requested_by) REFERENCES public.users(id)
+);
+CREATE TABLE public.leave_types (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  school_id uuid NOT NULL,
+  name text NOT NULL,
+  annual_allowance numeric NOT NULL CHECK (annual_allowance >= 0::numeric),
+  is_paid boolean NOT NULL DEFAULT true,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT leave_types_pkey PRIMARY KEY (id),
+  CONSTRAINT leave_types_school_id_name_key UNIQUE (school_id, name),
+  CONSTRAINT leave_types_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id)
+);
 CREATE TABLE public.library_books (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
   school_id uuid NOT NULL,
@@ -338,6 +518,7 @@ CREATE TABLE public.library_issues (
   return_date date,
   returned_by uuid,
   fine_amount numeric DEFAULT 0,
+  renewal_count integer DEFAULT 0,
   status text DEFAULT 'issued'::text CHECK (status = ANY (ARRAY['issued'::text, 'returned'::text, 'overdue'::text, 'lost'::text])),
   notes text,
   created_at timestamp with time zone DEFAULT now(),
@@ -348,18 +529,96 @@ CREATE TABLE public.library_issues (
   CONSTRAINT library_issues_issued_by_fkey FOREIGN KEY (issued_by) REFERENCES public.users(id),
   CONSTRAINT library_issues_returned_by_fkey FOREIGN KEY (returned_by) REFERENCES public.users(id)
 );
+CREATE TABLE public.message_attachments (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  message_id uuid NOT NULL,
+  filename character varying NOT NULL,
+  content_type character varying NOT NULL,
+  size_bytes integer NOT NULL,
+  content bytea NOT NULL,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT message_attachments_pkey PRIMARY KEY (id),
+  CONSTRAINT message_attachments_message_id_fkey FOREIGN KEY (message_id) REFERENCES public.messages(id)
+);
+CREATE TABLE public.message_receipts (
+  message_id uuid NOT NULL,
+  user_id uuid NOT NULL,
+  read_at timestamp with time zone,
+  nudged_at timestamp with time zone,
+  CONSTRAINT message_receipts_pkey PRIMARY KEY (message_id, user_id),
+  CONSTRAINT message_receipts_message_id_fkey FOREIGN KEY (message_id) REFERENCES public.messages(id),
+  CONSTRAINT message_receipts_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id)
+);
+CREATE TABLE public.message_thread_participants (
+  thread_id uuid NOT NULL,
+  user_id uuid NOT NULL,
+  role character varying NOT NULL CHECK (role::text = ANY (ARRAY['teacher'::character varying, 'guardian'::character varying]::text[])),
+  joined_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT message_thread_participants_pkey PRIMARY KEY (thread_id, user_id),
+  CONSTRAINT message_thread_participants_thread_id_fkey FOREIGN KEY (thread_id) REFERENCES public.message_threads(id),
+  CONSTRAINT message_thread_participants_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id)
+);
+CREATE TABLE public.message_threads (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  school_id uuid NOT NULL,
+  student_id uuid NOT NULL,
+  teacher_id uuid NOT NULL,
+  subject character varying NOT NULL,
+  status character varying NOT NULL DEFAULT 'open'::character varying CHECK (status::text = ANY (ARRAY['open'::character varying, 'locked'::character varying]::text[])),
+  locked_by uuid,
+  locked_at timestamp with time zone,
+  lock_reason text,
+  created_by uuid NOT NULL,
+  last_message_at timestamp with time zone DEFAULT now(),
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT message_threads_pkey PRIMARY KEY (id),
+  CONSTRAINT message_threads_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id),
+  CONSTRAINT message_threads_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.student_profiles(id),
+  CONSTRAINT message_threads_teacher_id_fkey FOREIGN KEY (teacher_id) REFERENCES public.users(id),
+  CONSTRAINT message_threads_locked_by_fkey FOREIGN KEY (locked_by) REFERENCES public.users(id),
+  CONSTRAINT message_threads_created_by_fkey FOREIGN KEY (created_by) REFERENCES public.users(id)
+);
+CREATE TABLE public.messages (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  thread_id uuid NOT NULL,
+  sender_id uuid NOT NULL,
+  body text NOT NULL,
+  is_hidden boolean NOT NULL DEFAULT false,
+  hidden_by uuid,
+  hidden_at timestamp with time zone,
+  hidden_reason text,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT messages_pkey PRIMARY KEY (id),
+  CONSTRAINT messages_thread_id_fkey FOREIGN KEY (thread_id) REFERENCES public.message_threads(id),
+  CONSTRAINT messages_sender_id_fkey FOREIGN KEY (sender_id) REFERENCES public.users(id),
+  CONSTRAINT messages_hidden_by_fkey FOREIGN KEY (hidden_by) REFERENCES public.users(id)
+);
+CREATE TABLE public.notification_stream_tickets (
+  token_hash character varying NOT NULL,
+  user_id uuid NOT NULL,
+  expires_at timestamp with time zone NOT NULL,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT notification_stream_tickets_pkey PRIMARY KEY (token_hash),
+  CONSTRAINT notification_stream_tickets_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id)
+);
 CREATE TABLE public.notifications (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
   recipient_id uuid NOT NULL,
+  school_id uuid,
   title text NOT NULL,
   message text NOT NULL,
   type text DEFAULT 'info'::text CHECK (type = ANY (ARRAY['info'::text, 'warning'::text, 'success'::text, 'error'::text])),
+  category character varying NOT NULL DEFAULT 'general'::character varying,
+  link character varying,
+  data jsonb,
   is_read boolean DEFAULT false,
   read_at timestamp with time zone,
   sent_by uuid,
   created_at timestamp with time zone DEFAULT now(),
   CONSTRAINT notifications_pkey PRIMARY KEY (id),
   CONSTRAINT notifications_recipient_id_fkey FOREIGN KEY (recipient_id) REFERENCES public.users(id),
+  CONSTRAINT notifications_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id),
   CONSTRAINT notifications_sent_by_fkey FOREIGN KEY (sent_by) REFERENCES public.users(id)
 );
 CREATE TABLE public.parent_profiles (
@@ -369,6 +628,8 @@ CREATE TABLE public.parent_profiles (
   occupation text,
   workplace text,
   annual_income numeric,
+  alert_channel text DEFAULT 'sms'::text CHECK (alert_channel = ANY (ARRAY['sms'::text, 'email'::text, 'both'::text, 'none'::text])),
+  preferred_language text DEFAULT 'en'::text CHECK (preferred_language = ANY (ARRAY['en'::text, 'am'::text])),
   created_at timestamp with time zone DEFAULT now(),
   updated_at timestamp with time zone DEFAULT now(),
   CONSTRAINT parent_profiles_pkey PRIMARY KEY (id),
@@ -411,6 +672,29 @@ CREATE TABLE public.permissions (
   created_at timestamp with time zone DEFAULT now(),
   CONSTRAINT permissions_pkey PRIMARY KEY (id)
 );
+CREATE TABLE public.receipt_sequences (
+  school_id uuid NOT NULL,
+  academic_year_id uuid NOT NULL,
+  last_number integer NOT NULL DEFAULT 0,
+  CONSTRAINT receipt_sequences_pkey PRIMARY KEY (school_id, academic_year_id),
+  CONSTRAINT receipt_sequences_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id),
+  CONSTRAINT receipt_sequences_academic_year_id_fkey FOREIGN KEY (academic_year_id) REFERENCES public.academic_years(id)
+);
+CREATE TABLE public.report_card_remarks (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  student_id uuid NOT NULL,
+  term_id uuid NOT NULL,
+  class_teacher_remarks text,
+  principal_remarks text,
+  updated_by uuid,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT report_card_remarks_pkey PRIMARY KEY (id),
+  CONSTRAINT report_card_remarks_student_term_key UNIQUE (student_id, term_id),
+  CONSTRAINT report_card_remarks_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.student_profiles(id),
+  CONSTRAINT report_card_remarks_term_id_fkey FOREIGN KEY (term_id) REFERENCES public.terms(id),
+  CONSTRAINT report_card_remarks_updated_by_fkey FOREIGN KEY (updated_by) REFERENCES public.users(id)
+);
 CREATE TABLE public.role_permissions (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
   role_id uuid NOT NULL,
@@ -466,6 +750,17 @@ CREATE TABLE public.schools (
   CONSTRAINT schools_pkey PRIMARY KEY (id),
   CONSTRAINT schools_principal_id_fkey FOREIGN KEY (principal_id) REFERENCES public.users(id)
 );
+CREATE TABLE public.student_fee_discounts (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  student_fee_id uuid NOT NULL,
+  fee_discount_id uuid NOT NULL,
+  amount numeric NOT NULL,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT student_fee_discounts_pkey PRIMARY KEY (id),
+  CONSTRAINT student_fee_discounts_student_fee_id_fee_discount_id_key UNIQUE (student_fee_id, fee_discount_id),
+  CONSTRAINT student_fee_discounts_student_fee_id_fkey FOREIGN KEY (student_fee_id) REFERENCES public.student_fees(id),
+  CONSTRAINT student_fee_discounts_fee_discount_id_fkey FOREIGN KEY (fee_discount_id) REFERENCES public.fee_discounts(id)
+);
 CREATE TABLE public.student_fees (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
   student_id uuid NOT NULL,
@@ -473,9 +768,12 @@ CREATE TABLE public.student_fees (
   amount numeric NOT NULL,
   due_date date NOT NULL,
   status text DEFAULT 'unpaid'::text CHECK (status = ANY (ARRAY['unpaid'::text, 'partially_paid'::text, 'paid'::text, 'overdue'::text, 'waived'::text])),
+  carried_forward_to uuid,
+  installment_number integer,
   created_at timestamp with time zone DEFAULT now(),
   updated_at timestamp with time zone DEFAULT now(),
   CONSTRAINT student_fees_pkey PRIMARY KEY (id),
+  CONSTRAINT student_fees_carried_forward_to_fkey FOREIGN KEY (carried_forward_to) REFERENCES public.student_fees(id),
   CONSTRAINT student_fees_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.student_profiles(id),
   CONSTRAINT student_fees_fee_structure_id_fkey FOREIGN KEY (fee_structure_id) REFERENCES public.fee_structures(id)
 );
@@ -528,6 +826,21 @@ CREATE TABLE public.subscription_plans (
   updated_at timestamp with time zone DEFAULT now(),
   CONSTRAINT subscription_plans_pkey PRIMARY KEY (id)
 );
+CREATE TABLE public.substitutions (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  absence_id uuid NOT NULL,
+  timetable_id uuid NOT NULL,
+  date date NOT NULL,
+  substitute_teacher_id uuid NOT NULL,
+  status text NOT NULL DEFAULT 'confirmed'::text CHECK (status = ANY (ARRAY['confirmed'::text, 'cancelled'::text])),
+  confirmed_by uuid,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT substitutions_pkey PRIMARY KEY (id),
+  CONSTRAINT substitutions_absence_id_fkey FOREIGN KEY (absence_id) REFERENCES public.teacher_absences(id),
+  CONSTRAINT substitutions_timetable_id_fkey FOREIGN KEY (timetable_id) REFERENCES public.timetables(id),
+  CONSTRAINT substitutions_substitute_teacher_id_fkey FOREIGN KEY (substitute_teacher_id) REFERENCES public.teacher_profiles(id),
+  CONSTRAINT substitutions_confirmed_by_fkey FOREIGN KEY (confirmed_by) REFERENCES public.users(id)
+);
 CREATE TABLE public.system_events (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
   event_type character varying NOT NULL,
@@ -544,6 +857,21 @@ CREATE TABLE public.system_events (
   CONSTRAINT fk_system_event_user FOREIGN KEY (user_id) REFERENCES public.users(id),
   CONSTRAINT fk_system_event_school FOREIGN KEY (school_id) REFERENCES public.schools(id)
 );
+CREATE TABLE public.teacher_absences (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  school_id uuid NOT NULL,
+  teacher_id uuid NOT NULL,
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  reason text,
+  status text NOT NULL DEFAULT 'active'::text CHECK (status = ANY (ARRAY['active'::text, 'cancelled'::text])),
+  recorded_by uuid,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT teacher_absences_pkey PRIMARY KEY (id),
+  CONSTRAINT teacher_absences_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id),
+  CONSTRAINT teacher_absences_teacher_id_fkey FOREIGN KEY (teacher_id) REFERENCES public.teacher_profiles(id),
+  CONSTRAINT teacher_absences_recorded_by_fkey FOREIGN KEY (recorded_by) REFERENCES public.users(id)
+);
 CREATE TABLE public.teacher_profiles (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
   user_id uuid NOT NULL,
@@ -587,6 +915,24 @@ CREATE TABLE public.terms (
   CONSTRAINT terms_pkey PRIMARY KEY (id),
   CONSTRAINT terms_academic_year_id_fkey FOREIGN KEY (academic_year_id) REFERENCES public.academic_years(id)
 );
+CREATE TABLE public.timetable_generations (
+  id uuid NOT NULL DEFAULT uuid_generate_v4(),
+  school_id uuid NOT NULL,
+  class_ids ARRAY NOT NULL,
+  status text NOT NULL DEFAULT 'draft'::text CHECK (status = ANY (ARRAY['draft'::text, 'published'::text, 'discarded'::text])),
+  input jsonb NOT NULL,
+  unmet jsonb NOT NULL DEFAULT '[]'::jsonb,
+  seed integer,
+  created_by uuid,
+  published_by uuid,
+  published_at timestamp with time zone,
+  discarded_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT timetable_generations_pkey PRIMARY KEY (id),
+  CONSTRAINT timetable_generations_school_id_fkey FOREIGN KEY (school_id) REFERENCES public.schools(id),
+  CONSTRAINT timetable_generations_created_by_fkey FOREIGN KEY (created_by) REFERENCES public.users(id),
+  CONSTRAINT timetable_generations_published_by_fkey FOREIGN KEY (published_by) REFERENCES public.users(id)
+);
 CREATE TABLE public.timetables (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
   class_id uuid NOT NULL,
@@ -597,12 +943,14 @@ CREATE TABLE public.timetables (
   end_time time without time zone NOT NULL,
   room_number text,
   is_active boolean DEFAULT true,
+  generation_id uuid,
   created_at timestamp with time zone DEFAULT now(),
   updated_at timestamp with time zone DEFAULT now(),
   CONSTRAINT timetables_pkey PRIMARY KEY (id),
   CONSTRAINT timetables_class_id_fkey FOREIGN KEY (class_id) REFERENCES public.classes(id),
   CONSTRAINT timetables_subject_id_fkey FOREIGN KEY (subject_id) REFERENCES public.subjects(id),
-  CONSTRAINT timetables_teacher_id_fkey FOREIGN KEY (teacher_id) REFERENCES public.teacher_profiles(id)
+  CONSTRAINT timetables_teacher_id_fkey FOREIGN KEY (teacher_id) REFERENCES public.teacher_profiles(id),
+  CONSTRAINT timetables_generation_id_fkey FOREIGN KEY (generation_id) REFERENCES public.timetable_generations(id)
 );
 CREATE TABLE public.usage_metrics (
   id uuid NOT NULL DEFAULT uuid_generate_v4(),
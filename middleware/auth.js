@@ -1,6 +1,38 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
 
+/**
+ * An active user with their active roles, as authenticated requests see them,
+ * or null when there is no such user
+ */
+const findActiveUser = async (userId) => {
+  const userQuery = `
+    SELECT u.*, ur.role_id, r.name as role_name, ur.school_id
+    FROM users u
+    LEFT JOIN user_roles ur ON u.id = ur.user_id AND ur.is_active = true
+    LEFT JOIN roles r ON ur.role_id = r.id
+    WHERE u.id = $1 AND u.is_active = true
+  `;
+
+  const result = await pool.query(userQuery, [userId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    id: result.rows[0].id,
+    email: result.rows[0].email,
+    firstName: result.rows[0].first_name,
+    lastName: result.rows[0].last_name,
+    roles: result.rows.map(row => ({
+      roleId: row.role_id,
+      roleName: row.role_name,
+      schoolId: row.school_id
+    })).filter(role => role.roleId)
+  };
+};
+
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   
@@ -48,18 +80,9 @@ const authenticateToken = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Get user details from database
-    const userQuery = `
-      SELECT u.*, ur.role_id, r.name as role_name, ur.school_id
-      FROM users u
-      LEFT JOIN user_roles ur ON u.id = ur.user_id AND ur.is_active = true
-      LEFT JOIN roles r ON ur.role_id = r.id
-      WHERE u.id = $1 AND u.is_active = true
-    `;
-    
-    const result = await pool.query(userQuery, [decoded.userId]);
-    
-    if (result.rows.length === 0) {
+    req.user = await findActiveUser(decoded.userId);
+
+    if (!req.user) {
       return res.status(401).json({ 
         success: false,
         error: 'Invalid token',
@@ -67,18 +90,6 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    req.user = {
-      id: result.rows[0].id,
-      email: result.rows[0].email,
-      firstName: result.rows[0].first_name,
-      lastName: result.rows[0].last_name,
-      roles: result.rows.map(row => ({
-        roleId: row.role_id,
-        roleName: row.role_name,
-        schoolId: row.school_id
-      })).filter(role => role.roleId)
-    };
-
     next();
   } catch (error) {
     console.error('Token verification error:', error);
@@ -153,6 +164,7 @@ const requireSchoolAccess = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  findActiveUser,
   requireRole,
   requireSchoolAccess
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const pool = require('../config/database');
+const { hasSchoolRole } = require('../utils/helpers');
 
 /**
  * Role-Based Access Control Middleware
@@ -54,6 +55,15 @@ function hasPermission(userPermissions, module, action, schoolId = null) {
   });
 }
 
+/**
+ * Check a permission at one school, for handlers that only learn the school
+ * once the record is loaded. requirePermission must run first; on its own it
+ * accepts the permission held at any school.
+ */
+function hasSchoolPermission(req, module, action, schoolId) {
+  return Boolean(schoolId) && hasPermission(req.userPermissions || [], module, action, schoolId);
+}
+
 /**
  * Check if user has any of the specified roles
  */
@@ -175,14 +185,147 @@ async function getUserSchoolContext(userId) {
   return result.rows;
 }
 
+/**
+ * Whether a user may see a student's academic records: school staff,
+ * the student themselves, or a linked parent
+ */
+async function canViewStudent(user, student) {
+  if (hasSchoolRole(user, student.school_id, ['Super Admin', 'Admin', 'Principal', 'Teacher'])) {
+    return true;
+  }
+
+  const result = await pool.query(`
+    SELECT 1 FROM student_profiles sp
+    WHERE sp.id = $2 AND sp.user_id = $1
+    UNION
+    SELECT 1 FROM parent_student_relationships psr
+    JOIN parent_profiles pp ON psr.parent_id = pp.id
+    WHERE psr.student_id = $2 AND pp.user_id = $1
+  `, [user.id, student.id]);
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Stages a leave request passes through, in order, and the school roles
+ * that may decide each one. Super Admins may decide any stage.
+ */
+const LEAVE_APPROVAL_CHAIN = [
+  { stage: 'principal', roles: ['Principal'] },
+  { stage: 'admin', roles: ['Admin'] }
+];
+
+/**
+ * Whether a user may approve or reject a leave request at the given stage
+ */
+function canDecideLeave(user, schoolId, stage) {
+  const step = LEAVE_APPROVAL_CHAIN.find(entry => entry.stage === stage);
+  return Boolean(step) && hasSchoolRole(user, schoolId, ['Super Admin', ...step.roles]);
+}
+
+/**
+ * The stage after the given one, or null when it is the last
+ */
+function nextLeaveStage(stage) {
+  const index = LEAVE_APPROVAL_CHAIN.findIndex(entry => entry.stage === stage);
+  return index >= 0 && index < LEAVE_APPROVAL_CHAIN.length - 1 ? LEAVE_APPROVAL_CHAIN[index + 1].stage : null;
+}
+
+/**
+ * School roles that moderate teacher-guardian messaging: they can read every
+ * thread in the school, lock threads and hide messages. Super Admins moderate
+ * every school.
+ */
+const MESSAGE_MODERATOR_ROLES = ['Admin', 'Principal'];
+
+function canModerateMessages(user, schoolId) {
+  return hasSchoolRole(user, schoolId, ['Super Admin', ...MESSAGE_MODERATOR_ROLES]);
+}
+
+/**
+ * Whether a teacher teaches a student: as class teacher of, or timetabled
+ * for, a class the student is actively enrolled in
+ */
+async function teachesStudent(teacherUserId, studentId) {
+  const result = await pool.query(`
+    SELECT 1 FROM enrollments e
+    JOIN classes c ON e.class_id = c.id
+    WHERE e.student_id = $2 AND e.status = 'active'
+    AND (
+      c.class_teacher_id = $1
+      OR EXISTS (
+        SELECT 1 FROM timetables tt
+        JOIN teacher_profiles tp ON tt.teacher_id = tp.id
+        WHERE tt.class_id = c.id AND tt.is_active = true AND tp.user_id = $1
+      )
+    )
+    LIMIT 1
+  `, [teacherUserId, studentId]);
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Whether a user may start a thread about a student with a teacher: the
+ * teacher themselves, or one of the student's guardians writing to them.
+ * Either way the teacher must teach the student.
+ */
+async function canStartThread(user, student, teacherUserId) {
+  if (!(await teachesStudent(teacherUserId, student.id))) {
+    return false;
+  }
+
+  if (user.id === teacherUserId) {
+    return hasSchoolRole(user, student.school_id, ['Teacher']);
+  }
+
+  const result = await pool.query(`
+    SELECT 1 FROM parent_student_relationships psr
+    JOIN parent_profiles pp ON psr.parent_id = pp.id
+    WHERE psr.student_id = $2 AND pp.user_id = $1
+  `, [user.id, student.id]);
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Whether a user may read a thread: its participants and the school's
+ * moderators. Only participants may post in it.
+ */
+async function canViewThread(user, thread) {
+  if (canModerateMessages(user, thread.school_id)) {
+    return true;
+  }
+  return isThreadParticipant(user, thread);
+}
+
+async function isThreadParticipant(user, thread) {
+  const result = await pool.query(
+    'SELECT 1 FROM message_thread_participants WHERE thread_id = $1 AND user_id = $2',
+    [thread.id, user.id]
+  );
+  return result.rows.length > 0;
+}
+
 module.exports = {
   requirePermission,
   requireRole,
   requireSuperAdmin,
   requireAdmin,
   hasPermission,
+  hasSchoolPermission,
   hasRole,
   getUserPermissions,
   getUserSchoolContext,
+  canViewStudent,
+  LEAVE_APPROVAL_CHAIN,
+  canDecideLeave,
+  nextLeaveStage,
+  MESSAGE_MODERATOR_ROLES,
+  canModerateMessages,
+  teachesStudent,
+  canStartThread,
+  canViewThread,
+  isThreadParticipant,
   clearUserPermissionCache
 };
\ No newline at end of file
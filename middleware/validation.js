@@ -85,6 +85,37 @@ const validateAcademicYear = () => [
   body('school_id').isUUID().withMessage('Valid school ID required')
 ];
 
+const validateRollover = () => [
+  body('dry_run').optional().isBoolean().toBoolean(),
+  body('name').optional().trim().isLength({ min: 1 }).withMessage('Academic year name cannot be empty'),
+  body('start_date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Start date must be YYYY-MM-DD'),
+  body('end_date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('End date must be YYYY-MM-DD'),
+  body('terms').optional().isArray().withMessage('Terms must be an array'),
+  body('terms.*.name').trim().isLength({ min: 1 }).withMessage('Term name is required'),
+  body('terms.*.start_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Term start date must be YYYY-MM-DD'),
+  body('terms.*.end_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Term end date must be YYYY-MM-DD'),
+  body('clone_classes').optional().isBoolean().toBoolean(),
+  body('carry_arrears').optional().isBoolean().toBoolean(),
+  body('set_current').optional().isBoolean().toBoolean()
+];
+
+const validateTerm = () => [
+  body('academic_year_id').isUUID().withMessage('Valid academic year ID required'),
+  body('name').trim().isLength({ min: 1 }).withMessage('Term name is required'),
+  body('start_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Start date must be YYYY-MM-DD'),
+  body('end_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('End date must be YYYY-MM-DD')
+    .custom((value, { req }) => value > req.body.start_date).withMessage('End date must be after start date'),
+  body('is_current').optional().isBoolean().toBoolean()
+];
+
+const validateTermUpdate = () => [
+  body('name').optional().trim().isLength({ min: 1 }).withMessage('Term name cannot be empty'),
+  body('start_date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Start date must be YYYY-MM-DD'),
+  body('end_date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('End date must be YYYY-MM-DD')
+    .custom((value, { req }) => !req.body.start_date || value > req.body.start_date).withMessage('End date must be after start date'),
+  body('is_current').optional().isBoolean().toBoolean()
+];
+
 const validateClass = () => [
   body('name').trim().isLength({ min: 1 }).withMessage('Class name is required'),
   body('grade_level').isInt({ min: 1, max: 12 }).withMessage('Grade level must be between 1 and 12'),
@@ -95,17 +126,448 @@ const validateClass = () => [
 const validateAttendance = () => [
   body('student_id').isUUID().withMessage('Valid student ID required'),
   body('class_id').isUUID().withMessage('Valid class ID required'),
-  body('date').isISO8601().withMessage('Valid date required'),
+  body('date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD')
+    .custom(value => value <= new Date().toLocaleDateString('en-CA')).withMessage('Attendance cannot be marked for a future date'),
   body('status').isIn(['present', 'absent', 'late', 'excused']).withMessage('Invalid attendance status')
 ];
 
+// Enrollment validation
+const validateEnrollment = () => [
+  body('student_id').isUUID().withMessage('Valid student ID required'),
+  body('class_id').isUUID().withMessage('Valid class ID required'),
+  body('enrollment_date').optional().isISO8601().withMessage('Valid enrollment date required')
+];
+
+const validateEnrollmentTransfer = () => [
+  body('class_id').isUUID().withMessage('Valid target class ID required')
+];
+
+const validatePromotion = () => [
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  body('from_academic_year_id').isUUID().withMessage('Valid current academic year ID required'),
+  body('to_academic_year_id').isUUID().withMessage('Valid target academic year ID required'),
+  body('grade_level').isInt({ min: 1, max: 11 }).toInt().withMessage('Grade level must be between 1 and 11'),
+  body('class_mapping').optional().isObject().withMessage('Class mapping must be an object of class IDs'),
+  body('exclude_student_ids').optional().isArray().withMessage('Excluded students must be an array'),
+  body('exclude_student_ids.*').optional().isUUID().withMessage('Invalid student ID')
+];
+
+const validateGraduation = () => [
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  body('academic_year_id').isUUID().withMessage('Valid academic year ID required'),
+  body('grade_level').optional().isInt({ min: 1, max: 12 }).toInt().withMessage('Grade level must be between 1 and 12'),
+  body('student_ids').optional().isArray({ min: 1 }).withMessage('Student IDs must be a non-empty array'),
+  body('student_ids.*').optional().isUUID().withMessage('Invalid student ID'),
+  body().custom(value => {
+    if (!value.grade_level && !value.student_ids) {
+      throw new Error('Either grade_level or student_ids is required');
+    }
+    return true;
+  })
+];
+
+// Gradebook validation
+const validateMarks = (field) => body(field)
+  .isFloat({ min: 0 }).withMessage('Marks obtained must be a non-negative number')
+  .toFloat()
+  .custom((value, { req }) => {
+    const total = parseFloat(req.body.total_marks);
+    if (!isNaN(total) && value > total) {
+      throw new Error('Marks obtained cannot exceed total marks');
+    }
+    return true;
+  });
+
+const validateGrade = () => [
+  body('student_id').isUUID().withMessage('Valid student ID required'),
+  body('class_id').isUUID().withMessage('Valid class ID required'),
+  body('subject_id').isUUID().withMessage('Valid subject ID required'),
+  body('term_id').isUUID().withMessage('Valid term ID required'),
+  body('assessment_type').trim().isLength({ min: 1 }).withMessage('Assessment type is required'),
+  body('assessment_name').trim().isLength({ min: 1 }).withMessage('Assessment name is required'),
+  body('total_marks').isFloat({ gt: 0 }).withMessage('Total marks must be greater than 0').toFloat(),
+  validateMarks('marks_obtained'),
+  body('assessment_date').optional().isISO8601().withMessage('Valid assessment date required')
+];
+
+const validateBulkGrades = () => [
+  body('class_id').isUUID().withMessage('Valid class ID required'),
+  body('subject_id').isUUID().withMessage('Valid subject ID required'),
+  body('term_id').isUUID().withMessage('Valid term ID required'),
+  body('assessment_type').trim().isLength({ min: 1 }).withMessage('Assessment type is required'),
+  body('assessment_name').trim().isLength({ min: 1 }).withMessage('Assessment name is required'),
+  body('total_marks').isFloat({ gt: 0 }).withMessage('Total marks must be greater than 0').toFloat(),
+  body('assessment_date').optional().isISO8601().withMessage('Valid assessment date required'),
+  body('marks').isArray({ min: 1 }).withMessage('Marks must be a non-empty array'),
+  body('marks.*.student_id').isUUID().withMessage('Valid student ID required'),
+  validateMarks('marks.*.marks_obtained')
+];
+
+const validateGradingScale = () => [
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  body('scale').isArray({ min: 1 }).withMessage('Scale must be a non-empty array')
+];
+
+const validateAssessmentWeights = () => [
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  body('weights').isObject().withMessage('Weights must be an object')
+];
+
+const validateGradeUpdate = () => [
+  body('marks_obtained').optional().isFloat({ min: 0 }).withMessage('Marks obtained must be a non-negative number').toFloat(),
+  body('total_marks').optional().isFloat({ gt: 0 }).withMessage('Total marks must be greater than 0').toFloat()
+];
+
+const validateReportCardRemarks = () => [
+  body('student_id').isUUID().withMessage('Valid student ID required'),
+  body('term_id').isUUID().withMessage('Valid term ID required'),
+  body('class_teacher_remarks').optional().isString().trim(),
+  body('principal_remarks').optional().isString().trim()
+];
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const validateAttendanceRegister = () => [
+  body('class_id').isUUID().withMessage('Valid class ID required'),
+  body('date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD')
+    .custom(value => value <= new Date().toLocaleDateString('en-CA')).withMessage('Attendance cannot be marked for a future date'),
+  body('timetable_id').optional().isUUID().withMessage('Valid timetable slot ID required'),
+  body('default_status').optional().isIn(ATTENDANCE_STATUSES).withMessage('Invalid default attendance status'),
+  body('records').optional().isArray().withMessage('Records must be an array'),
+  body('records.*.student_id').isUUID().withMessage('Valid student ID required'),
+  body('records.*.status').isIn(ATTENDANCE_STATUSES).withMessage('Invalid attendance status'),
+  body('records.*.notes').optional({ nullable: true }).isString()
+];
+
+const validateAttendanceAlertQuery = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD'),
+  query('student_id').optional().isUUID().withMessage('Valid student ID required'),
+  query('status').optional().isIn(['sent', 'digested', 'skipped', 'failed']).withMessage('Status must be sent, digested, skipped or failed')
+];
+
+const validateAttendanceAlertDispatch = () => [
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  body('date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD')
+];
+
+const validateAlertPreferences = () => [
+  body('parent_id').optional().isUUID().withMessage('Valid parent ID required'),
+  body('alert_channel').optional().isIn(['sms', 'email', 'both', 'none']).withMessage('Alert channel must be sms, email, both or none'),
+  body('preferred_language').optional().isIn(['en', 'am']).withMessage('Preferred language must be en or am'),
+  body().custom(value => value.alert_channel !== undefined || value.preferred_language !== undefined)
+    .withMessage('Provide alert_channel or preferred_language')
+];
+
+const validateAttendanceReport = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('term_id').optional().isUUID().withMessage('Valid term ID required'),
+  query('start_date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Start date must be YYYY-MM-DD'),
+  query('end_date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('End date must be YYYY-MM-DD'),
+  query('class_id').optional().isUUID().withMessage('Valid class ID required'),
+  query('grade_level').optional().isInt({ min: 1, max: 12 }).withMessage('Grade level must be between 1 and 12').toInt(),
+  query('group_by').optional().isIn(['class', 'grade', 'student']).withMessage('Group by must be class, grade or student'),
+  query('interval').optional().isIn(['week', 'month']).withMessage('Interval must be week or month'),
+  query('by').optional().isIn(['day_of_week', 'term', 'month']).withMessage('Trend must be by day_of_week, term or month'),
+  query('threshold').optional().isFloat({ gt: 0, max: 100 }).withMessage('Threshold must be a percentage between 0 and 100').toFloat(),
+  query('min_records').optional().isInt({ min: 1 }).withMessage('Minimum records must be a positive integer').toInt(),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+];
+
+// Timetable validation
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const timetableSlotRules = (prefix, optional = false) => {
+  const field = (name) => {
+    const chain = body(`${prefix}${name}`);
+    return optional ? chain.optional() : chain;
+  };
+
+  return [
+    field('subject_id').isUUID().withMessage('Valid subject ID required'),
+    field('teacher_id').isUUID().withMessage('Valid teacher ID required'),
+    field('day_of_week').isInt({ min: 1, max: 7 }).withMessage('Day of week must be between 1 (Monday) and 7 (Sunday)').toInt(),
+    field('start_time').matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+    field('end_time').matches(TIME_PATTERN).withMessage('End time must be HH:MM')
+      .custom((value, { req, path }) => {
+        const startPath = path.replace(/end_time$/, 'start_time');
+        const start = startPath.split(/[.[\]]+/).filter(Boolean).reduce((obj, key) => obj?.[key], req.body);
+        return !start || start < value;
+      }).withMessage('End time must be after start time'),
+    body(`${prefix}room_number`).optional({ nullable: true }).trim().isLength({ max: 50 }).withMessage('Room number is too long')
+  ];
+};
+
+const validateTimetableSlot = () => [
+  body('class_id').isUUID().withMessage('Valid class ID required'),
+  ...timetableSlotRules('')
+];
+
+const validateTimetableSlotUpdate = () => timetableSlotRules('', true);
+
+const validateTimetableImport = () => [
+  body('class_id').isUUID().withMessage('Valid class ID required'),
+  body('slots').isArray().withMessage('Slots must be an array'),
+  ...timetableSlotRules('slots.*.')
+];
+
+const validateTimetableQuery = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('class_id').optional().isUUID().withMessage('Valid class ID required'),
+  query('teacher_id').optional().isUUID().withMessage('Valid teacher ID required'),
+  query('day_of_week').optional().isInt({ min: 1, max: 7 }).withMessage('Day of week must be between 1 and 7').toInt()
+];
+
+const validateRoomTimetableQuery = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('room_number').trim().isLength({ min: 1 }).withMessage('Room number is required')
+];
+
+const validatePeriodGrid = () => [
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  body('days').isArray({ min: 1 }).withMessage('Days must be a non-empty array'),
+  body('days.*').isInt({ min: 1, max: 7 }).withMessage('Days must be between 1 (Monday) and 7 (Sunday)').toInt(),
+  body('periods').isArray({ min: 1 }).withMessage('Periods must be a non-empty array'),
+  body('periods.*.start_time').matches(TIME_PATTERN).withMessage('Period start time must be HH:MM'),
+  body('periods.*.end_time').matches(TIME_PATTERN).withMessage('Period end time must be HH:MM')
+];
+
+const validateTimetableGeneration = () => [
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  body('requirements').isArray({ min: 1 }).withMessage('Requirements must be a non-empty array'),
+  body('requirements.*.class_id').isUUID().withMessage('Valid class ID required'),
+  body('requirements.*.subject_id').isUUID().withMessage('Valid subject ID required'),
+  body('requirements.*.teacher_id').isUUID().withMessage('Valid teacher ID required'),
+  body('requirements.*.periods_per_week').isInt({ min: 1, max: 50 }).withMessage('Periods per week must be between 1 and 50').toInt(),
+  body('requirements.*.room_number').optional({ nullable: true }).trim().isLength({ max: 50 }),
+  body('teacher_unavailability').optional().isArray().withMessage('Teacher unavailability must be an array'),
+  body('teacher_unavailability.*.teacher_id').isUUID().withMessage('Valid teacher ID required'),
+  body('teacher_unavailability.*.day_of_week').isInt({ min: 1, max: 7 }).withMessage('Day of week must be between 1 and 7').toInt(),
+  body('teacher_unavailability.*.start_time').matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+  body('teacher_unavailability.*.end_time').matches(TIME_PATTERN).withMessage('End time must be HH:MM'),
+  body('rooms').optional().isArray().withMessage('Rooms must be an array'),
+  body('rooms.*.room_number').trim().isLength({ min: 1, max: 50 }).withMessage('Room number is required'),
+  body('rooms.*.capacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Room capacity must be a positive integer').toInt(),
+  body('period_grid').optional().isObject().withMessage('Period grid must be an object'),
+  body('attempts').optional().isInt({ min: 1, max: 50 }).withMessage('Attempts must be between 1 and 50').toInt(),
+  body('seed').optional().isInt({ min: 0, max: 2147483647 }).withMessage('Seed must be an integer between 0 and 2147483647').toInt(),
+  body('dry_run').optional().isBoolean().withMessage('dry_run must be true or false').toBoolean()
+];
+
+const validateTeacherAbsence = () => [
+  body('teacher_id').optional().isUUID().withMessage('Valid teacher ID required'),
+  body('start_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Start date must be YYYY-MM-DD'),
+  body('end_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('End date must be YYYY-MM-DD')
+    .custom((value, { req }) => value >= req.body.start_date).withMessage('End date must be on or after start date'),
+  body('reason').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+];
+
+const validateTeacherAbsenceQuery = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('teacher_id').optional().isUUID().withMessage('Valid teacher ID required'),
+  query('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD'),
+  query('status').optional().isIn(['active', 'cancelled']).withMessage('Status must be active or cancelled')
+];
+
+const validateSubstitution = () => [
+  body('absence_id').isUUID().withMessage('Valid absence ID required'),
+  body('timetable_id').isUUID().withMessage('Valid timetable slot ID required'),
+  body('date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD'),
+  body('substitute_teacher_id').isUUID().withMessage('Valid substitute teacher ID required')
+];
+
+const validateCoverProposalQuery = () => [
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20').toInt()
+];
+
+const validateScheduleDate = () => [
+  query('date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD')
+];
+
+const LEAVE_CALENDAR_MAX_DAYS = 93;
+
+const validateLeaveType = () => [
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('annual_allowance').isFloat({ min: 0, max: 366 }).withMessage('Annual allowance must be between 0 and 366 days'),
+  body('is_paid').optional().isBoolean().withMessage('is_paid must be a boolean')
+];
+
+const validateLeaveTypeUpdate = () => [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('annual_allowance').optional().isFloat({ min: 0, max: 366 }).withMessage('Annual allowance must be between 0 and 366 days'),
+  body('is_paid').optional().isBoolean().withMessage('is_paid must be a boolean'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+const validateLeaveTypeQuery = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('include_inactive').optional().isBoolean().withMessage('include_inactive must be a boolean')
+];
+
+const validateLeaveBalanceQuery = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('teacher_id').optional().isUUID().withMessage('Valid teacher ID required'),
+  query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Year must be between 2000 and 2100')
+];
+
+const validateLeaveAllowance = () => [
+  body('teacher_id').isUUID().withMessage('Valid teacher ID required'),
+  body('leave_type_id').isUUID().withMessage('Valid leave type ID required'),
+  body('year').isInt({ min: 2000, max: 2100 }).withMessage('Year must be between 2000 and 2100').toInt(),
+  body('allowance').isFloat({ min: 0, max: 366 }).withMessage('Allowance must be between 0 and 366 days')
+];
+
+const validateLeaveRequest = () => [
+  body('teacher_id').optional().isUUID().withMessage('Valid teacher ID required'),
+  body('leave_type_id').isUUID().withMessage('Valid leave type ID required'),
+  body('start_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Start date must be YYYY-MM-DD'),
+  body('end_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('End date must be YYYY-MM-DD')
+    .custom((value, { req }) => value >= req.body.start_date).withMessage('End date must be on or after start date'),
+  body('reason').optional({ nullable: true }).trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters')
+];
+
+const validateLeaveRequestQuery = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled']).withMessage('Invalid status'),
+  query('teacher_id').optional().isUUID().withMessage('Valid teacher ID required'),
+  query('awaiting_me').optional().isBoolean().withMessage('awaiting_me must be a boolean'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const validateLeaveDecision = () => [
+  body('comment').optional({ nullable: true }).trim().isLength({ max: 1000 }).withMessage('Comment must be at most 1000 characters')
+];
+
+const validateLeaveCalendar = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('start_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Start date must be YYYY-MM-DD'),
+  query('end_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('End date must be YYYY-MM-DD')
+    .custom((value, { req }) => {
+      const days = (Date.parse(value) - Date.parse(req.query.start_date)) / (24 * 60 * 60 * 1000);
+      return days >= 0 && days < LEAVE_CALENDAR_MAX_DAYS;
+    }).withMessage(`End date must be on or after start date and within ${LEAVE_CALENDAR_MAX_DAYS} days`),
+  query('teacher_id').optional().isUUID().withMessage('Valid teacher ID required'),
+  query('include_pending').optional().isBoolean().withMessage('include_pending must be a boolean')
+];
+
+const validateStudentQuery = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('class_id').optional().isUUID().withMessage('Valid class ID required'),
+  query('grade_level').optional().isInt({ min: 1, max: 12 }).withMessage('Grade level must be between 1 and 12'),
+  query('gender').optional().isIn(['male', 'female', 'other']).withMessage('Invalid gender'),
+  query('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+];
+
 // Finance validation
+// "monthly_10th", "10", "quarterly_start": the trailing day (1-28) or start of each period
+const DUE_DATE_RULE_PATTERN = /^([a-z_]+_)?(start|([1-9]|1\d|2[0-8])(st|nd|rd|th)?)$/i;
+
 const validateFeeStructure = () => [
   body('school_id').isUUID().withMessage('Valid school ID required'),
   body('academic_year_id').isUUID().withMessage('Valid academic year ID required'),
-  body('fee_type').trim().isLength({ min: 1 }).withMessage('Fee type is required'),
+  body('class_id').optional({ nullable: true }).isUUID().withMessage('Valid class ID required'),
+  body('fee_type').trim().isLength({ min: 1 }).withMessage('Fee type is required')
+    .custom(value => value.toLowerCase() !== 'arrears').withMessage('Arrears fees are created by the academic year rollover'),
   body('amount').isDecimal({ decimal_digits: '0,2' }).withMessage('Valid amount required'),
-  body('frequency').optional().isIn(['monthly', 'quarterly', 'annually', 'one_time'])
+  body('frequency').optional().isIn(['monthly', 'quarterly', 'annually', 'one_time']),
+  body('due_date_rule').optional({ nullable: true }).matches(DUE_DATE_RULE_PATTERN)
+    .withMessage('Due date rule must name a day of the month (1-28), e.g. "monthly_10th", or "start"'),
+  body('is_mandatory').optional().isBoolean().withMessage('is_mandatory must be a boolean')
+];
+
+const validateFeeStructureUpdate = () => [
+  body('fee_type').optional().trim().isLength({ min: 1 }).withMessage('Fee type cannot be empty')
+    .custom(value => value.toLowerCase() !== 'arrears').withMessage('Arrears fees are created by the academic year rollover'),
+  body('amount').optional().isDecimal({ decimal_digits: '0,2' }).withMessage('Valid amount required'),
+  body('frequency').optional().isIn(['monthly', 'quarterly', 'annually', 'one_time']),
+  body('due_date_rule').optional().matches(DUE_DATE_RULE_PATTERN)
+    .withMessage('Due date rule must name a day of the month (1-28), e.g. "monthly_10th", or "start"'),
+  body('is_mandatory').optional().isBoolean().withMessage('is_mandatory must be a boolean'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+const validateFeeStructureQuery = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('academic_year_id').optional().isUUID().withMessage('Valid academic year ID required'),
+  query('class_id').optional().isUUID().withMessage('Valid class ID required'),
+  query('include_inactive').optional().isBoolean().withMessage('include_inactive must be a boolean')
+];
+
+const validateFeeGeneration = () => [
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  body('academic_year_id').isUUID().withMessage('Valid academic year ID required'),
+  body('fee_structure_ids').optional().isArray({ min: 1 }).withMessage('fee_structure_ids must be a non-empty array'),
+  body('fee_structure_ids.*').isUUID().withMessage('Valid fee structure IDs required'),
+  body('class_id').optional().isUUID().withMessage('Valid class ID required'),
+  body('student_ids').optional().isArray({ min: 1 }).withMessage('student_ids must be a non-empty array'),
+  body('student_ids.*').isUUID().withMessage('Valid student IDs required'),
+  body('dry_run').optional().isBoolean().withMessage('dry_run must be a boolean')
+];
+
+const validateFeeDiscount = () => [
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  body('academic_year_id').optional({ nullable: true }).isUUID().withMessage('Valid academic year ID required'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('kind').isIn(['discount', 'scholarship', 'waiver']).withMessage('Kind must be discount, scholarship or waiver'),
+  body('value_type').isIn(['percentage', 'fixed']).withMessage('Value type must be percentage or fixed'),
+  body('value').isDecimal({ decimal_digits: '0,2' }).withMessage('Valid value required')
+    .custom((value, { req }) => parseFloat(value) > 0 && (req.body.value_type !== 'percentage' || parseFloat(value) <= 100))
+    .withMessage('Value must be greater than zero, and at most 100 for a percentage'),
+  body('scope').isIn(['fee_type', 'student', 'sibling']).withMessage('Scope must be fee_type, student or sibling'),
+  body('fee_type').if((value, { req }) => req.body.scope === 'fee_type')
+    .trim().isLength({ min: 1 }).withMessage('Fee type is required for fee type discounts'),
+  body('fee_type').optional({ nullable: true }).trim(),
+  body('student_id').if((value, { req }) => req.body.scope === 'student')
+    .isUUID().withMessage('Valid student ID required for student discounts'),
+  body('min_siblings').if((value, { req }) => req.body.scope === 'sibling')
+    .isInt({ min: 1, max: 20 }).withMessage('min_siblings (1-20) is required for sibling discounts').toInt(),
+  body('reason').trim().isLength({ min: 3, max: 1000 }).withMessage('A reason (3-1000 characters) is required')
+];
+
+const validateFeeDiscountQuery = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('status').optional().isIn(['pending', 'approved', 'rejected', 'revoked']).withMessage('Invalid status'),
+  query('scope').optional().isIn(['fee_type', 'student', 'sibling']).withMessage('Invalid scope'),
+  query('kind').optional().isIn(['discount', 'scholarship', 'waiver']).withMessage('Invalid kind'),
+  query('student_id').optional().isUUID().withMessage('Valid student ID required'),
+  query('academic_year_id').optional().isUUID().withMessage('Valid academic year ID required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const validateFeeDiscountDecision = () => [
+  body('note').optional({ nullable: true }).trim().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters'),
+  body('apply_to_existing').optional().isBoolean().withMessage('apply_to_existing must be a boolean')
+];
+
+const validateReceiptQuery = () => [
+  query('school_id').isUUID().withMessage('Valid school ID required'),
+  query('academic_year_id').optional().isUUID().withMessage('Valid academic year ID required'),
+  query('student_id').optional().isUUID().withMessage('Valid student ID required'),
+  query('from_date').optional().isISO8601().withMessage('Valid from date required'),
+  query('to_date').optional().isISO8601().withMessage('Valid to date required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const validateReceiptFormat = () => [
+  query('format').optional().isIn(['json', 'html', 'pdf']).withMessage('Format must be one of: json, html, pdf')
+];
+
+const validateReceiptEmail = () => [
+  body('to').optional().isArray({ min: 1, max: 10 }).withMessage('Recipients must be a list of 1 to 10 email addresses'),
+  body('to.*').isEmail().withMessage('Valid recipient email required').normalizeEmail()
+];
+
+const validateFeePayment = () => [
+  body('student_fee_id').isUUID().withMessage('Valid student fee ID required'),
+  body('amount').isDecimal({ decimal_digits: '0,2' }).withMessage('Valid amount required')
+    .custom((value) => parseFloat(value) > 0).withMessage('Amount must be greater than zero'),
+  body('payment_method').isIn(['cash', 'bank_transfer', 'mobile_money', 'cheque', 'card']).withMessage('Invalid payment method'),
+  body('transaction_reference').optional().trim().isLength({ min: 1, max: 100 }),
+  body('payment_date').optional().isISO8601().withMessage('Valid payment date required')
 ];
 
 // Library validation
@@ -117,6 +579,47 @@ const validateBook = () => [
   body('copies_total').optional().isInt({ min: 1 })
 ];
 
+const validateBookUpdate = () => [
+  body('title').optional().trim().isLength({ min: 1 }).withMessage('Book title cannot be empty'),
+  body('author').optional().trim().isLength({ min: 1 }).withMessage('Author cannot be empty'),
+  body('isbn').optional().isISBN(),
+  body('publication_year').optional().isInt({ min: 1000, max: 9999 }),
+  body('copies_total').optional().isInt({ min: 1 })
+];
+
+const validateBookIssue = () => [
+  body('book_id').isUUID().withMessage('Valid book ID required'),
+  body('user_id').isUUID().withMessage('Valid borrower ID required'),
+  body('due_date').optional().isISO8601().withMessage('Valid due date required')
+];
+
+// Announcement validation
+const validateAnnouncementTargets = () => [
+  body('priority').optional().isIn(['low', 'normal', 'high', 'urgent']).withMessage('Invalid priority'),
+  body('target_roles').optional().isArray().withMessage('Target roles must be an array'),
+  body('target_roles.*').optional().isString(),
+  body('target_class_ids').optional().isArray().withMessage('Target classes must be an array'),
+  body('target_class_ids.*').optional().isUUID().withMessage('Target class IDs must be valid UUIDs'),
+  body('target_grade_levels').optional().isArray().withMessage('Target grade levels must be an array'),
+  body('target_grade_levels.*').optional().isInt({ min: 1, max: 12 }).withMessage('Grade levels must be between 1 and 12'),
+  body('expires_at').optional({ nullable: true }).isISO8601().withMessage('Valid expiry date required')
+];
+
+const validateAnnouncement = () => [
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
+  body('content').trim().isLength({ min: 1 }).withMessage('Content is required'),
+  body('publish').optional().isBoolean(),
+  body('published_at').optional().isISO8601().withMessage('Valid publish date required'),
+  ...validateAnnouncementTargets()
+];
+
+const validateAnnouncementUpdate = () => [
+  body('title').optional().trim().isLength({ min: 1 }).withMessage('Title cannot be empty'),
+  body('content').optional().trim().isLength({ min: 1 }).withMessage('Content cannot be empty'),
+  ...validateAnnouncementTargets()
+];
+
 // SMS validation - Updated for Ethiopian phone numbers
 const validateSMSRequest = () => [
   validateEthiopianPhone('phoneNumber'),
@@ -149,10 +652,64 @@ module.exports = {
   validateUserLogin,
   validateSchool,
   validateAcademicYear,
+  validateRollover,
+  validateTerm,
+  validateTermUpdate,
   validateClass,
   validateAttendance,
+  validateAttendanceRegister,
+  validateAttendanceAlertQuery,
+  validateAttendanceAlertDispatch,
+  validateAlertPreferences,
+  validateAttendanceReport,
+  validateTimetableSlot,
+  validateTimetableSlotUpdate,
+  validateTimetableImport,
+  validateTimetableQuery,
+  validateRoomTimetableQuery,
+  validatePeriodGrid,
+  validateTimetableGeneration,
+  validateTeacherAbsence,
+  validateTeacherAbsenceQuery,
+  validateSubstitution,
+  validateCoverProposalQuery,
+  validateScheduleDate,
+  validateLeaveType,
+  validateLeaveTypeUpdate,
+  validateLeaveTypeQuery,
+  validateLeaveBalanceQuery,
+  validateLeaveAllowance,
+  validateLeaveRequest,
+  validateLeaveRequestQuery,
+  validateLeaveDecision,
+  validateLeaveCalendar,
+  validateStudentQuery,
+  validateGrade,
+  validateBulkGrades,
+  validateGradeUpdate,
+  validateReportCardRemarks,
+  validateGradingScale,
+  validateAssessmentWeights,
+  validateEnrollment,
+  validateEnrollmentTransfer,
+  validatePromotion,
+  validateGraduation,
   validateFeeStructure,
+  validateFeeStructureUpdate,
+  validateFeeStructureQuery,
+  validateFeeGeneration,
+  validateFeeDiscount,
+  validateFeeDiscountQuery,
+  validateFeeDiscountDecision,
+  validateReceiptQuery,
+  validateReceiptFormat,
+  validateReceiptEmail,
+  validateFeePayment,
   validateBook,
+  validateBookUpdate,
+  validateBookIssue,
+  validateAnnouncement,
+  validateAnnouncementUpdate,
   validateSMSRequest,
   validateSMSVerification,
   validateEthiopianPhone
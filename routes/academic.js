@@ -3,16 +3,142 @@ const router = express.Router();
 const { 
   getAcademicYears, 
   createAcademicYear, 
+  rolloverAcademicYear,
   getClasses, 
   createClass, 
-  getAttendance, 
-  markAttendance 
+  getAttendance
 } = require('../controllers/academicController');
+const {
+  getTerms,
+  getCurrentTerm,
+  createTerm,
+  updateTerm,
+  deleteTerm
+} = require('../controllers/termController');
+const {
+  recordGrade,
+  recordBulkGrades,
+  updateGrade,
+  getStudentGrades,
+  getClassGrades,
+  getSubjectGrades
+} = require('../controllers/gradeController');
+const {
+  getGradingConfig,
+  updateGradingScale,
+  updateAssessmentWeights
+} = require('../controllers/gradingController');
+const {
+  getStudentReportCard,
+  getClassReportCards,
+  saveReportCardRemarks
+} = require('../controllers/reportCardController');
+const {
+  getRegister,
+  submitRegister,
+  markStudentAttendance,
+  getAttendanceAlerts,
+  dispatchAttendanceAlerts,
+  updateAlertPreferences
+} = require('../controllers/attendanceController');
+const {
+  getAttendanceRates,
+  getChronicAbsentees,
+  getAttendanceTrends
+} = require('../controllers/attendanceReportController');
+const {
+  getTimetableSlots,
+  createTimetableSlot,
+  updateTimetableSlot,
+  deleteTimetableSlot,
+  importTimetableWeek,
+  getClassWeek,
+  getTeacherWeek,
+  getRoomWeek,
+  getClassDay,
+  getTeacherDay
+} = require('../controllers/timetableController');
+const {
+  getPeriodGrid,
+  updatePeriodGrid,
+  generateTimetable,
+  getGeneration,
+  publishGeneration,
+  discardGeneration
+} = require('../controllers/timetableGenerationController');
+const {
+  getTeacherAbsences,
+  createTeacherAbsence,
+  cancelTeacherAbsence,
+  getCoverProposals,
+  confirmSubstitution,
+  cancelSubstitution
+} = require('../controllers/teacherAbsenceController');
+const {
+  getLeaveTypes,
+  createLeaveType,
+  updateLeaveType,
+  getLeaveBalances,
+  setLeaveAllowance,
+  getLeaveRequests,
+  getLeaveRequest,
+  createLeaveRequest,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  cancelLeaveRequest,
+  getLeaveCalendar
+} = require('../controllers/leaveController');
+const {
+  getEnrollments,
+  enrollStudent,
+  transferStudent,
+  promoteStudents,
+  graduateStudents
+} = require('../controllers/enrollmentController');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { 
   validateAcademicYear, 
+  validateRollover,
+  validateTerm,
+  validateTermUpdate,
   validateClass, 
   validateAttendance, 
+  validateAttendanceRegister,
+  validateAttendanceAlertQuery,
+  validateAttendanceAlertDispatch,
+  validateAlertPreferences,
+  validateAttendanceReport,
+  validateTimetableSlot,
+  validateTimetableSlotUpdate,
+  validateTimetableImport,
+  validateTimetableQuery,
+  validateRoomTimetableQuery,
+  validatePeriodGrid,
+  validateTimetableGeneration,
+  validateTeacherAbsence,
+  validateTeacherAbsenceQuery,
+  validateSubstitution,
+  validateCoverProposalQuery,
+  validateScheduleDate,
+  validateLeaveType,
+  validateLeaveTypeUpdate,
+  validateLeaveTypeQuery,
+  validateLeaveBalanceQuery,
+  validateLeaveAllowance,
+  validateLeaveRequest,
+  validateLeaveRequestQuery,
+  validateLeaveDecision,
+  validateLeaveCalendar,
+  validateEnrollment,
+  validateGrade,
+  validateBulkGrades,
+  validateGradeUpdate,
+  validateReportCardRemarks,
+  validateGradingScale,
+  validateAssessmentWeights,
+  validateEnrollmentTransfer,
+  validatePromotion,
+  validateGraduation,
   validatePagination, 
   handleValidationErrors 
 } = require('../middleware/validation');
@@ -28,6 +154,32 @@ router.post('/academic-years',
   requireRole(['Super Admin', 'Admin']), 
   createAcademicYear
 );
+router.post('/academic-years/:id/rollover',
+  validateRollover(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin']),
+  rolloverAcademicYear
+);
+
+// Terms
+router.get('/terms', getTerms);
+router.get('/terms/current', getCurrentTerm);
+router.post('/terms',
+  validateTerm(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin']),
+  createTerm
+);
+router.put('/terms/:id',
+  validateTermUpdate(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin']),
+  updateTerm
+);
+router.delete('/terms/:id',
+  requireRole(['Super Admin', 'Admin']),
+  deleteTerm
+);
 
 // Classes ok
 router.get('/classes', validatePagination(), handleValidationErrors, getClasses);
@@ -38,13 +190,326 @@ router.post('/classes',
   createClass
 );
 
+// Report cards
+router.get('/report-cards/student/:studentId', getStudentReportCard);
+router.get('/report-cards/class/:classId',
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getClassReportCards
+);
+router.put('/report-cards/remarks',
+  validateReportCardRemarks(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  saveReportCardRemarks
+);
+
+// Enrollments
+router.get('/enrollments', validatePagination(), handleValidationErrors, getEnrollments);
+router.post('/enrollments',
+  validateEnrollment(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  enrollStudent
+);
+router.post('/enrollments/promote',
+  validatePromotion(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  promoteStudents
+);
+router.post('/enrollments/graduate',
+  validateGraduation(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  graduateStudents
+);
+router.post('/enrollments/:id/transfer',
+  validateEnrollmentTransfer(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  transferStudent
+);
+
+// Grading scales and assessment weights
+router.get('/grading', getGradingConfig);
+router.put('/grading/scale',
+  validateGradingScale(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  updateGradingScale
+);
+router.put('/grading/weights',
+  validateAssessmentWeights(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  updateAssessmentWeights
+);
+
+// Grades
+router.get('/grades/student/:studentId', getStudentGrades);
+router.get('/grades/class/:classId', getClassGrades);
+router.get('/grades/subject/:subjectId', getSubjectGrades);
+router.post('/grades',
+  validateGrade(),
+  handleValidationErrors,
+  requireRole(['Teacher']),
+  recordGrade
+);
+router.post('/grades/bulk',
+  validateBulkGrades(),
+  handleValidationErrors,
+  requireRole(['Teacher']),
+  recordBulkGrades
+);
+router.put('/grades/:id',
+  validateGradeUpdate(),
+  handleValidationErrors,
+  requireRole(['Teacher']),
+  updateGrade
+);
+
+// Timetables
+router.get('/timetables',
+  validateTimetableQuery(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getTimetableSlots
+);
+router.get('/timetables/class/:classId',
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher', 'Student', 'Parent']),
+  getClassWeek
+);
+router.get('/timetables/class/:classId/day',
+  validateScheduleDate(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher', 'Student', 'Parent']),
+  getClassDay
+);
+router.get('/timetables/teacher/:teacherId/day',
+  validateScheduleDate(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getTeacherDay
+);
+router.get('/timetables/teacher/:teacherId',
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getTeacherWeek
+);
+router.get('/timetables/room',
+  validateRoomTimetableQuery(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getRoomWeek
+);
+router.get('/timetables/period-grid',
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getPeriodGrid
+);
+router.put('/timetables/period-grid',
+  validatePeriodGrid(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  updatePeriodGrid
+);
+router.post('/timetables/generate',
+  validateTimetableGeneration(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  generateTimetable
+);
+router.get('/timetables/generations/:id',
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  getGeneration
+);
+router.post('/timetables/generations/:id/publish',
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  publishGeneration
+);
+router.delete('/timetables/generations/:id',
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  discardGeneration
+);
+router.post('/timetables',
+  validateTimetableSlot(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  createTimetableSlot
+);
+router.post('/timetables/import',
+  validateTimetableImport(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  importTimetableWeek
+);
+router.put('/timetables/:id',
+  validateTimetableSlotUpdate(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  updateTimetableSlot
+);
+router.delete('/timetables/:id',
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  deleteTimetableSlot
+);
+
+// Teacher absences and cover
+router.get('/teacher-absences',
+  validateTeacherAbsenceQuery(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getTeacherAbsences
+);
+router.post('/teacher-absences',
+  validateTeacherAbsence(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  createTeacherAbsence
+);
+router.delete('/teacher-absences/:id',
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  cancelTeacherAbsence
+);
+router.get('/teacher-absences/:id/cover',
+  validateCoverProposalQuery(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  getCoverProposals
+);
+router.post('/substitutions',
+  validateSubstitution(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  confirmSubstitution
+);
+router.delete('/substitutions/:id',
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  cancelSubstitution
+);
+
+// Teacher leave
+router.get('/leave/types',
+  validateLeaveTypeQuery(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getLeaveTypes
+);
+router.post('/leave/types',
+  validateLeaveType(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  createLeaveType
+);
+router.put('/leave/types/:id',
+  validateLeaveTypeUpdate(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  updateLeaveType
+);
+router.get('/leave/balances',
+  validateLeaveBalanceQuery(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getLeaveBalances
+);
+router.put('/leave/balances',
+  validateLeaveAllowance(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  setLeaveAllowance
+);
+router.get('/leave/calendar',
+  validateLeaveCalendar(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getLeaveCalendar
+);
+router.get('/leave/requests',
+  validateLeaveRequestQuery(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getLeaveRequests
+);
+router.get('/leave/requests/:id',
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getLeaveRequest
+);
+router.post('/leave/requests',
+  validateLeaveRequest(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  createLeaveRequest
+);
+router.post('/leave/requests/:id/approve',
+  validateLeaveDecision(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  approveLeaveRequest
+);
+router.post('/leave/requests/:id/reject',
+  validateLeaveDecision(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  rejectLeaveRequest
+);
+router.delete('/leave/requests/:id',
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  cancelLeaveRequest
+);
+
 // Attendance
 router.get('/attendance', validatePagination(), handleValidationErrors, getAttendance);
-router.post('/attendance', 
-  validateAttendance(), 
-  handleValidationErrors, 
-  requireRole(['Super Admin', 'Admin', 'Teacher']), 
-  markAttendance
+router.post('/attendance',
+  validateAttendance(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  markStudentAttendance
+);
+router.get('/attendance/register',
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  getRegister
+);
+router.post('/attendance/register',
+  validateAttendanceRegister(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Teacher']),
+  submitRegister
+);
+router.get('/attendance/alerts',
+  validatePagination(),
+  validateAttendanceAlertQuery(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  getAttendanceAlerts
+);
+router.post('/attendance/alerts/dispatch',
+  validateAttendanceAlertDispatch(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  dispatchAttendanceAlerts
+);
+router.put('/attendance/alerts/preferences',
+  validateAlertPreferences(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal', 'Parent']),
+  updateAlertPreferences
+);
+router.get('/attendance/reports/rates',
+  validateAttendanceReport(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  getAttendanceRates
+);
+router.get('/attendance/reports/chronic-absentees',
+  validateAttendanceReport(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  getChronicAbsentees
+);
+router.get('/attendance/reports/trends',
+  validateAttendanceReport(),
+  handleValidationErrors,
+  requireRole(['Super Admin', 'Admin', 'Principal']),
+  getAttendanceTrends
 );
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * Announcement Routes
+ *
+ * Draft, schedule, publish and expire school announcements, targeted at
+ * the whole school or at specific roles, classes and grade levels.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getAnnouncements,
+  getMyAnnouncements,
+  getAnnouncementById,
+  createAnnouncement,
+  updateAnnouncement,
+  publishAnnouncement,
+  unpublishAnnouncement,
+  deleteAnnouncement
+} = require('../controllers/announcementController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validateAnnouncement,
+  validateAnnouncementUpdate,
+  validateUUID,
+  validatePagination,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { body, query } = require('express-validator');
+
+const ANNOUNCEMENT_MANAGERS = ['Super Admin', 'Admin', 'Principal'];
+
+// All announcement routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/announcements/my:
+ *   get:
+ *     summary: Published announcements visible to the current user
+ *     description: Resolved from the user's roles and the classes they study in, teach, or have children enrolled in.
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: school_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Limit the feed to one school
+ *     responses:
+ *       200:
+ *         description: Announcements retrieved successfully
+ */
+router.get('/my', validatePagination(), handleValidationErrors, getMyAnnouncements);
+
+/**
+ * @swagger
+ * /api/announcements:
+ *   get:
+ *     summary: List a school's announcements
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: school_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, expired]
+ *   post:
+ *     summary: Create an announcement
+ *     description: Saved as a draft unless publish is true or published_at is set; a future published_at schedules it.
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Announcement created
+ */
+router.get('/',
+  requireRole(ANNOUNCEMENT_MANAGERS),
+  validatePagination(),
+  query('status').optional().isIn(['draft', 'scheduled', 'published', 'expired']).withMessage('Invalid status'),
+  handleValidationErrors,
+  getAnnouncements
+);
+router.post('/',
+  requireRole(ANNOUNCEMENT_MANAGERS),
+  validateAnnouncement(),
+  handleValidationErrors,
+  createAnnouncement
+);
+
+/**
+ * @swagger
+ * /api/announcements/{id}:
+ *   get:
+ *     summary: Get an announcement by ID
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *   put:
+ *     summary: Update an announcement's content, audience or expiry
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Delete an announcement
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id',
+  requireRole(ANNOUNCEMENT_MANAGERS),
+  validateUUID('id'),
+  handleValidationErrors,
+  getAnnouncementById
+);
+router.put('/:id',
+  requireRole(ANNOUNCEMENT_MANAGERS),
+  validateUUID('id'),
+  validateAnnouncementUpdate(),
+  handleValidationErrors,
+  updateAnnouncement
+);
+router.delete('/:id',
+  requireRole(ANNOUNCEMENT_MANAGERS),
+  validateUUID('id'),
+  handleValidationErrors,
+  deleteAnnouncement
+);
+
+/**
+ * @swagger
+ * /api/announcements/{id}/publish:
+ *   post:
+ *     summary: Publish now, or schedule with a future published_at
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/publish',
+  requireRole(ANNOUNCEMENT_MANAGERS),
+  validateUUID('id'),
+  body('published_at').optional().isISO8601().withMessage('Valid publish date required'),
+  handleValidationErrors,
+  publishAnnouncement
+);
+
+/**
+ * @swagger
+ * /api/announcements/{id}/unpublish:
+ *   post:
+ *     summary: Move a published or scheduled announcement back to drafts
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/unpublish',
+  requireRole(ANNOUNCEMENT_MANAGERS),
+  validateUUID('id'),
+  handleValidationErrors,
+  unpublishAnnouncement
+);
+
+module.exports = router;
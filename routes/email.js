@@ -1,9 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const EmailController = require('../controllers/emailController');
-const auth = require('../middleware/auth');
-const { body, query } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
 const { handleValidationErrors: validate } = require('../middleware/validation');
+const { frequencies, getSupportedTypes } = require('../config/emailNotifications');
+const emailTemplateService = require('../services/emailTemplateService');
+
+// Sending to arbitrary addresses and reading delivery data is for administrators only
+const auth = [authenticateToken, requireRole(['Super Admin', 'Admin'])];
+// The queue holds every school's mail
+const queueAuth = [authenticateToken, requireRole(['Super Admin'])];
+
+// Language codes such as en, fr or pt-BR
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+const templateNameParam = param('name').isIn(emailTemplateService.getOverridableNames())
+  .withMessage(`Template must be one of: ${emailTemplateService.getOverridableNames().join(', ')}`);
 
 /**
  * @swagger
@@ -398,4 +411,427 @@ router.post('/test',
   EmailController.testEmailConfiguration
 );
 
+/**
+ * @swagger
+ * /api/email/preferences:
+ *   get:
+ *     summary: Get your email preference for every notification type
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email preferences retrieved successfully
+ *   put:
+ *     summary: Opt in or out of notification types, or get them as a daily or weekly digest
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - preferences
+ *             properties:
+ *               preferences:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     notification_type:
+ *                       type: string
+ *                     is_enabled:
+ *                       type: boolean
+ *                     frequency:
+ *                       type: string
+ *                       enum: [immediate, daily, weekly]
+ *     responses:
+ *       200:
+ *         description: Email preferences updated successfully
+ *       400:
+ *         description: A mandatory notification type cannot be turned off or digested
+ */
+router.get('/preferences',
+  authenticateToken,
+  EmailController.getEmailPreferences
+);
+router.put('/preferences',
+  authenticateToken,
+  [
+    body('preferences').isArray({ min: 1 }).withMessage('Preferences must be a non-empty array'),
+    body('preferences.*.notification_type').isIn(getSupportedTypes()).withMessage(`Notification type must be one of: ${getSupportedTypes().join(', ')}`),
+    body('preferences.*.is_enabled').optional().isBoolean().withMessage('is_enabled must be a boolean').toBoolean(),
+    body('preferences.*.frequency').optional().isIn(frequencies).withMessage(`Frequency must be one of: ${frequencies.join(', ')}`)
+  ],
+  validate,
+  EmailController.updateEmailPreferences
+);
+
+/**
+ * @swagger
+ * /api/email/queue:
+ *   get:
+ *     summary: List queued emails with counts per status (Super Admin)
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, sent, failed]
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email queue retrieved successfully
+ */
+router.get('/queue',
+  queueAuth,
+  [
+    query('status').optional().isIn(['pending', 'processing', 'sent', 'failed']).withMessage('Status must be pending, processing, sent, or failed'),
+    query('template').optional().isString(),
+    query('recipient').optional().isString(),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validate,
+  EmailController.getEmailQueue
+);
+
+/**
+ * @swagger
+ * /api/email/queue/requeue:
+ *   post:
+ *     summary: Requeue every failed email, or those of one template (Super Admin)
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               template:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Failed emails requeued with a fresh set of attempts
+ */
+router.post('/queue/requeue',
+  queueAuth,
+  [
+    body('template').optional().isString()
+  ],
+  validate,
+  EmailController.requeueFailedEmails
+);
+
+/**
+ * @swagger
+ * /api/email/queue/{id}:
+ *   get:
+ *     summary: Get a queued email with its content and last error (Super Admin)
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ * /api/email/queue/{id}/requeue:
+ *   post:
+ *     summary: Requeue a failed email (Super Admin)
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email requeued
+ *       409:
+ *         description: The email has not failed
+ */
+router.get('/queue/:id',
+  queueAuth,
+  [
+    param('id').isUUID().withMessage('id must be a valid UUID')
+  ],
+  validate,
+  EmailController.getQueuedEmail
+);
+router.post('/queue/:id/requeue',
+  queueAuth,
+  [
+    param('id').isUUID().withMessage('id must be a valid UUID')
+  ],
+  validate,
+  EmailController.requeueFailedEmails
+);
+
+/**
+ * @swagger
+ * /api/email/templates:
+ *   get:
+ *     summary: List the templates a school can customise, with its overrides of each
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: school_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Email templates retrieved successfully
+ */
+router.get('/templates',
+  auth,
+  [
+    query('school_id').isUUID().withMessage('school_id must be a valid UUID')
+  ],
+  validate,
+  EmailController.getSchoolTemplates
+);
+
+/**
+ * @swagger
+ * /api/email/templates/{name}:
+ *   get:
+ *     summary: Get a school's override of a template in one language, with its versions
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [attendance-alert, fee-receipt, leave-request]
+ *       - in: query
+ *         name: school_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           default: en
+ *     responses:
+ *       200:
+ *         description: Email template retrieved successfully
+ *       404:
+ *         description: The school has not customised this template in this language
+ *   put:
+ *     summary: Save a school's override of a template as its next version
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - school_id
+ *               - subject_template
+ *               - html_template
+ *             properties:
+ *               school_id:
+ *                 type: string
+ *                 format: uuid
+ *               language:
+ *                 type: string
+ *                 default: en
+ *               subject_template:
+ *                 type: string
+ *               html_template:
+ *                 type: string
+ *               text_template:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email template saved as a new version
+ *       201:
+ *         description: Email template override created as version 1
+ *       400:
+ *         description: The content is not valid Handlebars
+ *   delete:
+ *     summary: Deactivate a school's override so the default template is used again
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: School email template deactivated
+ */
+router.get('/templates/:name',
+  auth,
+  [
+    templateNameParam,
+    query('school_id').isUUID().withMessage('school_id must be a valid UUID'),
+    query('language').optional().matches(LANGUAGE_PATTERN).withMessage('Language must be a code such as en or pt-BR')
+  ],
+  validate,
+  EmailController.getSchoolTemplate
+);
+router.put('/templates/:name',
+  auth,
+  [
+    templateNameParam,
+    body('school_id').isUUID().withMessage('school_id must be a valid UUID'),
+    body('language').optional().matches(LANGUAGE_PATTERN).withMessage('Language must be a code such as en or pt-BR'),
+    body('subject_template').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Subject template is required and must be at most 255 characters'),
+    body('html_template').isString().trim().notEmpty().withMessage('HTML template is required'),
+    body('text_template').optional({ nullable: true }).isString(),
+    body('comment').optional().isString().isLength({ max: 500 }).withMessage('Comment must be at most 500 characters')
+  ],
+  validate,
+  EmailController.saveSchoolTemplate
+);
+router.delete('/templates/:name',
+  auth,
+  [
+    templateNameParam,
+    query('school_id').isUUID().withMessage('school_id must be a valid UUID'),
+    query('language').optional().matches(LANGUAGE_PATTERN).withMessage('Language must be a code such as en or pt-BR')
+  ],
+  validate,
+  EmailController.deactivateSchoolTemplate
+);
+
+/**
+ * @swagger
+ * /api/email/templates/{name}/versions:
+ *   get:
+ *     summary: List every saved version of a school's override, newest first
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email template versions retrieved successfully
+ * /api/email/templates/{name}/rollback:
+ *   post:
+ *     summary: Roll a school's override back to an earlier version, saved as a new version
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - school_id
+ *               - version
+ *             properties:
+ *               school_id:
+ *                 type: string
+ *                 format: uuid
+ *               language:
+ *                 type: string
+ *                 default: en
+ *               version:
+ *                 type: integer
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email template rolled back
+ *       404:
+ *         description: Email template version not found
+ */
+router.get('/templates/:name/versions',
+  auth,
+  [
+    templateNameParam,
+    query('school_id').isUUID().withMessage('school_id must be a valid UUID'),
+    query('language').optional().matches(LANGUAGE_PATTERN).withMessage('Language must be a code such as en or pt-BR')
+  ],
+  validate,
+  EmailController.getSchoolTemplateVersions
+);
+router.post('/templates/:name/rollback',
+  auth,
+  [
+    templateNameParam,
+    body('school_id').isUUID().withMessage('school_id must be a valid UUID'),
+    body('language').optional().matches(LANGUAGE_PATTERN).withMessage('Language must be a code such as en or pt-BR'),
+    body('version').isInt({ min: 1 }).withMessage('Version must be a positive integer').toInt(),
+    body('comment').optional().isString().isLength({ max: 500 }).withMessage('Comment must be at most 500 characters')
+  ],
+  validate,
+  EmailController.rollbackSchoolTemplate
+);
+
+/**
+ * @swagger
+ * /api/email/templates/{name}/preview:
+ *   post:
+ *     summary: Render a template with sample data
+ *     description: Renders the draft content sent, else the school's active override, else the default template. Any data sent is merged over the template's sample data.
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - school_id
+ *             properties:
+ *               school_id:
+ *                 type: string
+ *                 format: uuid
+ *               language:
+ *                 type: string
+ *                 default: en
+ *               subject_template:
+ *                 type: string
+ *               html_template:
+ *                 type: string
+ *               text_template:
+ *                 type: string
+ *               data:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Email template preview rendered successfully
+ *       400:
+ *         description: The draft content is not valid Handlebars
+ */
+router.post('/templates/:name/preview',
+  auth,
+  [
+    templateNameParam,
+    body('school_id').isUUID().withMessage('school_id must be a valid UUID'),
+    body('language').optional().matches(LANGUAGE_PATTERN).withMessage('Language must be a code such as en or pt-BR'),
+    body('subject_template').if(body('html_template').exists()).isString().notEmpty().withMessage('A draft needs both a subject and an HTML template'),
+    body('html_template').if(body('subject_template').exists()).isString().notEmpty().withMessage('A draft needs both a subject and an HTML template'),
+    body('text_template').optional({ nullable: true }).isString(),
+    body('data').optional().isObject().withMessage('Data must be an object')
+  ],
+  validate,
+  EmailController.previewSchoolTemplate
+);
+
 module.exports = router;
\ No newline at end of file
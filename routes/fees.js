@@ -0,0 +1,354 @@
+/**
+ * Fee Routes
+ *
+ * Fee structures per class and academic year, generation of the dated
+ * student_fees instalments they imply for enrolled students, the
+ * discount rules applied to them, and the receipts issued for payments.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getFeeStructures,
+  createFeeStructure,
+  updateFeeStructure,
+  deleteFeeStructure,
+  generateStudentFees
+} = require('../controllers/feeController');
+const {
+  getFeeDiscounts,
+  createFeeDiscount,
+  approveFeeDiscount,
+  rejectFeeDiscount,
+  revokeFeeDiscount
+} = require('../controllers/feeDiscountController');
+const {
+  getReceipts,
+  getReceipt,
+  getPaymentReceipt,
+  issuePaymentReceipt,
+  emailReceipt
+} = require('../controllers/receiptController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const {
+  validateFeeStructure,
+  validateFeeStructureUpdate,
+  validateFeeStructureQuery,
+  validateFeeGeneration,
+  validateFeeDiscount,
+  validateFeeDiscountQuery,
+  validateFeeDiscountDecision,
+  validateReceiptQuery,
+  validateReceiptFormat,
+  validateReceiptEmail,
+  validateUUID,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// All fee routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/fees/structures:
+ *   get:
+ *     summary: List a school's fee structures
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: school_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: academic_year_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: class_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Includes school-wide structures that apply to the class
+ *     responses:
+ *       200:
+ *         description: Fee structures retrieved successfully
+ *   post:
+ *     summary: Define a fee for a class (or the whole school) in an academic year
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Fee structure created, with its instalment schedule
+ *       409:
+ *         description: An active structure for this fee type already exists
+ */
+router.get('/structures',
+  requirePermission('finance', 'read'),
+  validateFeeStructureQuery(),
+  handleValidationErrors,
+  getFeeStructures
+);
+router.post('/structures',
+  requirePermission('finance', 'create'),
+  validateFeeStructure(),
+  handleValidationErrors,
+  createFeeStructure
+);
+
+/**
+ * @swagger
+ * /api/fees/structures/{id}:
+ *   put:
+ *     summary: Update a fee structure; applies to instalments generated afterwards
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Deactivate a fee structure (generated instalments remain payable)
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/structures/:id',
+  requirePermission('finance', 'update'),
+  validateUUID('id'),
+  validateFeeStructureUpdate(),
+  handleValidationErrors,
+  updateFeeStructure
+);
+router.delete('/structures/:id',
+  requirePermission('finance', 'update'),
+  validateUUID('id'),
+  handleValidationErrors,
+  deleteFeeStructure
+);
+
+/**
+ * @swagger
+ * /api/fees/generate:
+ *   post:
+ *     summary: Create missing student fee instalments for an academic year
+ *     description: >
+ *       Applies every active mandatory structure of the year (or only
+ *       fee_structure_ids) to actively enrolled students. Re-running only
+ *       creates instalments that do not exist yet.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Nothing new to create, or a dry run
+ *       201:
+ *         description: Instalments created; the report lists them per structure
+ */
+router.post('/generate',
+  requirePermission('finance', 'create'),
+  validateFeeGeneration(),
+  handleValidationErrors,
+  generateStudentFees
+);
+
+/**
+ * @swagger
+ * /api/fees/discounts:
+ *   get:
+ *     summary: List discount, scholarship and waiver rules
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     summary: Propose a rule (percentage or fixed; by fee type, student or sibling count)
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Rule submitted for approval
+ */
+router.get('/discounts',
+  requirePermission('finance', 'read'),
+  validateFeeDiscountQuery(),
+  handleValidationErrors,
+  getFeeDiscounts
+);
+router.post('/discounts',
+  requirePermission('finance', 'create'),
+  validateFeeDiscount(),
+  handleValidationErrors,
+  createFeeDiscount
+);
+
+/**
+ * @swagger
+ * /api/fees/discounts/{id}/approve:
+ *   post:
+ *     summary: Approve a pending rule (not by its requester)
+ *     description: Also reprices unpaid generated fees it covers unless apply_to_existing is false
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ * /api/fees/discounts/{id}/reject:
+ *   post:
+ *     summary: Reject a pending rule
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ * /api/fees/discounts/{id}:
+ *   delete:
+ *     summary: Revoke a rule for instalments generated from now on
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/discounts/:id/approve',
+  requirePermission('finance', 'update'),
+  validateUUID('id'),
+  validateFeeDiscountDecision(),
+  handleValidationErrors,
+  approveFeeDiscount
+);
+router.post('/discounts/:id/reject',
+  requirePermission('finance', 'update'),
+  validateUUID('id'),
+  validateFeeDiscountDecision(),
+  handleValidationErrors,
+  rejectFeeDiscount
+);
+router.delete('/discounts/:id',
+  requirePermission('finance', 'update'),
+  validateUUID('id'),
+  validateFeeDiscountDecision(),
+  handleValidationErrors,
+  revokeFeeDiscount
+);
+
+/**
+ * @swagger
+ * /api/fees/receipts:
+ *   get:
+ *     summary: List a school's receipts, newest number first
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: school_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: academic_year_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: student_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Receipts retrieved successfully
+ */
+router.get('/receipts',
+  requirePermission('finance', 'read'),
+  validateReceiptQuery(),
+  handleValidationErrors,
+  getReceipts
+);
+
+/**
+ * @swagger
+ * /api/fees/receipts/{id}:
+ *   get:
+ *     summary: Get a receipt, or print it with format=html or format=pdf
+ *     description: |
+ *       Printing (format=html or format=pdf) is recorded on the receipt's print count, so
+ *       every print after the first is marked DUPLICATE. format=json has no side effects.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, pdf]
+ *     responses:
+ *       200:
+ *         description: Receipt data, HTML page or PDF download
+ *       503:
+ *         description: PDF rendering is not configured on this server
+ * /api/fees/payments/{paymentId}/receipt:
+ *   get:
+ *     summary: Get the receipt of a payment
+ *     description: Printing works as for /api/fees/receipts/{id}
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       404:
+ *         description: Payment not found, or it has no receipt yet
+ *   post:
+ *     summary: Issue the receipt of a payment recorded before receipts existed
+ *     description: Returns the existing receipt (200) when the payment already has one
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Receipt issued
+ */
+router.get('/receipts/:id',
+  requirePermission('finance', 'read'),
+  validateUUID('id'),
+  validateReceiptFormat(),
+  handleValidationErrors,
+  getReceipt
+);
+router.get('/payments/:paymentId/receipt',
+  requirePermission('finance', 'read'),
+  validateUUID('paymentId'),
+  validateReceiptFormat(),
+  handleValidationErrors,
+  getPaymentReceipt
+);
+router.post('/payments/:paymentId/receipt',
+  requirePermission('finance', 'collect_fees'),
+  validateUUID('paymentId'),
+  handleValidationErrors,
+  issuePaymentReceipt
+);
+
+/**
+ * @swagger
+ * /api/fees/receipts/{id}/email:
+ *   post:
+ *     summary: Email a receipt as an attachment
+ *     description: Sent to the addresses in "to", or to the student's guardians when omitted
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Receipt emailed
+ *       400:
+ *         description: No recipients given and no guardian has an email address
+ */
+router.post('/receipts/:id/email',
+  requirePermission('finance', 'collect_fees'),
+  validateUUID('id'),
+  validateReceiptEmail(),
+  handleValidationErrors,
+  emailReceipt
+);
+
+module.exports = router;
@@ -0,0 +1,248 @@
+/**
+ * Library Routes
+ *
+ * Catalog management and circulation (issue, return, renew) for
+ * library_books and library_issues, scoped to the borrower's school.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getBooks,
+  getBookById,
+  getBookByISBN,
+  createBook,
+  updateBook,
+  deleteBook,
+  getIssues,
+  issueBook,
+  returnBook,
+  renewBook,
+  markOverdue
+} = require('../controllers/libraryController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validateBook,
+  validateBookUpdate,
+  validateBookIssue,
+  validateUUID,
+  validatePagination,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { body } = require('express-validator');
+
+const LIBRARY_STAFF = ['Super Admin', 'Admin', 'Librarian'];
+
+// All library routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/library/books:
+ *   get:
+ *     summary: Search the school's library catalog
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: school_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches title, author, publisher or ISBN
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: available_only
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Books retrieved successfully
+ *   post:
+ *     summary: Add a book to the catalog
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Book added successfully
+ *       409:
+ *         description: A book with this ISBN already exists
+ */
+router.get('/books', validatePagination(), handleValidationErrors, getBooks);
+router.post('/books',
+  requireRole(LIBRARY_STAFF),
+  validateBook(),
+  handleValidationErrors,
+  createBook
+);
+
+/**
+ * @swagger
+ * /api/library/books/isbn/{isbn}:
+ *   get:
+ *     summary: Look up a catalog entry by ISBN
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: school_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Book found
+ *       404:
+ *         description: No book with this ISBN
+ */
+router.get('/books/isbn/:isbn', getBookByISBN);
+
+/**
+ * @swagger
+ * /api/library/books/{id}:
+ *   get:
+ *     summary: Get a book by ID
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ *   put:
+ *     summary: Update a book; changing copies_total adjusts available copies
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Book updated successfully
+ *       409:
+ *         description: Another book has this ISBN, or copies_total is below the copies on loan
+ *   delete:
+ *     summary: Remove a book from the catalog (all copies must be returned)
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/books/:id', validateUUID('id'), handleValidationErrors, getBookById);
+router.put('/books/:id',
+  requireRole(LIBRARY_STAFF),
+  validateUUID('id'),
+  validateBookUpdate(),
+  handleValidationErrors,
+  updateBook
+);
+router.delete('/books/:id',
+  requireRole(LIBRARY_STAFF),
+  validateUUID('id'),
+  handleValidationErrors,
+  deleteBook
+);
+
+/**
+ * @swagger
+ * /api/library/issues:
+ *   get:
+ *     summary: List loans for a school
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: school_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [issued, returned, overdue, lost]
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *   post:
+ *     summary: Issue a book to a borrower
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Book issued successfully
+ *       409:
+ *         description: No copies available or borrower limit reached
+ */
+router.get('/issues', requireRole(LIBRARY_STAFF), validatePagination(), handleValidationErrors, getIssues);
+router.post('/issues',
+  requireRole(LIBRARY_STAFF),
+  validateBookIssue(),
+  handleValidationErrors,
+  issueBook
+);
+
+/**
+ * @swagger
+ * /api/library/issues/mark-overdue:
+ *   post:
+ *     summary: Mark past-due loans as overdue and refresh their fines
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/issues/mark-overdue',
+  requireRole(LIBRARY_STAFF),
+  body('school_id').isUUID().withMessage('Valid school ID required'),
+  handleValidationErrors,
+  markOverdue
+);
+
+/**
+ * @swagger
+ * /api/library/issues/{id}/return:
+ *   post:
+ *     summary: Return a book; fines are charged per overdue day
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/issues/:id/return',
+  requireRole(LIBRARY_STAFF),
+  validateUUID('id'),
+  handleValidationErrors,
+  returnBook
+);
+
+/**
+ * @swagger
+ * /api/library/issues/{id}/renew:
+ *   post:
+ *     summary: Extend a loan by one loan period
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/issues/:id/renew',
+  requireRole(LIBRARY_STAFF),
+  validateUUID('id'),
+  handleValidationErrors,
+  renewBook
+);
+
+module.exports = router;
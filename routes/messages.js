@@ -0,0 +1,283 @@
+/**
+ * Message Routes
+ *
+ * Conversation threads between a teacher and a student's guardians, with
+ * read receipts, attachments and moderation by school administrators.
+ * Who may start, read, post in and moderate a thread is decided in
+ * middleware/rbac.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getThreads,
+  createThread,
+  getThread,
+  postMessage,
+  markThreadRead,
+  downloadAttachment,
+  updateThreadStatus,
+  moderateMessage
+} = require('../controllers/messageController');
+const { authenticateToken } = require('../middleware/auth');
+const { validateUUID, validatePagination, handleValidationErrors } = require('../middleware/validation');
+const { body, query } = require('express-validator');
+
+const validateMessageBody = () => [
+  body('body').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Message must be between 1 and 5000 characters'),
+  body('attachments').optional().isArray({ max: 5 }).withMessage('A message can have at most 5 attachments'),
+  body('attachments.*.filename').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Attachment filename is required'),
+  body('attachments.*.content_type').isString().withMessage('Attachment content_type is required'),
+  body('attachments.*.content').isBase64().withMessage('Attachment content must be base64 encoded')
+];
+
+// All message routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/messages/threads:
+ *   get:
+ *     summary: Message threads the current user takes part in, most recently active first
+ *     description: With school_id, school administrators (Admin, Principal, Super Admin) list every thread in the school.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: school_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: student_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, locked]
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Threads with the user's unread count and the latest message
+ *   post:
+ *     summary: Start a thread about a student with its first message
+ *     description: |
+ *       A teacher starts a thread with the student's guardians; a guardian starts one with
+ *       teacher_id, a teacher who teaches the student. Every guardian linked to the student
+ *       through parent_student_relationships takes part.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - student_id
+ *               - subject
+ *               - body
+ *             properties:
+ *               student_id:
+ *                 type: string
+ *                 format: uuid
+ *               teacher_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Required when a guardian starts the thread
+ *               subject:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     filename:
+ *                       type: string
+ *                     content_type:
+ *                       type: string
+ *                       example: application/pdf
+ *                     content:
+ *                       type: string
+ *                       description: Base64 encoded file
+ *     responses:
+ *       201:
+ *         description: Message thread started successfully
+ *       403:
+ *         description: The user is not the student's teacher or guardian
+ */
+router.get('/threads',
+  [
+    ...validatePagination(),
+    query('school_id').optional().isUUID().withMessage('school_id must be a valid UUID'),
+    query('student_id').optional().isUUID().withMessage('student_id must be a valid UUID'),
+    query('status').optional().isIn(['open', 'locked']).withMessage('Status must be open or locked'),
+    query('unread').optional().isBoolean().withMessage('unread must be true or false')
+  ],
+  handleValidationErrors,
+  getThreads
+);
+router.post('/threads',
+  [
+    body('student_id').isUUID().withMessage('student_id must be a valid UUID'),
+    body('teacher_id').optional().isUUID().withMessage('teacher_id must be a valid UUID'),
+    body('subject').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Subject must be between 1 and 200 characters'),
+    ...validateMessageBody()
+  ],
+  handleValidationErrors,
+  createThread
+);
+
+/**
+ * @swagger
+ * /api/messages/threads/{id}:
+ *   get:
+ *     summary: A thread with its participants and a page of messages, newest first
+ *     description: Each message lists every recipient's read receipt. Messages hidden by a moderator have no body or attachments except for moderators.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Message thread retrieved successfully
+ *       404:
+ *         description: Message thread not found
+ * /api/messages/threads/{id}/messages:
+ *   post:
+ *     summary: Post a message in a thread (participants only)
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Message sent successfully
+ *       409:
+ *         description: The thread is locked
+ * /api/messages/threads/{id}/read:
+ *   post:
+ *     summary: Mark every message in a thread as read by the current user
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Messages marked as read
+ */
+router.get('/threads/:id', validateUUID('id'), validatePagination(), handleValidationErrors, getThread);
+router.post('/threads/:id/messages',
+  [
+    validateUUID('id'),
+    ...validateMessageBody()
+  ],
+  handleValidationErrors,
+  postMessage
+);
+router.post('/threads/:id/read', validateUUID('id'), handleValidationErrors, markThreadRead);
+
+/**
+ * @swagger
+ * /api/messages/threads/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download a message attachment
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The attachment file
+ *       404:
+ *         description: Attachment not found
+ */
+router.get('/threads/:id/attachments/:attachmentId',
+  validateUUID('id'),
+  validateUUID('attachmentId'),
+  handleValidationErrors,
+  downloadAttachment
+);
+
+/**
+ * @swagger
+ * /api/messages/threads/{id}/status:
+ *   patch:
+ *     summary: Lock a thread against new messages, or reopen it (school administrators)
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, locked]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Message thread locked or reopened
+ * /api/messages/threads/{id}/messages/{messageId}/moderation:
+ *   patch:
+ *     summary: Hide a message from the thread's participants, or restore it (school administrators)
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hidden
+ *             properties:
+ *               hidden:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Message hidden or restored
+ */
+router.patch('/threads/:id/status',
+  [
+    validateUUID('id'),
+    body('status').isIn(['open', 'locked']).withMessage('Status must be open or locked'),
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+  ],
+  handleValidationErrors,
+  updateThreadStatus
+);
+router.patch('/threads/:id/messages/:messageId/moderation',
+  [
+    validateUUID('id'),
+    validateUUID('messageId'),
+    body('hidden').isBoolean().withMessage('hidden must be a boolean').toBoolean(),
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+  ],
+  handleValidationErrors,
+  moderateMessage
+);
+
+module.exports = router;
@@ -0,0 +1,200 @@
+/**
+ * Notification Routes
+ *
+ * The signed-in user's in-app notification inbox, and a Server-Sent Events
+ * stream that delivers new notifications as they are created.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  createStreamTicket,
+  streamNotifications
+} = require('../controllers/notificationController');
+const notificationService = require('../services/notificationService');
+const { authenticateToken, findActiveUser } = require('../middleware/auth');
+const { validateUUID, validatePagination, handleValidationErrors } = require('../middleware/validation');
+const { query } = require('express-validator');
+
+// EventSource cannot send headers, so the stream also accepts a single-use ?ticket=
+// from POST /stream-ticket. A JWT in the URL would be written to access logs.
+const authenticateStream = async (req, res, next) => {
+  if (!req.query.ticket) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const userId = await notificationService.redeemStreamTicket(req.query.ticket);
+    req.user = userId ? await findActiveUser(userId) : null;
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid ticket',
+        message: 'Stream ticket is unknown, expired or already used'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/notifications/stream:
+ *   get:
+ *     summary: Live stream of the current user's notifications (Server-Sent Events)
+ *     description: |
+ *       Sends `unread-count` on connect and after every change, `notification` for each new
+ *       notification, and `read` / `deleted` with the affected ids (or `all: true` when everything
+ *       was marked read). Browsers using EventSource, which cannot set headers, pass a `ticket`
+ *       from `POST /api/notifications/stream-ticket` instead.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ticket
+ *         schema:
+ *           type: string
+ *         description: Single-use stream ticket, for clients that cannot set the Authorization header
+ *     responses:
+ *       200:
+ *         description: An open text/event-stream
+ *       401:
+ *         description: The ticket is unknown, expired or already used
+ */
+router.get('/stream', authenticateStream, streamNotifications);
+
+// All other notification routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/notifications/stream-ticket:
+ *   post:
+ *     summary: Issue a single-use ticket for opening the notification stream
+ *     description: |
+ *       The ticket opens `GET /api/notifications/stream?ticket=...` once and expires after
+ *       NOTIFICATION_STREAM_TICKET_TTL_SECONDS (60 by default). Request a new one for every
+ *       connection, including reconnects.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: The ticket and when it expires
+ */
+router.post('/stream-ticket', createStreamTicket);
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: The current user's notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           example: fees
+ *     responses:
+ *       200:
+ *         description: Notifications with pagination and the unread count
+ */
+router.get('/',
+  [
+    ...validatePagination(),
+    query('unread').optional().isBoolean().withMessage('unread must be true or false'),
+    query('category').optional().isString().isLength({ max: 50 })
+  ],
+  handleValidationErrors,
+  getNotifications
+);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Number of unread notifications for the current user
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count
+ */
+router.get('/unread-count', getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   patch:
+ *     summary: Mark all of the current user's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+router.patch('/read-all', markAllAsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Notification deleted successfully
+ *       404:
+ *         description: Notification not found
+ */
+router.patch('/:id/read', validateUUID('id'), handleValidationErrors, markAsRead);
+router.delete('/:id', validateUUID('id'), handleValidationErrors, deleteNotification);
+
+module.exports = router;
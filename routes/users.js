@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { requirePermission, requireRole, requireSuperAdmin } = require('../middleware/rbac');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  validatePagination,
+  validateStudentQuery,
+  validateFeePayment,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { getStudents } = require('../controllers/studentController');
+const { collectFee } = require('../controllers/feeController');
 
 // Get all users - Admin or Super Admin can view users
 router.get('/', authenticateToken, requireRole(['Super Admin', 'Admin']), (req, res) => {
@@ -54,43 +62,22 @@ router.post('/', authenticateToken, requireSuperAdmin, (req, res) => {
 });
 
 // Get students - Teachers can read student information
-router.get('/students', authenticateToken, requirePermission('students', 'read'), (req, res) => {
-  try {
-    res.json({ 
-      success: true,
-      message: 'Students retrieved successfully',
-      data: {
-        students: []
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to retrieve students',
-      error: error.message
-    });
-  }
-});
+router.get('/students',
+  authenticateToken,
+  requirePermission('students', 'read'),
+  validatePagination(),
+  validateStudentQuery(),
+  handleValidationErrors,
+  getStudents
+);
 
 // Collect fees - Only Accountants can collect fees
-router.post('/fees/collect', authenticateToken, requirePermission('finance', 'collect_fees'), (req, res) => {
-  try {
-    res.json({ 
-      success: true,
-      message: 'Fee collection processed successfully',
-      data: {
-        transactionId: 'temp-txn-id',
-        amount: req.body.amount,
-        status: 'completed'
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to process fee collection',
-      error: error.message
-    });
-  }
-});
+router.post('/fees/collect',
+  authenticateToken,
+  requirePermission('finance', 'collect_fees'),
+  validateFeePayment(),
+  handleValidationErrors,
+  collectFee
+);
 
 module.exports = router;
\ No newline at end of file
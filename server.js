@@ -16,6 +16,20 @@ const schoolRoutes = require('./routes/schools'); // Back to original with auth
 const academicRoutes = require('./routes/academic');
 const auditRoutes = require('./routes/audit');
 const smsRoutes = require('./routes/sms');
+const libraryRoutes = require('./routes/library');
+const announcementRoutes = require('./routes/announcements');
+const feeRoutes = require('./routes/fees');
+const emailRoutes = require('./routes/email');
+const notificationRoutes = require('./routes/notifications');
+const messageRoutes = require('./routes/messages');
+
+// Import background jobs
+const libraryService = require('./services/libraryService');
+const attendanceAlertService = require('./services/attendanceAlertService');
+const emailService = require('./src/services/emailService');
+const emailDigestService = require('./services/emailDigestService');
+const notificationService = require('./services/notificationService');
+const messagingService = require('./services/messagingService');
 
 // Import database connection
 const pool = require('./config/database');
@@ -78,6 +92,10 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
+// Credentials in query strings (the notification stream ticket, or a token sent
+// by an old client) must not reach the access log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:access_token|ticket)=)[^&#]*/gi, '$1[REDACTED]'));
+
 if (process.env.NODE_ENV !== 'test') {
   app.use(morgan('combined'));
 }
@@ -558,7 +576,13 @@ app.get('/api', (req, res) => {
       users: `${baseUrl}/api/users`,
       schools: `${baseUrl}/api/schools`,
       academic: `${baseUrl}/api/academic`,
-      audit: `${baseUrl}/api/audit` // Add this line
+      audit: `${baseUrl}/api/audit`, // Add this line
+      library: `${baseUrl}/api/library`,
+      announcements: `${baseUrl}/api/announcements`,
+      fees: `${baseUrl}/api/fees`,
+      email: `${baseUrl}/api/email`,
+      notifications: `${baseUrl}/api/notifications`,
+      messages: `${baseUrl}/api/messages`
     },
     timestamp: new Date().toISOString()
   });
@@ -603,6 +627,12 @@ app.use('/api/schools', require('./routes/schools-temp-fix')); // Use temporary
 app.use('/api/academic', academicRoutes);
 app.use('/api/audit', auditRoutes);
 app.use('/api/sms', smsRoutes);
+app.use('/api/library', libraryRoutes);
+app.use('/api/announcements', announcementRoutes);
+app.use('/api/fees', feeRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/messages', messageRoutes);
 
 // 404 handler
 // 404 handler
@@ -624,12 +654,32 @@ app.use('*', (req, res) => {
         schools: '/api/schools',
         academic: '/api/academic',
         audit: '/api/audit', // Add this line
-        sms: '/api/sms'
+        sms: '/api/sms',
+        library: '/api/library',
+        announcements: '/api/announcements',
+        fees: '/api/fees',
+        email: '/api/email',
+        notifications: '/api/notifications',
+        messages: '/api/messages'
       },
       academicEndpoints: {
         academicYears: '/api/academic/academic-years',
+        rollover: '/api/academic/academic-years/:id/rollover',
+        terms: '/api/academic/terms',
+        currentTerm: '/api/academic/terms/current',
         classes: '/api/academic/classes',
-        attendance: '/api/academic/attendance'
+        enrollments: '/api/academic/enrollments',
+        grades: '/api/academic/grades',
+        grading: '/api/academic/grading',
+        reportCards: '/api/academic/report-cards',
+        timetables: '/api/academic/timetables',
+        teacherAbsences: '/api/academic/teacher-absences',
+        substitutions: '/api/academic/substitutions',
+        leave: '/api/academic/leave',
+        attendance: '/api/academic/attendance',
+        attendanceRegister: '/api/academic/attendance/register',
+        attendanceAlerts: '/api/academic/attendance/alerts',
+        attendanceReports: '/api/academic/attendance/reports'
       },
       auditEndpoints: { // Add this section
         logs: '/api/audit/logs',
@@ -697,12 +747,14 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  await notificationService.stopListener();
   await pool.end();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  await notificationService.stopListener();
   await pool.end();
   process.exit(0);
 });
@@ -717,6 +769,13 @@ app.listen(PORT, () => {
   console.log(`   - Swagger UI: http://localhost:${PORT}/api-docs`);
   console.log(`   - Redoc: http://localhost:${PORT}/docs`);
   console.log(`   - API Index: http://localhost:${PORT}/api`);
+
+  libraryService.startOverdueScheduler();
+  attendanceAlertService.startScheduler();
+  emailService.startQueueWorker();
+  emailDigestService.startScheduler();
+  notificationService.startListener();
+  messagingService.startScheduler();
 });
 
 module.exports = app;
\ No newline at end of file
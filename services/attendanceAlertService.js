@@ -0,0 +1,314 @@
+const pool = require('../config/database');
+const twilioService = require('./twilioService');
+const emailService = require('../src/services/emailService');
+const notificationService = require('./notificationService');
+const { formatMessage, getAttendanceLabel } = require('../config/smsMessages');
+
+const ALERT_STATUSES = ['absent', 'late'];
+
+class AttendanceAlertService {
+  constructor() {
+    this.enabled = process.env.ATTENDANCE_ALERTS_ENABLED !== 'false';
+    // Alerts for a day are held until this local hour so each guardian gets one batched message
+    this.sendHour = parseInt(process.env.ATTENDANCE_ALERT_HOUR) || 15;
+    this.checkIntervalMs = parseInt(process.env.ATTENDANCE_ALERT_INTERVAL_MS) || 15 * 60 * 1000;
+    this.maxAttempts = parseInt(process.env.ATTENDANCE_ALERT_MAX_ATTEMPTS) || 3;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Absent/late records for a date whose guardians have not yet been sent an alert
+   * covering them, one row per record and guardian
+   */
+  async findPendingAlerts(date, schoolId = null) {
+    const params = [date, ALERT_STATUSES, this.maxAttempts];
+    let schoolFilter = '';
+
+    if (schoolId) {
+      params.push(schoolId);
+      schoolFilter = 'AND c.school_id = $4';
+    }
+
+    const result = await pool.query(
+      `SELECT a.id as attendance_id, a.student_id, a.status, to_char(a.date, 'YYYY-MM-DD') as date,
+              to_char(tt.start_time, 'HH24:MI') as period_start,
+              c.school_id, s.name as school_name,
+              su.first_name as student_first_name, su.last_name as student_last_name,
+              pp.id as parent_id, pp.alert_channel, pp.preferred_language,
+              pu.id as parent_user_id, pu.email as parent_email, pu.phone as parent_phone,
+              pu.first_name as parent_first_name, pu.last_name as parent_last_name
+       FROM attendance a
+       JOIN classes c ON a.class_id = c.id
+       JOIN schools s ON c.school_id = s.id
+       JOIN student_profiles sp ON a.student_id = sp.id
+       JOIN users su ON sp.user_id = su.id
+       JOIN parent_student_relationships psr ON psr.student_id = a.student_id
+       JOIN parent_profiles pp ON psr.parent_id = pp.id
+       JOIN users pu ON pp.user_id = pu.id
+       LEFT JOIN timetables tt ON a.timetable_id = tt.id
+       WHERE a.date = $1 AND a.status = ANY($2)
+         AND COALESCE(pp.alert_channel, 'sms') <> 'none'
+         AND pu.is_active = true
+         AND NOT EXISTS (
+           SELECT 1 FROM attendance_alerts al
+           WHERE al.parent_id = pp.id AND al.status <> 'failed' AND a.id = ANY(al.attendance_ids)
+         )
+         AND (
+           SELECT COUNT(*) FROM attendance_alerts al
+           WHERE al.parent_id = pp.id AND al.status = 'failed' AND a.id = ANY(al.attendance_ids)
+         ) < $3
+         ${schoolFilter}
+       ORDER BY pp.id, su.last_name, su.first_name, a.student_id, tt.start_time NULLS FIRST`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Group pending records into one batch per guardian, so a guardian with
+   * several children at the school gets a single message for the day
+   */
+  groupBatches(rows) {
+    const batches = new Map();
+
+    rows.forEach(row => {
+      if (!batches.has(row.parent_id)) {
+        batches.set(row.parent_id, {
+          school_id: row.school_id,
+          school_name: row.school_name,
+          date: row.date,
+          parent_id: row.parent_id,
+          parent_user_id: row.parent_user_id,
+          alert_channel: row.alert_channel,
+          preferred_language: row.preferred_language,
+          parent_email: row.parent_email,
+          parent_phone: row.parent_phone,
+          parent_first_name: row.parent_first_name,
+          parent_last_name: row.parent_last_name,
+          students: new Map()
+        });
+      }
+
+      const students = batches.get(row.parent_id).students;
+      if (!students.has(row.student_id)) {
+        students.set(row.student_id, {
+          studentId: row.student_id,
+          name: `${row.student_first_name} ${row.student_last_name}`,
+          records: []
+        });
+      }
+      students.get(row.student_id).records.push({
+        attendanceId: row.attendance_id,
+        status: row.status,
+        periodStart: row.period_start
+      });
+    });
+
+    return [...batches.values()].map(batch => ({ ...batch, students: [...batch.students.values()] }));
+  }
+
+  /**
+   * SMS unless the guardian prefers email (or has no phone); 'both' sends on each channel
+   */
+  resolveChannels(batch) {
+    const preference = batch.alert_channel || 'sms';
+    const channels = [];
+
+    if ((preference === 'sms' || preference === 'both') && batch.parent_phone) {
+      channels.push('sms');
+    }
+    if (preference === 'email' || preference === 'both' || channels.length === 0) {
+      channels.push('email');
+    }
+
+    return channels;
+  }
+
+  describeRecord(record, language) {
+    const when = record.periodStart
+      ? getAttendanceLabel('period', language, { time: record.periodStart })
+      : getAttendanceLabel('daily', language);
+    return `${getAttendanceLabel(record.status, language)} ${when}`;
+  }
+
+  buildSmsMessage(batch) {
+    const language = batch.preferred_language || 'en';
+    const details = batch.students.map(student => formatMessage('attendance_alert_student', language, {
+      student: student.name,
+      details: student.records.map(record => this.describeRecord(record, language)).join(', ')
+    })).join('; ');
+
+    return formatMessage('attendance_alert', language, {
+      school: batch.school_name,
+      details,
+      date: batch.date
+    });
+  }
+
+  async deliver(batch, channel) {
+    if (channel === 'sms') {
+      const message = this.buildSmsMessage(batch);
+      const sms = await twilioService.sendCustomSMS(batch.parent_phone, message);
+      return { recipient: batch.parent_phone, message, providerMessageId: sms.sid, status: 'sent' };
+    }
+
+    const language = batch.preferred_language || 'en';
+    const result = await emailService.sendEmail({
+      to: batch.parent_email,
+      subject: formatMessage('attendance_alert_subject', language, {
+        school: batch.school_name,
+        students: batch.students.map(student => student.name).join(', ')
+      }),
+      template: 'attendance-alert',
+      schoolId: batch.school_id,
+      language,
+      data: {
+        schoolName: batch.school_name,
+        guardianName: `${batch.parent_first_name} ${batch.parent_last_name}`,
+        date: batch.date,
+        students: batch.students.map(student => ({
+          name: student.name,
+          records: student.records.map(record => ({
+            status: getAttendanceLabel(record.status, language),
+            period: record.periodStart
+              ? getAttendanceLabel('period', language, { time: record.periodStart })
+              : getAttendanceLabel('daily', language)
+          }))
+        }))
+      }
+    });
+
+    // Email preferences may hold the alert for a digest or drop it altogether
+    let status = 'sent';
+    if (!result.queued) {
+      status = result.digested.length > 0 ? 'digested' : 'skipped';
+    }
+
+    return { recipient: batch.parent_email, message: null, providerMessageId: result.queueId, status };
+  }
+
+  /**
+   * Mirror a delivered alert in the guardian's in-app notifications, worded
+   * like the SMS in their language
+   */
+  async notifyGuardian(batch) {
+    await notificationService.notifySafely(batch.parent_user_id, {
+      title: `Attendance alert for ${batch.students.map(student => student.name).join(', ')}`,
+      message: this.buildSmsMessage(batch),
+      type: 'warning',
+      category: 'attendance',
+      data: {
+        date: batch.date,
+        students: batch.students.map(student => ({
+          studentId: student.studentId,
+          attendanceIds: student.records.map(record => record.attendanceId)
+        }))
+      },
+      schoolId: batch.school_id
+    });
+  }
+
+  /**
+   * One row per student in the batch, so deliveries can be listed and
+   * retried per student while sharing the guardian's single message
+   */
+  async recordDelivery(batch, channel, outcome) {
+    for (const student of batch.students) {
+      await pool.query(
+        `INSERT INTO attendance_alerts (school_id, student_id, parent_id, alert_date, channel, recipient,
+                                        attendance_ids, message, status, provider_message_id, error_message)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [batch.school_id, student.studentId, batch.parent_id, batch.date, channel, outcome.recipient,
+          student.records.map(record => record.attendanceId), outcome.message, outcome.status,
+          outcome.providerMessageId || null, outcome.errorMessage || null]
+      );
+    }
+  }
+
+  /**
+   * Send every pending alert for a date. Failed deliveries are recorded and
+   * retried on later runs, up to maxAttempts per record.
+   */
+  async dispatch(date, schoolId = null) {
+    const batches = this.groupBatches(await this.findPendingAlerts(date, schoolId));
+    const summary = { date, batches: batches.length, sent: 0, digested: 0, skipped: 0, failed: 0 };
+
+    for (const batch of batches) {
+      let delivered = false;
+
+      for (const channel of this.resolveChannels(batch)) {
+        try {
+          const delivery = await this.deliver(batch, channel);
+          await this.recordDelivery(batch, channel, delivery);
+          summary[delivery.status]++;
+          delivered = true;
+        } catch (error) {
+          await this.recordDelivery(batch, channel, {
+            recipient: channel === 'sms' ? batch.parent_phone : batch.parent_email,
+            status: 'failed',
+            errorMessage: error.message
+          });
+          summary.failed++;
+        }
+      }
+
+      // Records handled on any channel are not picked up again, so this runs once per batch
+      if (delivered) {
+        await this.notifyGuardian(batch);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Today's alerts go out once the send hour has passed; yesterday's stragglers
+   * (late edits or failed sends) are retried on every run
+   */
+  startScheduler() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    const run = async () => {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+
+      try {
+        const now = new Date();
+        const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+        const dates = [yesterday.toLocaleDateString('en-CA')];
+        if (now.getHours() >= this.sendHour) {
+          dates.push(now.toLocaleDateString('en-CA'));
+        }
+
+        for (const date of dates) {
+          const summary = await this.dispatch(date);
+          if (summary.sent > 0 || summary.failed > 0) {
+            console.log(`📨 Attendance alerts for ${date}: ${summary.sent} sent, ${summary.failed} failed`);
+          }
+        }
+      } catch (error) {
+        console.error('Attendance alert dispatch error:', error.message);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(run, this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new AttendanceAlertService();
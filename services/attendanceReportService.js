@@ -0,0 +1,222 @@
+const pool = require('../config/database');
+const attendanceService = require('./attendanceService');
+const termService = require('./termService');
+
+const STATUS_COUNTS = `
+  COUNT(*) FILTER (WHERE a.status = 'present') as present,
+  COUNT(*) FILTER (WHERE a.status = 'absent') as absent,
+  COUNT(*) FILTER (WHERE a.status = 'late') as late,
+  COUNT(*) FILTER (WHERE a.status = 'excused') as excused`;
+
+const GROUPINGS = {
+  class: {
+    select: 'c.id::text as group_id, c.name as group_name, c.grade_level',
+    groupBy: 'c.id, c.name, c.grade_level',
+    orderBy: 'c.grade_level, c.name'
+  },
+  grade: {
+    select: "c.grade_level::text as group_id, 'Grade ' || c.grade_level as group_name, c.grade_level",
+    groupBy: 'c.grade_level',
+    orderBy: 'c.grade_level'
+  },
+  student: {
+    select: `sp.id::text as group_id, u.last_name || ', ' || u.first_name as group_name,
+             sp.student_id as student_number, MIN(c.grade_level) as grade_level`,
+    groupBy: 'sp.id, u.last_name, u.first_name, sp.student_id',
+    orderBy: 'u.last_name, u.first_name'
+  }
+};
+
+const INTERVALS = {
+  week: "to_char(date_trunc('week', a.date), 'YYYY-MM-DD')",
+  month: "to_char(date_trunc('month', a.date), 'YYYY-MM')"
+};
+
+const TRENDS = {
+  day_of_week: {
+    select: 'EXTRACT(ISODOW FROM a.date)::int as bucket, NULL as label',
+    join: '',
+    groupBy: 'EXTRACT(ISODOW FROM a.date)',
+    orderBy: 'bucket'
+  },
+  term: {
+    select: 't.id::text as bucket, t.name as label, MIN(t.start_date) as bucket_start',
+    // A class only belongs to terms of its own academic year
+    join: 'JOIN terms t ON t.academic_year_id = c.academic_year_id AND a.date BETWEEN t.start_date AND t.end_date',
+    groupBy: 't.id, t.name',
+    orderBy: 'bucket_start'
+  },
+  month: {
+    select: `${INTERVALS.month} as bucket, NULL as label`,
+    join: '',
+    groupBy: INTERVALS.month,
+    orderBy: 'bucket'
+  }
+};
+
+const DAY_NAMES = [null, 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+class AttendanceReportService {
+  /**
+   * Date range for a report: an explicit term, explicit dates, or the school's
+   * current term (either date may still be given to narrow it). Returns null
+   * when none of these resolve.
+   */
+  async resolveRange(schoolId, { termId, startDate, endDate }, db = pool) {
+    if (!termId && startDate && endDate) {
+      return { startDate, endDate, termId: null, termName: null };
+    }
+
+    let id = termId;
+    if (!id) {
+      const current = await termService.findCurrentTerm(schoolId, db);
+      if (!current) {
+        return null;
+      }
+      id = current.id;
+    }
+
+    // Dates as text so the range does not shift with the server time zone
+    const result = await db.query(
+      `SELECT t.id, t.name, to_char(t.start_date, 'YYYY-MM-DD') as start_date,
+              to_char(t.end_date, 'YYYY-MM-DD') as end_date
+       FROM terms t
+       JOIN academic_years ay ON t.academic_year_id = ay.id
+       WHERE t.id = $1 AND ay.school_id = $2`,
+      [id, schoolId]
+    );
+    const term = result.rows[0];
+
+    if (!term) {
+      return null;
+    }
+
+    return {
+      startDate: (!termId && startDate) || term.start_date,
+      endDate: (!termId && endDate) || term.end_date,
+      termId: term.id,
+      termName: term.name
+    };
+  }
+
+  /**
+   * Shared WHERE clause: school, date range and optional class/grade filters.
+   * Only daily records count; per-period marks (timetable_id set) would
+   * weight students by how many lessons they have. Returns the clause and
+   * params so callers can append their own.
+   */
+  buildFilters(schoolId, range, { classId, gradeLevel } = {}) {
+    const whereConditions = ['c.school_id = $1', 'a.date BETWEEN $2 AND $3', 'a.timetable_id IS NULL'];
+    const queryParams = [schoolId, range.startDate, range.endDate];
+
+    if (classId) {
+      queryParams.push(classId);
+      whereConditions.push(`c.id = $${queryParams.length}`);
+    }
+
+    if (gradeLevel) {
+      queryParams.push(gradeLevel);
+      whereConditions.push(`c.grade_level = $${queryParams.length}`);
+    }
+
+    return { whereClause: whereConditions.join(' AND '), queryParams };
+  }
+
+  /**
+   * Attendance rates grouped by class, grade or student, optionally split
+   * into weekly or monthly periods to show change over time
+   */
+  async getRates(schoolId, range, { groupBy = 'class', interval = null, ...filters } = {}, db = pool) {
+    const grouping = GROUPINGS[groupBy];
+    const period = interval ? INTERVALS[interval] : null;
+    const { whereClause, queryParams } = this.buildFilters(schoolId, range, filters);
+
+    const result = await db.query(
+      `SELECT ${grouping.select}${period ? `, ${period} as period` : ''}, ${STATUS_COUNTS}
+       FROM attendance a
+       JOIN classes c ON a.class_id = c.id
+       JOIN student_profiles sp ON a.student_id = sp.id
+       JOIN users u ON sp.user_id = u.id
+       WHERE ${whereClause}
+       GROUP BY ${grouping.groupBy}${period ? `, ${period}` : ''}
+       ORDER BY ${grouping.orderBy}${period ? ', period' : ''}`,
+      queryParams
+    );
+
+    return result.rows.map(row => ({
+      groupId: row.group_id,
+      groupName: row.group_name,
+      gradeLevel: row.grade_level,
+      ...(groupBy === 'student' && { studentNumber: row.student_number }),
+      ...(period && { period: row.period }),
+      ...attendanceService.summarizeCounts(row)
+    }));
+  }
+
+  /**
+   * Students whose attendance rate over the range is below the threshold.
+   * minRecords keeps students with only a handful of marks (e.g. new
+   * arrivals) from being flagged on one absence.
+   */
+  async getChronicAbsentees(schoolId, range, { threshold, minRecords = 1, ...filters }, db = pool) {
+    const { whereClause, queryParams } = this.buildFilters(schoolId, range, filters);
+    queryParams.push(minRecords, threshold);
+    const minParam = queryParams.length - 1;
+    const thresholdParam = queryParams.length;
+
+    const result = await db.query(
+      `SELECT sp.id, sp.student_id as student_number, u.first_name, u.last_name,
+              string_agg(DISTINCT c.name, ', ') as class_names, MIN(c.grade_level) as grade_level,
+              to_char(MAX(a.date) FILTER (WHERE a.status = 'absent'), 'YYYY-MM-DD') as last_absence,
+              ${STATUS_COUNTS}
+       FROM attendance a
+       JOIN classes c ON a.class_id = c.id
+       JOIN student_profiles sp ON a.student_id = sp.id
+       JOIN users u ON sp.user_id = u.id
+       WHERE ${whereClause}
+       GROUP BY sp.id, sp.student_id, u.first_name, u.last_name
+       HAVING COUNT(*) >= $${minParam}
+          AND COUNT(*) FILTER (WHERE a.status IN ('present', 'late')) * 100.0 / COUNT(*) < $${thresholdParam}
+       ORDER BY COUNT(*) FILTER (WHERE a.status IN ('present', 'late')) * 1.0 / COUNT(*), u.last_name, u.first_name`,
+      queryParams
+    );
+
+    return result.rows.map(row => ({
+      studentId: row.id,
+      studentNumber: row.student_number,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      classNames: row.class_names,
+      gradeLevel: row.grade_level,
+      lastAbsence: row.last_absence,
+      ...attendanceService.summarizeCounts(row)
+    }));
+  }
+
+  /**
+   * School-wide rates bucketed by day of week, term or month
+   */
+  async getTrends(schoolId, range, { by = 'day_of_week', ...filters } = {}, db = pool) {
+    const trend = TRENDS[by];
+    const { whereClause, queryParams } = this.buildFilters(schoolId, range, filters);
+
+    const result = await db.query(
+      `SELECT ${trend.select}, ${STATUS_COUNTS}
+       FROM attendance a
+       JOIN classes c ON a.class_id = c.id
+       ${trend.join}
+       WHERE ${whereClause}
+       GROUP BY ${trend.groupBy}
+       ORDER BY ${trend.orderBy}`,
+      queryParams
+    );
+
+    return result.rows.map(row => ({
+      bucket: row.bucket,
+      label: by === 'day_of_week' ? DAY_NAMES[row.bucket] : row.label || row.bucket,
+      ...attendanceService.summarizeCounts(row)
+    }));
+  }
+}
+
+module.exports = new AttendanceReportService();
@@ -0,0 +1,82 @@
+const pool = require('../config/database');
+
+const SETTING_CATEGORY = 'academic';
+const LOCK_HOURS_KEY = 'attendance_lock_hours';
+const CHRONIC_THRESHOLD_KEY = 'chronic_absence_threshold';
+
+class AttendanceService {
+  constructor() {
+    this.defaultLockHours = parseInt(process.env.ATTENDANCE_LOCK_HOURS) || 48;
+    this.defaultChronicThreshold = parseFloat(process.env.ATTENDANCE_CHRONIC_THRESHOLD) || 90;
+  }
+
+  async getNumericSetting(schoolId, key, db) {
+    const result = await db.query(
+      `SELECT setting_value FROM tenant_settings
+       WHERE school_id = $1 AND setting_category = $2 AND setting_key = $3`,
+      [schoolId, SETTING_CATEGORY, key]
+    );
+
+    return result.rows[0] ? Number(result.rows[0].setting_value) : NaN;
+  }
+
+  /**
+   * Hours after the end of a register's day during which teachers may still edit it.
+   * Schools can override the server default in tenant_settings.
+   */
+  async getLockHours(schoolId, db = pool) {
+    const value = await this.getNumericSetting(schoolId, LOCK_HOURS_KEY, db);
+    return Number.isFinite(value) && value >= 0 ? value : this.defaultLockHours;
+  }
+
+  /**
+   * Attendance rate (percent) below which a student counts as chronically absent
+   */
+  async getChronicThreshold(schoolId, db = pool) {
+    const value = await this.getNumericSetting(schoolId, CHRONIC_THRESHOLD_KEY, db);
+    return Number.isFinite(value) && value > 0 && value <= 100 ? value : this.defaultChronicThreshold;
+  }
+
+  /**
+   * Status counts (pg COUNT strings) to totals and a rate. Late students were
+   * in school, so they count as attending.
+   */
+  summarizeCounts(row) {
+    const counts = {
+      present: parseInt(row?.present || 0),
+      absent: parseInt(row?.absent || 0),
+      late: parseInt(row?.late || 0),
+      excused: parseInt(row?.excused || 0)
+    };
+    const totalDays = counts.present + counts.absent + counts.late + counts.excused;
+
+    return {
+      ...counts,
+      totalDays,
+      rate: totalDays > 0 ? Math.round((counts.present + counts.late) / totalDays * 10000) / 100 : null
+    };
+  }
+
+  /**
+   * Lock time for a register date given as YYYY-MM-DD (server local time)
+   */
+  getLockTime(date, lockHours) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day + 1, lockHours);
+  }
+
+  isLocked(date, lockHours, now = new Date()) {
+    return now >= this.getLockTime(date, lockHours);
+  }
+
+  /**
+   * ISO day of week (1 = Monday ... 7 = Sunday), matching timetables.day_of_week
+   */
+  dayOfWeek(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return weekday === 0 ? 7 : weekday;
+  }
+}
+
+module.exports = new AttendanceService();
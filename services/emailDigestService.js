@@ -0,0 +1,178 @@
+const pool = require('../config/database');
+const emailService = require('../src/services/emailService');
+const { notificationTypes } = require('../config/emailNotifications');
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+class EmailDigestService {
+  constructor() {
+    this.enabled = process.env.EMAIL_DIGESTS_ENABLED !== 'false';
+    // Digests go out after this local hour (0 is midnight); weekly ones on this ISO weekday (1 = Monday)
+    const sendHour = parseInt(process.env.EMAIL_DIGEST_HOUR);
+    this.sendHour = Number.isInteger(sendHour) ? sendHour : 7;
+    this.weeklyDay = parseInt(process.env.EMAIL_DIGEST_WEEKDAY) || 1;
+    this.checkIntervalMs = parseInt(process.env.EMAIL_DIGEST_INTERVAL_MS) || 15 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * When the latest digest of a frequency was due: the most recent send
+   * hour for daily digests, the most recent one on the weekly send day for
+   * weekly digests. Items held back before it go out in that digest.
+   */
+  getCutoff(frequency, now = new Date()) {
+    const cutoff = new Date(now.getFullYear(), now.getMonth(), now.getDate(), this.sendHour);
+    if (cutoff > now) {
+      cutoff.setDate(cutoff.getDate() - 1);
+    }
+
+    if (frequency === 'weekly') {
+      const isoDay = cutoff.getDay() || 7;
+      cutoff.setDate(cutoff.getDate() - ((isoDay - this.weeklyDay + 7) % 7));
+    }
+
+    return cutoff;
+  }
+
+  buildDigestData(items, frequency) {
+    const groups = new Map();
+
+    items.forEach(item => {
+      if (!groups.has(item.notification_type)) {
+        const type = notificationTypes[item.notification_type];
+        groups.set(item.notification_type, { label: type ? type.label : item.notification_type, items: [] });
+      }
+      groups.get(item.notification_type).items.push({
+        subject: item.subject,
+        receivedAt: new Date(item.created_at).toLocaleString('en-GB')
+      });
+    });
+
+    return {
+      userName: `${items[0].first_name} ${items[0].last_name}`,
+      frequency,
+      count: items.length,
+      groups: [...groups.values()],
+      preferencesUrl: `${process.env.FRONTEND_URL}/settings/notifications`,
+      systemName: 'SIMS'
+    };
+  }
+
+  /**
+   * Queue one user's digest of the items held back before the cutoff. The
+   * items are locked (skipping ones another instance holds) and marked in
+   * the transaction that queues the digest, so each goes out exactly once.
+   * Returns the number of items sent.
+   */
+  async sendDigest(userId, frequency, cutoff) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const itemsResult = await client.query(
+        `SELECT di.*, u.first_name, u.last_name, u.email
+         FROM email_digest_items di
+         JOIN users u ON di.user_id = u.id
+         WHERE di.user_id = $1 AND di.frequency = $2 AND di.digested_at IS NULL AND di.created_at < $3
+         ORDER BY di.created_at
+         FOR UPDATE OF di SKIP LOCKED`,
+        [userId, frequency, cutoff]
+      );
+      const items = itemsResult.rows;
+
+      if (items.length === 0) {
+        await client.query('ROLLBACK');
+        return 0;
+      }
+
+      const queued = await emailService.enqueueEmail(client, {
+        to: items[0].email,
+        subject: `Your ${frequency} SIMS digest: ${items.length} notification${items.length === 1 ? '' : 's'}`,
+        template: 'notification-digest',
+        data: this.buildDigestData(items, frequency),
+        trackingId: `digest-${frequency}-${userId}-${Date.now()}`
+      });
+
+      await client.query(
+        'UPDATE email_digest_items SET digested_at = NOW(), queue_id = $1 WHERE id = ANY($2::uuid[])',
+        [queued.id, items.map(item => item.id)]
+      );
+
+      await client.query('COMMIT');
+      return items.length;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async dispatch(now = new Date()) {
+    const summary = { digests: 0, items: 0, failed: 0 };
+
+    for (const frequency of DIGEST_FREQUENCIES) {
+      const cutoff = this.getCutoff(frequency, now);
+
+      const usersResult = await pool.query(
+        `SELECT DISTINCT user_id FROM email_digest_items
+         WHERE frequency = $1 AND digested_at IS NULL AND created_at < $2`,
+        [frequency, cutoff]
+      );
+
+      for (const { user_id: userId } of usersResult.rows) {
+        try {
+          const sent = await this.sendDigest(userId, frequency, cutoff);
+          if (sent > 0) {
+            summary.digests++;
+            summary.items += sent;
+          }
+        } catch (error) {
+          summary.failed++;
+          console.error(`Email digest error for user ${userId}:`, error.message);
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  startScheduler() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    const run = async () => {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+
+      try {
+        const summary = await this.dispatch();
+        if (summary.digests > 0 || summary.failed > 0) {
+          console.log(`📬 Email digests: ${summary.digests} queued covering ${summary.items} notifications, ${summary.failed} failed`);
+        }
+      } catch (error) {
+        console.error('Email digest dispatch error:', error.message);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(run, this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new EmailDigestService();
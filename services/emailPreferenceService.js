@@ -0,0 +1,106 @@
+const pool = require('../config/database');
+const { notificationTypes, isMandatory, getSupportedTypes } = require('../config/emailNotifications');
+
+class EmailPreferenceService {
+  /**
+   * A user's preference for every notification type. Types they never set
+   * are enabled and immediate; mandatory types always are.
+   */
+  async getPreferences(userId, db = pool) {
+    const result = await db.query(
+      'SELECT notification_type, is_enabled, frequency, updated_at FROM email_preferences WHERE user_id = $1',
+      [userId]
+    );
+    const saved = new Map(result.rows.map(row => [row.notification_type, row]));
+
+    return getSupportedTypes().map(type => {
+      const row = saved.get(type);
+      const mandatory = isMandatory(type);
+      const optedOut = !mandatory && Boolean(row) && (row.is_enabled === false || row.frequency === 'never');
+
+      return {
+        notificationType: type,
+        label: notificationTypes[type].label,
+        mandatory,
+        isEnabled: !optedOut,
+        frequency: mandatory || !row || optedOut ? 'immediate' : (row.frequency || 'immediate'),
+        updatedAt: row ? row.updated_at : null
+      };
+    });
+  }
+
+  async savePreferences(client, userId, preferences) {
+    for (const preference of preferences) {
+      await client.query(
+        `INSERT INTO email_preferences (user_id, notification_type, is_enabled, frequency)
+         VALUES ($1, $2, COALESCE($3, true), COALESCE($4, 'immediate'))
+         ON CONFLICT (user_id, notification_type)
+         DO UPDATE SET is_enabled = COALESCE($3, email_preferences.is_enabled),
+                       frequency = COALESCE($4, email_preferences.frequency),
+                       updated_at = NOW()`,
+        [userId, preference.notification_type, preference.is_enabled ?? null, preference.frequency || null]
+      );
+    }
+  }
+
+  /**
+   * Split a message's recipients by their preference for its notification
+   * type into addresses to send to now, users who want it in a digest and
+   * addresses that opted out. Addresses that belong to no user are always
+   * sent to.
+   */
+  async resolveRecipients(addresses, notificationType, db = pool) {
+    const result = await db.query(
+      `SELECT u.id, LOWER(u.email) as email, ep.is_enabled, ep.frequency
+       FROM users u
+       LEFT JOIN email_preferences ep ON ep.user_id = u.id AND ep.notification_type = $2
+       WHERE LOWER(u.email) = ANY($1::text[])`,
+      [addresses.map(address => address.toLowerCase()), notificationType]
+    );
+    const users = new Map(result.rows.map(row => [row.email, row]));
+
+    const resolved = { immediate: [], digest: [], optedOut: [] };
+
+    for (const address of addresses) {
+      const user = users.get(address.toLowerCase());
+
+      if (user && (user.is_enabled === false || user.frequency === 'never')) {
+        resolved.optedOut.push(address);
+      } else if (user && ['daily', 'weekly'].includes(user.frequency)) {
+        resolved.digest.push({ userId: user.id, email: address, frequency: user.frequency });
+      } else {
+        resolved.immediate.push(address);
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Hold notifications back for the recipients' next digest
+   */
+  async addDigestItems(client, recipients, { notificationType, subject, template, data, trackingId }) {
+    if (recipients.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `INSERT INTO email_digest_items (user_id, recipient_email, frequency, notification_type, subject,
+                                       template_name, template_data, tracking_id)
+       SELECT r.user_id, r.email, r.frequency, $4, $5, $6, $7, $8
+       FROM unnest($1::uuid[], $2::text[], $3::text[]) AS r(user_id, email, frequency)`,
+      [
+        recipients.map(recipient => recipient.userId),
+        recipients.map(recipient => recipient.email),
+        recipients.map(recipient => recipient.frequency),
+        notificationType,
+        subject,
+        template || null,
+        JSON.stringify(data || {}),
+        trackingId
+      ]
+    );
+  }
+}
+
+module.exports = new EmailPreferenceService();
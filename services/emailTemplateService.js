@@ -0,0 +1,228 @@
+const handlebars = require('handlebars');
+const pool = require('../config/database');
+
+// Templates schools may override, with the sample data their previews are rendered with
+const TEMPLATE_SAMPLES = {
+  'attendance-alert': {
+    schoolName: 'Sample School',
+    guardianName: 'Alex Parent',
+    studentName: 'Sam Student',
+    date: '2024-03-04',
+    records: [
+      { status: 'absent', period: 'for the 08:00 period' },
+      { status: 'late', period: 'for the 10:00 period' }
+    ]
+  },
+  'fee-receipt': {
+    schoolName: 'Sample School',
+    studentName: 'Sam Student',
+    receiptNumber: 'SMPL-2024-000042',
+    feeType: 'tuition',
+    amount: '500.00',
+    paymentDate: '2024-03-04',
+    balance: '1000.00'
+  },
+  'leave-request': {
+    schoolName: 'Sample School',
+    recipientName: 'Pat Principal',
+    heading: 'Taylor Teacher has requested leave',
+    teacherName: 'Taylor Teacher',
+    leaveType: 'Annual leave',
+    startDate: '2024-03-11',
+    endDate: '2024-03-15',
+    days: 5,
+    reason: 'Family event',
+    decidedByName: null,
+    comment: null
+  }
+};
+
+const TEMPLATE_FIELDS = {
+  subject_template: 'Subject',
+  html_template: 'HTML body',
+  text_template: 'Text body'
+};
+
+class EmailTemplateService {
+  constructor() {
+    // Compiled overrides keyed by template id and version, so edits never serve a stale copy
+    this.compiled = new Map();
+  }
+
+  isOverridable(name) {
+    return Object.prototype.hasOwnProperty.call(TEMPLATE_SAMPLES, name);
+  }
+
+  getOverridableNames() {
+    return Object.keys(TEMPLATE_SAMPLES);
+  }
+
+  getSampleData(name) {
+    return TEMPLATE_SAMPLES[name] || {};
+  }
+
+  /**
+   * Errors in a subject/HTML/text set, one message per invalid field.
+   * handlebars.compile only parses on first render, so each field is
+   * precompiled to surface syntax errors and rendered with the template's
+   * sample data to surface runtime ones such as unknown helpers.
+   */
+  validate(content, name) {
+    return Object.entries(TEMPLATE_FIELDS)
+      .filter(([field]) => content[field])
+      .map(([field, label]) => {
+        try {
+          handlebars.precompile(content[field]);
+          handlebars.compile(content[field])(this.getSampleData(name));
+          return null;
+        } catch (error) {
+          return { field, message: `${label} is not a valid Handlebars template: ${error.message}` };
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Render a subject/HTML/text set; the text body falls back to the HTML
+   * with its tags stripped
+   */
+  render(content, data) {
+    const html = handlebars.compile(content.html_template)(data);
+    return {
+      subject: handlebars.compile(content.subject_template)(data),
+      html,
+      text: content.text_template
+        ? handlebars.compile(content.text_template)(data)
+        : html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim()
+    };
+  }
+
+  async findOverride(schoolId, name, language, db = pool, lock = false) {
+    const result = await db.query(
+      `SELECT * FROM email_templates
+       WHERE school_id = $1 AND name = $2 AND language = $3
+       ${lock ? 'FOR UPDATE' : ''}`,
+      [schoolId, name, language]
+    );
+    return result.rows[0] || null;
+  }
+
+  async findOverrides(schoolId, db = pool) {
+    const result = await db.query(
+      `SELECT et.*, u.first_name as updated_by_first_name, u.last_name as updated_by_last_name
+       FROM email_templates et
+       LEFT JOIN email_template_versions v ON v.template_id = et.id AND v.version = et.current_version
+       LEFT JOIN users u ON v.created_by = u.id
+       WHERE et.school_id = $1
+       ORDER BY et.name, et.language`,
+      [schoolId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * The active override a school's message is rendered with: the one in the
+   * message's language, else the school's English one; null means the
+   * file template is used
+   */
+  async resolveOverride(schoolId, name, language = 'en', db = pool) {
+    if (!schoolId || !this.isOverridable(name)) {
+      return null;
+    }
+
+    const result = await db.query(
+      `SELECT * FROM email_templates
+       WHERE school_id = $1 AND name = $2 AND language IN ($3, 'en') AND is_active = true
+       ORDER BY (language = $3) DESC
+       LIMIT 1`,
+      [schoolId, name, language || 'en']
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Render a message with an override, reusing its compiled templates until
+   * the override's version changes
+   */
+  renderOverride(override, data) {
+    const key = `${override.id}:${override.current_version}`;
+
+    if (!this.compiled.has(key)) {
+      [...this.compiled.keys()]
+        .filter(existing => existing.startsWith(`${override.id}:`))
+        .forEach(existing => this.compiled.delete(existing));
+
+      this.compiled.set(key, {
+        subject: handlebars.compile(override.subject_template),
+        html: handlebars.compile(override.html_template),
+        text: override.text_template ? handlebars.compile(override.text_template) : null
+      });
+    }
+
+    const compiled = this.compiled.get(key);
+    const html = compiled.html(data);
+    return {
+      subject: compiled.subject(data),
+      html,
+      text: compiled.text ? compiled.text(data) : null
+    };
+  }
+
+  /**
+   * Save new content as the override's next version (creating the override
+   * on first save) and make it the active one. The upsert locks the
+   * override row, so concurrent saves get consecutive versions.
+   */
+  async saveVersion(client, { schoolId, name, language, content, comment = null, restoredFromVersion = null, userId }) {
+    const templateResult = await client.query(
+      `INSERT INTO email_templates (school_id, name, language, subject_template, html_template, text_template, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (school_id, name, language) DO UPDATE SET updated_at = NOW()
+       RETURNING *`,
+      [schoolId, name, language, content.subject_template, content.html_template, content.text_template || null, userId]
+    );
+    const template = templateResult.rows[0];
+    const version = template.current_version + 1;
+
+    await client.query(
+      `INSERT INTO email_template_versions (template_id, version, subject_template, html_template, text_template,
+                                            comment, restored_from_version, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [template.id, version, content.subject_template, content.html_template, content.text_template || null,
+        comment, restoredFromVersion, userId]
+    );
+
+    const updatedResult = await client.query(
+      `UPDATE email_templates
+       SET subject_template = $1, html_template = $2, text_template = $3, current_version = $4,
+           is_active = true, updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [content.subject_template, content.html_template, content.text_template || null, version, template.id]
+    );
+
+    return { previous: template.current_version > 0 ? template : null, template: updatedResult.rows[0] };
+  }
+
+  async findVersions(templateId, db = pool) {
+    const result = await db.query(
+      `SELECT v.*, u.first_name as created_by_first_name, u.last_name as created_by_last_name
+       FROM email_template_versions v
+       LEFT JOIN users u ON v.created_by = u.id
+       WHERE v.template_id = $1
+       ORDER BY v.version DESC`,
+      [templateId]
+    );
+    return result.rows;
+  }
+
+  async findVersion(templateId, version, db = pool) {
+    const result = await db.query(
+      'SELECT * FROM email_template_versions WHERE template_id = $1 AND version = $2',
+      [templateId, version]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new EmailTemplateService();
@@ -0,0 +1,195 @@
+const pool = require('../config/database');
+const { toCents, fromCents } = require('../utils/helpers');
+
+class FeeDiscountService {
+  async findDiscount(discountId, db = pool, lock = false) {
+    const result = await db.query(
+      `SELECT fd.*, u.first_name as student_first_name, u.last_name as student_last_name
+       FROM fee_discounts fd
+       LEFT JOIN student_profiles sp ON fd.student_id = sp.id
+       LEFT JOIN users u ON sp.user_id = u.id
+       WHERE fd.id = $1
+       ${lock ? 'FOR UPDATE OF fd' : ''}`,
+      [discountId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Approved rules of a school that apply in an academic year (rules
+   * without a year apply in every year)
+   */
+  async findApprovedDiscounts(schoolId, academicYearId, db = pool) {
+    const result = await db.query(
+      `SELECT * FROM fee_discounts
+       WHERE school_id = $1 AND status = 'approved'
+         AND (academic_year_id IS NULL OR academic_year_id = $2)
+       ORDER BY created_at`,
+      [schoolId, academicYearId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * For each student, how many older siblings (sharing a parent) are
+   * actively enrolled in the year, so the eldest child counts 0
+   */
+  async countOlderSiblings(studentIds, academicYearId, db = pool) {
+    const result = await db.query(
+      `SELECT sp.id as student_id, COUNT(DISTINCT sib.id) as older_siblings
+       FROM student_profiles sp
+       JOIN parent_student_relationships psr ON psr.student_id = sp.id
+       JOIN parent_student_relationships sib_rel ON sib_rel.parent_id = psr.parent_id AND sib_rel.student_id <> sp.id
+       JOIN student_profiles sib ON sib_rel.student_id = sib.id
+       JOIN enrollments e ON e.student_id = sib.id AND e.academic_year_id = $2 AND e.status = 'active'
+       WHERE sp.id = ANY($1::uuid[])
+         AND (sib.date_of_birth < sp.date_of_birth OR (sib.date_of_birth = sp.date_of_birth AND sib.id < sp.id))
+       GROUP BY sp.id`,
+      [studentIds, academicYearId]
+    );
+
+    return new Map(result.rows.map(row => [row.student_id, parseInt(row.older_siblings)]));
+  }
+
+  /**
+   * Whether a rule covers a student's fee of the given type
+   */
+  appliesTo(discount, { feeType, studentId, olderSiblings = 0 }) {
+    if (discount.fee_type && discount.fee_type.toLowerCase() !== feeType.toLowerCase()) {
+      return false;
+    }
+    if (discount.scope === 'student') {
+      return discount.student_id === studentId;
+    }
+    if (discount.scope === 'sibling') {
+      return olderSiblings >= discount.min_siblings;
+    }
+    return true;
+  }
+
+  /**
+   * What each rule takes off a gross amount. Percentages are taken from the
+   * gross amount and fixed amounts added on top; the total never exceeds
+   * the gross, with later rules trimmed first.
+   */
+  calculate(grossAmount, discounts) {
+    const grossCents = toCents(grossAmount);
+    let remainingCents = grossCents;
+
+    const lines = discounts.map(discount => {
+      const wantedCents = discount.value_type === 'percentage'
+        ? Math.round(grossCents * parseFloat(discount.value) / 100)
+        : toCents(discount.value);
+      const cents = Math.min(wantedCents, remainingCents);
+      remainingCents -= cents;
+      return { discountId: discount.id, cents };
+    }).filter(line => line.cents > 0);
+
+    return {
+      netAmount: fromCents(remainingCents),
+      discountAmount: fromCents(grossCents - remainingCents),
+      lines: lines.map(line => ({ discountId: line.discountId, amount: fromCents(line.cents) }))
+    };
+  }
+
+  /**
+   * Net amount and discount lines per student for one fee structure
+   */
+  priceForStudents(structure, studentIds, discounts, olderSiblings) {
+    return new Map(studentIds.map(studentId => {
+      const applicable = discounts.filter(discount => this.appliesTo(discount, {
+        feeType: structure.fee_type,
+        studentId,
+        olderSiblings: olderSiblings.get(studentId) || 0
+      }));
+      return [studentId, this.calculate(structure.amount, applicable)];
+    }));
+  }
+
+  async recordApplications(client, applications) {
+    if (applications.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `INSERT INTO student_fee_discounts (student_fee_id, fee_discount_id, amount)
+       SELECT * FROM unnest($1::uuid[], $2::uuid[], $3::numeric[])
+       ON CONFLICT (student_fee_id, fee_discount_id) DO NOTHING`,
+      [
+        applications.map(application => application.studentFeeId),
+        applications.map(application => application.discountId),
+        applications.map(application => application.amount)
+      ]
+    );
+  }
+
+  /**
+   * Apply a newly approved rule to fees already generated but not yet paid
+   * against: unpaid instalments with no payments in the rule's school (and
+   * year) that it covers and has not already been applied to. Each fee is
+   * repriced from its gross amount with all of its rules. Returns each
+   * fee's row before and after repricing.
+   */
+  async applyToExistingFees(client, discount) {
+    const feesResult = await client.query(
+      `SELECT sf.id, sf.student_id, sf.amount, sf.status, fs.fee_type, fs.academic_year_id,
+              sf.amount + COALESCE((SELECT SUM(sfd.amount) FROM student_fee_discounts sfd WHERE sfd.student_fee_id = sf.id), 0) as gross_amount
+       FROM student_fees sf
+       JOIN fee_structures fs ON sf.fee_structure_id = fs.id
+       WHERE fs.school_id = $1 AND sf.status = 'unpaid' AND sf.carried_forward_to IS NULL
+         AND ($2::uuid IS NULL OR fs.academic_year_id = $2)
+         AND ($3::uuid IS NULL OR sf.student_id = $3)
+         AND ($4::text IS NULL OR LOWER(fs.fee_type) = LOWER($4))
+         AND NOT EXISTS (SELECT 1 FROM fee_payments fp WHERE fp.student_fee_id = sf.id)
+         AND NOT EXISTS (SELECT 1 FROM student_fee_discounts sfd WHERE sfd.student_fee_id = sf.id AND sfd.fee_discount_id = $5)
+       FOR UPDATE OF sf`,
+      [discount.school_id, discount.academic_year_id, discount.student_id, discount.fee_type, discount.id]
+    );
+
+    let fees = feesResult.rows;
+
+    if (discount.scope === 'sibling' && fees.length > 0) {
+      const siblingCounts = new Map();
+      for (const academicYearId of new Set(fees.map(fee => fee.academic_year_id))) {
+        const studentIds = [...new Set(fees.filter(fee => fee.academic_year_id === academicYearId).map(fee => fee.student_id))];
+        const counts = await this.countOlderSiblings(studentIds, academicYearId, client);
+        counts.forEach((count, studentId) => siblingCounts.set(`${academicYearId}:${studentId}`, count));
+      }
+      fees = fees.filter(fee => this.appliesTo(discount, {
+        feeType: fee.fee_type,
+        studentId: fee.student_id,
+        olderSiblings: siblingCounts.get(`${fee.academic_year_id}:${fee.student_id}`) || 0
+      }));
+    }
+
+    const updated = [];
+    for (const fee of fees) {
+      const existingResult = await client.query(
+        `SELECT fd.* FROM student_fee_discounts sfd
+         JOIN fee_discounts fd ON sfd.fee_discount_id = fd.id
+         WHERE sfd.student_fee_id = $1
+         ORDER BY fd.created_at`,
+        [fee.id]
+      );
+      const pricing = this.calculate(fee.gross_amount, [...existingResult.rows, discount]);
+
+      await client.query('DELETE FROM student_fee_discounts WHERE student_fee_id = $1', [fee.id]);
+      await this.recordApplications(client, pricing.lines.map(line => ({ studentFeeId: fee.id, ...line })));
+      const updateResult = await client.query(
+        `UPDATE student_fees SET amount = $1, status = $2, updated_at = NOW() WHERE id = $3
+         RETURNING id, student_id, amount, status`,
+        [pricing.netAmount, pricing.netAmount === 0 ? 'waived' : 'unpaid', fee.id]
+      );
+      updated.push({
+        before: { id: fee.id, student_id: fee.student_id, amount: fee.amount, status: fee.status },
+        after: { ...updateResult.rows[0], discounts: pricing.lines }
+      });
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new FeeDiscountService();
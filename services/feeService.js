@@ -0,0 +1,246 @@
+const pool = require('../config/database');
+const feeDiscountService = require('./feeDiscountService');
+
+const FREQUENCY_MONTHS = {
+  monthly: 1,
+  quarterly: 3
+};
+
+// Fee type of the one-time structures the academic year rollover uses to hold carried-forward arrears
+const ARREARS_FEE_TYPE = 'arrears';
+
+const toDateString = (year, monthIndex, day) => new Date(Date.UTC(year, monthIndex, day)).toISOString().split('T')[0];
+
+class FeeService {
+  /**
+   * The day of the month instalments fall due, read from the end of a
+   * due_date_rule such as "monthly_10th" or "5"; null (the start of each
+   * period) for rules like "quarterly_start" or no rule
+   */
+  parseDueDay(rule) {
+    const match = /(\d{1,2})(?:st|nd|rd|th)?$/.exec(rule || '');
+    const day = match ? parseInt(match[1]) : null;
+    return day >= 1 && day <= 28 ? day : null;
+  }
+
+  /**
+   * Dated instalments for a fee structure over an academic year. Monthly and
+   * quarterly fees get one instalment per period from the year's start
+   * month; annual and one-time fees get a single instalment. Due dates are
+   * kept within the academic year.
+   */
+  buildSchedule(structure, academicYear) {
+    const { start_date: startDate, end_date: endDate } = academicYear;
+    const dueDay = this.parseDueDay(structure.due_date_rule);
+    const stepMonths = FREQUENCY_MONTHS[structure.frequency] || null;
+    const [startYear, startMonth] = startDate.split('-').map(Number);
+
+    const schedule = [];
+    let monthOffset = 0;
+
+    do {
+      const periodStart = monthOffset === 0 ? startDate : toDateString(startYear, startMonth - 1 + monthOffset, 1);
+      if (periodStart > endDate) {
+        break;
+      }
+
+      let dueDate = dueDay ? toDateString(startYear, startMonth - 1 + monthOffset, dueDay) : periodStart;
+      if (dueDate < startDate) {
+        dueDate = startDate;
+      }
+      if (dueDate > endDate) {
+        dueDate = endDate;
+      }
+
+      schedule.push({ installmentNumber: schedule.length + 1, periodStart, dueDate });
+      monthOffset += stepMonths || 0;
+    } while (stepMonths);
+
+    return schedule;
+  }
+
+  async findAcademicYear(academicYearId, db = pool) {
+    const result = await db.query(
+      `SELECT id, school_id, name, to_char(start_date, 'YYYY-MM-DD') as start_date, to_char(end_date, 'YYYY-MM-DD') as end_date
+       FROM academic_years WHERE id = $1`,
+      [academicYearId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Structures the generator applies for a year: mandatory active ones, or
+   * exactly those listed (optional structures are only generated on request).
+   * Arrears structures are never generated.
+   */
+  async findGeneratableStructures(academicYearId, { feeStructureIds = null, classId = null } = {}, db = pool) {
+    let whereConditions = ['academic_year_id = $1', 'is_active = true', 'fee_type <> $2'];
+    let queryParams = [academicYearId, ARREARS_FEE_TYPE];
+    let paramCount = 2;
+
+    if (feeStructureIds) {
+      paramCount++;
+      whereConditions.push(`id = ANY($${paramCount}::uuid[])`);
+      queryParams.push(feeStructureIds);
+    } else {
+      whereConditions.push('is_mandatory = true');
+    }
+
+    if (classId) {
+      paramCount++;
+      whereConditions.push(`(class_id = $${paramCount} OR class_id IS NULL)`);
+      queryParams.push(classId);
+    }
+
+    const result = await db.query(
+      `SELECT * FROM fee_structures
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY fee_type, class_id NULLS FIRST`,
+      queryParams
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Students actively enrolled in the year, in the structure's class when it
+   * has one. School-wide structures apply to every enrolled student except
+   * those whose class has its own active structure of the same fee type,
+   * which takes precedence.
+   */
+  async findEnrolledStudents(structure, { classId = null, studentIds = null } = {}, db = pool) {
+    let whereConditions = ['e.academic_year_id = $1', "e.status = 'active'"];
+    let queryParams = [structure.academic_year_id];
+    let paramCount = 1;
+
+    const scopeClassId = structure.class_id || classId;
+    if (scopeClassId) {
+      paramCount++;
+      whereConditions.push(`e.class_id = $${paramCount}`);
+      queryParams.push(scopeClassId);
+    }
+
+    if (!structure.class_id) {
+      paramCount++;
+      whereConditions.push(`NOT EXISTS (
+        SELECT 1 FROM enrollments ce
+        JOIN fee_structures cs ON cs.class_id = ce.class_id AND cs.academic_year_id = ce.academic_year_id
+        WHERE ce.student_id = e.student_id AND ce.academic_year_id = e.academic_year_id AND ce.status = 'active'
+          AND LOWER(cs.fee_type) = LOWER($${paramCount}) AND cs.is_active = true
+      )`);
+      queryParams.push(structure.fee_type);
+    }
+
+    if (studentIds) {
+      paramCount++;
+      whereConditions.push(`e.student_id = ANY($${paramCount}::uuid[])`);
+      queryParams.push(studentIds);
+    }
+
+    const result = await db.query(
+      `SELECT DISTINCT e.student_id
+       FROM enrollments e
+       WHERE ${whereConditions.join(' AND ')}`,
+      queryParams
+    );
+
+    return result.rows.map(row => row.student_id);
+  }
+
+  /**
+   * Create the missing instalments of each structure for its enrolled
+   * students. Existing instalments (matched by student, structure and
+   * instalment number) are left untouched, so re-running only fills gaps.
+   * Approved discount rules are applied to each new instalment; one
+   * discounted to nothing is created as waived. With dryRun nothing is
+   * written and the report shows what would be.
+   */
+  async generateStudentFees(client, { academicYear, structures, classId = null, studentIds = null, dryRun = false }) {
+    const discounts = await feeDiscountService.findApprovedDiscounts(academicYear.school_id, academicYear.id, client);
+    const report = [];
+
+    for (const structure of structures) {
+      const schedule = this.buildSchedule(structure, academicYear);
+      const students = await this.findEnrolledStudents(structure, { classId, studentIds }, client);
+      const installmentNumbers = schedule.map(installment => installment.installmentNumber);
+
+      let created = [];
+      let existing = 0;
+      let pricing = new Map();
+
+      if (students.length > 0) {
+        const olderSiblings = discounts.some(discount => discount.scope === 'sibling')
+          ? await feeDiscountService.countOlderSiblings(students, academicYear.id, client)
+          : new Map();
+        pricing = feeDiscountService.priceForStudents(structure, students, discounts, olderSiblings);
+
+        const existingResult = await client.query(
+          `SELECT COUNT(*) as total FROM student_fees
+           WHERE fee_structure_id = $1 AND student_id = ANY($2::uuid[]) AND installment_number = ANY($3::int[])`,
+          [structure.id, students, installmentNumbers]
+        );
+        existing = parseInt(existingResult.rows[0].total);
+
+        if (!dryRun) {
+          const insertResult = await client.query(
+            `INSERT INTO student_fees (student_id, fee_structure_id, amount, due_date, status, installment_number)
+             SELECT st.student_id, $1, st.amount, sc.due_date, st.status, sc.installment_number
+             FROM unnest($2::uuid[], $3::numeric[], $4::text[]) AS st(student_id, amount, status)
+             CROSS JOIN unnest($5::date[], $6::int[]) AS sc(due_date, installment_number)
+             ON CONFLICT (student_id, fee_structure_id, installment_number) WHERE installment_number IS NOT NULL
+             DO NOTHING
+             RETURNING id, student_id, installment_number, to_char(due_date, 'YYYY-MM-DD') as due_date, amount, status`,
+            [
+              structure.id,
+              students,
+              students.map(studentId => pricing.get(studentId).netAmount),
+              students.map(studentId => (pricing.get(studentId).netAmount === 0 ? 'waived' : 'unpaid')),
+              schedule.map(installment => installment.dueDate),
+              installmentNumbers
+            ]
+          );
+          created = insertResult.rows;
+
+          await feeDiscountService.recordApplications(client, created.flatMap(fee =>
+            pricing.get(fee.student_id).lines.map(line => ({ studentFeeId: fee.id, ...line }))
+          ));
+        }
+      }
+
+      const discountedStudents = students.filter(studentId => pricing.get(studentId).lines.length > 0);
+
+      report.push({
+        feeStructureId: structure.id,
+        feeType: structure.fee_type,
+        classId: structure.class_id,
+        frequency: structure.frequency,
+        amount: parseFloat(structure.amount),
+        schedule,
+        students: students.length,
+        discountedStudents: discountedStudents.length,
+        existing,
+        created: dryRun ? students.length * schedule.length - existing : created.length,
+        fees: created.map(fee => ({
+          id: fee.id,
+          studentId: fee.student_id,
+          installmentNumber: fee.installment_number,
+          dueDate: fee.due_date,
+          amount: parseFloat(fee.amount),
+          discount: pricing.get(fee.student_id).discountAmount,
+          status: fee.status
+        }))
+      });
+    }
+
+    return {
+      dryRun,
+      academicYearId: academicYear.id,
+      created: report.reduce((sum, entry) => sum + entry.created, 0),
+      existing: report.reduce((sum, entry) => sum + entry.existing, 0),
+      structures: report
+    };
+  }
+}
+
+module.exports = new FeeService();
@@ -0,0 +1,246 @@
+const pool = require('../config/database');
+
+const SETTING_CATEGORY = 'academic';
+const SCALE_KEY = 'grading_scale';
+const WEIGHTS_KEY = 'assessment_weights';
+
+// Used until a school saves its own scale
+const DEFAULT_SCALE = [
+  { letter: 'A', minPercentage: 90, points: 4.0 },
+  { letter: 'B', minPercentage: 80, points: 3.0 },
+  { letter: 'C', minPercentage: 70, points: 2.0 },
+  { letter: 'D', minPercentage: 60, points: 1.0 },
+  { letter: 'F', minPercentage: 0, points: 0 }
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class GradingService {
+  /**
+   * A school's scale (highest band first) and assessment weights.
+   * Empty weights mean every mark counts equally.
+   */
+  async getGradingConfig(schoolId, db = pool) {
+    const result = await db.query(
+      `SELECT setting_key, setting_value FROM tenant_settings
+       WHERE school_id = $1 AND setting_category = $2 AND setting_key = ANY($3)`,
+      [schoolId, SETTING_CATEGORY, [SCALE_KEY, WEIGHTS_KEY]]
+    );
+
+    const settings = Object.fromEntries(result.rows.map(row => [row.setting_key, row.setting_value]));
+
+    return {
+      scale: this.sortScale(settings[SCALE_KEY] || DEFAULT_SCALE),
+      weights: settings[WEIGHTS_KEY] || {},
+      isDefaultScale: !settings[SCALE_KEY]
+    };
+  }
+
+  sortScale(scale) {
+    return [...scale].sort((a, b) => b.minPercentage - a.minPercentage);
+  }
+
+  /**
+   * Returns a list of problems; an empty list means the scale is usable
+   */
+  validateScale(scale) {
+    const errors = [];
+
+    if (!Array.isArray(scale) || scale.length === 0) {
+      return ['Scale must be a non-empty array of bands'];
+    }
+
+    const letters = new Set();
+    const minimums = new Set();
+
+    scale.forEach((band, index) => {
+      if (!band.letter || typeof band.letter !== 'string') {
+        errors.push(`Band ${index + 1}: letter is required`);
+      } else if (letters.has(band.letter)) {
+        errors.push(`Band ${index + 1}: letter "${band.letter}" is used twice`);
+      }
+      letters.add(band.letter);
+
+      if (typeof band.minPercentage !== 'number' || band.minPercentage < 0 || band.minPercentage > 100) {
+        errors.push(`Band ${index + 1}: minPercentage must be between 0 and 100`);
+      } else if (minimums.has(band.minPercentage)) {
+        errors.push(`Band ${index + 1}: minPercentage ${band.minPercentage} is used twice`);
+      }
+      minimums.add(band.minPercentage);
+
+      if (typeof band.points !== 'number' || band.points < 0) {
+        errors.push(`Band ${index + 1}: points must be a non-negative number`);
+      }
+    });
+
+    if (!minimums.has(0)) {
+      errors.push('Scale must include a band starting at 0% so every mark gets a letter');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Weights map an assessment type to its share of the term, e.g. { quiz: 20, midterm: 30, final: 50 }
+   */
+  validateWeights(weights) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      return ['Weights must be an object of assessment type to percentage'];
+    }
+
+    const errors = [];
+    const entries = Object.entries(weights);
+
+    entries.forEach(([type, weight]) => {
+      if (typeof weight !== 'number' || weight <= 0) {
+        errors.push(`Weight for "${type}" must be a positive number`);
+      }
+    });
+
+    const total = entries.reduce((sum, [, weight]) => sum + (typeof weight === 'number' ? weight : 0), 0);
+    if (entries.length > 0 && Math.abs(total - 100) > 0.01) {
+      errors.push(`Weights must add up to 100 (currently ${round2(total)})`);
+    }
+
+    return errors;
+  }
+
+  bandFor(percentage, scale) {
+    if (percentage === null || percentage === undefined) {
+      return null;
+    }
+    return scale.find(band => percentage >= band.minPercentage) || scale[scale.length - 1];
+  }
+
+  /**
+   * Weighted percentage for one subject's assessments. Each assessment type is
+   * averaged on its own, then types are combined by weight; weights are
+   * rescaled over the types actually assessed so a missing final doesn't zero the term.
+   */
+  weightedPercentage(grades, weights) {
+    if (grades.length === 0) {
+      return { percentage: null, unweightedTypes: [] };
+    }
+
+    const byType = {};
+    grades.forEach(grade => {
+      const type = byType[grade.assessmentType] || (byType[grade.assessmentType] = { obtained: 0, total: 0 });
+      type.obtained += grade.marksObtained;
+      type.total += grade.totalMarks;
+    });
+
+    if (Object.keys(weights).length === 0) {
+      const obtained = grades.reduce((sum, grade) => sum + grade.marksObtained, 0);
+      const total = grades.reduce((sum, grade) => sum + grade.totalMarks, 0);
+      return { percentage: total > 0 ? round2(obtained / total * 100) : null, unweightedTypes: [] };
+    }
+
+    let weightedSum = 0;
+    let weightTotal = 0;
+    const unweightedTypes = [];
+
+    Object.entries(byType).forEach(([type, marks]) => {
+      const weight = weights[type];
+      if (!weight) {
+        unweightedTypes.push(type);
+        return;
+      }
+      weightedSum += (marks.obtained / marks.total * 100) * weight;
+      weightTotal += weight;
+    });
+
+    return {
+      percentage: weightTotal > 0 ? round2(weightedSum / weightTotal) : null,
+      unweightedTypes
+    };
+  }
+
+  /**
+   * Per-subject weighted results plus overall average and GPA for a set of
+   * formatted grades (typically one student's term)
+   */
+  summarize(grades, config) {
+    const bySubject = {};
+    grades.forEach(grade => {
+      const subject = bySubject[grade.subjectId] || (bySubject[grade.subjectId] = {
+        subjectId: grade.subjectId,
+        subjectName: grade.subjectName,
+        grades: []
+      });
+      subject.grades.push(grade);
+    });
+
+    const subjects = Object.values(bySubject).map(subject => {
+      const { percentage, unweightedTypes } = this.weightedPercentage(subject.grades, config.weights);
+      const band = this.bandFor(percentage, config.scale);
+
+      return {
+        subjectId: subject.subjectId,
+        subjectName: subject.subjectName,
+        assessments: subject.grades.length,
+        percentage,
+        letter: band ? band.letter : null,
+        points: band ? band.points : null,
+        unweightedTypes
+      };
+    });
+
+    const graded = subjects.filter(subject => subject.percentage !== null);
+    const average = graded.length > 0
+      ? round2(graded.reduce((sum, subject) => sum + subject.percentage, 0) / graded.length)
+      : null;
+    const gpa = graded.length > 0
+      ? round2(graded.reduce((sum, subject) => sum + subject.points, 0) / graded.length)
+      : null;
+    const band = this.bandFor(average, config.scale);
+
+    return {
+      subjects,
+      average,
+      letter: band ? band.letter : null,
+      gpa
+    };
+  }
+
+  async saveSetting(db, schoolId, key, value, userId) {
+    const result = await db.query(
+      `INSERT INTO tenant_settings (school_id, setting_category, setting_key, setting_value, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (school_id, setting_category, setting_key)
+       DO UPDATE SET setting_value = EXCLUDED.setting_value
+       RETURNING id`,
+      [schoolId, SETTING_CATEGORY, key, JSON.stringify(value), userId]
+    );
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Save a scale and restamp every stored grade letter for the school
+   */
+  async saveScale(client, schoolId, scale, userId) {
+    const sorted = this.sortScale(scale);
+    const settingId = await this.saveSetting(client, schoolId, SCALE_KEY, sorted, userId);
+
+    const result = await client.query(
+      `UPDATE grades g
+       SET grade = (
+         SELECT band->>'letter' FROM jsonb_array_elements($1::jsonb) band
+         WHERE (band->>'minPercentage')::numeric <= g.marks_obtained / g.total_marks * 100
+         ORDER BY (band->>'minPercentage')::numeric DESC
+         LIMIT 1
+       ), updated_at = NOW()
+       FROM subjects s
+       WHERE g.subject_id = s.id AND s.school_id = $2`,
+      [JSON.stringify(sorted), schoolId]
+    );
+
+    return { settingId, regradedCount: result.rowCount };
+  }
+
+  async saveWeights(db, schoolId, weights, userId) {
+    return this.saveSetting(db, schoolId, WEIGHTS_KEY, weights, userId);
+  }
+}
+
+module.exports = new GradingService();
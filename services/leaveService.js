@@ -0,0 +1,287 @@
+const pool = require('../config/database');
+const emailService = require('../src/services/emailService');
+const attendanceService = require('./attendanceService');
+const substitutionService = require('./substitutionService');
+const timetableGeneratorService = require('./timetableGeneratorService');
+const { LEAVE_APPROVAL_CHAIN } = require('../middleware/rbac');
+
+// Weekdays counted as working days when the school has no period grid
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+const STAGE_LABELS = {
+  principal: 'the principal',
+  admin: 'the school administration'
+};
+
+class LeaveService {
+  /**
+   * Working days (the school's timetable days) between two dates inclusive
+   */
+  async getWorkingDates(schoolId, startDate, endDate, db = pool) {
+    const grid = await timetableGeneratorService.getPeriodGrid(schoolId, db);
+    const workingDays = grid && Array.isArray(grid.days) && grid.days.length > 0 ? grid.days : DEFAULT_WORKING_DAYS;
+
+    return substitutionService.datesInRange(startDate, endDate)
+      .filter(date => workingDays.includes(attendanceService.dayOfWeek(date)));
+  }
+
+  /**
+   * Working dates counted per calendar year, e.g. { 2025: 3, 2026: 2 }
+   */
+  daysByYear(workingDates) {
+    return workingDates.reduce((counts, date) => {
+      const year = date.slice(0, 4);
+      counts[year] = (counts[year] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  async findLeaveType(leaveTypeId, db = pool) {
+    const result = await db.query('SELECT * FROM leave_types WHERE id = $1', [leaveTypeId]);
+    return result.rows[0] || null;
+  }
+
+  async findRequest(requestId, db = pool, lock = false) {
+    const result = await db.query(
+      `SELECT lr.*, to_char(lr.start_date, 'YYYY-MM-DD') as start_date, to_char(lr.end_date, 'YYYY-MM-DD') as end_date,
+              lt.name as leave_type_name, tp.user_id as teacher_user_id,
+              u.first_name as teacher_first_name, u.last_name as teacher_last_name, u.email as teacher_email,
+              s.name as school_name
+       FROM leave_requests lr
+       JOIN leave_types lt ON lr.leave_type_id = lt.id
+       JOIN teacher_profiles tp ON lr.teacher_id = tp.id
+       JOIN users u ON tp.user_id = u.id
+       JOIN schools s ON lr.school_id = s.id
+       WHERE lr.id = $1
+       ${lock ? 'FOR UPDATE OF lr' : ''}`,
+      [requestId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async getApprovals(requestId, db = pool) {
+    const result = await db.query(
+      `SELECT la.stage, la.decision, la.comment, la.created_at, la.decided_by,
+              u.first_name, u.last_name
+       FROM leave_approvals la
+       JOIN users u ON la.decided_by = u.id
+       WHERE la.leave_request_id = $1
+       ORDER BY la.created_at`,
+      [requestId]
+    );
+
+    return result.rows.map(row => ({
+      stage: row.stage,
+      decision: row.decision,
+      comment: row.comment,
+      decidedBy: row.decided_by,
+      decidedByName: `${row.first_name} ${row.last_name}`,
+      decidedAt: row.created_at
+    }));
+  }
+
+  /**
+   * A teacher's allowance, approved and pending days and what remains for
+   * each active leave type in a year. Allowances default to the leave
+   * type's until an admin sets one for the teacher. Leave over the new year
+   * counts only its days in this year.
+   */
+  async getBalances(teacherId, schoolId, year, db = pool) {
+    const result = await db.query(
+      `SELECT lt.id, lt.name, lt.is_paid,
+              COALESCE(lb.allowance, lt.annual_allowance) as allowance,
+              COALESCE(SUM((lr.days_by_year ->> $4)::numeric) FILTER (WHERE lr.status = 'approved'), 0) as used,
+              COALESCE(SUM((lr.days_by_year ->> $4)::numeric) FILTER (WHERE lr.status = 'pending'), 0) as pending
+       FROM leave_types lt
+       LEFT JOIN leave_balances lb ON lb.leave_type_id = lt.id AND lb.teacher_id = $2 AND lb.year = $3
+       LEFT JOIN leave_requests lr ON lr.leave_type_id = lt.id AND lr.teacher_id = $2
+         AND lr.days_by_year ? $4
+       WHERE lt.school_id = $1 AND lt.is_active = true
+       GROUP BY lt.id, lt.name, lt.is_paid, lb.allowance, lt.annual_allowance
+       ORDER BY lt.name`,
+      [schoolId, teacherId, year, String(year)]
+    );
+
+    return result.rows.map(row => {
+      const allowance = parseFloat(row.allowance);
+      const used = parseFloat(row.used);
+      const pending = parseFloat(row.pending);
+
+      return {
+        leaveTypeId: row.id,
+        leaveType: row.name,
+        isPaid: row.is_paid,
+        year,
+        allowance,
+        used,
+        pending,
+        remaining: allowance - used - pending
+      };
+    });
+  }
+
+  async setAllowance(teacherId, leaveTypeId, year, allowance, db = pool) {
+    const result = await db.query(
+      `INSERT INTO leave_balances (teacher_id, leave_type_id, year, allowance)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (teacher_id, leave_type_id, year)
+       DO UPDATE SET allowance = EXCLUDED.allowance
+       RETURNING id`,
+      [teacherId, leaveTypeId, year, allowance]
+    );
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Pending or approved leave of the teacher overlapping the dates
+   */
+  async findOverlappingRequest(teacherId, startDate, endDate, db = pool) {
+    const result = await db.query(
+      `SELECT id FROM leave_requests
+       WHERE teacher_id = $1 AND status IN ('pending', 'approved') AND start_date <= $3 AND end_date >= $2
+       LIMIT 1`,
+      [teacherId, startDate, endDate]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lock the teacher's profile row for the rest of the transaction. Leave
+   * requests and absences for a teacher are written under this lock so
+   * their overlap checks cannot race.
+   */
+  async lockTeacher(client, teacherId) {
+    await client.query('SELECT id FROM teacher_profiles WHERE id = $1 FOR UPDATE', [teacherId]);
+  }
+
+  /**
+   * Active absence of the teacher overlapping the dates, e.g. one recorded
+   * directly before the leave was approved
+   */
+  async findOverlappingAbsence(teacherId, startDate, endDate, db = pool) {
+    const result = await db.query(
+      `SELECT id FROM teacher_absences
+       WHERE teacher_id = $1 AND status = 'active' AND start_date <= $3 AND end_date >= $2
+       LIMIT 1`,
+      [teacherId, startDate, endDate]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record approved leave as a teacher absence so the substitution busy
+   * checks and cover planning treat the teacher as unavailable. The caller
+   * holds the teacher lock and has checked for overlapping absences.
+   */
+  async createAbsence(client, request, userId) {
+    const result = await client.query(
+      `INSERT INTO teacher_absences (school_id, teacher_id, start_date, end_date, reason, recorded_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [request.school_id, request.teacher_id, request.start_date, request.end_date,
+        `Leave: ${request.leave_type_name}`, userId]
+    );
+
+    await client.query('UPDATE leave_requests SET absence_id = $1 WHERE id = $2', [result.rows[0].id, request.id]);
+    return result.rows[0].id;
+  }
+
+  /**
+   * Cancel the absence created for approved leave along with any cover arranged for it
+   */
+  async cancelAbsence(client, absenceId) {
+    await client.query("UPDATE teacher_absences SET status = 'cancelled' WHERE id = $1", [absenceId]);
+    await client.query(
+      "UPDATE substitutions SET status = 'cancelled' WHERE absence_id = $1 AND status = 'confirmed'",
+      [absenceId]
+    );
+  }
+
+  /**
+   * Email addresses of the users who decide a stage at the school
+   */
+  async findStageApprovers(schoolId, stage, db = pool) {
+    const step = LEAVE_APPROVAL_CHAIN.find(entry => entry.stage === stage);
+    const result = await db.query(
+      `SELECT DISTINCT u.email
+       FROM users u
+       JOIN user_roles ur ON ur.user_id = u.id
+       JOIN roles r ON ur.role_id = r.id
+       WHERE ur.school_id = $1 AND r.name = ANY($2) AND ur.is_active = true AND u.is_active = true
+         AND (ur.expires_at IS NULL OR ur.expires_at > NOW())`,
+      [schoolId, step.roles]
+    );
+
+    return result.rows.map(row => row.email);
+  }
+
+  /**
+   * Email the people concerned by a step in the request's life:
+   * submitted/forwarded go to the next stage's approvers (and the teacher,
+   * when forwarded); approved/rejected/cancelled go to the teacher.
+   * Delivery failures are logged and never fail the request itself.
+   */
+  async notify(request, event, { comment = null, decidedByName = null } = {}) {
+    const teacherName = `${request.teacher_first_name} ${request.teacher_last_name}`;
+    const data = {
+      schoolName: request.school_name,
+      teacherName,
+      leaveType: request.leave_type_name,
+      startDate: request.start_date,
+      endDate: request.end_date,
+      days: parseFloat(request.days),
+      reason: request.reason,
+      comment,
+      decidedByName
+    };
+
+    const messages = [];
+    const toApprovers = async (stage, heading) => {
+      const recipients = await this.findStageApprovers(request.school_id, stage);
+      if (recipients.length > 0) {
+        messages.push({
+          to: recipients,
+          subject: `${request.school_name}: leave request from ${teacherName} awaiting your approval`,
+          data: { ...data, recipientName: null, heading, actionRequired: true }
+        });
+      }
+    };
+    const toTeacher = (subject, heading) => {
+      messages.push({
+        to: request.teacher_email,
+        subject: `${request.school_name}: ${subject}`,
+        data: { ...data, recipientName: teacherName, heading, actionRequired: false }
+      });
+    };
+
+    if (event === 'submitted') {
+      await toApprovers(request.current_stage, `${teacherName} has requested leave`);
+    } else if (event === 'forwarded') {
+      toTeacher('leave request progressing', `Your leave request has been approved by ${decidedByName} and now awaits approval by ${STAGE_LABELS[request.current_stage]}`);
+      await toApprovers(request.current_stage, `A leave request from ${teacherName} needs final approval`);
+    } else if (event === 'approved') {
+      toTeacher('leave approved', 'Your leave request has been approved');
+    } else if (event === 'rejected') {
+      toTeacher('leave request declined', 'Your leave request has been declined');
+    } else if (event === 'cancelled') {
+      toTeacher('leave cancelled', 'Your leave has been cancelled');
+    }
+
+    const results = await Promise.allSettled(messages.map(message => emailService.sendEmail({
+      ...message,
+      template: 'leave-request',
+      schoolId: request.school_id,
+      trackingId: `leave-${request.id}-${event}`
+    })));
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error(`Leave ${event} notification error:`, result.reason.message));
+  }
+}
+
+module.exports = new LeaveService();
@@ -0,0 +1,99 @@
+const pool = require('../config/database');
+
+class LibraryService {
+  constructor() {
+    // Due dates are computed in SQL (CURRENT_DATE + loanDays) so the server timezone cannot shift them
+    this.loanDays = parseInt(process.env.LIBRARY_LOAN_DAYS) || 14;
+    this.finePerDay = parseFloat(process.env.LIBRARY_FINE_PER_DAY) || 1;
+    this.maxRenewals = parseInt(process.env.LIBRARY_MAX_RENEWALS) || 2;
+    this.maxActiveLoans = parseInt(process.env.LIBRARY_MAX_ACTIVE_LOANS) || 5;
+    this.overdueCheckIntervalMs = parseInt(process.env.LIBRARY_OVERDUE_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+    this.overdueTimer = null;
+  }
+
+  /**
+   * Strip hyphens and spaces so "978-0-13-110362-7" and "9780131103627" match
+   */
+  normalizeISBN(isbn) {
+    return isbn ? isbn.replace(/[^0-9Xx]/g, '').toUpperCase() : null;
+  }
+
+  /**
+   * Fine for returning on returnDate a book due on dueDate
+   */
+  calculateFine(dueDate, returnDate = new Date()) {
+    const msPerDay = 24 * 60 * 60 * 1000;
+    const toDay = (date) => {
+      const d = new Date(date);
+      return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+    };
+    const overdueDays = Math.max(0, Math.floor((toDay(returnDate) - toDay(dueDate)) / msPerDay));
+
+    return {
+      overdueDays,
+      fineAmount: Math.round(overdueDays * this.finePerDay * 100) / 100
+    };
+  }
+
+  /**
+   * Flag issued books past their due date as overdue and refresh accrued fines
+   */
+  async markOverdueIssues(schoolId = null) {
+    const params = [this.finePerDay];
+    let schoolFilter = '';
+
+    if (schoolId) {
+      params.push(schoolId);
+      schoolFilter = 'AND lb.school_id = $2';
+    }
+
+    const result = await pool.query(
+      `UPDATE library_issues li
+       SET status = 'overdue',
+           fine_amount = (CURRENT_DATE - li.due_date) * $1,
+           updated_at = NOW()
+       FROM library_books lb
+       WHERE li.book_id = lb.id
+         AND li.status IN ('issued', 'overdue')
+         AND li.due_date < CURRENT_DATE
+         ${schoolFilter}
+       RETURNING li.id`,
+      params
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Periodically mark overdue loans across all schools
+   */
+  startOverdueScheduler() {
+    if (this.overdueTimer) {
+      return;
+    }
+
+    const run = async () => {
+      try {
+        const updated = await this.markOverdueIssues();
+        if (updated > 0) {
+          console.log(`📚 Marked ${updated} library issues as overdue`);
+        }
+      } catch (error) {
+        console.error('Library overdue check error:', error.message);
+      }
+    };
+
+    this.overdueTimer = setInterval(run, this.overdueCheckIntervalMs);
+    this.overdueTimer.unref();
+    run();
+  }
+
+  stopOverdueScheduler() {
+    if (this.overdueTimer) {
+      clearInterval(this.overdueTimer);
+      this.overdueTimer = null;
+    }
+  }
+}
+
+module.exports = new LibraryService();
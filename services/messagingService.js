@@ -0,0 +1,497 @@
+const pool = require('../config/database');
+const emailService = require('../src/services/emailService');
+const twilioService = require('./twilioService');
+const { logDatabaseOperation } = require('../src/middleware/audit');
+const { formatMessage } = require('../config/smsMessages');
+
+// File types that may be attached to a message
+const ATTACHMENT_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'text/plain',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+const MAX_ATTACHMENTS = 5;
+
+class MessagingService {
+  constructor() {
+    this.maxAttachmentBytes = parseInt(process.env.MESSAGE_ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024;
+    this.nudgesEnabled = process.env.MESSAGE_NUDGES_ENABLED !== 'false';
+    // Recipients are nudged by email/SMS about messages still unread after this long
+    this.nudgeDelayMs = parseInt(process.env.MESSAGE_NUDGE_DELAY_MS) || 60 * 60 * 1000;
+    this.checkIntervalMs = parseInt(process.env.MESSAGE_NUDGE_INTERVAL_MS) || 5 * 60 * 1000;
+    this.nudgeBatchSize = parseInt(process.env.MESSAGE_NUDGE_BATCH_SIZE) || 200;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Decode base64 attachments sent with a message, checking their type and
+   * size. Returns { files } or { error }.
+   */
+  decodeAttachments(attachments = []) {
+    if (attachments.length > MAX_ATTACHMENTS) {
+      return { error: `A message can have at most ${MAX_ATTACHMENTS} attachments` };
+    }
+
+    const files = [];
+    for (const attachment of attachments) {
+      if (!ATTACHMENT_TYPES.includes(attachment.content_type)) {
+        return { error: `${attachment.filename}: attachments must be one of ${ATTACHMENT_TYPES.join(', ')}` };
+      }
+
+      const content = Buffer.from(attachment.content, 'base64');
+      if (content.length === 0) {
+        return { error: `${attachment.filename} is empty` };
+      }
+      if (content.length > this.maxAttachmentBytes) {
+        return { error: `${attachment.filename} is larger than ${Math.floor(this.maxAttachmentBytes / 1024)} KB` };
+      }
+
+      files.push({ filename: attachment.filename, contentType: attachment.content_type, content });
+    }
+
+    return { files };
+  }
+
+  async findStudent(studentId, db = pool) {
+    const result = await db.query(
+      `SELECT sp.id, sp.school_id, u.first_name, u.last_name
+       FROM student_profiles sp
+       JOIN users u ON sp.user_id = u.id
+       WHERE sp.id = $1`,
+      [studentId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async findThread(threadId, db = pool, lock = false) {
+    const result = await db.query(
+      `SELECT mt.*, s.name as school_name,
+              su.first_name as student_first_name, su.last_name as student_last_name,
+              tu.first_name as teacher_first_name, tu.last_name as teacher_last_name
+       FROM message_threads mt
+       JOIN schools s ON mt.school_id = s.id
+       JOIN student_profiles sp ON mt.student_id = sp.id
+       JOIN users su ON sp.user_id = su.id
+       JOIN users tu ON mt.teacher_id = tu.id
+       WHERE mt.id = $1
+       ${lock ? 'FOR UPDATE OF mt' : ''}`,
+      [threadId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getParticipants(threadId, db = pool) {
+    const result = await db.query(
+      `SELECT p.user_id, p.role, p.joined_at, u.first_name, u.last_name
+       FROM message_thread_participants p
+       JOIN users u ON p.user_id = u.id
+       WHERE p.thread_id = $1
+       ORDER BY p.role DESC, u.first_name`,
+      [threadId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Start a thread about a student between the teacher and every guardian
+   * linked to the student through parent_student_relationships
+   */
+  async createThread(client, { student, teacherId, subject, createdBy }) {
+    const threadResult = await client.query(
+      `INSERT INTO message_threads (school_id, student_id, teacher_id, subject, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [student.school_id, student.id, teacherId, subject, createdBy]
+    );
+    const thread = threadResult.rows[0];
+
+    await client.query(
+      `INSERT INTO message_thread_participants (thread_id, user_id, role)
+       SELECT $1::uuid, $2::uuid, 'teacher'
+       UNION
+       SELECT $1::uuid, pp.user_id, 'guardian'
+       FROM parent_student_relationships psr
+       JOIN parent_profiles pp ON psr.parent_id = pp.id
+       JOIN users u ON pp.user_id = u.id
+       WHERE psr.student_id = $3 AND u.is_active = true AND pp.user_id <> $2`,
+      [thread.id, teacherId, student.id]
+    );
+
+    return thread;
+  }
+
+  /**
+   * Add a message with its attachments and an unread receipt for every other
+   * participant. Returns the message, its attachments and the recipients.
+   */
+  async addMessage(client, thread, senderId, body, files = []) {
+    const messageResult = await client.query(
+      'INSERT INTO messages (thread_id, sender_id, body) VALUES ($1, $2, $3) RETURNING *',
+      [thread.id, senderId, body]
+    );
+    const message = messageResult.rows[0];
+
+    const attachments = [];
+    for (const file of files) {
+      const attachmentResult = await client.query(
+        `INSERT INTO message_attachments (message_id, filename, content_type, size_bytes, content)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, filename, content_type, size_bytes`,
+        [message.id, file.filename, file.contentType, file.content.length, file.content]
+      );
+      attachments.push(attachmentResult.rows[0]);
+    }
+
+    const receiptResult = await client.query(
+      `INSERT INTO message_receipts (message_id, user_id)
+       SELECT $1, user_id FROM message_thread_participants WHERE thread_id = $2 AND user_id <> $3
+       RETURNING user_id`,
+      [message.id, thread.id, senderId]
+    );
+
+    await client.query(
+      'UPDATE message_threads SET last_message_at = $1, updated_at = NOW() WHERE id = $2',
+      [message.created_at, thread.id]
+    );
+
+    return { message, attachments, recipientIds: receiptResult.rows.map(row => row.user_id) };
+  }
+
+  /**
+   * Threads a user takes part in, or every thread in a school for its
+   * moderators, most recently active first, with the user's unread count
+   * and the latest visible message
+   */
+  async getThreads(userId, { schoolId = null, studentId, status, unreadOnly = false, limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    // The user's unread messages in a thread, counted against the user id at parameter index
+    const unreadCount = (index) => `(SELECT COUNT(*) FROM message_receipts mr
+                                     JOIN messages m ON mr.message_id = m.id
+                                     WHERE m.thread_id = mt.id AND mr.user_id = $${index}
+                                       AND mr.read_at IS NULL AND m.is_hidden = false)`;
+
+    if (schoolId) {
+      params.push(schoolId);
+      conditions.push(`mt.school_id = $${params.length}`);
+    } else {
+      params.push(userId);
+      conditions.push(`EXISTS (SELECT 1 FROM message_thread_participants p WHERE p.thread_id = mt.id AND p.user_id = $${params.length})`);
+    }
+    if (studentId) {
+      params.push(studentId);
+      conditions.push(`mt.student_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`mt.status = $${params.length}`);
+    }
+    if (unreadOnly) {
+      params.push(userId);
+      conditions.push(`${unreadCount(params.length)} > 0`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM message_threads mt ${whereClause}`, params);
+
+    const result = await pool.query(
+      `SELECT mt.*,
+              su.first_name as student_first_name, su.last_name as student_last_name,
+              tu.first_name as teacher_first_name, tu.last_name as teacher_last_name,
+              ${unreadCount(params.length + 1)} as unread_count,
+              lm.body as last_message_body, lm.sender_id as last_message_sender_id, lm.created_at as last_message_created_at
+       FROM message_threads mt
+       JOIN student_profiles sp ON mt.student_id = sp.id
+       JOIN users su ON sp.user_id = su.id
+       JOIN users tu ON mt.teacher_id = tu.id
+       LEFT JOIN LATERAL (
+         SELECT body, sender_id, created_at FROM messages
+         WHERE thread_id = mt.id AND is_hidden = false
+         ORDER BY created_at DESC
+         LIMIT 1
+       ) lm ON true
+       ${whereClause}
+       ORDER BY mt.last_message_at DESC
+       LIMIT $${params.length + 2} OFFSET $${params.length + 3}`,
+      [...params, userId, limit, offset]
+    );
+
+    return { threads: result.rows, total: parseInt(countResult.rows[0].count) };
+  }
+
+  /**
+   * A page of a thread's messages, newest first, with attachment details
+   * (not content) and every recipient's read receipt
+   */
+  async getMessages(threadId, { limit, offset }) {
+    const countResult = await pool.query('SELECT COUNT(*) FROM messages WHERE thread_id = $1', [threadId]);
+
+    const result = await pool.query(
+      `SELECT m.*, u.first_name as sender_first_name, u.last_name as sender_last_name,
+              COALESCE((
+                SELECT json_agg(json_build_object('id', a.id, 'filename', a.filename,
+                                                  'contentType', a.content_type, 'sizeBytes', a.size_bytes)
+                                ORDER BY a.created_at)
+                FROM message_attachments a WHERE a.message_id = m.id
+              ), '[]') as attachments,
+              COALESCE((
+                SELECT json_agg(json_build_object('userId', r.user_id, 'firstName', ru.first_name,
+                                                  'lastName', ru.last_name, 'readAt', r.read_at)
+                                ORDER BY ru.first_name)
+                FROM message_receipts r JOIN users ru ON r.user_id = ru.id WHERE r.message_id = m.id
+              ), '[]') as receipts
+       FROM messages m
+       JOIN users u ON m.sender_id = u.id
+       WHERE m.thread_id = $1
+       ORDER BY m.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [threadId, limit, offset]
+    );
+
+    return { messages: result.rows, total: parseInt(countResult.rows[0].count) };
+  }
+
+  /**
+   * Mark every message in a thread read for a user. Returns the ids of the
+   * messages that were unread.
+   */
+  async markThreadRead(threadId, userId) {
+    const result = await pool.query(
+      `UPDATE message_receipts mr SET read_at = NOW()
+       FROM messages m
+       WHERE mr.message_id = m.id AND m.thread_id = $1 AND mr.user_id = $2 AND mr.read_at IS NULL
+       RETURNING mr.message_id`,
+      [threadId, userId]
+    );
+    return result.rows.map(row => row.message_id);
+  }
+
+  async findMessage(threadId, messageId, db = pool) {
+    const result = await db.query(
+      'SELECT * FROM messages WHERE id = $1 AND thread_id = $2',
+      [messageId, threadId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async findAttachment(threadId, attachmentId) {
+    const result = await pool.query(
+      `SELECT a.*, m.is_hidden
+       FROM message_attachments a
+       JOIN messages m ON a.message_id = m.id
+       WHERE a.id = $1 AND m.thread_id = $2`,
+      [attachmentId, threadId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Unread, un-nudged receipts older than the nudge delay, locked so that
+   * concurrent runs skip them. Guardians carry their alert preferences.
+   */
+  async findDueNudges(client) {
+    const result = await client.query(
+      `SELECT mr.message_id, mr.user_id, mt.id as thread_id, mt.subject, mt.school_id, s.name as school_name,
+              u.email, u.phone, u.first_name, u.last_name,
+              pp.id as parent_id, pp.alert_channel, pp.preferred_language,
+              su.first_name as sender_first_name, su.last_name as sender_last_name
+       FROM message_receipts mr
+       JOIN messages m ON mr.message_id = m.id
+       JOIN message_threads mt ON m.thread_id = mt.id
+       JOIN schools s ON mt.school_id = s.id
+       JOIN users u ON mr.user_id = u.id
+       JOIN users su ON m.sender_id = su.id
+       LEFT JOIN parent_profiles pp ON pp.user_id = u.id AND pp.school_id = mt.school_id
+       WHERE mr.read_at IS NULL AND mr.nudged_at IS NULL AND m.is_hidden = false
+         AND m.created_at <= NOW() - $1::integer * interval '1 millisecond'
+         AND u.is_active = true
+       ORDER BY mr.user_id, mt.school_id, m.created_at
+       LIMIT $2
+       FOR UPDATE OF mr SKIP LOCKED`,
+      [this.nudgeDelayMs, this.nudgeBatchSize]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Group due receipts into one nudge per recipient and school, so each nudge
+   * carries that school's name, template and the guardian's profile there
+   */
+  groupNudges(rows) {
+    const nudges = new Map();
+
+    rows.forEach(row => {
+      const key = `${row.user_id}:${row.school_id}`;
+      if (!nudges.has(key)) {
+        nudges.set(key, { ...row, messageIds: [], senders: new Set(), threads: new Map() });
+      }
+      const nudge = nudges.get(key);
+      nudge.messageIds.push(row.message_id);
+      nudge.senders.add(`${row.sender_first_name} ${row.sender_last_name}`);
+      nudge.threads.set(row.thread_id, row.subject);
+    });
+
+    return [...nudges.values()];
+  }
+
+  /**
+   * Guardians are nudged on their attendance alert channel (SMS unless they
+   * prefer email or have no phone; 'none' means in-app only); teachers by email
+   */
+  resolveNudgeChannels(nudge) {
+    if (!nudge.parent_id) {
+      return nudge.email ? ['email'] : [];
+    }
+
+    const preference = nudge.alert_channel || 'sms';
+    const channels = [];
+
+    if ((preference === 'sms' || preference === 'both') && nudge.phone) {
+      channels.push('sms');
+    }
+    if (preference === 'email' || preference === 'both' || (preference === 'sms' && !nudge.phone)) {
+      if (nudge.email) {
+        channels.push('email');
+      }
+    }
+
+    return channels;
+  }
+
+  async sendNudge(nudge, channel) {
+    const senders = [...nudge.senders].join(', ');
+    const count = nudge.messageIds.length;
+
+    if (channel === 'sms') {
+      const message = formatMessage('message_nudge', nudge.preferred_language || 'en', {
+        school: nudge.school_name,
+        count,
+        senders
+      });
+      await twilioService.sendCustomSMS(nudge.phone, message);
+      return;
+    }
+
+    const countLabel = `${count} unread message${count === 1 ? '' : 's'}`;
+
+    await emailService.sendEmail({
+      to: nudge.email,
+      subject: `${nudge.school_name}: ${countLabel} from ${senders}`,
+      template: 'message-nudge',
+      schoolId: nudge.school_id,
+      language: nudge.preferred_language || 'en',
+      data: {
+        schoolName: nudge.school_name,
+        recipientName: `${nudge.first_name} ${nudge.last_name}`,
+        countLabel,
+        senders,
+        threads: [...nudge.threads.entries()].map(([id, subject]) => ({
+          subject,
+          url: `${process.env.FRONTEND_URL}/messages/${id}`
+        }))
+      },
+      trackingId: `message-nudge-${nudge.user_id}-${Date.now()}`
+    });
+  }
+
+  /**
+   * Nudge recipients about messages still unread after the delay. Receipts
+   * are marked nudged when they are claimed, so a recipient is nudged about a
+   * message at most once even if a send fails.
+   */
+  async dispatchNudges() {
+    const client = await pool.connect();
+    let nudges;
+
+    try {
+      await client.query('BEGIN');
+
+      nudges = this.groupNudges(await this.findDueNudges(client));
+
+      for (const nudge of nudges) {
+        await client.query(
+          'UPDATE message_receipts SET nudged_at = NOW() WHERE user_id = $1 AND message_id = ANY($2::uuid[])',
+          [nudge.user_id, nudge.messageIds]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const summary = { recipients: nudges.length, sent: 0, failed: 0 };
+
+    for (const nudge of nudges) {
+      const channels = this.resolveNudgeChannels(nudge);
+      const outcomes = {};
+
+      for (const channel of channels) {
+        try {
+          await this.sendNudge(nudge, channel);
+          outcomes[channel] = 'sent';
+          summary.sent++;
+        } catch (error) {
+          outcomes[channel] = `failed: ${error.message}`;
+          summary.failed++;
+        }
+      }
+
+      await logDatabaseOperation('UPDATE', 'message_receipts', null, null, {
+        event: 'nudge',
+        recipientId: nudge.user_id,
+        messageIds: nudge.messageIds,
+        channels: outcomes
+      }, { schoolId: nudge.school_id });
+    }
+
+    return summary;
+  }
+
+  startScheduler() {
+    if (!this.nudgesEnabled || this.timer) {
+      return;
+    }
+
+    const run = async () => {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+
+      try {
+        const summary = await this.dispatchNudges();
+        if (summary.sent > 0 || summary.failed > 0) {
+          console.log(`💬 Message nudges: ${summary.sent} sent to ${summary.recipients} recipients, ${summary.failed} failed`);
+        }
+      } catch (error) {
+        console.error('Message nudge dispatch error:', error.message);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(run, this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new MessagingService();
@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+// Postgres channel new, read and deleted notifications are announced on. NOTIFY
+// is delivered on commit, so a notification created inside a transaction that
+// rolls back is never pushed, and every API instance hears about it.
+const CHANNEL = 'notifications';
+
+const NOTIFICATION_TYPES = ['info', 'warning', 'success', 'error'];
+
+const formatNotification = (row) => ({
+  id: row.id,
+  schoolId: row.school_id,
+  title: row.title,
+  message: row.message,
+  type: row.type,
+  category: row.category,
+  link: row.link,
+  data: row.data,
+  isRead: row.is_read,
+  readAt: row.read_at,
+  sentBy: row.sender_first_name ? {
+    id: row.sent_by,
+    firstName: row.sender_first_name,
+    lastName: row.sender_last_name
+  } : row.sent_by,
+  createdAt: row.created_at
+});
+
+class NotificationService {
+  constructor() {
+    this.heartbeatMs = parseInt(process.env.NOTIFICATION_STREAM_HEARTBEAT_MS) || 25000;
+    this.reconnectMs = parseInt(process.env.NOTIFICATION_LISTENER_RECONNECT_MS) || 5000;
+    this.ticketTtlSeconds = parseInt(process.env.NOTIFICATION_STREAM_TICKET_TTL_SECONDS) || 60;
+    // Open event streams on this instance, by user id
+    this.streams = new Map();
+    this.listener = null;
+    this.heartbeat = null;
+  }
+
+  /**
+   * SQL selecting the user ids a target covers, with its parameters:
+   * - a user id, or { userId } / { userIds }
+   * - { role, schoolId }: users holding the role at the school (any school when omitted)
+   * - { schoolId }: everyone holding an active role at the school
+   * - { studentIds, includeGuardians }: the students' accounts and optionally their guardians'
+   */
+  resolveTarget(target) {
+    if (typeof target === 'string') {
+      return { sql: 'SELECT $1::uuid AS user_id', params: [target] };
+    }
+    if (target.userId || target.userIds) {
+      return { sql: 'SELECT unnest($1::uuid[]) AS user_id', params: [target.userIds || [target.userId]] };
+    }
+    if (target.role) {
+      return {
+        sql: `SELECT ur.user_id FROM user_roles ur JOIN roles r ON ur.role_id = r.id
+              WHERE r.name = $1 AND ur.is_active = true AND ($2::uuid IS NULL OR ur.school_id = $2)`,
+        params: [target.role, target.schoolId || null]
+      };
+    }
+    if (target.studentIds) {
+      return {
+        sql: `SELECT sp.user_id FROM student_profiles sp WHERE sp.id = ANY($1::uuid[])
+              UNION
+              SELECT pp.user_id FROM parent_student_relationships psr
+              JOIN parent_profiles pp ON psr.parent_id = pp.id
+              WHERE $2 AND psr.student_id = ANY($1::uuid[])`,
+        params: [target.studentIds, Boolean(target.includeGuardians)]
+      };
+    }
+    if (target.schoolId) {
+      return {
+        sql: 'SELECT ur.user_id FROM user_roles ur WHERE ur.school_id = $1 AND ur.is_active = true',
+        params: [target.schoolId]
+      };
+    }
+    throw new Error('A notification target needs a user, role, school or students');
+  }
+
+  /**
+   * Create an in-app notification for every active user a target covers
+   * (see resolveTarget) and push it to those connected over SSE. Pass the
+   * transaction's client as db to create it with the change it reports on.
+   * Returns the notifications created.
+   */
+  async notify(target, payload, db = pool) {
+    const { title, message, type = 'info', category = 'general', link = null, data = null, schoolId = null, sentBy = null } = payload;
+
+    if (!title || !message) {
+      throw new Error('A notification needs a title and a message');
+    }
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new Error(`Notification type must be one of: ${NOTIFICATION_TYPES.join(', ')}`);
+    }
+
+    const recipients = this.resolveTarget(target);
+    const offset = recipients.params.length;
+
+    const result = await db.query(
+      `WITH created AS (
+         INSERT INTO notifications (recipient_id, school_id, title, message, type, category, link, data, sent_by)
+         SELECT DISTINCT u.id, $${offset + 1}::uuid, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5},
+                $${offset + 6}, $${offset + 7}::jsonb, $${offset + 8}::uuid
+         FROM (${recipients.sql}) recipients
+         JOIN users u ON u.id = recipients.user_id AND u.is_active = true
+         RETURNING *
+       )
+       SELECT created.*,
+              pg_notify('${CHANNEL}', json_build_object('event', 'created', 'id', created.id, 'userId', created.recipient_id)::text)
+       FROM created`,
+      [...recipients.params, schoolId, title, message, type, category, link, data ? JSON.stringify(data) : null, sentBy]
+    );
+
+    return result.rows.map(formatNotification);
+  }
+
+  /**
+   * Like notify, but a failure is logged instead of thrown, for callers whose
+   * own work must not fail because a notification could not be created
+   */
+  async notifySafely(target, payload, db = pool) {
+    try {
+      return await this.notify(target, payload, db);
+    } catch (error) {
+      console.error(`Notification error (${payload.category || 'general'}):`, error.message);
+      return [];
+    }
+  }
+
+  async getInbox(userId, { unreadOnly = false, category = null, limit, offset }) {
+    const conditions = ['n.recipient_id = $1'];
+    const params = [userId];
+
+    if (unreadOnly) {
+      conditions.push('n.is_read = false');
+    }
+    if (category) {
+      params.push(category);
+      conditions.push(`n.category = $${params.length}`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM notifications n ${whereClause}`, params);
+
+    const result = await pool.query(
+      `SELECT n.*, s.first_name as sender_first_name, s.last_name as sender_last_name
+       FROM notifications n
+       LEFT JOIN users s ON n.sent_by = s.id
+       ${whereClause}
+       ORDER BY n.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      notifications: result.rows.map(formatNotification),
+      total: parseInt(countResult.rows[0].count)
+    };
+  }
+
+  async getUnreadCount(userId) {
+    const result = await pool.query(
+      'SELECT COUNT(*) FROM notifications WHERE recipient_id = $1 AND is_read = false',
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Mark one of the user's notifications read, or all of them when id is
+   * null. Returns the ids that changed.
+   */
+  async markRead(userId, id = null) {
+    const result = await pool.query(
+      `WITH marked AS (
+         UPDATE notifications SET is_read = true, read_at = NOW()
+         WHERE recipient_id = $1 AND is_read = false AND ($2::uuid IS NULL OR id = $2)
+         RETURNING id
+       )
+       SELECT array_agg(id) as ids FROM marked`,
+      [userId, id]
+    );
+    const ids = result.rows[0].ids || [];
+
+    // Marking everything read announces no ids, which could outgrow a NOTIFY payload
+    if (ids.length > 0) {
+      await this.announce(id ? { event: 'read', userId, ids } : { event: 'read', userId, all: true });
+    }
+    return ids;
+  }
+
+  async findNotification(userId, id) {
+    const result = await pool.query(
+      'SELECT * FROM notifications WHERE id = $1 AND recipient_id = $2',
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async deleteNotification(userId, id) {
+    const result = await pool.query(
+      'DELETE FROM notifications WHERE id = $1 AND recipient_id = $2 RETURNING *',
+      [id, userId]
+    );
+    const deleted = result.rows[0] || null;
+
+    if (deleted) {
+      await this.announce({ event: 'deleted', userId, ids: [id] });
+    }
+    return deleted;
+  }
+
+  async announce(event) {
+    await pool.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(event)]);
+  }
+
+  /**
+   * Issue a single-use ticket that opens the user's event stream. EventSource
+   * cannot send an Authorization header, and a JWT in the URL would end up in
+   * access and proxy logs; only a hash of the ticket is stored.
+   */
+  async createStreamTicket(userId) {
+    const ticket = crypto.randomBytes(32).toString('hex');
+
+    const result = await pool.query(
+      `INSERT INTO notification_stream_tickets (token_hash, user_id, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(secs => $3))
+       RETURNING expires_at`,
+      [this.hashTicket(ticket), userId, this.ticketTtlSeconds]
+    );
+
+    return { ticket, expiresAt: result.rows[0].expires_at };
+  }
+
+  /**
+   * Use up a stream ticket. Returns the user it was issued to, or null when
+   * it is unknown, expired or already used.
+   */
+  async redeemStreamTicket(ticket) {
+    const result = await pool.query(
+      `DELETE FROM notification_stream_tickets
+       WHERE token_hash = $1 OR expires_at <= NOW()
+       RETURNING user_id, token_hash = $1 AND expires_at > NOW() AS valid`,
+      [this.hashTicket(ticket)]
+    );
+
+    const redeemed = result.rows.find(row => row.valid);
+    return redeemed ? redeemed.user_id : null;
+  }
+
+  hashTicket(ticket) {
+    return crypto.createHash('sha256').update(String(ticket)).digest('hex');
+  }
+
+  /**
+   * Register an SSE response for a user and send it their current unread
+   * count. Returns a function that unregisters it.
+   */
+  subscribe(userId, res) {
+    if (!this.streams.has(userId)) {
+      this.streams.set(userId, new Set());
+    }
+    this.streams.get(userId).add(res);
+
+    this.getUnreadCount(userId)
+      .then(count => this.send(res, 'unread-count', { count }))
+      .catch(error => console.error('Notification stream error:', error.message));
+
+    return () => {
+      const streams = this.streams.get(userId);
+      if (streams) {
+        streams.delete(res);
+        if (streams.size === 0) {
+          this.streams.delete(userId);
+        }
+      }
+    };
+  }
+
+  send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Push an announced event to the user's streams on this instance: the new
+   * notification itself, then their unread count
+   */
+  async deliver(event) {
+    const streams = this.streams.get(event.userId);
+    if (!streams || streams.size === 0) {
+      return;
+    }
+
+    if (event.event === 'created') {
+      const notification = await this.findNotification(event.userId, event.id);
+      if (notification) {
+        streams.forEach(res => this.send(res, 'notification', formatNotification(notification)));
+      }
+    } else {
+      streams.forEach(res => this.send(res, event.event, event.all ? { all: true } : { ids: event.ids }));
+    }
+
+    const count = await this.getUnreadCount(event.userId);
+    streams.forEach(res => this.send(res, 'unread-count', { count }));
+  }
+
+  /**
+   * Listen for announced notifications on a dedicated connection, and keep
+   * idle streams open with a heartbeat comment. A lost connection is
+   * re-established after reconnectMs; streams stay open meanwhile.
+   */
+  async startListener() {
+    if (this.listener) {
+      return;
+    }
+
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        this.streams.forEach(streams => streams.forEach(res => res.write(': heartbeat\n\n')));
+      }, this.heartbeatMs);
+      this.heartbeat.unref();
+    }
+
+    try {
+      const client = await pool.connect();
+      this.listener = client;
+
+      client.on('notification', (msg) => {
+        let event;
+        try {
+          event = JSON.parse(msg.payload);
+        } catch (error) {
+          return;
+        }
+        this.deliver(event).catch(error => console.error('Notification delivery error:', error.message));
+      });
+
+      client.on('error', (error) => {
+        console.error('Notification listener error:', error.message);
+        this.listener = null;
+        client.release(error);
+        setTimeout(() => this.startListener(), this.reconnectMs).unref();
+      });
+
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (error) {
+      console.error('Notification listener failed to start:', error.message);
+      if (this.listener) {
+        this.listener.release(error);
+        this.listener = null;
+      }
+      setTimeout(() => this.startListener(), this.reconnectMs).unref();
+    }
+  }
+
+  /**
+   * Close every stream and give the listener connection back, so the pool
+   * can shut down
+   */
+  async stopListener() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    this.streams.forEach(streams => streams.forEach(res => res.end()));
+    this.streams.clear();
+
+    if (this.listener) {
+      const client = this.listener;
+      this.listener = null;
+      client.removeAllListeners('notification');
+      client.removeAllListeners('error');
+      await client.query(`UNLISTEN ${CHANNEL}`).catch(() => {});
+      client.release();
+    }
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const handlebars = require('handlebars');
+const pool = require('../config/database');
+const reportCardService = require('./reportCardService');
+
+const TEMPLATE_PATH = path.join(__dirname, '../src/templates/reports/fee-receipt.hbs');
+
+const RECEIPT_COLUMNS = `
+  fr.*, to_char(fp.payment_date, 'YYYY-MM-DD') as payment_date, fp.amount_paid, fp.payment_method,
+  fp.transaction_reference, fp.notes, fp.student_fee_id,
+  sf.amount as fee_amount, to_char(sf.due_date, 'YYYY-MM-DD') as due_date, sf.installment_number, sf.status as fee_status,
+  fs.fee_type,
+  sp.id as student_id, sp.student_id as student_number, su.first_name as student_first_name, su.last_name as student_last_name,
+  ru.first_name as received_by_first_name, ru.last_name as received_by_last_name,
+  s.name as school_name, s.code as school_code, s.logo_url, s.address as school_address, s.phone as school_phone, s.email as school_email,
+  ay.name as academic_year_name,
+  (SELECT COALESCE(SUM(p.amount_paid), 0) FROM fee_payments p
+   WHERE p.student_fee_id = fp.student_fee_id
+     AND (p.created_at < fp.created_at OR (p.created_at = fp.created_at AND p.id <= fp.id))) as paid_to_date`;
+
+const RECEIPT_JOINS = `
+  FROM fee_receipts fr
+  JOIN fee_payments fp ON fr.fee_payment_id = fp.id
+  JOIN student_fees sf ON fp.student_fee_id = sf.id
+  JOIN fee_structures fs ON sf.fee_structure_id = fs.id
+  JOIN student_profiles sp ON sf.student_id = sp.id
+  JOIN users su ON sp.user_id = su.id
+  LEFT JOIN users ru ON fp.received_by = ru.id
+  JOIN schools s ON fr.school_id = s.id
+  JOIN academic_years ay ON fr.academic_year_id = ay.id`;
+
+class ReceiptService {
+  constructor() {
+    this.template = null;
+  }
+
+  getTemplate() {
+    if (!this.template) {
+      this.template = handlebars.compile(fs.readFileSync(TEMPLATE_PATH, 'utf8'));
+    }
+    return this.template;
+  }
+
+  isPdfAvailable() {
+    return reportCardService.isPdfAvailable();
+  }
+
+  /**
+   * "SCHOOLCODE-2024-000042": school code, the academic year's start year
+   * and the year's receipt sequence
+   */
+  formatReceiptNumber(schoolCode, academicYearStart, sequenceNumber) {
+    return `${schoolCode}-${academicYearStart.slice(0, 4)}-${String(sequenceNumber).padStart(6, '0')}`;
+  }
+
+  /**
+   * Issue the receipt for a payment inside the caller's transaction, or
+   * return the one it already has. The sequence row is locked by the
+   * increment, so concurrent payments are numbered one after another and a
+   * rolled-back payment gives its number back.
+   */
+  async issueReceipt(client, paymentId, userId) {
+    const existingResult = await client.query('SELECT * FROM fee_receipts WHERE fee_payment_id = $1', [paymentId]);
+    if (existingResult.rows.length > 0) {
+      return existingResult.rows[0];
+    }
+
+    const contextResult = await client.query(
+      `SELECT fs.school_id, fs.academic_year_id, s.code as school_code,
+              to_char(ay.start_date, 'YYYY-MM-DD') as academic_year_start
+       FROM fee_payments fp
+       JOIN student_fees sf ON fp.student_fee_id = sf.id
+       JOIN fee_structures fs ON sf.fee_structure_id = fs.id
+       JOIN schools s ON fs.school_id = s.id
+       JOIN academic_years ay ON fs.academic_year_id = ay.id
+       WHERE fp.id = $1`,
+      [paymentId]
+    );
+
+    if (contextResult.rows.length === 0) {
+      return null;
+    }
+
+    const context = contextResult.rows[0];
+
+    const sequenceResult = await client.query(
+      `INSERT INTO receipt_sequences (school_id, academic_year_id, last_number)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (school_id, academic_year_id)
+       DO UPDATE SET last_number = receipt_sequences.last_number + 1
+       RETURNING last_number`,
+      [context.school_id, context.academic_year_id]
+    );
+    const sequenceNumber = sequenceResult.rows[0].last_number;
+
+    const receiptResult = await client.query(
+      `INSERT INTO fee_receipts (school_id, academic_year_id, fee_payment_id, sequence_number, receipt_number, issued_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [context.school_id, context.academic_year_id, paymentId, sequenceNumber,
+        this.formatReceiptNumber(context.school_code, context.academic_year_start, sequenceNumber), userId]
+    );
+
+    return receiptResult.rows[0];
+  }
+
+  async findReceipt(receiptId, db = pool) {
+    const result = await db.query(`SELECT ${RECEIPT_COLUMNS} ${RECEIPT_JOINS} WHERE fr.id = $1`, [receiptId]);
+    return result.rows[0] || null;
+  }
+
+  async findPaymentReceipt(paymentId, db = pool) {
+    const result = await db.query(`SELECT ${RECEIPT_COLUMNS} ${RECEIPT_JOINS} WHERE fr.fee_payment_id = $1`, [paymentId]);
+    return result.rows[0] || null;
+  }
+
+  async findReceipts(whereConditions, queryParams, limit, offset, db = pool) {
+    const whereClause = whereConditions.join(' AND ');
+    const paramCount = queryParams.length;
+
+    const countResult = await db.query(`SELECT COUNT(*) as total ${RECEIPT_JOINS} WHERE ${whereClause}`, queryParams);
+    const receiptsResult = await db.query(
+      `SELECT ${RECEIPT_COLUMNS} ${RECEIPT_JOINS}
+       WHERE ${whereClause}
+       ORDER BY fr.academic_year_id, fr.sequence_number DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    return { receipts: receiptsResult.rows, total: parseInt(countResult.rows[0].total) };
+  }
+
+  formatReceipt(receipt) {
+    const feeAmount = parseFloat(receipt.fee_amount);
+    const paidToDate = parseFloat(receipt.paid_to_date);
+
+    return {
+      id: receipt.id,
+      receiptNumber: receipt.receipt_number,
+      sequenceNumber: receipt.sequence_number,
+      schoolId: receipt.school_id,
+      academicYearId: receipt.academic_year_id,
+      academicYearName: receipt.academic_year_name,
+      issuedAt: receipt.issued_at,
+      printCount: receipt.print_count,
+      lastPrintedAt: receipt.last_printed_at,
+      emailedTo: receipt.emailed_to,
+      emailedAt: receipt.emailed_at,
+      payment: {
+        id: receipt.fee_payment_id,
+        amount: parseFloat(receipt.amount_paid),
+        method: receipt.payment_method,
+        transactionReference: receipt.transaction_reference,
+        date: receipt.payment_date,
+        receivedBy: receipt.received_by_first_name ? `${receipt.received_by_first_name} ${receipt.received_by_last_name}` : null,
+        notes: receipt.notes
+      },
+      fee: {
+        id: receipt.student_fee_id,
+        feeType: receipt.fee_type,
+        installmentNumber: receipt.installment_number,
+        dueDate: receipt.due_date,
+        amount: feeAmount,
+        paidToDate,
+        balance: Math.round((feeAmount - paidToDate) * 100) / 100
+      },
+      student: {
+        id: receipt.student_id,
+        studentId: receipt.student_number,
+        name: `${receipt.student_first_name} ${receipt.student_last_name}`
+      },
+      school: {
+        name: receipt.school_name,
+        logoUrl: receipt.logo_url,
+        address: receipt.school_address,
+        phone: receipt.school_phone,
+        email: receipt.school_email
+      }
+    };
+  }
+
+  /**
+   * Receipts printed before are marked as duplicates so a reprint cannot
+   * pass for a second original
+   */
+  renderHtml(receipt, { duplicate = false } = {}) {
+    return this.getTemplate()({
+      ...this.formatReceipt(receipt),
+      duplicate,
+      printedAt: new Date().toLocaleString('en-GB')
+    });
+  }
+
+  async renderPdf(html) {
+    const [pdf] = await reportCardService.renderPdfs([html]);
+    return pdf;
+  }
+
+  /**
+   * Count a print, returning whether it is a reprint
+   */
+  async recordPrint(receiptId, db = pool) {
+    const result = await db.query(
+      `UPDATE fee_receipts SET print_count = print_count + 1, last_printed_at = NOW()
+       WHERE id = $1
+       RETURNING print_count`,
+      [receiptId]
+    );
+    return result.rows[0].print_count > 1;
+  }
+
+  /**
+   * Email addresses of the student's guardians, primary guardian first
+   */
+  async findGuardianEmails(studentId, db = pool) {
+    const result = await db.query(
+      `SELECT u.email, bool_or(psr.is_primary) as is_primary
+       FROM parent_student_relationships psr
+       JOIN parent_profiles pp ON psr.parent_id = pp.id
+       JOIN users u ON pp.user_id = u.id
+       WHERE psr.student_id = $1 AND u.is_active = true AND u.email IS NOT NULL
+       GROUP BY u.email
+       ORDER BY is_primary DESC, u.email`,
+      [studentId]
+    );
+    return result.rows.map(row => row.email);
+  }
+
+  fileNameFor(receipt, extension) {
+    return `receipt_${receipt.receipt_number.replace(/[^A-Za-z0-9_-]+/g, '_')}.${extension}`;
+  }
+}
+
+module.exports = new ReceiptService();
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const handlebars = require('handlebars');
+const pool = require('../config/database');
+const gradingService = require('./gradingService');
+const attendanceService = require('./attendanceService');
+
+const TEMPLATE_PATH = path.join(__dirname, '../src/templates/reports/report-card.hbs');
+
+// Enrollments that still count towards a class's report cards once the year has moved on
+const REPORTABLE_STATUSES = ['active', 'inactive', 'graduated'];
+
+class ReportCardService {
+  constructor() {
+    this.template = null;
+    this.chromePath = process.env.REPORT_CARD_CHROME_PATH || process.env.PUPPETEER_EXECUTABLE_PATH || null;
+  }
+
+  getTemplate() {
+    if (!this.template) {
+      this.template = handlebars.compile(fs.readFileSync(TEMPLATE_PATH, 'utf8'));
+    }
+    return this.template;
+  }
+
+  isPdfAvailable() {
+    return Boolean(this.chromePath);
+  }
+
+  /**
+   * Build report card data for every student in a class for one term. Ranks
+   * need the whole class anyway, so single-student cards are taken from here too.
+   * Returns null when the class or term does not exist.
+   */
+  async buildClassReportCards(classId, termId, db = pool) {
+    const contextResult = await db.query(
+      `SELECT c.id, c.name, c.school_id, c.academic_year_id,
+              s.name as school_name, s.logo_url, s.address, s.phone, s.email,
+              t.id as term_id, t.name as term_name, t.start_date, t.end_date, t.academic_year_id as term_academic_year_id,
+              ay.name as academic_year_name,
+              u.first_name as teacher_first_name, u.last_name as teacher_last_name
+       FROM classes c
+       JOIN schools s ON c.school_id = s.id
+       JOIN terms t ON t.id = $2
+       JOIN academic_years ay ON t.academic_year_id = ay.id
+       LEFT JOIN users u ON c.class_teacher_id = u.id
+       WHERE c.id = $1`,
+      [classId, termId]
+    );
+
+    const context = contextResult.rows[0];
+    if (!context || context.term_academic_year_id !== context.academic_year_id) {
+      return null;
+    }
+
+    const studentsResult = await db.query(
+      `SELECT DISTINCT sp.id, sp.student_id, sp.admission_number, u.first_name, u.last_name
+       FROM enrollments e
+       JOIN student_profiles sp ON e.student_id = sp.id
+       JOIN users u ON sp.user_id = u.id
+       WHERE e.class_id = $1 AND e.status = ANY($2)
+       ORDER BY u.last_name, u.first_name`,
+      [classId, REPORTABLE_STATUSES]
+    );
+    const studentIds = studentsResult.rows.map(student => student.id);
+
+    const [gradesResult, attendanceResult, remarksResult, config] = await Promise.all([
+      db.query(
+        `SELECT g.student_id, g.subject_id, s.name as subject_name, g.assessment_type,
+                g.marks_obtained, g.total_marks, g.remarks
+         FROM grades g
+         JOIN subjects s ON g.subject_id = s.id
+         WHERE g.term_id = $1 AND g.student_id = ANY($2::uuid[])
+         ORDER BY s.name, g.assessment_date`,
+        [termId, studentIds]
+      ),
+      db.query(
+        `SELECT student_id,
+                COUNT(*) FILTER (WHERE status = 'present') as present,
+                COUNT(*) FILTER (WHERE status = 'absent') as absent,
+                COUNT(*) FILTER (WHERE status = 'late') as late,
+                COUNT(*) FILTER (WHERE status = 'excused') as excused
+         FROM attendance
+         WHERE class_id = $1 AND date BETWEEN $2 AND $3 AND student_id = ANY($4::uuid[])
+           AND timetable_id IS NULL
+         GROUP BY student_id`,
+        [classId, context.start_date, context.end_date, studentIds]
+      ),
+      db.query(
+        `SELECT student_id, class_teacher_remarks, principal_remarks
+         FROM report_card_remarks
+         WHERE term_id = $1 AND student_id = ANY($2::uuid[])`,
+        [termId, studentIds]
+      ),
+      gradingService.getGradingConfig(context.school_id, db)
+    ]);
+
+    const gradesByStudent = {};
+    gradesResult.rows.forEach(row => {
+      (gradesByStudent[row.student_id] = gradesByStudent[row.student_id] || []).push({
+        subjectId: row.subject_id,
+        subjectName: row.subject_name,
+        assessmentType: row.assessment_type,
+        marksObtained: parseFloat(row.marks_obtained),
+        totalMarks: parseFloat(row.total_marks),
+        remarks: row.remarks
+      });
+    });
+    const attendanceByStudent = Object.fromEntries(attendanceResult.rows.map(row => [row.student_id, row]));
+    const remarksByStudent = Object.fromEntries(remarksResult.rows.map(row => [row.student_id, row]));
+
+    const cards = studentsResult.rows.map(student => {
+      const grades = gradesByStudent[student.id] || [];
+      const summary = gradingService.summarize(grades, config);
+
+      // Subject remarks come from the most recent assessment that has one
+      const subjects = summary.subjects.map(subject => {
+        const remarked = grades.filter(grade => grade.subjectId === subject.subjectId && grade.remarks);
+        return { ...subject, remarks: remarked.length > 0 ? remarked[remarked.length - 1].remarks : null };
+      });
+
+      return {
+        school: {
+          name: context.school_name,
+          logoUrl: context.logo_url,
+          address: context.address,
+          phone: context.phone,
+          email: context.email
+        },
+        academicYear: { id: context.academic_year_id, name: context.academic_year_name },
+        term: { id: context.term_id, name: context.term_name, startDate: context.start_date, endDate: context.end_date },
+        class: {
+          id: context.id,
+          name: context.name,
+          teacherName: context.teacher_first_name ? `${context.teacher_first_name} ${context.teacher_last_name}` : null
+        },
+        student: {
+          id: student.id,
+          studentId: student.student_id,
+          admissionNumber: student.admission_number,
+          firstName: student.first_name,
+          lastName: student.last_name
+        },
+        subjects,
+        average: summary.average,
+        letter: summary.letter,
+        gpa: summary.gpa,
+        rank: null,
+        classSize: studentsResult.rows.length,
+        attendance: attendanceService.summarizeCounts(attendanceByStudent[student.id]),
+        remarks: {
+          classTeacher: remarksByStudent[student.id]?.class_teacher_remarks || null,
+          principal: remarksByStudent[student.id]?.principal_remarks || null
+        }
+      };
+    });
+
+    // Standard competition ranking on the term average: 1, 2, 2, 4
+    const ranked = cards.filter(card => card.average !== null).sort((a, b) => b.average - a.average);
+    ranked.forEach((card, index) => {
+      card.rank = index > 0 && ranked[index - 1].average === card.average ? ranked[index - 1].rank : index + 1;
+    });
+
+    return { schoolId: context.school_id, cards };
+  }
+
+  renderHtml(card) {
+    return this.getTemplate()({ ...card, generatedAt: new Date().toLocaleDateString('en-GB') });
+  }
+
+  /**
+   * Render HTML documents to PDF buffers with one headless browser for the batch
+   */
+  async renderPdfs(htmlDocuments) {
+    if (!this.isPdfAvailable()) {
+      throw new Error('PDF rendering requires REPORT_CARD_CHROME_PATH to point at a Chrome or Chromium binary');
+    }
+
+    const puppeteer = require('puppeteer-core');
+    const browser = await puppeteer.launch({
+      executablePath: this.chromePath,
+      args: ['--no-sandbox', '--disable-dev-shm-usage']
+    });
+
+    try {
+      const page = await browser.newPage();
+      const pdfs = [];
+
+      for (const html of htmlDocuments) {
+        await page.setContent(html, { waitUntil: 'networkidle0' });
+        pdfs.push(Buffer.from(await page.pdf({ format: 'A4', printBackground: true })));
+      }
+
+      return pdfs;
+    } finally {
+      await browser.close();
+    }
+  }
+
+  fileNameFor(card, extension) {
+    const safe = `${card.student.lastName}_${card.student.firstName}_${card.student.studentId}`
+      .replace(/[^A-Za-z0-9_-]+/g, '_');
+    return `${safe}.${extension}`;
+  }
+}
+
+module.exports = new ReportCardService();
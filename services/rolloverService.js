@@ -0,0 +1,244 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Dates are handled as YYYY-MM-DD strings in UTC so server timezone never shifts a term by a day
+const parseDay = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const formatDay = (ms) => new Date(ms).toISOString().split('T')[0];
+
+const addDays = (value, days) => formatDay(parseDay(value) + days * MS_PER_DAY);
+
+const addYears = (value, years) => {
+  const date = new Date(parseDay(value));
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  return formatDay(date.getTime());
+};
+
+const daysBetween = (from, to) => Math.round((parseDay(to) - parseDay(from)) / MS_PER_DAY);
+
+const UNPAID_STATUSES = ['unpaid', 'partially_paid', 'overdue'];
+
+class RolloverService {
+  /**
+   * "2024-2025" becomes "2025-2026"; names without a year get a suffix
+   */
+  suggestNextName(name) {
+    const next = name.replace(/\d{4}/g, year => String(parseInt(year) + 1));
+    return next === name ? `${name} (next)` : next;
+  }
+
+  /**
+   * Work out everything a rollover would create. Reads only, so the same plan
+   * backs both the dry-run preview and the real run inside its transaction.
+   */
+  async buildPlan(client, sourceYear, options = {}) {
+    const {
+      name,
+      start_date,
+      end_date,
+      terms: termTemplate,
+      clone_classes = true,
+      carry_arrears = true,
+      set_current = false
+    } = options;
+
+    const startDate = start_date || addYears(sourceYear.start_date, 1);
+    const endDate = end_date || addYears(sourceYear.end_date, 1);
+    const conflicts = [];
+
+    const academicYear = {
+      name: name || this.suggestNextName(sourceYear.name),
+      startDate,
+      endDate,
+      isCurrent: Boolean(set_current)
+    };
+
+    if (startDate >= endDate) {
+      conflicts.push({ type: 'academic_year', message: 'Start date must be before end date' });
+    }
+
+    const overlapResult = await client.query(
+      `SELECT id, name FROM academic_years
+       WHERE school_id = $1 AND (name = $2 OR (start_date <= $4 AND end_date >= $3))`,
+      [sourceYear.school_id, academicYear.name, startDate, endDate]
+    );
+
+    overlapResult.rows.forEach(year => {
+      conflicts.push({
+        type: 'academic_year',
+        message: `Conflicts with existing academic year "${year.name}"`,
+        academicYearId: year.id
+      });
+    });
+
+    // Terms come from the supplied template, or the source year's terms shifted by the same offset
+    let terms;
+    if (termTemplate && termTemplate.length > 0) {
+      terms = termTemplate.map(term => ({
+        name: term.name,
+        startDate: term.start_date,
+        endDate: term.end_date
+      }));
+    } else {
+      const offset = daysBetween(sourceYear.start_date, startDate);
+      const sourceTerms = await client.query(
+        `SELECT name, to_char(start_date, 'YYYY-MM-DD') as start_date, to_char(end_date, 'YYYY-MM-DD') as end_date
+         FROM terms WHERE academic_year_id = $1 ORDER BY start_date`,
+        [sourceYear.id]
+      );
+      terms = sourceTerms.rows.map(term => ({
+        name: term.name,
+        startDate: addDays(term.start_date, offset),
+        endDate: addDays(term.end_date, offset)
+      }));
+    }
+
+    terms.forEach((term, index) => {
+      if (term.startDate < startDate || term.endDate > endDate || term.startDate > term.endDate) {
+        conflicts.push({ type: 'term', message: `Term "${term.name}" falls outside the academic year` });
+      }
+      const previous = terms[index - 1];
+      if (previous && term.startDate <= previous.endDate) {
+        conflicts.push({ type: 'term', message: `Term "${term.name}" overlaps "${previous.name}"` });
+      }
+    });
+
+    let classes = [];
+    if (clone_classes) {
+      const classesResult = await client.query(
+        `SELECT id, name, grade_level, section, class_teacher_id, room_number, max_students
+         FROM classes
+         WHERE academic_year_id = $1 AND is_active = true
+         ORDER BY grade_level, section NULLS LAST, name`,
+        [sourceYear.id]
+      );
+      classes = classesResult.rows.map(cls => ({
+        sourceClassId: cls.id,
+        name: cls.name,
+        gradeLevel: cls.grade_level,
+        section: cls.section,
+        classTeacherId: cls.class_teacher_id,
+        roomNumber: cls.room_number,
+        maxStudents: cls.max_students
+      }));
+    }
+
+    let arrears = [];
+    if (carry_arrears) {
+      const arrearsResult = await client.query(
+        `SELECT sf.id, sf.student_id, sf.amount, to_char(sf.due_date, 'YYYY-MM-DD') as due_date, fs.fee_type,
+                COALESCE((SELECT SUM(fp.amount_paid) FROM fee_payments fp WHERE fp.student_fee_id = sf.id), 0) as paid
+         FROM student_fees sf
+         JOIN fee_structures fs ON sf.fee_structure_id = fs.id
+         WHERE fs.academic_year_id = $1 AND sf.status = ANY($2) AND sf.carried_forward_to IS NULL
+         ORDER BY sf.student_id, sf.due_date
+         FOR UPDATE OF sf`,
+        [sourceYear.id, UNPAID_STATUSES]
+      );
+      arrears = arrearsResult.rows
+        .map(fee => ({
+          sourceFeeId: fee.id,
+          studentId: fee.student_id,
+          feeType: fee.fee_type,
+          dueDate: fee.due_date,
+          originalAmount: parseFloat(fee.amount),
+          paid: parseFloat(fee.paid),
+          outstanding: Math.round((parseFloat(fee.amount) - parseFloat(fee.paid)) * 100) / 100
+        }))
+        .filter(fee => fee.outstanding > 0);
+    }
+
+    return {
+      sourceAcademicYear: {
+        id: sourceYear.id,
+        name: sourceYear.name,
+        startDate: sourceYear.start_date,
+        endDate: sourceYear.end_date
+      },
+      academicYear,
+      terms,
+      classes,
+      arrears,
+      conflicts,
+      summary: {
+        terms: terms.length,
+        classes: classes.length,
+        arrears: arrears.length,
+        arrearsTotal: Math.round(arrears.reduce((sum, fee) => sum + fee.outstanding, 0) * 100) / 100
+      }
+    };
+  }
+
+  /**
+   * Create the year, its terms, cloned classes and arrears fees from a plan
+   */
+  async applyPlan(client, schoolId, plan) {
+    if (plan.academicYear.isCurrent) {
+      await client.query('UPDATE academic_years SET is_current = false WHERE school_id = $1', [schoolId]);
+    }
+
+    const yearResult = await client.query(
+      `INSERT INTO academic_years (school_id, name, start_date, end_date, is_current)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [schoolId, plan.academicYear.name, plan.academicYear.startDate, plan.academicYear.endDate, plan.academicYear.isCurrent]
+    );
+    const academicYear = yearResult.rows[0];
+
+    const terms = [];
+    for (const term of plan.terms) {
+      const termResult = await client.query(
+        `INSERT INTO terms (academic_year_id, name, start_date, end_date, is_current)
+         VALUES ($1, $2, $3, $4, false)
+         RETURNING *`,
+        [academicYear.id, term.name, term.startDate, term.endDate]
+      );
+      terms.push(termResult.rows[0]);
+    }
+
+    const classes = [];
+    for (const cls of plan.classes) {
+      const classResult = await client.query(
+        `INSERT INTO classes (school_id, academic_year_id, name, grade_level, section, class_teacher_id, room_number, max_students)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [schoolId, academicYear.id, cls.name, cls.gradeLevel, cls.section, cls.classTeacherId, cls.roomNumber, cls.maxStudents]
+      );
+      classes.push(classResult.rows[0]);
+    }
+
+    const arrears = [];
+    if (plan.arrears.length > 0) {
+      // Arrears hang off a single one-time fee structure in the new year
+      const structureResult = await client.query(
+        `INSERT INTO fee_structures (school_id, academic_year_id, fee_type, amount, frequency, due_date_rule, is_mandatory)
+         VALUES ($1, $2, 'arrears', 0, 'one_time', $3, true)
+         RETURNING id`,
+        [schoolId, academicYear.id, `Carried forward from ${plan.sourceAcademicYear.name}`]
+      );
+      const arrearsStructureId = structureResult.rows[0].id;
+
+      for (const fee of plan.arrears) {
+        const feeResult = await client.query(
+          `INSERT INTO student_fees (student_id, fee_structure_id, amount, due_date, status)
+           VALUES ($1, $2, $3, $4, 'unpaid')
+           RETURNING *`,
+          [fee.studentId, arrearsStructureId, fee.outstanding, plan.academicYear.startDate]
+        );
+        const arrearsFee = feeResult.rows[0];
+
+        await client.query(
+          'UPDATE student_fees SET carried_forward_to = $1, updated_at = NOW() WHERE id = $2',
+          [arrearsFee.id, fee.sourceFeeId]
+        );
+        arrears.push(arrearsFee);
+      }
+    }
+
+    return { academicYear, terms, classes, arrears };
+  }
+}
+
+module.exports = new RolloverService();
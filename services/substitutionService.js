@@ -0,0 +1,220 @@
+const pool = require('../config/database');
+const timetableService = require('./timetableService');
+const attendanceService = require('./attendanceService');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Conditions under which teacher tp cannot take a lesson on date $D from
+ * $S to $E: a regular slot that overlaps (the checkTeacherAvailability
+ * rule), a substitution already confirmed that overlaps, or their own
+ * absence that day. Placeholders are filled in by buildBusyClause.
+ */
+const BUSY_TEMPLATE = `(
+  EXISTS (
+    SELECT 1 FROM timetables bt
+    WHERE bt.teacher_id = tp.id AND bt.is_active = true AND bt.day_of_week = $W
+      AND bt.start_time < $E::time AND bt.end_time > $S::time
+  )
+  OR EXISTS (
+    SELECT 1 FROM substitutions bs
+    JOIN timetables bst ON bs.timetable_id = bst.id
+    WHERE bs.substitute_teacher_id = tp.id AND bs.date = $D AND bs.status = 'confirmed'
+      AND bst.start_time < $E::time AND bst.end_time > $S::time
+  )
+  OR EXISTS (
+    SELECT 1 FROM teacher_absences ba
+    WHERE ba.teacher_id = tp.id AND ba.status = 'active' AND $D BETWEEN ba.start_date AND ba.end_date
+  )
+)`;
+
+const buildBusyClause = (params) => {
+  const positions = { W: params.dayOfWeek, D: params.date, S: params.startTime, E: params.endTime };
+  return BUSY_TEMPLATE.replace(/\$([WDSE])/g, (match, key) => `$${positions[key]}`);
+};
+
+const normalize = (text) => (text || '').trim().toLowerCase();
+
+class SubstitutionService {
+  /**
+   * Every YYYY-MM-DD date from start to end inclusive
+   */
+  datesInRange(startDate, endDate) {
+    const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+    const [endYear, endMonth, endDay] = endDate.split('-').map(Number);
+    const end = Date.UTC(endYear, endMonth - 1, endDay);
+    const dates = [];
+
+    for (let ms = Date.UTC(startYear, startMonth - 1, startDay); ms <= end; ms += MS_PER_DAY) {
+      dates.push(new Date(ms).toISOString().split('T')[0]);
+    }
+
+    return dates;
+  }
+
+  /**
+   * A teacher qualifies for cover when their specialization and the subject
+   * name mention each other, e.g. "Mathematics" covers "Mathematics" and
+   * "Physics and Chemistry" covers "Chemistry"
+   */
+  isQualified(specialization, subjectName) {
+    const specialty = normalize(specialization);
+    const subject = normalize(subjectName);
+    return Boolean(specialty && subject) && (specialty.includes(subject) || subject.includes(specialty));
+  }
+
+  async findAbsence(absenceId, db = pool, lock = false) {
+    const result = await db.query(
+      `SELECT ta.*, to_char(ta.start_date, 'YYYY-MM-DD') as start_date, to_char(ta.end_date, 'YYYY-MM-DD') as end_date,
+              tp.user_id as teacher_user_id, u.first_name as teacher_first_name, u.last_name as teacher_last_name
+       FROM teacher_absences ta
+       JOIN teacher_profiles tp ON ta.teacher_id = tp.id
+       JOIN users u ON tp.user_id = u.id
+       WHERE ta.id = $1
+       ${lock ? 'FOR UPDATE OF ta' : ''}`,
+      [absenceId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The absent teacher's lessons on each day of the absence, with any
+   * substitute already confirmed for them
+   */
+  async findAffectedLessons(absence, db = pool) {
+    const slots = await timetableService.findSlots(['tt.teacher_id = $1'], [absence.teacher_id], db);
+    const lessons = [];
+
+    this.datesInRange(absence.start_date, absence.end_date).forEach(date => {
+      const dayOfWeek = attendanceService.dayOfWeek(date);
+      slots.filter(slot => slot.day_of_week === dayOfWeek).forEach(slot => lessons.push({ date, slot }));
+    });
+
+    const substitutions = await this.findSubstitutions(lessons.map(lesson => lesson.slot.id), absence.start_date, absence.end_date, db);
+
+    return lessons.map(lesson => ({
+      ...lesson,
+      substitution: substitutions.get(`${lesson.slot.id}:${lesson.date}`) || null
+    }));
+  }
+
+  /**
+   * Confirmed substitutions for the given slots within a date range, keyed by "slotId:date"
+   */
+  async findSubstitutions(slotIds, startDate, endDate, db = pool) {
+    const result = await db.query(
+      `SELECT s.id, s.timetable_id, to_char(s.date, 'YYYY-MM-DD') as date, s.substitute_teacher_id,
+              u.first_name, u.last_name
+       FROM substitutions s
+       JOIN teacher_profiles tp ON s.substitute_teacher_id = tp.id
+       JOIN users u ON tp.user_id = u.id
+       WHERE s.timetable_id = ANY($1::uuid[]) AND s.date BETWEEN $2 AND $3 AND s.status = 'confirmed'`,
+      [slotIds, startDate, endDate]
+    );
+
+    return new Map(result.rows.map(row => [`${row.timetable_id}:${row.date}`, {
+      id: row.id,
+      substituteTeacherId: row.substitute_teacher_id,
+      substituteName: `${row.first_name} ${row.last_name}`
+    }]));
+  }
+
+  /**
+   * Teachers in the school free to cover a lesson, qualified teachers first,
+   * then those with the lightest load that day
+   */
+  async findCandidates(schoolId, slot, date, db = pool) {
+    const dayOfWeek = attendanceService.dayOfWeek(date);
+    const busy = buildBusyClause({ dayOfWeek: 3, date: 4, startTime: 5, endTime: 6 });
+
+    const result = await db.query(
+      `SELECT tp.id, tp.specialization, u.first_name, u.last_name,
+              (SELECT COUNT(*) FROM timetables lt
+               WHERE lt.teacher_id = tp.id AND lt.is_active = true AND lt.day_of_week = $3)
+              + (SELECT COUNT(*) FROM substitutions ls
+                 WHERE ls.substitute_teacher_id = tp.id AND ls.date = $4 AND ls.status = 'confirmed') as periods_that_day
+       FROM teacher_profiles tp
+       JOIN users u ON tp.user_id = u.id
+       WHERE tp.school_id = $1 AND tp.is_active = true AND u.is_active = true AND tp.id <> $2
+         AND NOT ${busy}`,
+      [schoolId, slot.teacher_id, dayOfWeek, date, slot.start_time, slot.end_time]
+    );
+
+    return result.rows
+      .map(row => ({
+        teacherId: row.id,
+        name: `${row.first_name} ${row.last_name}`,
+        specialization: row.specialization,
+        qualified: this.isQualified(row.specialization, slot.subject_name),
+        periodsThatDay: parseInt(row.periods_that_day)
+      }))
+      .sort((a, b) => (b.qualified - a.qualified) || (a.periodsThatDay - b.periodsThatDay) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Whether a specific teacher is free for a lesson on a date
+   */
+  async isTeacherFree(teacherId, slot, date, db = pool) {
+    const busy = buildBusyClause({ dayOfWeek: 2, date: 3, startTime: 4, endTime: 5 });
+
+    const result = await db.query(
+      `SELECT ${busy} as busy
+       FROM teacher_profiles tp
+       WHERE tp.id = $1`,
+      [teacherId, attendanceService.dayOfWeek(date), date, slot.start_time, slot.end_time]
+    );
+
+    return result.rows.length > 0 && !result.rows[0].busy;
+  }
+
+  /**
+   * A class's or teacher's lessons on one date with cover applied. Class
+   * views show who is actually teaching; teacher views add the lessons they
+   * are covering and flag their own lessons that someone else is taking.
+   */
+  async getDaySchedule({ classId, teacherId }, date, db = pool) {
+    const dayOfWeek = attendanceService.dayOfWeek(date);
+    const ownSlots = classId
+      ? await timetableService.findSlots(['tt.class_id = $1', 'tt.day_of_week = $2'], [classId, dayOfWeek], db)
+      : await timetableService.findSlots(['tt.teacher_id = $1', 'tt.day_of_week = $2'], [teacherId, dayOfWeek], db);
+
+    let coveringSlots = [];
+    if (teacherId) {
+      const coveringResult = await db.query(
+        `SELECT timetable_id FROM substitutions
+         WHERE substitute_teacher_id = $1 AND date = $2 AND status = 'confirmed'`,
+        [teacherId, date]
+      );
+      const coveringIds = coveringResult.rows.map(row => row.timetable_id);
+      if (coveringIds.length > 0) {
+        coveringSlots = await timetableService.findSlots(['tt.id = ANY($1::uuid[])'], [coveringIds], db);
+      }
+    }
+
+    const allSlots = [...ownSlots, ...coveringSlots];
+    const substitutions = await this.findSubstitutions(allSlots.map(slot => slot.id), date, date, db);
+
+    const absentResult = await db.query(
+      `SELECT DISTINCT teacher_id FROM teacher_absences
+       WHERE teacher_id = ANY($1::uuid[]) AND status = 'active' AND $2 BETWEEN start_date AND end_date`,
+      [[...new Set(allSlots.map(slot => slot.teacher_id))], date]
+    );
+    const absentTeachers = new Set(absentResult.rows.map(row => row.teacher_id));
+
+    return allSlots
+      .map(slot => {
+        const substitution = substitutions.get(`${slot.id}:${date}`) || null;
+        return {
+          ...timetableService.formatSlot(slot),
+          date,
+          teacherAbsent: absentTeachers.has(slot.teacher_id),
+          substitution,
+          isCover: Boolean(teacherId && slot.teacher_id !== teacherId)
+        };
+      })
+      .sort((a, b) => (a.startTime > b.startTime ? 1 : -1));
+  }
+}
+
+module.exports = new SubstitutionService();
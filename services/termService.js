@@ -0,0 +1,54 @@
+const pool = require('../config/database');
+
+class TermService {
+  /**
+   * Resolve a school's current term. The explicitly flagged term wins;
+   * otherwise fall back to the term whose dates contain today, preferring
+   * the current academic year. Accepts a transaction client as `db`.
+   */
+  async findCurrentTerm(schoolId, db = pool) {
+    const result = await db.query(
+      `SELECT t.*, ay.school_id, ay.name as academic_year_name
+       FROM terms t
+       JOIN academic_years ay ON t.academic_year_id = ay.id
+       WHERE ay.school_id = $1
+         AND (t.is_current = true OR CURRENT_DATE BETWEEN t.start_date AND t.end_date)
+       ORDER BY t.is_current DESC, ay.is_current DESC, t.start_date DESC
+       LIMIT 1`,
+      [schoolId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * First term in the same academic year whose dates overlap the given range
+   */
+  async findOverlappingTerm(academicYearId, startDate, endDate, excludeTermId = null, db = pool) {
+    const result = await db.query(
+      `SELECT id, name, start_date, end_date FROM terms
+       WHERE academic_year_id = $1
+         AND start_date <= $3 AND end_date >= $2
+         AND ($4::uuid IS NULL OR id <> $4)
+       ORDER BY start_date
+       LIMIT 1`,
+      [academicYearId, startDate, endDate, excludeTermId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Clear the current flag on every term of the school so only one stays current
+   */
+  async clearCurrentTerm(schoolId, db = pool) {
+    await db.query(
+      `UPDATE terms SET is_current = false, updated_at = NOW()
+       WHERE is_current = true
+         AND academic_year_id IN (SELECT id FROM academic_years WHERE school_id = $1)`,
+      [schoolId]
+    );
+  }
+}
+
+module.exports = new TermService();
@@ -0,0 +1,442 @@
+const pool = require('../config/database');
+const timetableService = require('./timetableService');
+
+const SETTING_CATEGORY = 'academic';
+const PERIOD_GRID_KEY = 'period_grid';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_ATTEMPTS = 10;
+
+// Small seeded PRNG so a given seed always produces the same draft
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const roomKey = (roomNumber) => roomNumber ? roomNumber.trim().toLowerCase() : null;
+
+// Clashes between lessons placed in this run, by the same half-open rule the timetable API uses
+const isFree = (intervals, cell) => !(intervals || []).some(interval => timetableService.overlaps(interval, cell));
+
+class TimetableGeneratorService {
+  async getPeriodGrid(schoolId, db = pool) {
+    const result = await db.query(
+      `SELECT setting_value FROM tenant_settings
+       WHERE school_id = $1 AND setting_category = $2 AND setting_key = $3`,
+      [schoolId, SETTING_CATEGORY, PERIOD_GRID_KEY]
+    );
+
+    return result.rows[0] ? result.rows[0].setting_value : null;
+  }
+
+  async savePeriodGrid(schoolId, grid, db = pool) {
+    const result = await db.query(
+      `INSERT INTO tenant_settings (school_id, setting_category, setting_key, setting_value)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (school_id, setting_category, setting_key)
+       DO UPDATE SET setting_value = EXCLUDED.setting_value
+       RETURNING id`,
+      [schoolId, SETTING_CATEGORY, PERIOD_GRID_KEY, JSON.stringify(grid)]
+    );
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Returns a list of problems; an empty list means the grid is usable.
+   * A grid is { days: [1..7], periods: [{ start_time, end_time }] }.
+   */
+  validatePeriodGrid(grid) {
+    if (!grid || !Array.isArray(grid.days) || !Array.isArray(grid.periods)) {
+      return ['Period grid must have days and periods arrays'];
+    }
+
+    const errors = [];
+
+    if (grid.days.length === 0 || grid.days.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+      errors.push('Days must be a non-empty list of day numbers between 1 (Monday) and 7 (Sunday)');
+    }
+    if (new Set(grid.days).size !== grid.days.length) {
+      errors.push('Days must not repeat');
+    }
+
+    if (grid.periods.length === 0) {
+      errors.push('At least one period is required');
+    }
+
+    grid.periods.forEach((period, index) => {
+      if (!TIME_PATTERN.test(period.start_time || '') || !TIME_PATTERN.test(period.end_time || '')) {
+        errors.push(`Period ${index + 1}: start_time and end_time must be HH:MM`);
+      } else if (period.start_time >= period.end_time) {
+        errors.push(`Period ${index + 1}: start_time must be before end_time`);
+      }
+    });
+
+    const sorted = [...grid.periods].sort((a, b) => (a.start_time > b.start_time ? 1 : -1));
+    for (let index = 1; index < sorted.length; index++) {
+      if (sorted[index].start_time < sorted[index - 1].end_time) {
+        errors.push(`Periods ${sorted[index - 1].start_time} and ${sorted[index].start_time} overlap`);
+      }
+    }
+
+    return errors;
+  }
+
+  gridCells(grid) {
+    return grid.days.flatMap(day => grid.periods.map(period => ({
+      day_of_week: day,
+      start_time: period.start_time,
+      end_time: period.end_time
+    })));
+  }
+
+  /**
+   * Everything the solver needs from the database: class sizes and home
+   * rooms, the active slots of classes outside this run, which keep their
+   * rooms busy, and the grid cells each teacher is already teaching in.
+   * Those come from checkTeacherAvailability, skipping the run's own
+   * classes' slots because publishing replaces them.
+   */
+  async loadContext(schoolId, classIds, grid, teacherIds, db = pool) {
+    const [classesResult, busySlots, replacedResult] = await Promise.all([
+      db.query(
+        `SELECT c.id, c.name, c.room_number,
+                (SELECT COUNT(*) FROM enrollments e WHERE e.class_id = c.id AND e.status = 'active')::int as size
+         FROM classes c
+         WHERE c.id = ANY($1::uuid[]) AND c.school_id = $2 AND c.is_active = true`,
+        [classIds, schoolId]
+      ),
+      timetableService.findSlots(['c.school_id = $1', 'NOT (tt.class_id = ANY($2::uuid[]))'], [schoolId, classIds], db),
+      db.query('SELECT id FROM timetables WHERE class_id = ANY($1::uuid[]) AND is_active = true', [classIds])
+    ]);
+    const replacedIds = replacedResult.rows.map(row => row.id);
+
+    const teacherCommitments = [];
+    for (const teacherId of teacherIds) {
+      for (const cell of this.gridCells(grid)) {
+        const available = await timetableService.checkTeacherAvailability(
+          teacherId, cell.day_of_week, cell.start_time, cell.end_time, replacedIds, db
+        );
+        if (!available) {
+          teacherCommitments.push({ teacher_id: teacherId, ...cell });
+        }
+      }
+    }
+
+    return { classes: classesResult.rows, busySlots, teacherCommitments };
+  }
+
+  /**
+   * Solver slots carry IDs only; add the class, subject and teacher names
+   * formatSlot reads, for drafts previewed without being saved
+   */
+  async nameSlots(slots, classes, db = pool) {
+    const subjectIds = [...new Set(slots.map(slot => slot.subject_id))];
+    const teacherIds = [...new Set(slots.map(slot => slot.teacher_id))];
+
+    const [subjectsResult, teachersResult] = await Promise.all([
+      db.query('SELECT id, name FROM subjects WHERE id = ANY($1::uuid[])', [subjectIds]),
+      db.query(
+        `SELECT tp.id, u.first_name, u.last_name
+         FROM teacher_profiles tp
+         JOIN users u ON tp.user_id = u.id
+         WHERE tp.id = ANY($1::uuid[])`,
+        [teacherIds]
+      )
+    ]);
+
+    const classNames = new Map(classes.map(cls => [cls.id, cls.name]));
+    const subjectNames = new Map(subjectsResult.rows.map(row => [row.id, row.name]));
+    const teachers = new Map(teachersResult.rows.map(row => [row.id, row]));
+
+    return slots.map(slot => ({
+      ...slot,
+      class_name: classNames.get(slot.class_id),
+      subject_name: subjectNames.get(slot.subject_id),
+      teacher_first_name: teachers.get(slot.teacher_id).first_name,
+      teacher_last_name: teachers.get(slot.teacher_id).last_name
+    }));
+  }
+
+  /**
+   * Place every required period into the grid. Lessons for the most
+   * constrained teachers go first; each lesson takes the free cell that best
+   * spreads the subject across the week. Several seeded attempts with
+   * shuffled tie-breaks are made and the one leaving fewest periods unplaced
+   * wins.
+   *
+   * input: { grid, classes, requirements, busySlots, teacherCommitments,
+   *          unavailability, rooms, attempts, seed }
+   * Returns { slots, unmet, attempt, seed }.
+   */
+  solve(input) {
+    const attempts = input.attempts || DEFAULT_ATTEMPTS;
+    const seed = Number.isInteger(input.seed) ? input.seed : Date.now() % 2147483647;
+    let best = null;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const result = this.solveOnce(input, createRandom(seed + attempt));
+      if (!best || result.unplaced < best.unplaced) {
+        best = { ...result, attempt };
+      }
+      if (best.unplaced === 0) {
+        break;
+      }
+    }
+
+    return { slots: best.slots, unmet: best.unmet, attempt: best.attempt, seed };
+  }
+
+  solveOnce({ grid, classes, requirements, busySlots = [], teacherCommitments = [], unavailability = [], rooms = [] }, random) {
+    const cells = this.gridCells(grid);
+
+    const classesById = new Map(classes.map(cls => [cls.id, cls]));
+    const roomCapacity = new Map(rooms.map(room => [roomKey(room.room_number), room]));
+
+    const teacherBusy = new Map();
+    const roomBusy = new Map();
+    const classBusy = new Map();
+    const addInterval = (map, key, interval) => {
+      if (key) {
+        map.set(key, [...(map.get(key) || []), interval]);
+      }
+    };
+
+    busySlots.forEach(slot => addInterval(roomBusy, roomKey(slot.room_number), slot));
+    [...teacherCommitments, ...unavailability].forEach(block => addInterval(teacherBusy, block.teacher_id, block));
+
+    // A room fits when it is unlisted (capacity unknown) or holds the whole class
+    const roomFits = (roomNumber, cls) => {
+      const room = roomCapacity.get(roomKey(roomNumber));
+      return !room || !room.capacity || room.capacity >= cls.size;
+    };
+
+    const pickRoom = (requirement, cls, cell) => {
+      const preferred = requirement.room_number || cls.room_number;
+      if (preferred) {
+        if (roomFits(preferred, cls) && isFree(roomBusy.get(roomKey(preferred)), cell)) {
+          return { room: preferred };
+        }
+        if (requirement.room_number) {
+          return null;
+        }
+      }
+
+      if (rooms.length === 0) {
+        return preferred ? null : { room: null };
+      }
+
+      // Otherwise the smallest listed room that fits and is free
+      const candidate = rooms
+        .filter(room => roomFits(room.room_number, cls) && isFree(roomBusy.get(roomKey(room.room_number)), cell))
+        .sort((a, b) => (a.capacity || Infinity) - (b.capacity || Infinity))[0];
+
+      return candidate ? { room: candidate.room_number } : null;
+    };
+
+    // Free cells per teacher (before any placement) divided by load: lower is harder
+    const teacherLoad = new Map();
+    requirements.forEach(requirement => {
+      teacherLoad.set(requirement.teacher_id, (teacherLoad.get(requirement.teacher_id) || 0) + requirement.periods_per_week);
+    });
+    const teacherSlack = new Map([...teacherLoad.entries()].map(([teacherId, load]) => {
+      const free = cells.filter(cell => isFree(teacherBusy.get(teacherId), cell)).length;
+      return [teacherId, free / load];
+    }));
+
+    const lessons = [];
+    requirements.forEach((requirement, index) => {
+      for (let count = 0; count < requirement.periods_per_week; count++) {
+        lessons.push({ requirement, index, tieBreak: random() });
+      }
+    });
+    lessons.sort((a, b) =>
+      teacherSlack.get(a.requirement.teacher_id) - teacherSlack.get(b.requirement.teacher_id) ||
+      b.requirement.periods_per_week - a.requirement.periods_per_week ||
+      a.tieBreak - b.tieBreak
+    );
+
+    const subjectDays = new Map();
+    const dayLoad = new Map();
+    const placedCounts = new Map();
+    const failures = new Map();
+    const slots = [];
+
+    lessons.forEach(({ requirement, index }) => {
+      const cls = classesById.get(requirement.class_id);
+      const subjectKey = `${requirement.class_id}:${requirement.subject_id}`;
+      let best = null;
+      let classFree = false;
+      let teacherFree = false;
+
+      cells.forEach(cell => {
+        if (!isFree(classBusy.get(requirement.class_id), cell)) {
+          return;
+        }
+        classFree = true;
+
+        if (!isFree(teacherBusy.get(requirement.teacher_id), cell)) {
+          return;
+        }
+        teacherFree = true;
+
+        const room = pickRoom(requirement, cls, cell);
+        if (!room) {
+          return;
+        }
+
+        // Prefer days without this subject yet, then lighter days for the class
+        const score = (subjectDays.get(`${subjectKey}:${cell.day_of_week}`) || 0) * 10 +
+          (dayLoad.get(`${requirement.class_id}:${cell.day_of_week}`) || 0) +
+          random() * 0.5;
+
+        if (!best || score < best.score) {
+          best = { cell, room: room.room, score };
+        }
+      });
+
+      if (!best) {
+        const reason = !classFree ? 'class_week_full' : !teacherFree ? 'teacher_unavailable' : 'no_room_available';
+        const reasons = failures.get(index) || new Set();
+        reasons.add(reason);
+        failures.set(index, reasons);
+        return;
+      }
+
+      const slot = {
+        class_id: requirement.class_id,
+        subject_id: requirement.subject_id,
+        teacher_id: requirement.teacher_id,
+        day_of_week: best.cell.day_of_week,
+        start_time: best.cell.start_time,
+        end_time: best.cell.end_time,
+        room_number: best.room
+      };
+
+      slots.push(slot);
+      addInterval(classBusy, requirement.class_id, slot);
+      addInterval(teacherBusy, requirement.teacher_id, slot);
+      addInterval(roomBusy, roomKey(best.room), slot);
+      subjectDays.set(`${subjectKey}:${slot.day_of_week}`, (subjectDays.get(`${subjectKey}:${slot.day_of_week}`) || 0) + 1);
+      dayLoad.set(`${requirement.class_id}:${slot.day_of_week}`, (dayLoad.get(`${requirement.class_id}:${slot.day_of_week}`) || 0) + 1);
+      placedCounts.set(index, (placedCounts.get(index) || 0) + 1);
+    });
+
+    const unmet = [...failures.entries()].map(([index, reasons]) => {
+      const requirement = requirements[index];
+      return {
+        classId: requirement.class_id,
+        className: classesById.get(requirement.class_id).name,
+        subjectId: requirement.subject_id,
+        teacherId: requirement.teacher_id,
+        required: requirement.periods_per_week,
+        placed: placedCounts.get(index) || 0,
+        reasons: [...reasons]
+      };
+    });
+
+    return {
+      slots,
+      unmet,
+      unplaced: unmet.reduce((total, entry) => total + entry.required - entry.placed, 0)
+    };
+  }
+
+  /**
+   * Store a draft: a generation row plus its slots, inserted inactive so
+   * they stay out of schedules, registers and conflict checks until published
+   */
+  async saveDraft(client, { schoolId, classIds, input, result, userId }) {
+    const generationResult = await client.query(
+      `INSERT INTO timetable_generations (school_id, class_ids, input, unmet, seed, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [schoolId, classIds, JSON.stringify(input), JSON.stringify(result.unmet), result.seed, userId]
+    );
+    const generation = generationResult.rows[0];
+
+    for (const slot of result.slots) {
+      await client.query(
+        `INSERT INTO timetables (class_id, subject_id, teacher_id, day_of_week, start_time, end_time,
+                                 room_number, is_active, generation_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, false, $8)`,
+        [slot.class_id, slot.subject_id, slot.teacher_id, slot.day_of_week, slot.start_time,
+          slot.end_time, slot.room_number, generation.id]
+      );
+    }
+
+    return generation;
+  }
+
+  async findGeneration(generationId, db = pool, lock = false) {
+    const result = await db.query(
+      `SELECT * FROM timetable_generations WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}`,
+      [generationId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async getDraftSlots(generationId, db = pool) {
+    return timetableService.findSlots(['tt.generation_id = $1'], [generationId], db, { includeInactive: true });
+  }
+
+  /**
+   * Swap a draft in: retire the classes' current slots and activate the
+   * draft's. The draft is re-checked first because other classes' slots may
+   * have changed since it was generated. Returns { conflicts } when it no
+   * longer fits, otherwise { replaced, activated }.
+   */
+  async publish(client, generation, userId) {
+    await timetableService.lockSchoolTimetable(client, generation.school_id);
+
+    const draftSlots = await this.getDraftSlots(generation.id, client);
+    const replacedResult = await client.query(
+      'SELECT id FROM timetables WHERE class_id = ANY($1::uuid[]) AND is_active = true',
+      [generation.class_ids]
+    );
+    const replacedIds = replacedResult.rows.map(row => row.id);
+
+    const conflicts = [];
+    for (const draftSlot of draftSlots) {
+      const found = await timetableService.findConflicts(draftSlot, generation.school_id, replacedIds, client);
+      found.forEach(conflict => conflicts.push({ draftSlot: timetableService.formatSlot(draftSlot), ...conflict }));
+    }
+
+    if (conflicts.length > 0) {
+      return { conflicts };
+    }
+
+    await client.query(
+      'UPDATE timetables SET is_active = false, updated_at = NOW() WHERE id = ANY($1::uuid[])',
+      [replacedIds]
+    );
+    await client.query(
+      'UPDATE timetables SET is_active = true, updated_at = NOW() WHERE generation_id = $1',
+      [generation.id]
+    );
+    await client.query(
+      `UPDATE timetable_generations SET status = 'published', published_by = $1, published_at = NOW()
+       WHERE id = $2`,
+      [userId, generation.id]
+    );
+
+    return { replaced: replacedIds.length, activated: draftSlots.length };
+  }
+
+  async discard(client, generation) {
+    await client.query('DELETE FROM timetables WHERE generation_id = $1 AND is_active = false', [generation.id]);
+    await client.query(
+      "UPDATE timetable_generations SET status = 'discarded', discarded_at = NOW() WHERE id = $1",
+      [generation.id]
+    );
+  }
+}
+
+module.exports = new TimetableGeneratorService();
@@ -0,0 +1,218 @@
+const pool = require('../config/database');
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const SLOT_COLUMNS = `
+  tt.id, tt.class_id, tt.subject_id, tt.teacher_id, tt.day_of_week,
+  to_char(tt.start_time, 'HH24:MI') as start_time, to_char(tt.end_time, 'HH24:MI') as end_time,
+  tt.room_number, tt.is_active, c.school_id, c.name as class_name,
+  s.name as subject_name, u.first_name as teacher_first_name, u.last_name as teacher_last_name`;
+
+const SLOT_JOINS = `
+  JOIN classes c ON tt.class_id = c.id
+  JOIN subjects s ON tt.subject_id = s.id
+  JOIN teacher_profiles tp ON tt.teacher_id = tp.id
+  JOIN users u ON tp.user_id = u.id`;
+
+const sameRoom = (a, b) => Boolean(a.room_number && b.room_number) &&
+  a.room_number.trim().toLowerCase() === b.room_number.trim().toLowerCase();
+
+class TimetableService {
+  /**
+   * Serialize timetable writes for a school so two concurrent requests
+   * cannot both pass the overlap checks. Released at COMMIT/ROLLBACK.
+   */
+  async lockSchoolTimetable(client, schoolId) {
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('timetable:' || $1))", [schoolId]);
+  }
+
+  /**
+   * Half-open ranges on the same day: a period ending at 09:00 does not
+   * clash with one starting at 09:00. Times are zero-padded HH:MM strings.
+   */
+  overlaps(a, b) {
+    return a.day_of_week === b.day_of_week && a.start_time < b.end_time && b.start_time < a.end_time;
+  }
+
+  formatSlot(slot) {
+    return {
+      id: slot.id,
+      classId: slot.class_id,
+      className: slot.class_name,
+      subjectId: slot.subject_id,
+      subjectName: slot.subject_name,
+      teacherId: slot.teacher_id,
+      teacherName: slot.teacher_first_name ? `${slot.teacher_first_name} ${slot.teacher_last_name}` : null,
+      dayOfWeek: slot.day_of_week,
+      dayName: DAY_NAMES[slot.day_of_week - 1],
+      startTime: slot.start_time,
+      endTime: slot.end_time,
+      roomNumber: slot.room_number
+    };
+  }
+
+  async findSlot(slotId, db = pool) {
+    const [slot] = await this.findSlots(['tt.id = $1'], [slotId], db);
+    return slot || null;
+  }
+
+  /**
+   * Active slots in the school that clash with the proposed slot on teacher,
+   * room or class. Each conflict names which of the three it clashes on.
+   * excludeIds skips slots being replaced (an update, or a class's week on import).
+   */
+  async findConflicts(slot, schoolId, excludeIds = [], db = pool) {
+    const result = await db.query(
+      `SELECT ${SLOT_COLUMNS}
+       FROM timetables tt ${SLOT_JOINS}
+       WHERE c.school_id = $1 AND tt.is_active = true
+         AND tt.day_of_week = $2 AND tt.start_time < $4::time AND tt.end_time > $3::time
+         AND NOT (tt.id = ANY($8::uuid[]))
+         AND (tt.teacher_id = $5 OR tt.class_id = $6
+              OR ($7::text IS NOT NULL AND lower(trim(tt.room_number)) = lower(trim($7))))
+       ORDER BY tt.start_time`,
+      [schoolId, slot.day_of_week, slot.start_time, slot.end_time,
+        slot.teacher_id, slot.class_id, slot.room_number || null, excludeIds]
+    );
+
+    return result.rows.map(existing => ({
+      types: this.conflictTypes(slot, existing),
+      slot: this.formatSlot(existing)
+    }));
+  }
+
+  conflictTypes(slot, existing) {
+    const types = [];
+    if (existing.teacher_id === slot.teacher_id) {
+      types.push('teacher');
+    }
+    if (sameRoom(existing, slot)) {
+      types.push('room');
+    }
+    if (existing.class_id === slot.class_id) {
+      types.push('class');
+    }
+    return types;
+  }
+
+  /**
+   * Clashes between slots of one batch, reported by their index in the batch
+   */
+  findBatchConflicts(slots) {
+    const conflicts = [];
+
+    slots.forEach((slot, index) => {
+      for (let other = index + 1; other < slots.length; other++) {
+        if (!this.overlaps(slot, slots[other])) {
+          continue;
+        }
+        const types = this.conflictTypes(slot, slots[other]);
+        if (types.length > 0) {
+          conflicts.push({ index, conflictsWithIndex: other, types });
+        }
+      }
+    });
+
+    return conflicts;
+  }
+
+  /**
+   * Subjects and teachers must be active and belong to the school.
+   * Returns the offending IDs, or null when everything checks out.
+   */
+  async findInvalidReferences(schoolId, slots, db = pool) {
+    const subjectIds = [...new Set(slots.map(slot => slot.subject_id))];
+    const teacherIds = [...new Set(slots.map(slot => slot.teacher_id))];
+
+    const [subjectsResult, teachersResult] = await Promise.all([
+      db.query(
+        'SELECT id FROM subjects WHERE id = ANY($1::uuid[]) AND school_id = $2 AND is_active = true',
+        [subjectIds, schoolId]
+      ),
+      db.query(
+        'SELECT id FROM teacher_profiles WHERE id = ANY($1::uuid[]) AND school_id = $2 AND is_active = true',
+        [teacherIds, schoolId]
+      )
+    ]);
+
+    const validSubjects = new Set(subjectsResult.rows.map(row => row.id));
+    const validTeachers = new Set(teachersResult.rows.map(row => row.id));
+    const invalid = {
+      subjectIds: subjectIds.filter(id => !validSubjects.has(id)),
+      teacherIds: teacherIds.filter(id => !validTeachers.has(id))
+    };
+
+    return invalid.subjectIds.length > 0 || invalid.teacherIds.length > 0 ? invalid : null;
+  }
+
+  /**
+   * True when the teacher has no active slot overlapping the given time.
+   * The pg counterpart of TimetableService.checkTeacherAvailability in
+   * src/services, taking the same arguments, for the Express routes.
+   * excludeId may also be a list, for slots that are about to be replaced.
+   */
+  async checkTeacherAvailability(teacherId, dayOfWeek, startTime, endTime, excludeId = null, db = pool) {
+    const excludeIds = [].concat(excludeId || []);
+    const result = await db.query(
+      `SELECT 1 FROM timetables
+       WHERE teacher_id = $1 AND day_of_week = $2 AND is_active = true
+         AND start_time < $4::time AND end_time > $3::time
+         AND NOT (id = ANY($5::uuid[]))
+       LIMIT 1`,
+      [teacherId, dayOfWeek, startTime, endTime, excludeIds]
+    );
+
+    return result.rows.length === 0;
+  }
+
+  /**
+   * Active slots matching the given conditions, which may refer to the
+   * timetable as tt and its class as c. includeInactive also returns
+   * retired and draft slots.
+   */
+  async findSlots(whereConditions, queryParams, db = pool, { includeInactive = false } = {}) {
+    const conditions = includeInactive ? whereConditions : [...whereConditions, 'tt.is_active = true'];
+    const result = await db.query(
+      `SELECT ${SLOT_COLUMNS}
+       FROM timetables tt ${SLOT_JOINS}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY tt.day_of_week, tt.start_time, c.name`,
+      queryParams
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Active slots grouped by day name. filter is one of { classId },
+   * { teacherId } or { schoolId, roomNumber }.
+   */
+  async getWeeklySchedule(filter, db = pool) {
+    let slots;
+
+    if (filter.classId) {
+      slots = await this.findSlots(['tt.class_id = $1'], [filter.classId], db);
+    } else if (filter.teacherId) {
+      slots = await this.findSlots(['tt.teacher_id = $1'], [filter.teacherId], db);
+    } else {
+      slots = await this.findSlots(
+        ['c.school_id = $1', 'lower(trim(tt.room_number)) = lower(trim($2))'],
+        [filter.schoolId, filter.roomNumber],
+        db
+      );
+    }
+
+    return this.groupByDay(slots);
+  }
+
+  groupByDay(slots) {
+    const schedule = Object.fromEntries(DAY_NAMES.map(day => [day, []]));
+    slots.forEach(slot => {
+      schedule[DAY_NAMES[slot.day_of_week - 1]].push(this.formatSlot(slot));
+    });
+
+    return schedule;
+  }
+}
+
+module.exports = new TimetableService();
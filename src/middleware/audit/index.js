@@ -268,11 +268,21 @@ class AuditMiddleware {
       'grades': 'grades',
       'fee_payments': 'finance',
       'fee_structures': 'finance',
+      'fee_discounts': 'finance',
+      'fee_receipts': 'finance',
+      'student_fees': 'finance',
       'expenses': 'finance',
       'library_books': 'library',
       'library_issues': 'library',
       'announcements': 'communication',
-      'notifications': 'communication'
+      'notifications': 'communication',
+      'email_queue': 'communication',
+      'email_preferences': 'communication',
+      'email_templates': 'communication',
+      'message_threads': 'communication',
+      'messages': 'communication',
+      'message_receipts': 'communication',
+      'message_attachments': 'communication'
     };
     return moduleMap[tableName] || 'unknown';
   }
@@ -3,6 +3,8 @@
  * 
  * Provides comprehensive email notification functionality with customizable templates
  * for system notifications, user confirmations, and administrative alerts.
+ * Messages are written to email_queue and delivered by a background worker
+ * with retries, so a failed SMTP send never loses a message.
  * 
  * @author SIMS Development Team
  * @version 1.0.0
@@ -12,8 +14,21 @@ const nodemailer = require('nodemailer');
 const handlebars = require('handlebars');
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
 const logger = require('../utils/logger');
 const pool = require('../../config/database');
+const emailPreferenceService = require('../../services/emailPreferenceService');
+const emailTemplateService = require('../../services/emailTemplateService');
+const { getNotificationType, isMandatory } = require('../../config/emailNotifications');
+
+// email_queue.priority: lower numbers are sent first
+const QUEUE_PRIORITIES = { high: 1, normal: 5, low: 9 };
+
+// What the admin queue listing shows of each message (bodies and attachments are left out)
+const QUEUE_SUMMARY_COLUMNS = `
+  id, recipient_email, cc_emails, bcc_emails, subject, template_name, priority, status,
+  attempts, max_attempts, scheduled_at, processed_at, error_message, tracking_id, message_id,
+  locked_by, locked_at, created_at, updated_at, jsonb_array_length(COALESCE(attachments, '[]')) as attachment_count`;
 
 class EmailService {
   constructor() {
@@ -23,6 +38,20 @@ class EmailService {
       from: process.env.SMTP_FROM || 'noreply@sims.com',
       replyTo: process.env.SMTP_REPLY_TO || 'support@sims.com'
     };
+    this.queueConfig = {
+      enabled: process.env.EMAIL_QUEUE_WORKER_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS) || 10 * 1000,
+      batchSize: parseInt(process.env.EMAIL_QUEUE_BATCH_SIZE) || 20,
+      maxAttempts: parseInt(process.env.EMAIL_QUEUE_MAX_ATTEMPTS) || 3,
+      // First retry after backoffMs, doubling per attempt up to maxBackoffMs
+      backoffMs: parseInt(process.env.EMAIL_QUEUE_BACKOFF_MS) || 60 * 1000,
+      maxBackoffMs: parseInt(process.env.EMAIL_QUEUE_MAX_BACKOFF_MS) || 60 * 60 * 1000,
+      // A message claimed longer ago than this is assumed abandoned by a stopped worker
+      leaseMs: parseInt(process.env.EMAIL_QUEUE_LEASE_MS) || 10 * 60 * 1000
+    };
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.queueTimer = null;
+    this.processingQueue = false;
     this.initialize();
   }
 
@@ -86,108 +115,454 @@ class EmailService {
   }
 
   /**
-   * Send email with template
+   * Queue an email for delivery by the queue worker. The message and its
+   * email_logs row are written together, so a message accepted here is
+   * retried until it is sent or runs out of attempts.
+   *
+   * Recipients' email preferences for the template's notification type
+   * (or options.notificationType) are honored: opted-out users are left
+   * out and daily/weekly users get it in their next digest. Mandatory
+   * types, options.mandatory and addresses that belong to no user are
+   * always sent to.
    */
   async sendEmail(options) {
-    try {
-      const {
-        to,
-        cc,
-        bcc,
-        subject,
-        template,
-        data = {},
-        attachments = [],
-        priority = 'normal',
-        trackingId = null
-      } = options;
+    const {
+      to,
+      subject,
+      template,
+      data = {},
+      attachments = [],
+      trackingId = null,
+      mandatory = false
+    } = options;
 
-      // Validate required fields
-      if (!to || !subject) {
-        throw new Error('Email recipient and subject are required');
-      }
+    // Validate required fields
+    if (!to || !subject) {
+      throw new Error('Email recipient and subject are required');
+    }
 
-      // Get compiled template
-      let htmlContent = '';
-      let textContent = '';
-
-      if (template && this.templates.has(template)) {
-        const compiledTemplate = this.templates.get(template);
-        htmlContent = compiledTemplate(data);
-        textContent = this.extractTextFromHtml(htmlContent);
-      } else if (options.html) {
-        htmlContent = options.html;
-        textContent = options.text || this.extractTextFromHtml(htmlContent);
-      } else {
-        textContent = options.text || subject;
+    const notificationType = options.notificationType || getNotificationType(template);
+    const addresses = this.splitAddresses(to);
+
+    const delivery = notificationType && !mandatory && !isMandatory(notificationType)
+      ? await emailPreferenceService.resolveRecipients(addresses, notificationType)
+      : { immediate: addresses, digest: [], optedOut: [] };
+
+    // A digest cannot carry attachments, so those recipients get the message now
+    if (attachments.length > 0 && delivery.digest.length > 0) {
+      delivery.immediate.push(...delivery.digest.map(recipient => recipient.email));
+      delivery.digest = [];
+    }
+
+    const outcome = {
+      success: true,
+      queued: false,
+      queueId: null,
+      trackingId,
+      digested: delivery.digest.map(recipient => recipient.email),
+      optedOut: delivery.optedOut
+    };
+
+    if (delivery.immediate.length === 0 && delivery.digest.length === 0) {
+      logger.info('Email not queued; every recipient opted out', { subject, notificationType, trackingId });
+      return outcome;
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (delivery.immediate.length > 0) {
+        const queued = await this.enqueueEmail(client, { ...options, to: delivery.immediate });
+        Object.assign(outcome, { queued: true, queueId: queued.id, scheduledAt: queued.scheduled_at });
       }
 
-      // Prepare email options
-      const mailOptions = {
-        from: this.defaultConfig.from,
-        replyTo: this.defaultConfig.replyTo,
-        to: Array.isArray(to) ? to.join(', ') : to,
-        cc: cc ? (Array.isArray(cc) ? cc.join(', ') : cc) : undefined,
-        bcc: bcc ? (Array.isArray(bcc) ? bcc.join(', ') : bcc) : undefined,
-        subject,
-        text: textContent,
-        html: htmlContent,
-        attachments,
-        priority,
-        headers: trackingId ? { 'X-Tracking-ID': trackingId } : {}
-      };
-
-      // Send email
-      const result = await this.transporter.sendMail(mailOptions);
-
-      // Log email sent
-      await this.logEmailSent({
-        to: mailOptions.to,
-        cc: mailOptions.cc,
-        bcc: mailOptions.bcc,
+      await emailPreferenceService.addDigestItems(client, delivery.digest, {
+        notificationType,
         subject,
         template,
-        messageId: result.messageId,
-        trackingId,
-        status: 'sent',
-        data
+        data,
+        trackingId
       });
 
-      logger.info('Email sent successfully', {
-        to: mailOptions.to,
+      await client.query('COMMIT');
+
+      logger.info('Email queued', {
+        to: delivery.immediate.join(', '),
+        digested: outcome.digested.length,
+        optedOut: outcome.optedOut.length,
         subject,
-        messageId: result.messageId,
+        queueId: outcome.queueId,
         trackingId
       });
 
-      return {
-        success: true,
-        messageId: result.messageId,
-        trackingId
-      };
+      return outcome;
 
     } catch (error) {
-      logger.error('Failed to send email', {
+      await client.query('ROLLBACK');
+
+      logger.error('Failed to queue email', {
         error: error.message,
-        to: options.to,
-        subject: options.subject,
-        template: options.template
+        to: this.joinAddresses(to),
+        subject,
+        template
       });
 
-      // Log email failure
-      await this.logEmailSent({
-        to: options.to,
-        subject: options.subject,
-        template: options.template,
-        trackingId: options.trackingId,
-        status: 'failed',
-        errorMessage: error.message
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Write a message and its email_logs row to the queue in the caller's
+   * transaction, without checking preferences
+   */
+  async enqueueEmail(client, options) {
+    const {
+      to,
+      cc,
+      bcc,
+      subject,
+      template,
+      data = {},
+      attachments = [],
+      priority = 'normal',
+      trackingId = null,
+      scheduledAt = null,
+      maxAttempts = this.queueConfig.maxAttempts,
+      schoolId = null,
+      language = 'en'
+    } = options;
+
+    const recipients = {
+      to: this.joinAddresses(to),
+      cc: this.joinAddresses(cc),
+      bcc: this.joinAddresses(bcc)
+    };
+
+    const queueResult = await client.query(
+      `INSERT INTO email_queue (
+         recipient_email, cc_emails, bcc_emails, subject, template_name, template_data,
+         html_content, text_content, attachments, priority, max_attempts, tracking_id, scheduled_at,
+         school_id, language
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, NOW()), $14, $15)
+       RETURNING id, scheduled_at`,
+      [
+        recipients.to,
+        recipients.cc,
+        recipients.bcc,
+        subject,
+        template || null,
+        JSON.stringify(data),
+        options.html || null,
+        options.text || null,
+        JSON.stringify(this.serializeAttachments(attachments)),
+        QUEUE_PRIORITIES[priority] || QUEUE_PRIORITIES.normal,
+        maxAttempts,
+        trackingId,
+        scheduledAt,
+        schoolId,
+        language || 'en'
+      ]
+    );
+    const queued = queueResult.rows[0];
+
+    await client.query(
+      `INSERT INTO email_logs (
+         recipient_email, cc_emails, bcc_emails, subject, template_name,
+         tracking_id, status, template_data, sent_at, queue_id
+       ) VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, NULL, $8)`,
+      [recipients.to, recipients.cc, recipients.bcc, subject, template || null, trackingId, JSON.stringify(data), queued.id]
+    );
+
+    return queued;
+  }
+
+  /**
+   * Render a queued message with its school's override of the template (in
+   * the message's language, else English), or null to use the default. An
+   * override that fails to render falls back to the default.
+   */
+  async renderSchoolTemplate(message) {
+    try {
+      const override = await emailTemplateService.resolveOverride(message.school_id, message.template_name, message.language);
+      return override ? emailTemplateService.renderOverride(override, message.template_data || {}) : null;
+    } catch (error) {
+      logger.error('Failed to render school email template; using the default', {
+        queueId: message.id,
+        template: message.template_name,
+        schoolId: message.school_id,
+        error: error.message
       });
+      return null;
+    }
+  }
 
-      throw error;
+  /**
+   * Send a claimed queue message through SMTP
+   */
+  async deliverQueuedEmail(message) {
+    let subject = message.subject;
+    let htmlContent = '';
+    let textContent = '';
+
+    const schoolTemplate = await this.renderSchoolTemplate(message);
+
+    if (schoolTemplate) {
+      subject = schoolTemplate.subject;
+      htmlContent = schoolTemplate.html;
+      textContent = schoolTemplate.text || this.extractTextFromHtml(htmlContent);
+    } else if (message.template_name && this.templates.has(message.template_name)) {
+      const compiledTemplate = this.templates.get(message.template_name);
+      htmlContent = compiledTemplate(message.template_data || {});
+      textContent = this.extractTextFromHtml(htmlContent);
+    } else if (message.html_content) {
+      htmlContent = message.html_content;
+      textContent = message.text_content || this.extractTextFromHtml(htmlContent);
+    } else {
+      textContent = message.text_content || message.subject;
+    }
+
+    return await this.transporter.sendMail({
+      from: this.defaultConfig.from,
+      replyTo: this.defaultConfig.replyTo,
+      to: message.recipient_email,
+      cc: message.cc_emails || undefined,
+      bcc: message.bcc_emails || undefined,
+      subject,
+      text: textContent,
+      html: htmlContent,
+      attachments: message.attachments || [],
+      priority: message.priority <= QUEUE_PRIORITIES.high ? 'high' : (message.priority >= QUEUE_PRIORITIES.low ? 'low' : 'normal'),
+      headers: message.tracking_id ? { 'X-Tracking-ID': message.tracking_id } : {}
+    });
+  }
+
+  /**
+   * Claim up to a batch of due messages for this worker. SKIP LOCKED lets
+   * several instances claim side by side without taking the same message;
+   * a claim older than the lease (a worker that died mid-send) is taken
+   * over, or failed if it has no attempts left.
+   */
+  async claimQueuedEmails() {
+    const abandonedResult = await pool.query(
+      `UPDATE email_queue
+       SET status = 'failed', processed_at = NOW(), locked_by = NULL, locked_at = NULL, updated_at = NOW(),
+           error_message = COALESCE(error_message, 'Worker stopped while sending')
+       WHERE status = 'processing' AND attempts >= max_attempts
+         AND locked_at < NOW() - $1::integer * interval '1 millisecond'
+       RETURNING *`,
+      [this.queueConfig.leaseMs]
+    );
+
+    for (const message of abandonedResult.rows) {
+      await this.updateEmailLog(message, { status: 'failed', errorMessage: message.error_message });
+    }
+
+    const claimResult = await pool.query(
+      `UPDATE email_queue q
+       SET status = 'processing', attempts = q.attempts + 1, locked_by = $1, locked_at = NOW(), updated_at = NOW()
+       FROM (
+         SELECT id FROM email_queue
+         WHERE (status = 'pending' AND scheduled_at <= NOW())
+            OR (status = 'processing' AND locked_at < NOW() - $3::integer * interval '1 millisecond')
+         ORDER BY priority, scheduled_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       ) claimable
+       WHERE q.id = claimable.id
+       RETURNING q.*`,
+      [this.workerId, this.queueConfig.batchSize, this.queueConfig.leaseMs]
+    );
+
+    return claimResult.rows.sort((a, b) => a.priority - b.priority || a.scheduled_at - b.scheduled_at);
+  }
+
+  /**
+   * Delay before retrying a message that has failed the given number of
+   * attempts: the base backoff doubled per attempt, up to the cap
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.queueConfig.backoffMs * 2 ** (attempts - 1), this.queueConfig.maxBackoffMs);
+  }
+
+  async markQueuedEmailSent(message, messageId) {
+    await pool.query(
+      `UPDATE email_queue
+       SET status = 'sent', message_id = $3, processed_at = NOW(), error_message = NULL,
+           locked_by = NULL, locked_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND locked_by = $2`,
+      [message.id, this.workerId, messageId || null]
+    );
+
+    await this.updateEmailLog(message, { status: 'sent', messageId });
+  }
+
+  /**
+   * Reschedule a failed attempt with backoff, or fail the message once its
+   * attempts are used up. Returns 'retrying' or 'failed'.
+   */
+  async markQueuedEmailFailed(message, error) {
+    const exhausted = message.attempts >= message.max_attempts;
+
+    await pool.query(
+      `UPDATE email_queue
+       SET status = $3, error_message = $4,
+           scheduled_at = CASE WHEN $5 THEN scheduled_at ELSE NOW() + $6::integer * interval '1 millisecond' END,
+           processed_at = CASE WHEN $5 THEN NOW() ELSE NULL END,
+           locked_by = NULL, locked_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND locked_by = $2`,
+      [message.id, this.workerId, exhausted ? 'failed' : 'pending', error.message, exhausted, this.getRetryDelay(message.attempts)]
+    );
+
+    await this.updateEmailLog(message, { status: exhausted ? 'failed' : 'pending', errorMessage: error.message });
+
+    logger.warn(exhausted ? 'Email failed permanently' : 'Email send failed; will retry', {
+      queueId: message.id,
+      to: message.recipient_email,
+      attempts: message.attempts,
+      error: error.message
+    });
+
+    return exhausted ? 'failed' : 'retrying';
+  }
+
+  /**
+   * Claim and send one batch of due messages
+   */
+  async processQueue() {
+    const messages = await this.claimQueuedEmails();
+    const summary = { sent: 0, retrying: 0, failed: 0 };
+
+    for (const message of messages) {
+      try {
+        const result = await this.deliverQueuedEmail(message);
+        await this.markQueuedEmailSent(message, result.messageId);
+        summary.sent++;
+      } catch (error) {
+        summary[await this.markQueuedEmailFailed(message, error)]++;
+      }
+    }
+
+    return summary;
+  }
+
+  startQueueWorker() {
+    if (!this.queueConfig.enabled || this.queueTimer) {
+      return;
+    }
+
+    const run = async () => {
+      if (this.processingQueue) {
+        return;
+      }
+      this.processingQueue = true;
+
+      try {
+        const summary = await this.processQueue();
+        if (summary.sent > 0 || summary.retrying > 0 || summary.failed > 0) {
+          logger.info('Email queue batch processed', summary);
+        }
+      } catch (error) {
+        logger.error('Email queue worker error', { error: error.message });
+      } finally {
+        this.processingQueue = false;
+      }
+    };
+
+    this.queueTimer = setInterval(run, this.queueConfig.intervalMs);
+    this.queueTimer.unref();
+  }
+
+  stopQueueWorker() {
+    if (this.queueTimer) {
+      clearInterval(this.queueTimer);
+      this.queueTimer = null;
     }
   }
 
+  /**
+   * Queued messages, newest first, without their bodies and attachments,
+   * with message counts per status
+   */
+  async getQueuedEmails({ status, template, recipient, limit = 20, offset = 0 } = {}) {
+    const whereConditions = ['1=1'];
+    const values = [];
+
+    if (status) {
+      values.push(status);
+      whereConditions.push(`status = $${values.length}`);
+    }
+
+    if (template) {
+      values.push(template);
+      whereConditions.push(`template_name = $${values.length}`);
+    }
+
+    if (recipient) {
+      values.push(`%${recipient}%`);
+      whereConditions.push(`recipient_email ILIKE $${values.length}`);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const countResult = await pool.query(`SELECT COUNT(*) as total FROM email_queue WHERE ${whereClause}`, values);
+    const messagesResult = await pool.query(
+      `SELECT ${QUEUE_SUMMARY_COLUMNS}
+       FROM email_queue
+       WHERE ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+    const countsResult = await pool.query('SELECT status, COUNT(*) as count FROM email_queue GROUP BY status');
+
+    return {
+      messages: messagesResult.rows,
+      total: parseInt(countResult.rows[0].total),
+      counts: Object.fromEntries(countsResult.rows.map(row => [row.status, parseInt(row.count)]))
+    };
+  }
+
+  async getQueuedEmail(queueId) {
+    const result = await pool.query(
+      `SELECT ${QUEUE_SUMMARY_COLUMNS}, template_data, html_content, text_content,
+              (SELECT json_agg(a - 'content') FROM jsonb_array_elements(attachments) a) as attachments
+       FROM email_queue WHERE id = $1`,
+      [queueId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Put failed messages (one, or every failed message for a template, or
+   * all of them) back in the queue with a fresh set of attempts
+   */
+  async requeueFailedEmails({ queueId = null, template = null } = {}) {
+    const result = await pool.query(
+      `UPDATE email_queue
+       SET status = 'pending', attempts = 0, scheduled_at = NOW(), processed_at = NULL,
+           locked_by = NULL, locked_at = NULL, updated_at = NOW()
+       WHERE status = 'failed'
+         AND ($1::uuid IS NULL OR id = $1)
+         AND ($2::varchar IS NULL OR template_name = $2)
+       RETURNING id`,
+      [queueId, template]
+    );
+    const ids = result.rows.map(row => row.id);
+
+    if (ids.length > 0) {
+      await pool.query(
+        `UPDATE email_logs SET status = 'pending', attempts = 0, updated_at = NOW() WHERE queue_id = ANY($1::uuid[])`,
+        [ids]
+      );
+    }
+
+    return ids;
+  }
+
   /**
    * Send system notification email
    */
@@ -344,7 +719,8 @@ class EmailService {
   }
 
   /**
-   * Send bulk notification
+   * Send bulk notification. Recipients' preferences apply as in sendEmail;
+   * mail whose template has no notification type counts as a school update.
    */
   async sendBulkNotification(options) {
     const {
@@ -352,7 +728,8 @@ class EmailService {
       subject,
       template,
       data,
-      batchSize = 50
+      batchSize = 50,
+      notificationType = getNotificationType(template) || 'school_updates'
     } = options;
 
     const results = [];
@@ -366,6 +743,7 @@ class EmailService {
           subject,
           template,
           data: { ...data, ...recipient.data },
+          notificationType,
           trackingId: `bulk-${i}-${recipient.id || Date.now()}`
         }).catch(error => ({
           success: false,
@@ -374,59 +752,26 @@ class EmailService {
         }));
       });
 
+      // Batches only bound how many messages are queued at once; the queue worker paces delivery
       const batchResults = await Promise.allSettled(batchPromises);
       results.push(...batchResults.map(result => result.value || result.reason));
-
-      // Add delay between batches to avoid rate limiting
-      if (i < batches.length - 1) {
-        await this.delay(1000);
-      }
     }
 
     return results;
   }
 
   /**
-   * Log email activity
+   * Record the latest outcome of a queued message on its email_logs row
    */
-  async logEmailSent(params) {
+  async updateEmailLog(message, { status, messageId = null, errorMessage = null }) {
     try {
-      const {
-        to,
-        cc,
-        bcc,
-        subject,
-        template,
-        messageId,
-        trackingId,
-        status,
-        errorMessage = null,
-        data = {}
-      } = params;
-
-      const query = `
-        INSERT INTO email_logs (
-          recipient_email, cc_emails, bcc_emails, subject, template_name,
-          message_id, tracking_id, status, error_message, template_data,
-          sent_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
-        RETURNING id
-      `;
-
-      const values = [
-        to,
-        cc || null,
-        bcc || null,
-        subject,
-        template || null,
-        messageId || null,
-        trackingId || null,
-        status,
-        errorMessage,
-        JSON.stringify(data)
-      ];
-
-      await pool.query(query, values);
+      await pool.query(
+        `UPDATE email_logs
+         SET status = $2::varchar, message_id = COALESCE($3, message_id), error_message = $4, attempts = $5,
+             sent_at = CASE WHEN $2::varchar = 'sent' THEN NOW() ELSE sent_at END, updated_at = NOW()
+         WHERE queue_id = $1`,
+        [message.id, status, messageId, errorMessage, message.attempts]
+      );
     } catch (error) {
       logger.error('Failed to log email activity', { error: error.message });
     }
@@ -494,6 +839,32 @@ class EmailService {
   /**
    * Utility methods
    */
+  splitAddresses(addresses) {
+    const list = Array.isArray(addresses) ? addresses : String(addresses).split(',');
+    return list.map(address => address.trim()).filter(Boolean);
+  }
+
+  joinAddresses(addresses) {
+    if (!addresses) {
+      return null;
+    }
+    return Array.isArray(addresses) ? addresses.join(', ') : addresses;
+  }
+
+  /**
+   * Attachment contents (Buffers or strings) as base64 so they can be
+   * stored in the queue's JSON column and handed to nodemailer as-is.
+   * String content is decoded with its nodemailer `encoding` (utf-8 when
+   * none is given), so content that is already base64 is not re-encoded.
+   */
+  serializeAttachments(attachments) {
+    return attachments.map(({ content, encoding, ...attachment }) => (content === undefined ? attachment : {
+      ...attachment,
+      content: Buffer.isBuffer(content) ? content.toString('base64') : Buffer.from(content, encoding || 'utf8').toString('base64'),
+      encoding: 'base64'
+    }));
+  }
+
   extractTextFromHtml(html) {
     return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
   }
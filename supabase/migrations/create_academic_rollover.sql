@@ -0,0 +1,8 @@
+-- Academic Year Rollover Support
+-- Links unpaid fees to the arrears fee that replaced them in the following year
+
+ALTER TABLE student_fees ADD COLUMN IF NOT EXISTS carried_forward_to UUID REFERENCES student_fees(id);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_student_fees_carried_forward ON student_fees(carried_forward_to);
+CREATE INDEX IF NOT EXISTS idx_terms_academic_year ON terms(academic_year_id, start_date);
@@ -0,0 +1,13 @@
+-- Announcement Audience Targeting
+-- target_audience is 'all' for school-wide announcements or 'targeted' when
+-- any of the role, class or grade level arrays below are set
+
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS target_roles TEXT[] DEFAULT '{}';
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS target_class_ids UUID[] DEFAULT '{}';
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS target_grade_levels INTEGER[] DEFAULT '{}';
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_announcements_school_published ON announcements(school_id, is_published, published_at);
+CREATE INDEX IF NOT EXISTS idx_announcements_target_roles ON announcements USING GIN(target_roles);
+CREATE INDEX IF NOT EXISTS idx_announcements_target_class_ids ON announcements USING GIN(target_class_ids);
+CREATE INDEX IF NOT EXISTS idx_announcements_target_grade_levels ON announcements USING GIN(target_grade_levels);
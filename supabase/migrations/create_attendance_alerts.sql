@@ -0,0 +1,29 @@
+-- Attendance Alerts
+-- Guardian contact preferences and a log of every absence/late alert delivery
+
+ALTER TABLE parent_profiles ADD COLUMN IF NOT EXISTS alert_channel TEXT DEFAULT 'sms'
+    CHECK (alert_channel IN ('sms', 'email', 'both', 'none'));
+ALTER TABLE parent_profiles ADD COLUMN IF NOT EXISTS preferred_language TEXT DEFAULT 'en'
+    CHECK (preferred_language IN ('en', 'am'));
+
+CREATE TABLE IF NOT EXISTS attendance_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    school_id UUID NOT NULL REFERENCES schools(id),
+    student_id UUID NOT NULL REFERENCES student_profiles(id),
+    parent_id UUID NOT NULL REFERENCES parent_profiles(id),
+    alert_date DATE NOT NULL,
+    channel TEXT NOT NULL CHECK (channel IN ('sms', 'email')),
+    recipient TEXT,
+    attendance_ids UUID[] NOT NULL,
+    message TEXT,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+    provider_message_id TEXT,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_attendance_alerts_school_date ON attendance_alerts(school_id, alert_date);
+CREATE INDEX IF NOT EXISTS idx_attendance_alerts_parent ON attendance_alerts(parent_id, status);
+CREATE INDEX IF NOT EXISTS idx_attendance_alerts_records ON attendance_alerts USING GIN(attendance_ids);
+CREATE INDEX IF NOT EXISTS idx_attendance_date_status ON attendance(date, status);
@@ -0,0 +1,15 @@
+-- Attendance Register Support
+-- Allows one record per student per timetable period in addition to the daily record
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS timetable_id UUID REFERENCES timetables(id);
+
+-- One daily record and one record per period for each student and date;
+-- replaces the original one-record-per-day constraint
+ALTER TABLE attendance DROP CONSTRAINT IF EXISTS attendance_student_id_date_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_daily_unique
+    ON attendance(student_id, date) WHERE timetable_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_period_unique
+    ON attendance(student_id, date, timetable_id) WHERE timetable_id IS NOT NULL;
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_attendance_class_date_slot ON attendance(class_id, date, timetable_id);
@@ -0,0 +1,27 @@
+-- Email Digests
+-- The notifications held back for users who chose a daily or weekly digest
+
+CREATE TABLE IF NOT EXISTS email_digest_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recipient_email VARCHAR NOT NULL,
+    notification_type VARCHAR(100) NOT NULL,
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+    subject VARCHAR NOT NULL,
+    template_name VARCHAR,
+    template_data JSONB,
+    tracking_id VARCHAR,
+    -- Set when the item goes out in a digest, together with the queued digest message
+    digested_at TIMESTAMP WITH TIME ZONE,
+    queue_id UUID REFERENCES email_queue(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Email attendance alerts can be held for the guardian's digest, or skipped when they opted out
+ALTER TABLE attendance_alerts DROP CONSTRAINT IF EXISTS attendance_alerts_status_check;
+ALTER TABLE attendance_alerts ADD CONSTRAINT attendance_alerts_status_check
+    CHECK (status IN ('sent', 'digested', 'skipped', 'failed'));
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_email_digest_items_pending ON email_digest_items(frequency, created_at) WHERE digested_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_email_digest_items_user ON email_digest_items(user_id, digested_at);
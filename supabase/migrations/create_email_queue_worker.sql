@@ -0,0 +1,26 @@
+-- Email Queue Worker
+-- Everything emailService sends is written to email_queue first and delivered by a
+-- background worker; each queued message has one email_logs row tracking its outcome
+
+-- Pre-rendered bodies and base64 attachments, for messages sent without a file template
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS html_content TEXT;
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS text_content TEXT;
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS attachments JSONB DEFAULT '[]';
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS tracking_id VARCHAR;
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS message_id VARCHAR;
+
+-- The worker instance holding a message and since when; a claim older than the
+-- lease is treated as abandoned and picked up again
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS locked_by VARCHAR;
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE email_queue DROP CONSTRAINT IF EXISTS email_queue_status_check;
+ALTER TABLE email_queue ADD CONSTRAINT email_queue_status_check
+    CHECK (status IN ('pending', 'processing', 'sent', 'failed'));
+
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS queue_id UUID REFERENCES email_queue(id);
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_email_queue_claim ON email_queue(status, priority, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_email_logs_queue ON email_logs(queue_id);
@@ -139,7 +139,10 @@ INSERT INTO email_templates (name, subject_template, html_template, description,
  'Security audit alert template', 
  '{"alertType": "string", "severity": "string", "description": "string", "timestamp": "string"}' 
 )
-ON CONFLICT (name) DO NOTHING;
+-- No conflict target: names stop being unique on their own once schools can
+-- override templates (create_email_template_overrides.sql), and this must still
+-- run after that
+ON CONFLICT DO NOTHING;
 
 -- Insert default email preferences for notification types 
 INSERT INTO email_preferences (user_id, notification_type, is_enabled, frequency) 
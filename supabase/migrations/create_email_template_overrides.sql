@@ -0,0 +1,34 @@
+-- Email Template Overrides
+-- Schools override the subject and body of a file template (src/templates/email) per
+-- language; every save is kept as a numbered version that can be rolled back to
+
+-- Rows without a school are the original system templates; names are unique per language
+-- among them, and per school and language among overrides
+ALTER TABLE email_templates DROP CONSTRAINT IF EXISTS email_templates_name_key;
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS school_id UUID REFERENCES schools(id);
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en';
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_school_name_language
+    ON email_templates(school_id, name, language);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_system_name_language
+    ON email_templates(name, language) WHERE school_id IS NULL;
+
+CREATE TABLE IF NOT EXISTS email_template_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES email_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    subject_template VARCHAR(500) NOT NULL,
+    html_template TEXT NOT NULL,
+    text_template TEXT,
+    comment TEXT,
+    -- Set when the version was created by rolling back to an earlier one
+    restored_from_version INTEGER,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (template_id, version)
+);
+
+-- Queued messages remember the school and language they are rendered for
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS school_id UUID REFERENCES schools(id);
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS language VARCHAR(10) DEFAULT 'en';
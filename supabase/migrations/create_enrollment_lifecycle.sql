@@ -0,0 +1,12 @@
+-- Enrollment Lifecycle
+-- Transfers, promotions and graduations keep the old enrollment row with a
+-- closed status, so a student may have several rows in one academic year but
+-- only one active enrollment
+
+ALTER TABLE enrollments DROP CONSTRAINT IF EXISTS enrollments_student_id_academic_year_id_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_enrollments_one_active_per_year
+    ON enrollments(student_id, academic_year_id) WHERE status = 'active';
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_enrollments_class_status ON enrollments(class_id, status);
@@ -0,0 +1,44 @@
+-- Fee Discounts
+-- Discount, scholarship and waiver rules that finance staff approve, and the
+-- amount each approved rule took off a generated student fee
+
+CREATE TABLE IF NOT EXISTS fee_discounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    school_id UUID NOT NULL REFERENCES schools(id),
+    academic_year_id UUID REFERENCES academic_years(id),
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('discount', 'scholarship', 'waiver')),
+    value_type TEXT NOT NULL CHECK (value_type IN ('percentage', 'fixed')),
+    value NUMERIC(12,2) NOT NULL CHECK (value > 0),
+    scope TEXT NOT NULL CHECK (scope IN ('fee_type', 'student', 'sibling')),
+    -- Limits the rule to one fee type; NULL applies it to every fee type
+    fee_type TEXT,
+    student_id UUID REFERENCES student_profiles(id),
+    -- Sibling rules apply to students with at least this many older siblings enrolled
+    min_siblings INTEGER CHECK (min_siblings >= 1),
+    reason TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'revoked')),
+    requested_by UUID NOT NULL REFERENCES users(id),
+    decided_by UUID REFERENCES users(id),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    decision_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (value_type <> 'percentage' OR value <= 100),
+    CHECK (scope <> 'fee_type' OR fee_type IS NOT NULL),
+    CHECK (scope <> 'student' OR student_id IS NOT NULL),
+    CHECK (scope <> 'sibling' OR min_siblings IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS student_fee_discounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_fee_id UUID NOT NULL REFERENCES student_fees(id),
+    fee_discount_id UUID NOT NULL REFERENCES fee_discounts(id),
+    amount NUMERIC(12,2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (student_fee_id, fee_discount_id)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_fee_discounts_school_status ON fee_discounts(school_id, status);
+CREATE INDEX IF NOT EXISTS idx_fee_discounts_student ON fee_discounts(student_id);
+CREATE INDEX IF NOT EXISTS idx_student_fee_discounts_discount ON student_fee_discounts(fee_discount_id);
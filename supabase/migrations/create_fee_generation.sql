@@ -0,0 +1,13 @@
+-- Student Fee Generation
+-- Numbers each generated instalment within its fee structure so re-running the
+-- generator for a structure never creates the same instalment twice
+
+ALTER TABLE student_fees ADD COLUMN IF NOT EXISTS installment_number INTEGER;
+
+-- One row per student, structure and instalment; arrears and manually created fees have no number
+CREATE UNIQUE INDEX IF NOT EXISTS idx_student_fees_installment
+    ON student_fees(student_id, fee_structure_id, installment_number) WHERE installment_number IS NOT NULL;
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_fee_structures_school_year ON fee_structures(school_id, academic_year_id);
+CREATE INDEX IF NOT EXISTS idx_enrollments_year_class ON enrollments(academic_year_id, class_id, status);
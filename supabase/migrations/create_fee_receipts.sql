@@ -0,0 +1,31 @@
+-- Fee Receipts
+-- One official receipt per fee payment, numbered without gaps per school and academic year
+
+-- Last receipt number issued per school and year; incremented in the payment's transaction
+-- so a rolled-back payment never consumes a number
+CREATE TABLE IF NOT EXISTS receipt_sequences (
+    school_id UUID NOT NULL REFERENCES schools(id),
+    academic_year_id UUID NOT NULL REFERENCES academic_years(id),
+    last_number INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (school_id, academic_year_id)
+);
+
+CREATE TABLE IF NOT EXISTS fee_receipts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    school_id UUID NOT NULL REFERENCES schools(id),
+    academic_year_id UUID NOT NULL REFERENCES academic_years(id),
+    fee_payment_id UUID NOT NULL UNIQUE REFERENCES fee_payments(id),
+    sequence_number INTEGER NOT NULL,
+    receipt_number TEXT NOT NULL UNIQUE,
+    issued_by UUID REFERENCES users(id),
+    issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    print_count INTEGER NOT NULL DEFAULT 0,
+    last_printed_at TIMESTAMP WITH TIME ZONE,
+    emailed_to TEXT,
+    emailed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (school_id, academic_year_id, sequence_number)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_fee_receipts_school_year ON fee_receipts(school_id, academic_year_id, sequence_number);
+CREATE INDEX IF NOT EXISTS idx_fee_payments_student_fee ON fee_payments(student_fee_id);
@@ -0,0 +1,15 @@
+-- Library Circulation Support
+-- Tracks renewals and keeps copy counts consistent for the /api/library module
+
+ALTER TABLE library_issues ADD COLUMN IF NOT EXISTS renewal_count INTEGER DEFAULT 0;
+
+ALTER TABLE library_books DROP CONSTRAINT IF EXISTS library_books_copies_check;
+ALTER TABLE library_books ADD CONSTRAINT library_books_copies_check
+    CHECK (copies_available >= 0 AND copies_available <= copies_total);
+
+-- Indexes for performance
+-- One active catalog entry per ISBN in each school; extra copies go on copies_total
+CREATE UNIQUE INDEX IF NOT EXISTS idx_library_books_school_isbn ON library_books(school_id, isbn)
+    WHERE is_active = true AND isbn IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_library_issues_user_status ON library_issues(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_library_issues_status_due ON library_issues(status, due_date);
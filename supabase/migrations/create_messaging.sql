@@ -0,0 +1,71 @@
+-- Teacher-Guardian Messaging
+-- Conversation threads between a teacher and a student's guardians, with one
+-- receipt per message and recipient for read receipts and unread-message nudges
+
+CREATE TABLE IF NOT EXISTS message_threads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    school_id UUID NOT NULL REFERENCES schools(id),
+    student_id UUID NOT NULL REFERENCES student_profiles(id),
+    teacher_id UUID NOT NULL REFERENCES users(id),
+    subject VARCHAR(200) NOT NULL,
+    -- Locked threads accept no new messages
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'locked')),
+    locked_by UUID REFERENCES users(id),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    lock_reason TEXT,
+    created_by UUID NOT NULL REFERENCES users(id),
+    last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The teacher and the guardians linked to the student when the thread was started
+CREATE TABLE IF NOT EXISTS message_thread_participants (
+    thread_id UUID NOT NULL REFERENCES message_threads(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    role VARCHAR(20) NOT NULL CHECK (role IN ('teacher', 'guardian')),
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (thread_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    thread_id UUID NOT NULL REFERENCES message_threads(id) ON DELETE CASCADE,
+    sender_id UUID NOT NULL REFERENCES users(id),
+    body TEXT NOT NULL,
+    -- Hidden by a moderator: participants see that a message was removed, not its content
+    is_hidden BOOLEAN NOT NULL DEFAULT false,
+    hidden_by UUID REFERENCES users(id),
+    hidden_at TIMESTAMP WITH TIME ZONE,
+    hidden_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS message_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    filename VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    content BYTEA NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per message and participant other than the sender
+CREATE TABLE IF NOT EXISTS message_receipts (
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    read_at TIMESTAMP WITH TIME ZONE,
+    -- Set when the recipient was nudged by email or SMS about the unread message
+    nudged_at TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (message_id, user_id)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_message_threads_school ON message_threads(school_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_message_threads_student ON message_threads(student_id);
+CREATE INDEX IF NOT EXISTS idx_message_thread_participants_user ON message_thread_participants(user_id);
+CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages(thread_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_message_attachments_message ON message_attachments(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_receipts_unread ON message_receipts(user_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_message_receipts_nudge ON message_receipts(message_id) WHERE read_at IS NULL AND nudged_at IS NULL;
@@ -0,0 +1,23 @@
+-- In-app Notification Center
+-- Notifications carry the school and module they came from, an optional link and
+-- structured data for the client; new ones are announced on the 'notifications'
+-- channel so every API instance can push them to connected users
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS school_id UUID REFERENCES schools(id);
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS category VARCHAR(50) NOT NULL DEFAULT 'general';
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS link VARCHAR;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS data JSONB;
+
+-- Single-use tickets that open a user's notification stream, so EventSource clients
+-- never put a JWT in the URL; only the ticket's SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS notification_stream_tickets (
+    token_hash VARCHAR(64) PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_notifications_recipient ON notifications(recipient_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(recipient_id) WHERE is_read = false;
+CREATE INDEX IF NOT EXISTS idx_notification_stream_tickets_expires ON notification_stream_tickets(expires_at);
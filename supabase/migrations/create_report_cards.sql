@@ -0,0 +1,19 @@
+-- Report Card Support
+-- Class teacher and principal remarks printed on each student's term report card
+
+CREATE TABLE IF NOT EXISTS report_card_remarks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id UUID NOT NULL REFERENCES student_profiles(id),
+    term_id UUID NOT NULL REFERENCES terms(id),
+    class_teacher_remarks TEXT,
+    principal_remarks TEXT,
+    updated_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(student_id, term_id)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_report_card_remarks_term ON report_card_remarks(term_id);
+CREATE INDEX IF NOT EXISTS idx_grades_term_student ON grades(term_id, student_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_class_date ON attendance(class_id, date);
@@ -0,0 +1,67 @@
+-- Teacher Leave
+-- Leave types with yearly allowances per school, teacher balances, leave requests
+-- and the principal/admin approval chain each request passes through
+
+CREATE TABLE IF NOT EXISTS leave_types (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    school_id UUID NOT NULL REFERENCES schools(id),
+    name TEXT NOT NULL,
+    annual_allowance NUMERIC(5,1) NOT NULL CHECK (annual_allowance >= 0),
+    is_paid BOOLEAN NOT NULL DEFAULT true,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (school_id, name)
+);
+
+-- Per-teacher allowance for a year; created from the leave type's allowance on first use
+CREATE TABLE IF NOT EXISTS leave_balances (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    teacher_id UUID NOT NULL REFERENCES teacher_profiles(id),
+    leave_type_id UUID NOT NULL REFERENCES leave_types(id),
+    year INTEGER NOT NULL,
+    allowance NUMERIC(5,1) NOT NULL CHECK (allowance >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (teacher_id, leave_type_id, year)
+);
+
+CREATE TABLE IF NOT EXISTS leave_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    school_id UUID NOT NULL REFERENCES schools(id),
+    teacher_id UUID NOT NULL REFERENCES teacher_profiles(id),
+    leave_type_id UUID NOT NULL REFERENCES leave_types(id),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    days NUMERIC(5,1) NOT NULL,
+    -- Working days per calendar year, e.g. {"2025": 3, "2026": 2}, so leave
+    -- over the new year is charged to each year's balance
+    days_by_year JSONB NOT NULL,
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    current_stage TEXT CHECK (current_stage IN ('principal', 'admin')),
+    absence_id UUID REFERENCES teacher_absences(id),
+    requested_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    CHECK (end_date >= start_date)
+);
+
+CREATE TABLE IF NOT EXISTS leave_approvals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    leave_request_id UUID NOT NULL REFERENCES leave_requests(id),
+    stage TEXT NOT NULL CHECK (stage IN ('principal', 'admin')),
+    decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+    decided_by UUID NOT NULL REFERENCES users(id),
+    comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The first approval stage is decided by the school's principal
+INSERT INTO roles (name, description, is_system_role) VALUES
+('Principal', 'Heads the school and gives first approval to staff leave', true)
+ON CONFLICT (name) DO NOTHING;
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_leave_types_school ON leave_types(school_id);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_school_status ON leave_requests(school_id, status, current_stage);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_teacher_dates ON leave_requests(teacher_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_leave_approvals_request ON leave_approvals(leave_request_id);
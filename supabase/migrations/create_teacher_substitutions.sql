@@ -0,0 +1,36 @@
+-- Teacher Absences and Substitutions
+-- Recorded teacher absences and the substitute confirmed for each affected timetable slot
+
+CREATE TABLE IF NOT EXISTS teacher_absences (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    school_id UUID NOT NULL REFERENCES schools(id),
+    teacher_id UUID NOT NULL REFERENCES teacher_profiles(id),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+    recorded_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE TABLE IF NOT EXISTS substitutions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    absence_id UUID NOT NULL REFERENCES teacher_absences(id),
+    timetable_id UUID NOT NULL REFERENCES timetables(id),
+    date DATE NOT NULL,
+    substitute_teacher_id UUID NOT NULL REFERENCES teacher_profiles(id),
+    status TEXT NOT NULL DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'cancelled')),
+    confirmed_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One confirmed substitute per slot per day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_substitutions_slot_date
+    ON substitutions(timetable_id, date) WHERE status = 'confirmed';
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_teacher_absences_teacher_dates ON teacher_absences(teacher_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_teacher_absences_school ON teacher_absences(school_id, start_date);
+CREATE INDEX IF NOT EXISTS idx_substitutions_substitute_date ON substitutions(substitute_teacher_id, date);
+CREATE INDEX IF NOT EXISTS idx_substitutions_absence ON substitutions(absence_id);
@@ -0,0 +1,25 @@
+-- Timetable Generator
+-- Drafts produced by the timetable solver. Draft slots live in timetables
+-- with is_active = false and a generation_id until the draft is published.
+
+CREATE TABLE IF NOT EXISTS timetable_generations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    school_id UUID NOT NULL REFERENCES schools(id),
+    class_ids UUID[] NOT NULL,
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'discarded')),
+    input JSONB NOT NULL,
+    unmet JSONB NOT NULL DEFAULT '[]',
+    seed INTEGER,
+    created_by UUID REFERENCES users(id),
+    published_by UUID REFERENCES users(id),
+    published_at TIMESTAMP WITH TIME ZONE,
+    discarded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE timetables ADD COLUMN IF NOT EXISTS generation_id UUID REFERENCES timetable_generations(id);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_timetable_generations_school ON timetable_generations(school_id, status);
+CREATE INDEX IF NOT EXISTS idx_timetables_generation ON timetables(generation_id) WHERE generation_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_timetables_teacher_day ON timetables(teacher_id, day_of_week) WHERE is_active = true;
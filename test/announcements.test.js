@@ -0,0 +1,108 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const announcementRoutes = require('../routes/announcements');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/announcements', announcementRoutes);
+
+describe('/api/announcements', () => {
+  let school;
+  let admin;
+  let year;
+  let grade5;
+  let grade6;
+
+  const as = (method, path, token) => request(app)[method](`/api/announcements${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const announce = (body) => as('post', '/', admin.token).send({
+    school_id: school.id,
+    title: 'Notice',
+    content: 'Details',
+    publish: true,
+    ...body
+  });
+
+  const feedTitles = async (token) => {
+    const response = await as('get', '/my', token);
+    expect(response.status).toBe(200);
+    return response.body.data.data.map(announcement => announcement.title).sort();
+  };
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+    year = await fixtures.createAcademicYear(school.id);
+    grade5 = await fixtures.createClass(school.id, year.id, { grade_level: 5 });
+    grade6 = await fixtures.createClass(school.id, year.id, { grade_level: 6 });
+  });
+
+  it('shows each user only the published announcements addressed to them', async () => {
+    const student = await fixtures.createStudent(school.id);
+    await fixtures.assignRole(student.user_id, 'Student', school.id);
+    await fixtures.createEnrollment(student.id, grade5.id, year.id);
+    const studentToken = fixtures.tokenFor(student.user_id);
+    const teacher = await fixtures.createStaff('Teacher', school.id);
+
+    await announce({ title: 'Everyone' });
+    await announce({ title: 'Teachers', target_roles: ['Teacher'] });
+    await announce({ title: 'Grade 5 class', target_class_ids: [grade5.id] });
+    await announce({ title: 'Grade 6 class', target_class_ids: [grade6.id] });
+    await announce({ title: 'Grade 5 level', target_grade_levels: [5] });
+    await announce({ title: 'Draft', publish: false });
+    await announce({ title: 'Scheduled', published_at: new Date(Date.now() + 3600000).toISOString() });
+    const expired = await announce({ title: 'Expired' });
+    await pool.query("UPDATE announcements SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [expired.body.data.id]);
+
+    expect(await feedTitles(studentToken)).toEqual(['Everyone', 'Grade 5 class', 'Grade 5 level']);
+    expect(await feedTitles(teacher.token)).toEqual(['Everyone', 'Teachers']);
+  });
+
+  it('reports draft, scheduled and published states and filters by them', async () => {
+    expect((await announce({ publish: false })).body.data.status).toBe('draft');
+    expect((await announce({ published_at: new Date(Date.now() + 3600000).toISOString() })).body.data.status).toBe('scheduled');
+    expect((await announce({})).body.data.status).toBe('published');
+
+    const drafts = await as('get', '/', admin.token).query({ school_id: school.id, status: 'draft' });
+
+    expect(drafts.body.data.data.map(announcement => announcement.status)).toEqual(['draft']);
+  });
+
+  it('rejects target classes from another school on create and update', async () => {
+    const otherSchool = await fixtures.createSchool();
+    const otherYear = await fixtures.createAcademicYear(otherSchool.id);
+    const foreignClass = await fixtures.createClass(otherSchool.id, otherYear.id);
+
+    expect((await announce({ target_class_ids: [foreignClass.id] })).status).toBe(400);
+
+    const created = await announce({ target_class_ids: [grade5.id] });
+    const updated = await as('put', `/${created.body.data.id}`, admin.token).send({ target_class_ids: [foreignClass.id] });
+
+    expect(updated.status).toBe(400);
+  });
+
+  it('rejects an expiry before the publish time', async () => {
+    const response = await announce({ expires_at: new Date(Date.now() - 60000).toISOString() });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('updates targets and recomputes the audience', async () => {
+    const created = await announce({ target_roles: ['Teacher'] });
+
+    const response = await as('put', `/${created.body.data.id}`, admin.token).send({ target_roles: [], title: 'Renamed' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ title: 'Renamed', targetAudience: 'all', targetRoles: [] });
+  });
+
+  it('refuses managers from another school', async () => {
+    const created = await announce({});
+    const otherAdmin = await fixtures.createStaff('Admin', (await fixtures.createSchool()).id);
+
+    const response = await as('put', `/${created.body.data.id}`, otherAdmin.token).send({ title: 'Hijacked' });
+
+    expect(response.status).toBe(403);
+  });
+});
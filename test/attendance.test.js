@@ -0,0 +1,169 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const academicRoutes = require('../routes/academic');
+const attendanceService = require('../services/attendanceService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+// YYYY-MM-DD in server local time, offset from today
+const localDate = (offsetDays = 0) => {
+  const date = new Date();
+  date.setDate(date.getDate() + offsetDays);
+  return date.toLocaleDateString('en-CA');
+};
+
+describe('attendanceService', () => {
+  it('locks a register the given hours after the end of its day', () => {
+    expect(attendanceService.getLockTime('2025-03-03', 48)).toEqual(new Date(2025, 2, 6, 0));
+    expect(attendanceService.isLocked('2025-03-03', 48, new Date(2025, 2, 5, 23, 59))).toBe(false);
+    expect(attendanceService.isLocked('2025-03-03', 48, new Date(2025, 2, 6))).toBe(true);
+  });
+
+  it('numbers days Monday 1 to Sunday 7', () => {
+    expect(attendanceService.dayOfWeek('2025-03-03')).toBe(1);
+    expect(attendanceService.dayOfWeek('2025-03-09')).toBe(7);
+  });
+});
+
+describe('/api/academic/attendance', () => {
+  let school;
+  let admin;
+  let teacher;
+  let cls;
+  let subject;
+  let students;
+
+  const as = (method, path, token = teacher.token) => request(app)[method](`/api/academic/attendance${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const dailyRecords = async (date) => {
+    const result = await pool.query(
+      `SELECT student_id, status FROM attendance
+       WHERE class_id = $1 AND date = $2 AND timetable_id IS NULL`,
+      [cls.id, date]
+    );
+    return Object.fromEntries(result.rows.map(row => [row.student_id, row.status]));
+  };
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+    const year = await fixtures.createAcademicYear(school.id);
+    teacher = await fixtures.createTeacher(school.id);
+    cls = await fixtures.createClass(school.id, year.id, { class_teacher_id: teacher.id });
+    subject = await fixtures.createSubject(school.id);
+
+    students = [];
+    for (let i = 0; i < 3; i++) {
+      const student = await fixtures.createStudent(school.id);
+      await fixtures.createEnrollment(student.id, cls.id, year.id);
+      students.push(student);
+    }
+  });
+
+  describe('register', () => {
+    it('marks the whole class, defaulting students left off the sheet', async () => {
+      const date = localDate();
+
+      const response = await as('post', '/register').send({
+        class_id: cls.id,
+        date,
+        records: [{ student_id: students[1].id, status: 'absent', notes: 'Sick' }]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ created: 3, updated: 0, totals: { present: 2, absent: 1 } });
+      expect(await dailyRecords(date)).toEqual({
+        [students[0].id]: 'present',
+        [students[1].id]: 'absent',
+        [students[2].id]: 'present'
+      });
+    });
+
+    it('does not overwrite earlier marks with the default on resubmission', async () => {
+      const date = localDate();
+      await as('post', '/register').send({
+        class_id: cls.id,
+        date,
+        records: [{ student_id: students[0].id, status: 'late' }]
+      });
+
+      const response = await as('post', '/register').send({
+        class_id: cls.id,
+        date,
+        records: [{ student_id: students[1].id, status: 'excused' }]
+      });
+
+      expect(response.body.data).toMatchObject({ created: 0, updated: 1 });
+      expect((await dailyRecords(date))[students[0].id]).toBe('late');
+    });
+
+    it('keeps per-period records apart from the daily record', async () => {
+      const date = localDate();
+      const slot = await fixtures.createTimetableSlot(cls.id, subject.id, teacher.teacherId, {
+        day_of_week: attendanceService.dayOfWeek(date)
+      });
+      await as('post', '/register').send({ class_id: cls.id, date });
+
+      const response = await as('post', '/register').send({
+        class_id: cls.id,
+        date,
+        timetable_id: slot.id,
+        records: [{ student_id: students[0].id, status: 'absent' }]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ timetableId: slot.id, created: 3 });
+      expect((await dailyRecords(date))[students[0].id]).toBe('present');
+    });
+
+    it('lets only admins change a register after the lock', async () => {
+      const date = localDate(-7);
+
+      const byTeacher = await as('post', '/register').send({ class_id: cls.id, date });
+      expect(byTeacher.status).toBe(403);
+      expect(byTeacher.body.details.lockedAt).toBeDefined();
+
+      const byAdmin = await as('post', '/register', admin.token).send({ class_id: cls.id, date });
+      expect(byAdmin.status).toBe(200);
+    });
+
+    it('refuses teachers not assigned to the class and future dates', async () => {
+      const outsider = await fixtures.createTeacher(school.id);
+
+      expect((await as('post', '/register', outsider.token).send({ class_id: cls.id, date: localDate() })).status).toBe(403);
+      expect((await as('post', '/register').send({ class_id: cls.id, date: localDate(1) })).status).toBe(400);
+    });
+  });
+
+  describe('single student', () => {
+    const mark = (body, token) => as('post', '', token).send({
+      student_id: students[0].id,
+      class_id: cls.id,
+      date: localDate(),
+      status: 'absent',
+      ...body
+    });
+
+    it('creates then updates the daily record', async () => {
+      expect((await mark({})).status).toBe(201);
+
+      const updated = await mark({ status: 'late', notes: 'Bus' });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.data).toMatchObject({ status: 'late', notes: 'Bus' });
+      expect((await dailyRecords(localDate()))[students[0].id]).toBe('late');
+    });
+
+    it('applies the register\'s date, lock and enrollment rules', async () => {
+      const outsider = await fixtures.createStudent(school.id);
+
+      expect((await mark({ date: localDate(1) })).status).toBe(400);
+      expect((await mark({ date: localDate(-7) })).status).toBe(403);
+      expect((await mark({ date: localDate(-7) }, admin.token)).status).toBe(201);
+      expect((await mark({ student_id: outsider.id })).status).toBe(400);
+    });
+  });
+});
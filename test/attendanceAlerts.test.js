@@ -0,0 +1,219 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const academicRoutes = require('../routes/academic');
+const attendanceAlertService = require('../services/attendanceAlertService');
+const notificationService = require('../services/notificationService');
+const twilioService = require('../services/twilioService');
+const emailService = require('../src/services/emailService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+const DATE = '2025-03-03';
+
+describe('attendance alerts', () => {
+  let school;
+  let admin;
+  let cls;
+  let slot;
+  let children;
+  let guardian;
+  let sendSms;
+  let sendEmail;
+
+  const mark = (student, status, timetableId = null) => fixtures.insert('attendance', {
+    student_id: student.id,
+    class_id: cls.id,
+    date: DATE,
+    status,
+    timetable_id: timetableId,
+    marked_by: admin.id
+  });
+
+  const alerts = async () => {
+    const result = await pool.query(
+      `SELECT student_id, parent_id, channel, status, cardinality(attendance_ids) as records
+       FROM attendance_alerts WHERE school_id = $1 ORDER BY created_at`,
+      [school.id]
+    );
+    return result.rows;
+  };
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool({ name: 'Hillside School' });
+    admin = await fixtures.createStaff('Admin', school.id);
+    const year = await fixtures.createAcademicYear(school.id);
+    cls = await fixtures.createClass(school.id, year.id);
+    const subject = await fixtures.createSubject(school.id);
+    const teacher = await fixtures.createTeacher(school.id);
+    slot = await fixtures.createTimetableSlot(cls.id, subject.id, teacher.teacherId, { start_time: '09:00' });
+
+    children = [];
+    for (const firstName of ['Abebe', 'Sara']) {
+      const student = await fixtures.createStudent(school.id, {}, { first_name: firstName, last_name: 'Kebede' });
+      await fixtures.createEnrollment(student.id, cls.id, year.id);
+      children.push(student);
+    }
+    guardian = await fixtures.createGuardian(school.id, children[0].id, { phone: '+251911000000', email: `guardian-${fixtures.unique()}@example.com` });
+    await fixtures.insert('parent_student_relationships', {
+      parent_id: guardian.id,
+      student_id: children[1].id,
+      relationship_type: 'guardian'
+    });
+
+    sendSms = jest.spyOn(twilioService, 'sendCustomSMS').mockResolvedValue({ sid: 'SM123' });
+    sendEmail = jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true, queued: true, queueId: 'queue-1', digested: [], optedOut: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends a guardian one message covering all of their children', async () => {
+    await mark(children[0], 'absent');
+    await mark(children[1], 'late', slot.id);
+    await mark(children[1], 'absent');
+
+    const summary = await attendanceAlertService.dispatch(DATE, school.id);
+
+    expect(summary).toMatchObject({ batches: 1, sent: 1, failed: 0 });
+    expect(sendSms).toHaveBeenCalledTimes(1);
+    expect(sendSms).toHaveBeenCalledWith('+251911000000',
+      'SIMS Hillside School: Abebe Kebede was recorded absent for the day; ' +
+      'Sara Kebede was recorded absent for the day, late for the 09:00 period on 2025-03-03. ' +
+      'Please contact the school if you have any questions.');
+    expect(await alerts()).toEqual([
+      expect.objectContaining({ student_id: children[0].id, channel: 'sms', status: 'sent', records: 1 }),
+      expect.objectContaining({ student_id: children[1].id, channel: 'sms', status: 'sent', records: 2 })
+    ]);
+  });
+
+  it('does not alert the same records twice, but picks up later edits', async () => {
+    await mark(children[0], 'absent');
+    await attendanceAlertService.dispatch(DATE, school.id);
+
+    expect((await attendanceAlertService.dispatch(DATE, school.id)).batches).toBe(0);
+
+    await mark(children[1], 'late', slot.id);
+    await attendanceAlertService.dispatch(DATE, school.id);
+
+    expect(sendSms).toHaveBeenCalledTimes(2);
+    expect(sendSms.mock.calls[1][1]).toContain('Sara Kebede');
+    expect(sendSms.mock.calls[1][1]).not.toContain('Abebe');
+  });
+
+  it('records failed sends and retries them up to the attempt limit', async () => {
+    sendSms.mockRejectedValue(new Error('Twilio is down'));
+    await mark(children[0], 'absent');
+
+    for (let attempt = 0; attempt < attendanceAlertService.maxAttempts + 1; attempt++) {
+      await attendanceAlertService.dispatch(DATE, school.id);
+    }
+
+    expect(sendSms).toHaveBeenCalledTimes(attendanceAlertService.maxAttempts);
+    expect((await alerts()).map(alert => alert.status)).toEqual(
+      Array(attendanceAlertService.maxAttempts).fill('failed')
+    );
+  });
+
+  it('mirrors a delivered alert in the guardian\'s notifications, but not a failed one', async () => {
+    const inbox = async () => (await notificationService.getInbox(guardian.user.id, { limit: 10, offset: 0 })).notifications;
+    sendSms.mockRejectedValueOnce(new Error('Twilio is down'));
+    await mark(children[0], 'absent');
+
+    await attendanceAlertService.dispatch(DATE, school.id);
+    expect(await inbox()).toEqual([]);
+
+    await mark(children[1], 'late', slot.id);
+    await attendanceAlertService.dispatch(DATE, school.id);
+
+    const [notification] = await inbox();
+    expect(await inbox()).toHaveLength(1);
+    expect(notification).toMatchObject({
+      title: 'Attendance alert for Abebe Kebede, Sara Kebede',
+      message: sendSms.mock.calls[1][1],
+      category: 'attendance',
+      schoolId: school.id
+    });
+    expect(notification.data.students.map(student => student.studentId)).toEqual([children[0].id, children[1].id]);
+  });
+
+  it('emails in the guardian\'s language with a localized subject', async () => {
+    await pool.query(
+      "UPDATE parent_profiles SET alert_channel = 'email', preferred_language = 'am' WHERE id = $1",
+      [guardian.id]
+    );
+    await mark(children[0], 'absent');
+    await mark(children[1], 'late', slot.id);
+
+    await attendanceAlertService.dispatch(DATE, school.id);
+
+    expect(sendSms).not.toHaveBeenCalled();
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    const email = sendEmail.mock.calls[0][0];
+    expect(email.subject).toBe('Hillside School: የAbebe Kebede, Sara Kebede የክትትል ማሳወቂያ');
+    expect(email.data.students).toEqual([
+      { name: 'Abebe Kebede', records: [{ status: 'ቀሪ', period: 'ለቀኑ' }] },
+      { name: 'Sara Kebede', records: [{ status: 'አርፍዶ', period: 'ለ09:00 ክፍለ ጊዜ' }] }
+    ]);
+  });
+
+  it('falls back to email for guardians without a phone and skips those who opted out', async () => {
+    await pool.query('UPDATE users SET phone = NULL WHERE id = $1', [guardian.user_id]);
+    const quiet = await fixtures.createGuardian(school.id, children[0].id);
+    await pool.query("UPDATE parent_profiles SET alert_channel = 'none' WHERE id = $1", [quiet.id]);
+    await mark(children[0], 'absent');
+
+    const summary = await attendanceAlertService.dispatch(DATE, school.id);
+
+    expect(summary.batches).toBe(1);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect((await alerts()).map(alert => alert.parent_id)).toEqual([guardian.id]);
+  });
+
+  it('records email alerts held for a digest or opted out of', async () => {
+    sendEmail.mockRestore();
+    await pool.query("UPDATE parent_profiles SET alert_channel = 'email' WHERE id = $1", [guardian.id]);
+    await pool.query(
+      `INSERT INTO email_preferences (user_id, notification_type, is_enabled, frequency)
+       VALUES ($1, 'attendance_alerts', true, 'daily')`,
+      [guardian.user_id]
+    );
+    await mark(children[0], 'absent');
+
+    expect(await attendanceAlertService.dispatch(DATE, school.id)).toMatchObject({ sent: 0, digested: 1 });
+
+    await pool.query('UPDATE email_preferences SET is_enabled = false WHERE user_id = $1', [guardian.user_id]);
+    await mark(children[1], 'absent');
+
+    expect(await attendanceAlertService.dispatch(DATE, school.id)).toMatchObject({ batches: 1, skipped: 1 });
+    expect((await alerts()).map(alert => alert.status)).toEqual(['digested', 'skipped']);
+
+    const held = await pool.query('SELECT frequency FROM email_digest_items WHERE user_id = $1', [guardian.user_id]);
+    expect(held.rows).toEqual([{ frequency: 'daily' }]);
+  });
+
+  describe('preferences', () => {
+    const update = (body, token) => request(app)
+      .put('/api/academic/attendance/alerts/preferences')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    it('lets a guardian change their own channel and language', async () => {
+      await fixtures.assignRole(guardian.user_id, 'Parent', school.id);
+
+      const response = await update({ alert_channel: 'both', preferred_language: 'am' }, fixtures.tokenFor(guardian.user_id));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ parentId: guardian.id, alertChannel: 'both', preferredLanguage: 'am' });
+    });
+
+    it('lets admins update a guardian at their school only', async () => {
+      const otherAdmin = await fixtures.createStaff('Admin', (await fixtures.createSchool()).id);
+
+      expect((await update({ parent_id: guardian.id, alert_channel: 'email' }, admin.token)).status).toBe(200);
+      expect((await update({ parent_id: guardian.id, alert_channel: 'sms' }, otherAdmin.token)).status).toBe(403);
+    });
+  });
+});
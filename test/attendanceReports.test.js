@@ -0,0 +1,129 @@
+const request = require('supertest');
+const academicRoutes = require('../routes/academic');
+const { toCsv } = require('../utils/helpers');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+describe('toCsv', () => {
+  it('quotes values that contain separators and keeps the column order', () => {
+    const csv = toCsv(
+      [{ name: 'Kebede, Abebe', note: 'said "hi"', rate: 87.5 }, { name: 'Sara', note: null, rate: 100 }],
+      [{ key: 'name', header: 'Student' }, { key: 'rate', header: 'Rate' }, { key: 'note', header: 'Note' }]
+    );
+
+    expect(csv).toBe('Student,Rate,Note\n"Kebede, Abebe",87.5,"said ""hi"""\nSara,100,');
+  });
+});
+
+describe('/api/academic/attendance/reports', () => {
+  let school;
+  let admin;
+  let year;
+  let autumn;
+  let spring;
+  let classA;
+  let classB;
+  let regular;
+  let absentee;
+
+  const report = (path, query, token = admin.token) => request(app)
+    .get(`/api/academic/attendance/reports/${path}`)
+    .set('Authorization', `Bearer ${token}`)
+    .query({ school_id: school.id, ...query });
+
+  const mark = (student, cls, date, status) => fixtures.insert('attendance', {
+    student_id: student.id,
+    class_id: cls.id,
+    date,
+    status,
+    marked_by: admin.id
+  });
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+    year = await fixtures.createAcademicYear(school.id);
+    autumn = await fixtures.createTerm(year.id, { name: 'Autumn', start_date: '2025-09-01', end_date: '2025-12-19', is_current: true });
+    spring = await fixtures.createTerm(year.id, { name: 'Spring', start_date: '2026-01-05', end_date: '2026-04-02' });
+    classA = await fixtures.createClass(school.id, year.id, { name: '5A', grade_level: 5 });
+    classB = await fixtures.createClass(school.id, year.id, { name: '6A', grade_level: 6 });
+    regular = await fixtures.createStudent(school.id, {}, { first_name: 'Abebe', last_name: 'Alemu' });
+    absentee = await fixtures.createStudent(school.id, {}, { first_name: 'Sara', last_name: 'Bekele' });
+
+    // Monday to Thursday of one week: regular is always in, absentee misses half
+    for (const [date, status] of [['2025-09-08', 'present'], ['2025-09-09', 'absent'], ['2025-09-10', 'late'], ['2025-09-11', 'absent']]) {
+      await mark(regular, classA, date, 'present');
+      await mark(absentee, classB, date, status);
+    }
+    await mark(absentee, classB, '2026-01-05', 'present');
+  });
+
+  it('reports rates per class for the current term by default', async () => {
+    const response = await report('rates', {});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ termName: 'Autumn', startDate: '2025-09-01', endDate: '2025-12-19' });
+    expect(response.body.data.rows).toEqual([
+      expect.objectContaining({ groupName: '5A', totalDays: 4, rate: 100 }),
+      expect.objectContaining({ groupName: '6A', present: 1, absent: 2, late: 1, totalDays: 4, rate: 50 })
+    ]);
+  });
+
+  it('splits rates into periods and filters by grade', async () => {
+    const response = await report('rates', { group_by: 'student', interval: 'month', grade_level: 6, start_date: '2025-09-01', end_date: '2026-01-31' });
+
+    expect(response.body.data.rows).toEqual([
+      expect.objectContaining({ groupName: 'Bekele, Sara', period: '2025-09', rate: 50 }),
+      expect.objectContaining({ groupName: 'Bekele, Sara', period: '2026-01', rate: 100 })
+    ]);
+  });
+
+  it('lists students below the chronic absence threshold', async () => {
+    const response = await report('chronic-absentees', { threshold: 75 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.rows).toEqual([
+      expect.objectContaining({ firstName: 'Sara', classNames: '6A', lastAbsence: '2025-09-11', rate: 50 })
+    ]);
+
+    const strict = await report('chronic-absentees', { threshold: 75, min_records: 5 });
+    expect(strict.body.data.rows).toEqual([]);
+  });
+
+  it('buckets trends by day of week and by the class\'s own terms', async () => {
+    const byDay = await report('trends', { by: 'day_of_week' });
+    expect(byDay.body.data.rows.map(row => [row.label, row.rate])).toEqual([
+      ['Monday', 100], ['Tuesday', 50], ['Wednesday', 100], ['Thursday', 50]
+    ]);
+
+    // Another year whose term covers the same dates must not pick up these records
+    const otherYear = await fixtures.createAcademicYear(school.id, { name: 'Evening programme' });
+    await fixtures.createTerm(otherYear.id, { name: 'Evening', start_date: '2025-09-01', end_date: '2026-04-02' });
+
+    const byTerm = await report('trends', { by: 'term', start_date: '2025-09-01', end_date: '2026-04-02' });
+    expect(byTerm.body.data.rows).toEqual([
+      expect.objectContaining({ bucket: autumn.id, label: 'Autumn', totalDays: 8 }),
+      expect.objectContaining({ bucket: spring.id, label: 'Spring', totalDays: 1 })
+    ]);
+  });
+
+  it('exports CSV', async () => {
+    const response = await report('rates', { term_id: autumn.id, format: 'csv' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toContain('2025-09-01_2025-12-19.csv');
+    expect(response.text.split('\n')[0]).toBe('Class,Grade Level,Present,Absent,Late,Excused,Total Records,Attendance Rate (%)');
+    expect(response.text).toContain('6A,6,1,2,1,0,4,50');
+  });
+
+  it('refuses teachers and other schools\' terms', async () => {
+    const teacher = await fixtures.createStaff('Teacher', school.id);
+    const otherYear = await fixtures.createAcademicYear((await fixtures.createSchool()).id);
+    const otherTerm = await fixtures.createTerm(otherYear.id);
+
+    expect((await report('rates', {}, teacher.token)).status).toBe(403);
+    expect((await report('rates', { term_id: otherTerm.id })).status).toBe(404);
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const emailRoutes = require('../routes/email');
+const emailService = require('../src/services/emailService');
+const emailDigestService = require('../services/emailDigestService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/email', emailRoutes);
+
+describe('emailDigestService.getCutoff', () => {
+  const service = new emailDigestService.constructor();
+  service.sendHour = 7;
+  service.weeklyDay = 1;
+
+  it('is the latest send hour for daily digests', () => {
+    expect(service.getCutoff('daily', new Date(2025, 2, 5, 9))).toEqual(new Date(2025, 2, 5, 7));
+    expect(service.getCutoff('daily', new Date(2025, 2, 5, 6))).toEqual(new Date(2025, 2, 4, 7));
+  });
+
+  it('is the latest send hour on the weekly day for weekly digests', () => {
+    // Wednesday 5 March 2025; the Monday before is the 3rd
+    expect(service.getCutoff('weekly', new Date(2025, 2, 5, 9))).toEqual(new Date(2025, 2, 3, 7));
+  });
+
+  it('accepts midnight as the send hour', () => {
+    const previous = process.env.EMAIL_DIGEST_HOUR;
+    process.env.EMAIL_DIGEST_HOUR = '0';
+    try {
+      expect(new emailDigestService.constructor().sendHour).toBe(0);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.EMAIL_DIGEST_HOUR;
+      } else {
+        process.env.EMAIL_DIGEST_HOUR = previous;
+      }
+    }
+  });
+});
+
+describe('email preferences and digests', () => {
+  let user;
+
+  const setPreferences = (preferences) => request(app)
+    .put('/api/email/preferences')
+    .set('Authorization', `Bearer ${user.token}`)
+    .send({ preferences });
+
+  const notify = (template = 'attendance-alert') => emailService.sendEmail({
+    to: user.email,
+    subject: `Notice ${fixtures.unique()}`,
+    template,
+    data: {}
+  });
+
+  const digestItems = async () => {
+    const result = await pool.query(
+      'SELECT frequency, digested_at IS NOT NULL as digested, queue_id FROM email_digest_items WHERE user_id = $1',
+      [user.id]
+    );
+    return result.rows;
+  };
+
+  beforeEach(async () => {
+    const school = await fixtures.createSchool();
+    user = await fixtures.createStaff('Teacher', school.id);
+  });
+
+  it('holds messages for a digest, drops opted-out ones and always sends mandatory ones', async () => {
+    expect((await setPreferences([{ notification_type: 'attendance_alerts', frequency: 'daily' }])).status).toBe(200);
+
+    expect(await notify()).toMatchObject({ queued: false, digested: [user.email], optedOut: [] });
+    expect(await digestItems()).toEqual([expect.objectContaining({ frequency: 'daily', digested: false })]);
+
+    await setPreferences([{ notification_type: 'attendance_alerts', is_enabled: false }]);
+    expect(await notify()).toMatchObject({ queued: false, digested: [], optedOut: [user.email] });
+
+    expect((await setPreferences([{ notification_type: 'security_alerts', is_enabled: false }])).status).toBe(400);
+    expect(await notify('password-reset')).toMatchObject({ queued: true, digested: [] });
+  });
+
+  it('sends each held message in exactly one digest when dispatchers run side by side', async () => {
+    await setPreferences([{ notification_type: 'attendance_alerts', frequency: 'daily' }]);
+    await notify();
+    await notify();
+    const later = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+
+    await Promise.all([emailDigestService.dispatch(later), emailDigestService.dispatch(later)]);
+
+    const items = await digestItems();
+    expect(items).toHaveLength(2);
+    expect(items.every(item => item.digested)).toBe(true);
+    expect(new Set(items.map(item => item.queue_id)).size).toBe(1);
+
+    const digest = await pool.query('SELECT recipient_email, template_name FROM email_queue WHERE id = $1', [items[0].queue_id]);
+    expect(digest.rows).toEqual([{ recipient_email: user.email, template_name: 'notification-digest' }]);
+  });
+});
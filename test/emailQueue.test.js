@@ -0,0 +1,108 @@
+const pool = require('../config/database');
+const emailService = require('../src/services/emailService');
+const fixtures = require('./support/fixtures');
+
+describe('emailService queue helpers', () => {
+  it('doubles the retry delay per attempt up to the cap', () => {
+    const { backoffMs, maxBackoffMs } = emailService.queueConfig;
+
+    expect(emailService.getRetryDelay(1)).toBe(backoffMs);
+    expect(emailService.getRetryDelay(2)).toBe(backoffMs * 2);
+    expect(emailService.getRetryDelay(30)).toBe(maxBackoffMs);
+  });
+
+  it('stores attachments as base64 without re-encoding base64 content', () => {
+    expect(emailService.serializeAttachments([
+      { filename: 'a.txt', content: 'hi' },
+      { filename: 'b.txt', content: Buffer.from('hi') },
+      { filename: 'c.txt', content: 'aGk=', encoding: 'base64' },
+      { filename: 'd.txt', path: '/tmp/d.txt' }
+    ])).toEqual([
+      { filename: 'a.txt', content: 'aGk=', encoding: 'base64' },
+      { filename: 'b.txt', content: 'aGk=', encoding: 'base64' },
+      { filename: 'c.txt', content: 'aGk=', encoding: 'base64' },
+      { filename: 'd.txt', path: '/tmp/d.txt' }
+    ]);
+  });
+});
+
+describe('email queue worker', () => {
+  let sendMail;
+  let subject;
+
+  const queue = (options = {}) => emailService.sendEmail({
+    to: 'parent@example.com',
+    subject,
+    html: '<p>Hello</p>',
+    ...options
+  });
+
+  const stateOf = async (queueId) => {
+    const result = await pool.query(
+      `SELECT q.status, q.attempts, q.scheduled_at > NOW() as deferred, l.status as log_status, l.message_id as log_message_id
+       FROM email_queue q JOIN email_logs l ON l.queue_id = q.id
+       WHERE q.id = $1`,
+      [queueId]
+    );
+    return result.rows[0];
+  };
+
+  const makeDue = (queueId) => pool.query('UPDATE email_queue SET scheduled_at = NOW() WHERE id = $1', [queueId]);
+
+  const sentTo = () => sendMail.mock.calls.filter(([mail]) => mail.subject === subject);
+
+  beforeEach(() => {
+    subject = `Queue test ${fixtures.unique()}`;
+    sendMail = jest.spyOn(emailService.transporter, 'sendMail').mockResolvedValue({ messageId: 'smtp-1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('queues a message with a pending log and sends it once', async () => {
+    const { queueId } = await queue();
+    expect(await stateOf(queueId)).toMatchObject({ status: 'pending', log_status: 'pending' });
+
+    await Promise.all([emailService.processQueue(), emailService.processQueue()]);
+
+    expect(sentTo()).toHaveLength(1);
+    expect(sentTo()[0][0]).toMatchObject({ to: 'parent@example.com', html: '<p>Hello</p>' });
+    expect(await stateOf(queueId)).toMatchObject({ status: 'sent', attempts: 1, log_status: 'sent', log_message_id: 'smtp-1' });
+  });
+
+  it('retries a failed send later and fails it when attempts run out', async () => {
+    sendMail.mockRejectedValue(new Error('SMTP down'));
+    const { queueId } = await queue({ maxAttempts: 2 });
+
+    await emailService.processQueue();
+    expect(await stateOf(queueId)).toMatchObject({ status: 'pending', attempts: 1, deferred: true, log_status: 'pending' });
+
+    await emailService.processQueue();
+    expect(sentTo()).toHaveLength(1);
+
+    await makeDue(queueId);
+    await emailService.processQueue();
+    expect(await stateOf(queueId)).toMatchObject({ status: 'failed', attempts: 2, log_status: 'failed' });
+
+    sendMail.mockResolvedValue({ messageId: 'smtp-2' });
+    expect(await emailService.requeueFailedEmails({ queueId })).toEqual([queueId]);
+    await emailService.processQueue();
+    expect(await stateOf(queueId)).toMatchObject({ status: 'sent', log_message_id: 'smtp-2' });
+  });
+
+  it('takes over a message whose worker stopped mid-send', async () => {
+    const { queueId } = await queue();
+    await pool.query(
+      `UPDATE email_queue SET status = 'processing', attempts = 1, locked_by = 'stopped-worker',
+              locked_at = NOW() - interval '1 day'
+       WHERE id = $1`,
+      [queueId]
+    );
+
+    await emailService.processQueue();
+
+    expect(sentTo()).toHaveLength(1);
+    expect(await stateOf(queueId)).toMatchObject({ status: 'sent', attempts: 2 });
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const pool = require('../config/database');
+const emailRoutes = require('../routes/email');
+const emailService = require('../src/services/emailService');
+const emailTemplateService = require('../services/emailTemplateService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/email', emailRoutes);
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'supabase', 'migrations');
+
+describe('emailTemplateService.validate', () => {
+  it('reports each field that is not a valid Handlebars template', () => {
+    expect(emailTemplateService.validate({
+      subject_template: 'Receipt {{receiptNumber}}',
+      html_template: '<p>{{#if amount}}Paid</p>',
+      text_template: '{{unknownHelper amount}}'
+    }, 'fee-receipt')).toEqual([
+      expect.objectContaining({ field: 'html_template' }),
+      expect.objectContaining({ field: 'text_template' })
+    ]);
+  });
+});
+
+describe('email_templates schema', () => {
+  it('still accepts the system template seed after overrides were added', async () => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(fs.readFileSync(path.join(MIGRATIONS_DIR, 'create_email_system_fixed.sql'), 'utf8'));
+      const seeded = await client.query("SELECT COUNT(*)::int as count FROM email_templates WHERE name = 'password-reset'");
+      expect(seeded.rows[0].count).toBe(1);
+    } finally {
+      await client.query('ROLLBACK');
+      client.release();
+    }
+  });
+
+  it('keeps system template names unique per language', async () => {
+    const system = (language) => pool.query(
+      `INSERT INTO email_templates (name, language, subject_template, html_template)
+       VALUES ('password-reset', $1, 'Reset', '<p>Reset</p>')`,
+      [language]
+    );
+
+    await expect(system('en')).rejects.toThrow(/duplicate key/);
+    await system('zz');
+    await pool.query("DELETE FROM email_templates WHERE name = 'password-reset' AND language = 'zz'");
+  });
+});
+
+describe('/api/email/templates', () => {
+  let school;
+  let admin;
+
+  const as = (method, path, user = admin) => request(app)[method](`/api/email/templates${path}`)
+    .set('Authorization', `Bearer ${user.token}`);
+
+  const save = (body, user) => as('put', '/fee-receipt', user).send({
+    school_id: school.id,
+    subject_template: '{{schoolName}} receipt {{receiptNumber}}',
+    html_template: '<p>Paid {{amount}}</p>',
+    ...body
+  });
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool({ name: 'Hillside School' });
+    admin = await fixtures.createStaff('Admin', school.id);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('versions each save and rolls back by saving an earlier version again', async () => {
+    expect((await save()).status).toBe(201);
+    const second = await save({ html_template: '<p>Received {{amount}}</p>', comment: 'Wording' });
+    expect(second.status).toBe(200);
+    expect(second.body.data.currentVersion).toBe(2);
+
+    const rolledBack = await as('post', '/fee-receipt/rollback').send({ school_id: school.id, version: 1 });
+    expect(rolledBack.status).toBe(200);
+    expect(rolledBack.body.data).toMatchObject({ currentVersion: 3, htmlTemplate: '<p>Paid {{amount}}</p>' });
+
+    const preview = await as('post', '/fee-receipt/preview').send({ school_id: school.id, language: 'am' });
+    expect(preview.body.data).toMatchObject({
+      source: 'override:en:v3',
+      subject: 'Sample School receipt SMPL-2024-000042',
+      html: '<p>Paid 500.00</p>'
+    });
+  });
+
+  it('rejects invalid templates and admins of other schools', async () => {
+    const otherAdmin = await fixtures.createStaff('Admin', (await fixtures.createSchool()).id);
+
+    expect((await save({ html_template: '<p>{{#each}}</p>' })).status).toBe(400);
+    expect((await save({}, otherAdmin)).status).toBe(403);
+    expect((await as('put', '/password-reset').send({ school_id: school.id })).status).toBe(400);
+  });
+
+  it('sends a school\'s queued messages with its override in the message\'s language', async () => {
+    await save({ language: 'am', subject_template: 'ደረሰኝ {{receiptNumber}}' });
+    const sendMail = jest.spyOn(emailService.transporter, 'sendMail').mockResolvedValue({ messageId: 'smtp-1' });
+    const subject = `Receipt ${fixtures.unique()}`;
+
+    await emailService.sendEmail({
+      to: 'guardian@example.com',
+      subject,
+      template: 'fee-receipt',
+      schoolId: school.id,
+      language: 'am',
+      data: { receiptNumber: 'HS-2025-000001', amount: '100.00' }
+    });
+    await emailService.processQueue();
+
+    const [[mail]] = sendMail.mock.calls.filter(([sent]) => sent.to === 'guardian@example.com' && sent.html === '<p>Paid 100.00</p>');
+    expect(mail.subject).toBe('ደረሰኝ HS-2025-000001');
+  });
+});
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const academicRoutes = require('../routes/academic');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+describe('/api/academic/enrollments', () => {
+  let school;
+  let admin;
+  let year;
+  let nextYear;
+  let sectionA;
+  let sectionB;
+
+  const post = (path, body, token = admin.token) => request(app)
+    .post(`/api/academic/enrollments${path}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const activeEnrollments = async (studentId) => {
+    const result = await pool.query(
+      "SELECT class_id, academic_year_id FROM enrollments WHERE student_id = $1 AND status = 'active'",
+      [studentId]
+    );
+    return result.rows;
+  };
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+    year = await fixtures.createAcademicYear(school.id, { name: '2025-2026' });
+    nextYear = await fixtures.createAcademicYear(school.id, { name: '2026-2027', start_date: '2026-09-01', end_date: '2027-07-31' });
+    sectionA = await fixtures.createClass(school.id, year.id, { grade_level: 5, section: 'A' });
+    sectionB = await fixtures.createClass(school.id, year.id, { grade_level: 5, section: 'B' });
+  });
+
+  it('enrolls a student once per academic year', async () => {
+    const student = await fixtures.createStudent(school.id);
+
+    expect((await post('', { student_id: student.id, class_id: sectionA.id })).status).toBe(201);
+    expect((await post('', { student_id: student.id, class_id: sectionB.id })).status).toBe(409);
+  });
+
+  it('keeps concurrent enrollments of one student to a single class', async () => {
+    const student = await fixtures.createStudent(school.id);
+
+    const responses = await Promise.all([
+      post('', { student_id: student.id, class_id: sectionA.id }),
+      post('', { student_id: student.id, class_id: sectionB.id })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+    expect(await activeEnrollments(student.id)).toHaveLength(1);
+  });
+
+  it('does not fill a class past max_students under concurrent enrollments', async () => {
+    await pool.query('UPDATE classes SET max_students = 1 WHERE id = $1', [sectionA.id]);
+    const first = await fixtures.createStudent(school.id);
+    const second = await fixtures.createStudent(school.id);
+
+    const responses = await Promise.all([
+      post('', { student_id: first.id, class_id: sectionA.id }),
+      post('', { student_id: second.id, class_id: sectionA.id })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+  });
+
+  it('transfers between sections, keeping the old enrollment as history', async () => {
+    const student = await fixtures.createStudent(school.id);
+    const enrolled = await post('', { student_id: student.id, class_id: sectionA.id });
+
+    const transfer = await post(`/${enrolled.body.data.id}/transfer`, { class_id: sectionB.id });
+
+    expect(transfer.status).toBe(200);
+    expect(transfer.body.data.previous.status).toBe('transferred');
+    expect(await activeEnrollments(student.id)).toEqual([{ class_id: sectionB.id, academic_year_id: year.id }]);
+
+    // The student can come back to section A later in the year
+    const back = await post(`/${transfer.body.data.current.id}/transfer`, { class_id: sectionA.id });
+    expect(back.status).toBe(200);
+  });
+
+  it('promotes a grade into the same sections of the next year', async () => {
+    const nextA = await fixtures.createClass(school.id, nextYear.id, { grade_level: 6, section: 'A' });
+    const nextB = await fixtures.createClass(school.id, nextYear.id, { grade_level: 6, section: 'B' });
+    const inA = await fixtures.createStudent(school.id);
+    const inB = await fixtures.createStudent(school.id);
+    await post('', { student_id: inA.id, class_id: sectionA.id });
+    await post('', { student_id: inB.id, class_id: sectionB.id });
+
+    const response = await post('/promote', {
+      school_id: school.id,
+      from_academic_year_id: year.id,
+      to_academic_year_id: nextYear.id,
+      grade_level: 5
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.promotedCount).toBe(2);
+    expect(await activeEnrollments(inA.id)).toEqual([{ class_id: nextA.id, academic_year_id: nextYear.id }]);
+    expect(await activeEnrollments(inB.id)).toEqual([{ class_id: nextB.id, academic_year_id: nextYear.id }]);
+  });
+
+  it('promotes nobody when the next grade lacks room for everyone', async () => {
+    await fixtures.createClass(school.id, nextYear.id, { grade_level: 6, section: 'A', max_students: 1 });
+    const first = await fixtures.createStudent(school.id);
+    const second = await fixtures.createStudent(school.id);
+    await post('', { student_id: first.id, class_id: sectionA.id });
+    await post('', { student_id: second.id, class_id: sectionA.id });
+
+    const response = await post('/promote', {
+      school_id: school.id,
+      from_academic_year_id: year.id,
+      to_academic_year_id: nextYear.id,
+      grade_level: 5
+    });
+
+    expect(response.status).toBe(409);
+    expect(response.body.details.unplaced).toHaveLength(1);
+    expect(await activeEnrollments(first.id)).toEqual([{ class_id: sectionA.id, academic_year_id: year.id }]);
+  });
+
+  it('graduates the selected grade', async () => {
+    const student = await fixtures.createStudent(school.id);
+    await post('', { student_id: student.id, class_id: sectionA.id });
+
+    const response = await post('/graduate', { school_id: school.id, academic_year_id: year.id, grade_level: 5 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.graduatedCount).toBe(1);
+    expect(await activeEnrollments(student.id)).toEqual([]);
+  });
+
+  it('refuses admins of another school', async () => {
+    const student = await fixtures.createStudent(school.id);
+    const outsider = await fixtures.createStaff('Admin', (await fixtures.createSchool()).id);
+
+    const response = await post('', { student_id: student.id, class_id: sectionA.id }, outsider.token);
+
+    expect(response.status).toBe(403);
+  });
+});
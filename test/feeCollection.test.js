@@ -0,0 +1,94 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const userRoutes = require('../routes/users');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/users', userRoutes);
+
+describe('POST /api/users/fees/collect', () => {
+  let school;
+  let accountant;
+  let studentFee;
+
+  const collect = (body, token = accountant.token) => request(app)
+    .post('/api/users/fees/collect')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ payment_method: 'cash', student_fee_id: studentFee.id, ...body });
+
+  beforeAll(async () => {
+    await fixtures.grantPermissions('Accountant', [['finance', 'collect_fees']]);
+  });
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    accountant = await fixtures.createStaff('Accountant', school.id);
+    const year = await fixtures.createAcademicYear(school.id);
+    const structure = await fixtures.createFeeStructure(school.id, year.id);
+    const student = await fixtures.createStudent(school.id);
+    studentFee = await fixtures.createStudentFee(student.id, structure.id, { amount: 1000 });
+  });
+
+  const feeStatus = async () => {
+    const result = await pool.query('SELECT status FROM student_fees WHERE id = $1', [studentFee.id]);
+    return result.rows[0].status;
+  };
+
+  it('records partial and final payments and moves the fee status along', async () => {
+    const first = await collect({ amount: '400.50' });
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({ totalPaid: 400.5, balance: 599.5, status: 'partially_paid' });
+    expect(first.body.data.transactionReference).toMatch(/^TXN-\d{8}-[0-9A-F]{8}$/);
+    expect(await feeStatus()).toBe('partially_paid');
+
+    const second = await collect({ amount: '599.50' });
+    expect(second.status).toBe(201);
+    expect(second.body.data).toMatchObject({ totalPaid: 1000, balance: 0, status: 'paid' });
+    expect(await feeStatus()).toBe('paid');
+
+    const payments = await pool.query('SELECT COUNT(*)::int AS count FROM fee_payments WHERE student_fee_id = $1', [studentFee.id]);
+    expect(payments.rows[0].count).toBe(2);
+  });
+
+  it('rejects a payment above the outstanding balance', async () => {
+    await collect({ amount: '900' });
+
+    const response = await collect({ amount: '100.01' });
+
+    expect(response.status).toBe(400);
+    expect(await feeStatus()).toBe('partially_paid');
+  });
+
+  it('rejects payments against a fee that is already settled', async () => {
+    await collect({ amount: '1000' });
+
+    const response = await collect({ amount: '1' });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('does not let concurrent payments overpay a fee', async () => {
+    const responses = await Promise.all([
+      collect({ amount: '700' }),
+      collect({ amount: '700' })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+
+    const total = await pool.query(
+      'SELECT SUM(amount_paid)::float AS total FROM fee_payments WHERE student_fee_id = $1',
+      [studentFee.id]
+    );
+    expect(total.rows[0].total).toBe(700);
+  });
+
+  it('refuses fees belonging to a school the collector has no role at', async () => {
+    const otherSchool = await fixtures.createSchool();
+    const outsider = await fixtures.createStaff('Accountant', otherSchool.id);
+
+    const response = await collect({ amount: '100' }, outsider.token);
+
+    expect(response.status).toBe(403);
+    expect(await feeStatus()).toBe('unpaid');
+  });
+});
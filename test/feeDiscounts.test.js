@@ -0,0 +1,153 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const feeRoutes = require('../routes/fees');
+const feeDiscountService = require('../services/feeDiscountService');
+const { AuditMiddleware } = require('../src/middleware/audit');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/fees', feeRoutes);
+
+describe('feeDiscountService', () => {
+  const rule = (values) => ({ id: 'rule', value_type: 'percentage', value: '10', scope: 'fee_type', fee_type: 'tuition', ...values });
+
+  it('takes percentages from the gross and fixed amounts on top', () => {
+    expect(feeDiscountService.calculate('1000.00', [
+      rule({ id: 'a', value: '10' }),
+      rule({ id: 'b', value_type: 'fixed', value: '50.50' })
+    ])).toEqual({
+      netAmount: 849.5,
+      discountAmount: 150.5,
+      lines: [{ discountId: 'a', amount: 100 }, { discountId: 'b', amount: 50.5 }]
+    });
+  });
+
+  it('never discounts below zero, trimming later rules first', () => {
+    expect(feeDiscountService.calculate('100', [
+      rule({ id: 'a', value: '80' }),
+      rule({ id: 'b', value_type: 'fixed', value: '50' }),
+      rule({ id: 'c', value: '5' })
+    ])).toEqual({
+      netAmount: 0,
+      discountAmount: 100,
+      lines: [{ discountId: 'a', amount: 80 }, { discountId: 'b', amount: 20 }]
+    });
+  });
+
+  it('rounds percentages to the cent', () => {
+    expect(feeDiscountService.calculate('33.33', [rule({ value: '33.33' })]).netAmount).toBe(22.22);
+  });
+
+  it('matches rules by fee type, student and older siblings', () => {
+    const sibling = rule({ scope: 'sibling', fee_type: null, min_siblings: 1 });
+
+    expect(feeDiscountService.appliesTo(rule({ fee_type: 'Tuition' }), { feeType: 'tuition' })).toBe(true);
+    expect(feeDiscountService.appliesTo(rule(), { feeType: 'transport' })).toBe(false);
+    expect(feeDiscountService.appliesTo(rule({ scope: 'student', fee_type: null, student_id: 's1' }), { feeType: 'tuition', studentId: 's2' })).toBe(false);
+    expect(feeDiscountService.appliesTo(sibling, { feeType: 'tuition', olderSiblings: 0 })).toBe(false);
+    expect(feeDiscountService.appliesTo(sibling, { feeType: 'tuition', olderSiblings: 1 })).toBe(true);
+  });
+});
+
+describe('/api/fees/discounts', () => {
+  let school;
+  let requester;
+  let approver;
+  let year;
+  let elder;
+  let younger;
+
+  const as = (user, method, path) => request(app)[method](`/api/fees${path}`)
+    .set('Authorization', `Bearer ${user.token}`);
+
+  const propose = (body) => as(requester, 'post', '/discounts').send({
+    school_id: school.id,
+    name: 'Sibling discount',
+    kind: 'discount',
+    value_type: 'percentage',
+    value: '10',
+    scope: 'sibling',
+    min_siblings: 1,
+    reason: 'Second child in the school',
+    ...body
+  });
+
+  const generate = () => as(requester, 'post', '/generate').send({ school_id: school.id, academic_year_id: year.id });
+
+  const feesOf = async (student) => {
+    const result = await pool.query(
+      'SELECT id, amount::float as amount, status FROM student_fees WHERE student_id = $1',
+      [student.id]
+    );
+    return result.rows;
+  };
+
+  beforeAll(async () => {
+    await fixtures.grantPermissions('Accountant', [['finance', 'read'], ['finance', 'create'], ['finance', 'update']]);
+  });
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    requester = await fixtures.createStaff('Accountant', school.id);
+    approver = await fixtures.createStaff('Accountant', school.id);
+    year = await fixtures.createAcademicYear(school.id, { start_date: '2025-09-01', end_date: '2026-06-30' });
+    const cls = await fixtures.createClass(school.id, year.id);
+    elder = await fixtures.createStudent(school.id, { date_of_birth: '2013-05-01' });
+    younger = await fixtures.createStudent(school.id, { date_of_birth: '2016-05-01' });
+    const parent = await fixtures.createGuardian(school.id, elder.id);
+    await fixtures.insert('parent_student_relationships', { parent_id: parent.id, student_id: younger.id, relationship_type: 'guardian' });
+    await fixtures.createEnrollment(elder.id, cls.id, year.id);
+    await fixtures.createEnrollment(younger.id, cls.id, year.id);
+    await fixtures.createFeeStructure(school.id, year.id, { amount: 1000, frequency: 'annually' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies an approved sibling discount to the younger child only', async () => {
+    const discount = (await propose()).body.data;
+
+    expect((await as(approver, 'post', `/discounts/${discount.id}/approve`).send({})).status).toBe(200);
+    expect((await generate()).status).toBe(201);
+
+    expect(await feesOf(elder)).toEqual([expect.objectContaining({ amount: 1000, status: 'unpaid' })]);
+    expect(await feesOf(younger)).toEqual([expect.objectContaining({ amount: 900, status: 'unpaid' })]);
+  });
+
+  it('needs someone other than the requester to approve', async () => {
+    const discount = (await propose()).body.data;
+
+    expect(discount.status).toBe('pending');
+    expect((await as(requester, 'post', `/discounts/${discount.id}/approve`).send({})).status).toBe(403);
+    expect((await as(approver, 'post', `/discounts/${discount.id}/reject`).send({})).status).toBe(200);
+    expect((await as(approver, 'post', `/discounts/${discount.id}/approve`).send({})).status).toBe(409);
+  });
+
+  it('waives unpaid fees a full scholarship covers and audits each fee it changes', async () => {
+    await generate();
+    const insertAuditLog = jest.spyOn(AuditMiddleware.prototype, 'insertAuditLog').mockResolvedValue('audit-1');
+    const scholarship = (await propose({
+      name: 'Full scholarship',
+      kind: 'scholarship',
+      value: '100',
+      scope: 'student',
+      student_id: elder.id
+    })).body.data;
+
+    const approved = await as(approver, 'post', `/discounts/${scholarship.id}/approve`).send({});
+
+    expect(approved.body.data.feesUpdated).toBe(1);
+    const [fee] = await feesOf(elder);
+    expect(fee).toMatchObject({ amount: 0, status: 'waived' });
+    expect(await feesOf(younger)).toEqual([expect.objectContaining({ amount: 1000, status: 'unpaid' })]);
+
+    const feeAudits = insertAuditLog.mock.calls.map(([log]) => log).filter(log => log.table_name === 'student_fees');
+    expect(feeAudits).toEqual([expect.objectContaining({
+      record_id: fee.id,
+      school_id: school.id,
+      old_values: expect.objectContaining({ amount: '1000.00', status: 'unpaid' }),
+      new_values: expect.objectContaining({ amount: '0.00', status: 'waived', feeDiscountId: scholarship.id })
+    })]);
+  });
+});
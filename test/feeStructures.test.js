@@ -0,0 +1,126 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const feeRoutes = require('../routes/fees');
+const feeService = require('../services/feeService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/fees', feeRoutes);
+
+const YEAR = { id: 'year', start_date: '2025-09-01', end_date: '2026-06-30' };
+
+describe('feeService.buildSchedule', () => {
+  it('reads the due day from the end of the rule', () => {
+    expect(feeService.parseDueDay('monthly_10th')).toBe(10);
+    expect(feeService.parseDueDay('5')).toBe(5);
+    expect(feeService.parseDueDay('quarterly_start')).toBeNull();
+    expect(feeService.parseDueDay('monthly_31st')).toBeNull();
+  });
+
+  it('gives monthly fees one instalment per month on the due day', () => {
+    const schedule = feeService.buildSchedule({ frequency: 'monthly', due_date_rule: 'monthly_10th' }, YEAR);
+
+    expect(schedule).toHaveLength(10);
+    expect(schedule[0]).toEqual({ installmentNumber: 1, periodStart: '2025-09-01', dueDate: '2025-09-10' });
+    expect(schedule[9]).toEqual({ installmentNumber: 10, periodStart: '2026-06-01', dueDate: '2026-06-10' });
+  });
+
+  it('starts quarters at the year start and keeps due dates inside the year', () => {
+    const midMonthYear = { ...YEAR, start_date: '2025-09-15', end_date: '2026-06-05' };
+
+    expect(feeService.buildSchedule({ frequency: 'quarterly', due_date_rule: 'quarterly_start' }, midMonthYear)
+      .map(installment => installment.dueDate)).toEqual(['2025-09-15', '2025-12-01', '2026-03-01', '2026-06-01']);
+
+    const monthly = feeService.buildSchedule({ frequency: 'monthly', due_date_rule: '10' }, midMonthYear);
+    expect(monthly[0].dueDate).toBe('2025-09-15');
+    expect(monthly[monthly.length - 1].dueDate).toBe('2026-06-05');
+  });
+
+  it('gives annual and one-time fees a single instalment', () => {
+    expect(feeService.buildSchedule({ frequency: 'annually' }, YEAR)).toEqual([
+      { installmentNumber: 1, periodStart: '2025-09-01', dueDate: '2025-09-01' }
+    ]);
+    expect(feeService.buildSchedule({ frequency: 'one_time', due_date_rule: '20' }, YEAR)).toHaveLength(1);
+  });
+});
+
+describe('/api/fees', () => {
+  let school;
+  let accountant;
+  let year;
+  let classA;
+  let classB;
+  let studentA;
+  let studentB;
+
+  const as = (method, path) => request(app)[method](`/api/fees${path}`)
+    .set('Authorization', `Bearer ${accountant.token}`);
+
+  const generate = (body = {}) => as('post', '/generate').send({ school_id: school.id, academic_year_id: year.id, ...body });
+
+  const feesOf = async (student) => {
+    const result = await pool.query(
+      `SELECT fs.class_id, sf.amount::float as amount
+       FROM student_fees sf JOIN fee_structures fs ON sf.fee_structure_id = fs.id
+       WHERE sf.student_id = $1`,
+      [student.id]
+    );
+    return result.rows;
+  };
+
+  beforeAll(async () => {
+    await fixtures.grantPermissions('Accountant', [['finance', 'read'], ['finance', 'create'], ['finance', 'update']]);
+  });
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    accountant = await fixtures.createStaff('Accountant', school.id);
+    year = await fixtures.createAcademicYear(school.id, { start_date: '2025-09-01', end_date: '2026-06-30' });
+    classA = await fixtures.createClass(school.id, year.id);
+    classB = await fixtures.createClass(school.id, year.id);
+    studentA = await fixtures.createStudent(school.id);
+    studentB = await fixtures.createStudent(school.id);
+    await fixtures.createEnrollment(studentA.id, classA.id, year.id);
+    await fixtures.createEnrollment(studentB.id, classB.id, year.id);
+  });
+
+  it('creates a structure and reports its schedule', async () => {
+    const response = await as('post', '/structures').send({
+      school_id: school.id,
+      academic_year_id: year.id,
+      fee_type: 'tuition',
+      amount: '1200.00',
+      frequency: 'quarterly'
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.schedule).toHaveLength(4);
+  });
+
+  it('lets a class\'s own structure replace the school-wide one of the same type', async () => {
+    await fixtures.createFeeStructure(school.id, year.id, { fee_type: 'tuition', amount: 1000, frequency: 'annually' });
+    await fixtures.createFeeStructure(school.id, year.id, { class_id: classA.id, fee_type: 'tuition', amount: 1500, frequency: 'annually' });
+
+    const response = await generate();
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.created).toBe(2);
+    expect(await feesOf(studentA)).toEqual([{ class_id: classA.id, amount: 1500 }]);
+    expect(await feesOf(studentB)).toEqual([{ class_id: null, amount: 1000 }]);
+  });
+
+  it('only fills gaps when run again, and previews without writing', async () => {
+    await fixtures.createFeeStructure(school.id, year.id, { frequency: 'monthly', due_date_rule: 'monthly_5th' });
+
+    const preview = await generate({ dry_run: true });
+    expect(preview.body.data).toMatchObject({ dryRun: true, created: 20 });
+    expect(await feesOf(studentA)).toEqual([]);
+
+    expect((await generate()).body.data).toMatchObject({ created: 20, existing: 0 });
+
+    const lateStudent = await fixtures.createStudent(school.id);
+    await fixtures.createEnrollment(lateStudent.id, classB.id, year.id);
+
+    expect((await generate()).body.data).toMatchObject({ created: 10, existing: 20 });
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const academicRoutes = require('../routes/academic');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+describe('/api/academic/grades', () => {
+  let school;
+  let cls;
+  let subject;
+  let term;
+  let teacher;
+  let students;
+
+  const as = (method, path, token = teacher.token) => request(app)[method](`/api/academic${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const sheet = (marks, body = {}) => ({
+    class_id: cls.id,
+    subject_id: subject.id,
+    term_id: term.id,
+    assessment_type: 'quiz',
+    assessment_name: 'Quiz 1',
+    total_marks: 20,
+    marks,
+    ...body
+  });
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    const year = await fixtures.createAcademicYear(school.id);
+    term = await fixtures.createTerm(year.id);
+    cls = await fixtures.createClass(school.id, year.id);
+    subject = await fixtures.createSubject(school.id, { name: 'Mathematics' });
+    teacher = await fixtures.createTeacher(school.id);
+    await fixtures.createTimetableSlot(cls.id, subject.id, teacher.teacherId);
+
+    students = [];
+    for (let i = 0; i < 2; i++) {
+      const student = await fixtures.createStudent(school.id);
+      await fixtures.createEnrollment(student.id, cls.id, year.id);
+      students.push(student);
+    }
+  });
+
+  it('records a class sheet and updates it when re-entered', async () => {
+    const first = await as('post', '/grades/bulk').send(sheet([
+      { student_id: students[0].id, marks_obtained: 17 },
+      { student_id: students[1].id, marks_obtained: 12 }
+    ]));
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({ created: 2, updated: 0 });
+    expect(first.body.data.grades[0].percentage).toBe(85);
+
+    const again = await as('post', '/grades/bulk').send(sheet([{ student_id: students[0].id, marks_obtained: 19 }]));
+    expect(again.body.data).toMatchObject({ created: 0, updated: 1 });
+
+    const results = await as('get', `/grades/student/${students[0].id}`).query({ term_id: term.id });
+    expect(results.body.data.summary.subjects).toEqual([
+      expect.objectContaining({ subjectName: 'Mathematics', assessments: 1, percentage: 95, letter: 'A' })
+    ]);
+  });
+
+  it('rejects the whole sheet when any student is not in the class', async () => {
+    const outsider = await fixtures.createStudent(school.id);
+
+    const response = await as('post', '/grades/bulk').send(sheet([
+      { student_id: students[0].id, marks_obtained: 10 },
+      { student_id: outsider.id, marks_obtained: 10 }
+    ]));
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([
+      expect.objectContaining({ index: 1, reason: 'Student is not enrolled in this class' })
+    ]);
+    const results = await as('get', `/grades/student/${students[0].id}`);
+    expect(results.body.data.grades).toEqual([]);
+  });
+
+  it('rejects marks above the total', async () => {
+    const response = await as('post', '/grades/bulk').send(sheet([{ student_id: students[0].id, marks_obtained: 21 }]));
+
+    expect(response.status).toBe(400);
+  });
+
+  it('lets only the timetabled teacher enter or correct marks', async () => {
+    const otherTeacher = await fixtures.createTeacher(school.id);
+    const assessment = sheet([]);
+    delete assessment.marks;
+    const recorded = await as('post', '/grades').send({ ...assessment, student_id: students[0].id, marks_obtained: 15 });
+    expect(recorded.status).toBe(201);
+
+    const byOther = await as('post', '/grades/bulk', otherTeacher.token)
+      .send(sheet([{ student_id: students[0].id, marks_obtained: 20 }]));
+    expect(byOther.status).toBe(403);
+
+    const correction = await as('put', `/grades/${recorded.body.data.id}`, otherTeacher.token).send({ marks_obtained: 20 });
+    expect(correction.status).toBe(403);
+
+    const ownCorrection = await as('put', `/grades/${recorded.body.data.id}`).send({ marks_obtained: 16 });
+    expect(ownCorrection.status).toBe(200);
+    expect(ownCorrection.body.data.marksObtained).toBe(16);
+  });
+
+  it('shows a student their own results but not a classmate\'s', async () => {
+    await as('post', '/grades/bulk').send(sheet([{ student_id: students[0].id, marks_obtained: 10 }]));
+    await fixtures.assignRole(students[0].user_id, 'Student', school.id);
+    const token = fixtures.tokenFor(students[0].user_id);
+
+    expect((await as('get', `/grades/student/${students[0].id}`, token)).status).toBe(200);
+    expect((await as('get', `/grades/student/${students[1].id}`, token)).status).toBe(403);
+  });
+});
@@ -0,0 +1,148 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const academicRoutes = require('../routes/academic');
+const gradingService = require('../services/gradingService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+const SCALE = [
+  { letter: 'Pass', minPercentage: 50, points: 1 },
+  { letter: 'Distinction', minPercentage: 75, points: 2 },
+  { letter: 'Fail', minPercentage: 0, points: 0 }
+];
+
+describe('gradingService', () => {
+  it('accepts a scale with unique bands starting at 0%', () => {
+    expect(gradingService.validateScale(SCALE)).toEqual([]);
+    expect(gradingService.validateScale([])).toHaveLength(1);
+    expect(gradingService.validateScale([{ letter: 'A', minPercentage: 50, points: 1 }]))
+      .toEqual(['Scale must include a band starting at 0% so every mark gets a letter']);
+    expect(gradingService.validateScale([
+      { letter: 'A', minPercentage: 0, points: 1 },
+      { letter: 'A', minPercentage: 0, points: 1 }
+    ])).toHaveLength(2);
+  });
+
+  it('requires weights to be positive and add up to 100', () => {
+    expect(gradingService.validateWeights({ quiz: 40, final: 60 })).toEqual([]);
+    expect(gradingService.validateWeights({})).toEqual([]);
+    expect(gradingService.validateWeights({ quiz: 40, final: 50 })).toEqual(['Weights must add up to 100 (currently 90)']);
+    expect(gradingService.validateWeights({ quiz: -10, final: 110 })).toHaveLength(1);
+  });
+
+  it('picks the highest band a percentage reaches', () => {
+    const scale = gradingService.sortScale(SCALE);
+
+    expect(gradingService.bandFor(75, scale).letter).toBe('Distinction');
+    expect(gradingService.bandFor(74.99, scale).letter).toBe('Pass');
+    expect(gradingService.bandFor(0, scale).letter).toBe('Fail');
+    expect(gradingService.bandFor(null, scale)).toBeNull();
+  });
+
+  it('averages each assessment type before weighting, rescaling over assessed types', () => {
+    const grades = [
+      { assessmentType: 'quiz', marksObtained: 10, totalMarks: 10 },
+      { assessmentType: 'quiz', marksObtained: 0, totalMarks: 30 },
+      { assessmentType: 'final', marksObtained: 80, totalMarks: 100 },
+      { assessmentType: 'project', marksObtained: 5, totalMarks: 10 }
+    ];
+
+    expect(gradingService.weightedPercentage(grades, { quiz: 20, midterm: 30, final: 50 }))
+      .toEqual({ percentage: 64.29, unweightedTypes: ['project'] });
+    expect(gradingService.weightedPercentage(grades, {}))
+      .toEqual({ percentage: 63.33, unweightedTypes: [] });
+    expect(gradingService.weightedPercentage([], { quiz: 100 }).percentage).toBeNull();
+  });
+
+  it('summarizes subjects into an average letter and GPA', () => {
+    const config = { scale: gradingService.sortScale(SCALE), weights: {} };
+    const summary = gradingService.summarize([
+      { subjectId: 'math', subjectName: 'Mathematics', assessmentType: 'quiz', marksObtained: 90, totalMarks: 100 },
+      { subjectId: 'art', subjectName: 'Art', assessmentType: 'quiz', marksObtained: 60, totalMarks: 100 }
+    ], config);
+
+    expect(summary.subjects.map(subject => subject.letter)).toEqual(['Distinction', 'Pass']);
+    expect(summary).toMatchObject({ average: 75, letter: 'Distinction', gpa: 1.5 });
+  });
+});
+
+describe('/api/academic/grading', () => {
+  let school;
+  let admin;
+
+  const as = (method, path, token = admin.token) => request(app)[method](`/api/academic${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+  });
+
+  it('falls back to the default scale until the school saves one', async () => {
+    const response = await as('get', '/grading').query({ school_id: school.id });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ isDefaultScale: true, weights: {} });
+    expect(response.body.data.scale[0].letter).toBe('A');
+  });
+
+  it('regrades the school\'s stored marks when the scale changes', async () => {
+    const year = await fixtures.createAcademicYear(school.id);
+    const term = await fixtures.createTerm(year.id);
+    const cls = await fixtures.createClass(school.id, year.id);
+    const subject = await fixtures.createSubject(school.id);
+    const teacher = await fixtures.createTeacher(school.id);
+    await fixtures.createTimetableSlot(cls.id, subject.id, teacher.teacherId);
+    const student = await fixtures.createStudent(school.id);
+    await fixtures.createEnrollment(student.id, cls.id, year.id);
+
+    const entered = await as('post', '/grades', teacher.token).send({
+      student_id: student.id,
+      class_id: cls.id,
+      subject_id: subject.id,
+      term_id: term.id,
+      assessment_type: 'quiz',
+      assessment_name: 'Quiz 1',
+      marks_obtained: 16,
+      total_marks: 20
+    });
+    expect(entered.body.data.grade).toBe('B');
+
+    const response = await as('put', '/grading/scale').send({ school_id: school.id, scale: SCALE });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ isDefaultScale: false, regradedCount: 1 });
+    expect(response.body.data.scale.map(band => band.letter)).toEqual(['Distinction', 'Pass', 'Fail']);
+    const stored = await pool.query('SELECT grade FROM grades WHERE id = $1', [entered.body.data.id]);
+    expect(stored.rows[0].grade).toBe('Distinction');
+  });
+
+  it('rejects an invalid scale or weights with the reasons', async () => {
+    const scale = await as('put', '/grading/scale')
+      .send({ school_id: school.id, scale: [{ letter: 'A', minPercentage: 50, points: 4 }] });
+    expect(scale.status).toBe(400);
+    expect(scale.body.details).toHaveLength(1);
+
+    const weights = await as('put', '/grading/weights').send({ school_id: school.id, weights: { quiz: 30 } });
+    expect(weights.status).toBe(400);
+  });
+
+  it('saves assessment weights', async () => {
+    const response = await as('put', '/grading/weights').send({ school_id: school.id, weights: { quiz: 40, final: 60 } });
+
+    expect(response.status).toBe(200);
+    const config = await as('get', '/grading').query({ school_id: school.id });
+    expect(config.body.data.weights).toEqual({ quiz: 40, final: 60 });
+  });
+
+  it('leaves grading to admins of the school', async () => {
+    const teacher = await fixtures.createStaff('Teacher', school.id);
+    const otherAdmin = await fixtures.createStaff('Admin', (await fixtures.createSchool()).id);
+    const body = { school_id: school.id, weights: { quiz: 100 } };
+
+    expect((await as('put', '/grading/weights', teacher.token).send(body)).status).toBe(403);
+    expect((await as('put', '/grading/weights', otherAdmin.token).send(body)).status).toBe(403);
+  });
+});
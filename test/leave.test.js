@@ -0,0 +1,116 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const academicRoutes = require('../routes/academic');
+const leaveService = require('../services/leaveService');
+const emailService = require('../src/services/emailService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+describe('leaveService', () => {
+  it('counts working dates per calendar year', () => {
+    expect(leaveService.daysByYear(['2025-12-30', '2025-12-31', '2026-01-01'])).toEqual({ 2025: 2, 2026: 1 });
+  });
+});
+
+describe('/api/academic/leave', () => {
+  let school;
+  let admin;
+  let principal;
+  let teacher;
+  let annual;
+  let sendEmail;
+
+  const as = (method, path, token) => request(app)[method](`/api/academic${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const requestLeave = (body) => as('post', '/leave/requests', teacher.token).send({ leave_type_id: annual.id, ...body });
+
+  const balances = async (year) => {
+    const response = await as('get', '/leave/balances', teacher.token).query({ school_id: school.id, year });
+    return response.body.data.balances[0];
+  };
+
+  const absences = async () => {
+    const result = await pool.query(
+      "SELECT id FROM teacher_absences WHERE teacher_id = $1 AND status = 'active'",
+      [teacher.teacherId]
+    );
+    return result.rows;
+  };
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+    principal = await fixtures.createStaff('Principal', school.id);
+    teacher = await fixtures.createTeacher(school.id);
+    annual = await fixtures.insert('leave_types', { school_id: school.id, name: 'Annual', annual_allowance: 3 });
+    sendEmail = jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ messageId: 'email-1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges leave over the new year to each year\'s balance', async () => {
+    // Monday 29 December to Friday 2 January: three days in 2025, two in 2026
+    const response = await requestLeave({ start_date: '2025-12-29', end_date: '2026-01-02' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ days: 5, daysByYear: { 2025: 3, 2026: 2 } });
+    expect(await balances(2025)).toMatchObject({ pending: 3, remaining: 0 });
+    expect(await balances(2026)).toMatchObject({ pending: 2, remaining: 1 });
+
+    const tooLong = await requestLeave({ start_date: '2026-01-05', end_date: '2026-01-06' });
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body.details).toEqual({ year: 2026, requested: 2, remaining: 1 });
+  });
+
+  it('accepts only one of two overlapping requests sent together', async () => {
+    const responses = await Promise.all([
+      requestLeave({ start_date: '2025-03-03', end_date: '2025-03-04' }),
+      requestLeave({ start_date: '2025-03-04', end_date: '2025-03-05' })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+  });
+
+  it('needs a different approver at each stage and records one absence', async () => {
+    const superAdmin = await fixtures.createStaff('Super Admin', school.id);
+    const leave = (await requestLeave({ start_date: '2025-03-03', end_date: '2025-03-05' })).body.data;
+    const approve = (token) => as('post', `/leave/requests/${leave.id}/approve`, token).send({});
+
+    expect((await approve(admin.token)).status).toBe(403);
+
+    const forwarded = await approve(superAdmin.token);
+    expect(forwarded.status).toBe(200);
+    expect(forwarded.body.data.currentStage).toBe('admin');
+
+    expect((await approve(superAdmin.token)).status).toBe(403);
+
+    const approved = await approve(admin.token);
+    expect(approved.status).toBe(200);
+    expect(approved.body.data.status).toBe('approved');
+    expect(await absences()).toEqual([{ id: approved.body.data.absenceId }]);
+    expect(await balances(2025)).toMatchObject({ used: 3, pending: 0 });
+    expect(sendEmail).toHaveBeenCalled();
+  });
+
+  it('refuses final approval over an absence already recorded for those dates', async () => {
+    const leave = (await requestLeave({ start_date: '2025-03-03', end_date: '2025-03-05' })).body.data;
+    await as('post', `/leave/requests/${leave.id}/approve`, principal.token).send({});
+    const absence = await fixtures.insert('teacher_absences', {
+      school_id: school.id,
+      teacher_id: teacher.teacherId,
+      start_date: '2025-03-04',
+      end_date: '2025-03-04'
+    });
+
+    const response = await as('post', `/leave/requests/${leave.id}/approve`, admin.token).send({});
+
+    expect(response.status).toBe(409);
+    expect(response.body.details).toEqual({ absenceId: absence.id });
+    expect(await absences()).toHaveLength(1);
+  });
+});
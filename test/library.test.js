@@ -0,0 +1,159 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const libraryRoutes = require('../routes/library');
+const libraryService = require('../services/libraryService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/library', libraryRoutes);
+
+describe('libraryService', () => {
+  it('normalizes ISBNs so formatted and bare forms match', () => {
+    expect(libraryService.normalizeISBN('978-0-13-110362-7')).toBe('9780131103627');
+    expect(libraryService.normalizeISBN('0 306 40615 x')).toBe('030640615X');
+    expect(libraryService.normalizeISBN(undefined)).toBeNull();
+  });
+
+  it('charges the daily fine for each whole day past due', () => {
+    expect(libraryService.calculateFine('2025-03-01', new Date(2025, 2, 1))).toEqual({ overdueDays: 0, fineAmount: 0 });
+    expect(libraryService.calculateFine('2025-03-01', new Date(2025, 2, 4, 18))).toEqual({ overdueDays: 3, fineAmount: 3 });
+    expect(libraryService.calculateFine('2025-03-10', new Date(2025, 2, 1))).toEqual({ overdueDays: 0, fineAmount: 0 });
+  });
+});
+
+describe('/api/library', () => {
+  let school;
+  let librarian;
+
+  const as = (method, path, token = librarian.token) => request(app)[method](`/api/library${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const addBook = (body) => as('post', '/books').send({
+    school_id: school.id,
+    title: 'The C Programming Language',
+    author: 'Kernighan and Ritchie',
+    ...body
+  });
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    librarian = await fixtures.createStaff('Librarian', school.id);
+  });
+
+  describe('catalog', () => {
+    it('rejects a second book with the same ISBN, however it is formatted', async () => {
+      expect((await addBook({ isbn: '978-0-13-110362-7' })).status).toBe(201);
+
+      const duplicate = await addBook({ isbn: '9780131103627' });
+
+      expect(duplicate.status).toBe(409);
+    });
+
+    it('rejects an update that gives a book another book\'s ISBN', async () => {
+      await addBook({ isbn: '978-0-13-110362-7' });
+      const other = await addBook({ title: 'Introduction to Algorithms', isbn: '9780262033848' });
+
+      const response = await as('put', `/books/${other.body.data.id}`).send({ isbn: '978-0-13-110362-7' });
+
+      expect(response.status).toBe(409);
+      const stored = await pool.query('SELECT isbn FROM library_books WHERE id = $1', [other.body.data.id]);
+      expect(stored.rows[0].isbn).toBe('9780262033848');
+    });
+
+    it('lets a book keep its own ISBN on update', async () => {
+      const book = await addBook({ isbn: '978-0-13-110362-7' });
+
+      const response = await as('put', `/books/${book.body.data.id}`).send({ isbn: '9780131103627', location: 'B2' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ isbn: '9780131103627', location: 'B2' });
+    });
+
+    it('allows the same ISBN at another school', async () => {
+      await addBook({ isbn: '978-0-13-110362-7' });
+      const otherSchool = await fixtures.createSchool();
+      const otherLibrarian = await fixtures.createStaff('Librarian', otherSchool.id);
+
+      const response = await as('post', '/books', otherLibrarian.token).send({
+        school_id: otherSchool.id,
+        title: 'The C Programming Language',
+        author: 'Kernighan and Ritchie',
+        isbn: '978-0-13-110362-7'
+      });
+
+      expect(response.status).toBe(201);
+    });
+
+    it('keeps loans in place when copies_total changes', async () => {
+      const book = await addBook({ copies_total: 3 });
+      const borrower = await fixtures.createStaff('Teacher', school.id);
+      await as('post', '/issues').send({ book_id: book.body.data.id, user_id: borrower.id });
+
+      expect((await as('put', `/books/${book.body.data.id}`).send({ copies_total: 5 })).body.data)
+        .toMatchObject({ copiesTotal: 5, copiesAvailable: 4 });
+      expect((await as('put', `/books/${book.body.data.id}`).send({ copies_total: 1 })).body.data)
+        .toMatchObject({ copiesTotal: 1, copiesAvailable: 0 });
+    });
+  });
+
+  describe('circulation', () => {
+    let book;
+
+    beforeEach(async () => {
+      book = (await addBook({ copies_total: 1 })).body.data;
+    });
+
+    it('lends the last copy to only one of two concurrent borrowers', async () => {
+      const first = await fixtures.createStaff('Teacher', school.id);
+      const second = await fixtures.createStaff('Teacher', school.id);
+
+      const responses = await Promise.all([
+        as('post', '/issues').send({ book_id: book.id, user_id: first.id }),
+        as('post', '/issues').send({ book_id: book.id, user_id: second.id })
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+      const stored = await pool.query('SELECT copies_available FROM library_books WHERE id = $1', [book.id]);
+      expect(stored.rows[0].copies_available).toBe(0);
+    });
+
+    it('refuses borrowers from another school', async () => {
+      const outsider = await fixtures.createStaff('Teacher', (await fixtures.createSchool()).id);
+
+      const response = await as('post', '/issues').send({ book_id: book.id, user_id: outsider.id });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('fines late returns and puts the copy back on the shelf', async () => {
+      const borrower = await fixtures.createStaff('Teacher', school.id);
+      const issued = await as('post', '/issues').send({ book_id: book.id, user_id: borrower.id });
+      await pool.query("UPDATE library_issues SET due_date = CURRENT_DATE - 4 WHERE id = $1", [issued.body.data.id]);
+
+      const returned = await as('post', `/issues/${issued.body.data.id}/return`).send({});
+
+      expect(returned.status).toBe(200);
+      expect(returned.body.data).toMatchObject({ status: 'returned', overdueDays: 4, fineAmount: 4 });
+      const stored = await pool.query('SELECT copies_available FROM library_books WHERE id = $1', [book.id]);
+      expect(stored.rows[0].copies_available).toBe(1);
+
+      expect((await as('post', `/issues/${issued.body.data.id}/return`).send({})).status).toBe(409);
+    });
+
+    it('renews up to the limit and marks past-due loans overdue', async () => {
+      const borrower = await fixtures.createStaff('Teacher', school.id);
+      const issued = (await as('post', '/issues').send({ book_id: book.id, user_id: borrower.id })).body.data;
+
+      for (let renewal = 0; renewal < libraryService.maxRenewals; renewal++) {
+        expect((await as('post', `/issues/${issued.id}/renew`).send({})).status).toBe(200);
+      }
+      expect((await as('post', `/issues/${issued.id}/renew`).send({})).status).toBe(409);
+
+      await pool.query("UPDATE library_issues SET due_date = CURRENT_DATE - 2 WHERE id = $1", [issued.id]);
+      expect(await libraryService.markOverdueIssues(school.id)).toBe(1);
+
+      const stored = await pool.query('SELECT status, fine_amount FROM library_issues WHERE id = $1', [issued.id]);
+      expect(stored.rows[0]).toEqual({ status: 'overdue', fine_amount: '2.00' });
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const messageRoutes = require('../routes/messages');
+const messagingService = require('../services/messagingService');
+const notificationService = require('../services/notificationService');
+const twilioService = require('../services/twilioService');
+const emailService = require('../src/services/emailService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/messages', messageRoutes);
+
+describe('messagingService.groupNudges', () => {
+  const row = (values) => ({
+    user_id: 'guardian',
+    school_id: 'school-a',
+    school_name: 'School A',
+    thread_id: 'thread-1',
+    subject: 'Homework',
+    sender_first_name: 'Almaz',
+    sender_last_name: 'Tesfaye',
+    ...values
+  });
+
+  it('nudges a recipient once per school, listing every sender and thread there', () => {
+    const nudges = messagingService.groupNudges([
+      row({ message_id: 'm1' }),
+      row({ message_id: 'm2', thread_id: 'thread-2', subject: 'Trip', sender_first_name: 'Dawit' }),
+      row({ message_id: 'm3', school_id: 'school-b', school_name: 'School B' })
+    ]);
+
+    expect(nudges).toHaveLength(2);
+    expect(nudges[0]).toMatchObject({ school_name: 'School A', messageIds: ['m1', 'm2'] });
+    expect([...nudges[0].senders]).toEqual(['Almaz Tesfaye', 'Dawit Tesfaye']);
+    expect([...nudges[0].threads.values()]).toEqual(['Homework', 'Trip']);
+    expect(nudges[1]).toMatchObject({ school_name: 'School B', messageIds: ['m3'] });
+  });
+});
+
+describe('/api/messages/threads', () => {
+  let school;
+  let teacher;
+  let outsider;
+  let admin;
+  let student;
+  let guardian;
+
+  const as = (user, method, path) => request(app)[method](`/api/messages/threads${path}`)
+    .set('Authorization', `Bearer ${user.token}`);
+
+  const start = (body = {}) => as(teacher, 'post', '').send({
+    student_id: student.id,
+    subject: 'Homework this week',
+    body: 'Could we talk about the maths assignment?',
+    ...body
+  });
+
+  const notificationsOf = async (user) => (await notificationService.getInbox(user.id, { limit: 10, offset: 0 })).notifications;
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool({ name: 'Hillside School' });
+    teacher = await fixtures.createStaff('Teacher', school.id, { first_name: 'Almaz', last_name: 'Tesfaye' });
+    outsider = await fixtures.createStaff('Teacher', school.id);
+    admin = await fixtures.createStaff('Admin', school.id);
+    const year = await fixtures.createAcademicYear(school.id);
+    const cls = await fixtures.createClass(school.id, year.id, { class_teacher_id: teacher.id });
+    student = await fixtures.createStudent(school.id);
+    await fixtures.createEnrollment(student.id, cls.id, year.id);
+    const parent = await fixtures.createGuardian(school.id, student.id, { phone: `+2519${Date.now() % 100000000}` });
+    guardian = { ...parent.user, token: fixtures.tokenFor(parent.user.id) };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets only a teacher of the student start a thread, and notifies guardians without the text', async () => {
+    expect((await as(outsider, 'post', '').send({
+      student_id: student.id,
+      subject: 'Hello',
+      body: 'Hi'
+    })).status).toBe(403);
+
+    const started = await start();
+    expect(started.status).toBe(201);
+    expect(started.body.data.participants.map(participant => participant.role).sort()).toEqual(['guardian', 'teacher']);
+
+    expect(await notificationsOf(guardian)).toEqual([expect.objectContaining({
+      title: 'New message from Almaz Tesfaye',
+      message: 'New message in "Homework this week"',
+      category: 'messages',
+      link: `/messages/${started.body.data.id}`
+    })]);
+  });
+
+  it('tracks read receipts per recipient', async () => {
+    const threadId = (await start()).body.data.id;
+    expect((await as(guardian, 'get', '?unread=true')).body.data.data).toEqual([
+      expect.objectContaining({ id: threadId, unreadCount: 1 })
+    ]);
+
+    expect((await as(guardian, 'post', `/${threadId}/read`)).body.data.marked).toBe(1);
+
+    const thread = await as(teacher, 'get', `/${threadId}`);
+    expect(thread.body.data.messages.data[0].receipts).toEqual([
+      expect.objectContaining({ userId: guardian.id, readAt: expect.any(String) })
+    ]);
+    expect((await as(guardian, 'get', '?unread=true')).body.data.data).toEqual([]);
+  });
+
+  it('downloads attachments under their original name with an ASCII fallback', async () => {
+    const started = await start({
+      attachments: [{ filename: 'Résumé "final".txt', content_type: 'text/plain', content: Buffer.from('notes').toString('base64') }]
+    });
+    const thread = await as(guardian, 'get', `/${started.body.data.id}`);
+    const [attachment] = thread.body.data.messages.data[0].attachments;
+
+    const download = await as(guardian, 'get', `/${started.body.data.id}/attachments/${attachment.id}`);
+
+    expect(download.status).toBe(200);
+    expect(download.headers['content-disposition'])
+      .toBe('attachment; filename="R_sum_ _final_.txt"; filename*=UTF-8\'\'R%C3%A9sum%C3%A9%20%22final%22.txt');
+    expect(download.text).toBe('notes');
+  });
+
+  it('lets school administrators hide messages and lock threads', async () => {
+    const started = await start({ body: 'Something unkind' });
+    const threadId = started.body.data.id;
+    const messageId = started.body.data.messageId;
+
+    expect((await as(teacher, 'patch', `/${threadId}/messages/${messageId}/moderation`).send({ hidden: true })).status).toBe(403);
+    expect((await as(admin, 'patch', `/${threadId}/messages/${messageId}/moderation`).send({ hidden: true, reason: 'Unkind' })).status).toBe(200);
+
+    const seenByGuardian = await as(guardian, 'get', `/${threadId}`);
+    expect(seenByGuardian.body.data.messages.data[0]).toMatchObject({ body: null, isHidden: true });
+    expect((await as(admin, 'get', `/${threadId}`)).body.data.messages.data[0].body).toBe('Something unkind');
+    expect(JSON.stringify(await notificationsOf(guardian))).not.toContain('unkind');
+
+    expect((await as(admin, 'patch', `/${threadId}/status`).send({ status: 'locked' })).status).toBe(200);
+    expect((await as(guardian, 'post', `/${threadId}/messages`).send({ body: 'Hello?' })).status).toBe(409);
+  });
+
+  it('nudges a guardian once about messages left unread', async () => {
+    const sendSms = jest.spyOn(twilioService, 'sendCustomSMS').mockResolvedValue({ sid: 'SM123' });
+    jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true, queued: true, queueId: 'queue-1', digested: [], optedOut: [] });
+    jest.replaceProperty(messagingService, 'nudgeDelayMs', 0);
+    await start();
+    await start({ subject: 'School trip' });
+
+    await messagingService.dispatchNudges();
+    await messagingService.dispatchNudges();
+
+    const nudges = sendSms.mock.calls.filter(([phone]) => phone === guardian.phone);
+    expect(nudges).toEqual([[guardian.phone,
+      'SIMS Hillside School: you have 2 unread message(s) from Almaz Tesfaye. Sign in to SIMS to read and reply.']]);
+
+    const receipts = await pool.query(
+      'SELECT nudged_at IS NOT NULL as nudged FROM message_receipts WHERE user_id = $1',
+      [guardian.id]
+    );
+    expect(receipts.rows).toEqual([{ nudged: true }, { nudged: true }]);
+  });
+});
@@ -0,0 +1,192 @@
+const http = require('http');
+const request = require('supertest');
+const pool = require('../config/database');
+const notificationRoutes = require('../routes/notifications');
+const userRoutes = require('../routes/users');
+const notificationService = require('../services/notificationService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/notifications', notificationRoutes);
+const usersApp = buildApp('/api/users', userRoutes);
+
+const notice = (values) => ({ title: 'Notice', message: 'Something happened', ...values });
+
+const recipientsOf = async (title) => {
+  const result = await pool.query('SELECT recipient_id FROM notifications WHERE title = $1', [title]);
+  return result.rows.map(row => row.recipient_id).sort();
+};
+
+describe('notificationService.notify', () => {
+  let school;
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('notifies the active holders of a role at the school only', async () => {
+    const teacher = await fixtures.createStaff('Teacher', school.id);
+    const inactive = await fixtures.createStaff('Teacher', school.id);
+    await pool.query('UPDATE users SET is_active = false WHERE id = $1', [inactive.id]);
+    await fixtures.createStaff('Teacher', (await fixtures.createSchool()).id);
+    const title = `Staff meeting ${fixtures.unique()}`;
+
+    const created = await notificationService.notify({ role: 'Teacher', schoolId: school.id }, notice({ title, schoolId: school.id }));
+
+    expect(created).toEqual([expect.objectContaining({ title, schoolId: school.id, isRead: false, category: 'general' })]);
+    expect(await recipientsOf(title)).toEqual([teacher.id]);
+  });
+
+  it('notifies students and, when asked, their guardians', async () => {
+    const student = await fixtures.createStudent(school.id);
+    const guardian = await fixtures.createGuardian(school.id, student.id);
+    const studentsOnly = `Marks ${fixtures.unique()}`;
+    const withGuardians = `Marks ${fixtures.unique()}`;
+
+    await notificationService.notify({ studentIds: [student.id] }, notice({ title: studentsOnly }));
+    await notificationService.notify({ studentIds: [student.id], includeGuardians: true }, notice({ title: withGuardians }));
+
+    expect(await recipientsOf(studentsOnly)).toEqual([student.user_id]);
+    expect(await recipientsOf(withGuardians)).toEqual([student.user_id, guardian.user.id].sort());
+  });
+
+  it('creates nothing when the caller\'s transaction rolls back', async () => {
+    const user = await fixtures.createUser();
+    const title = `Rolled back ${fixtures.unique()}`;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      expect(await notificationService.notify(user.id, notice({ title }), client)).toHaveLength(1);
+      await client.query('ROLLBACK');
+    } finally {
+      client.release();
+    }
+
+    expect(await recipientsOf(title)).toEqual([]);
+  });
+
+  it('rejects unknown types, and notifySafely logs failures instead of throwing', async () => {
+    const user = await fixtures.createUser();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(notificationService.notify(user.id, notice({ type: 'urgent' }))).rejects.toThrow(/type must be one of/);
+    await expect(notificationService.notifySafely(user.id, notice({ title: '' }))).resolves.toEqual([]);
+  });
+
+  it('tells a guardian about a fee payment with a link to the receipt', async () => {
+    await fixtures.grantPermissions('Accountant', [['finance', 'collect_fees']]);
+    const accountant = await fixtures.createStaff('Accountant', school.id);
+    const year = await fixtures.createAcademicYear(school.id);
+    const structure = await fixtures.createFeeStructure(school.id, year.id);
+    const student = await fixtures.createStudent(school.id);
+    const guardian = await fixtures.createGuardian(school.id, student.id);
+    const studentFee = await fixtures.createStudentFee(student.id, structure.id, { amount: 1000 });
+
+    const payment = await request(usersApp)
+      .post('/api/users/fees/collect')
+      .set('Authorization', `Bearer ${accountant.token}`)
+      .send({ payment_method: 'cash', student_fee_id: studentFee.id, amount: '250' });
+
+    const { notifications } = await notificationService.getInbox(guardian.user.id, { limit: 10, offset: 0 });
+    expect(notifications).toEqual([expect.objectContaining({
+      category: 'fees',
+      link: `/fees/receipts/${payment.body.data.receiptId}`,
+      message: expect.stringContaining('Outstanding balance: 750.00')
+    })]);
+  });
+});
+
+describe('/api/notifications', () => {
+  let user;
+  let other;
+
+  const as = (method, path, token = user.token) => request(app)[method](`/api/notifications${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    const school = await fixtures.createSchool();
+    user = await fixtures.createStaff('Teacher', school.id);
+    other = await fixtures.createStaff('Teacher', school.id);
+  });
+
+  it('lists, reads and deletes only the user\'s own notifications', async () => {
+    const [first] = await notificationService.notify(user.id, notice({ title: 'First', category: 'fees' }));
+    await notificationService.notify(user.id, notice({ title: 'Second' }));
+    const [theirs] = await notificationService.notify(other.id, notice({ title: 'Theirs' }));
+
+    const inbox = await as('get', '/');
+    expect(inbox.status).toBe(200);
+    expect(inbox.body.data.unreadCount).toBe(2);
+    expect(inbox.body.data.data.map(notification => notification.title)).toEqual(['Second', 'First']);
+    expect((await as('get', '/').query({ category: 'fees' })).body.data.data).toHaveLength(1);
+
+    expect((await as('patch', `/${theirs.id}/read`)).status).toBe(404);
+    expect((await as('delete', `/${theirs.id}`)).status).toBe(404);
+
+    expect((await as('patch', `/${first.id}/read`)).body.data.unreadCount).toBe(1);
+    expect((await as('get', '/').query({ unread: 'true' })).body.data.data.map(notification => notification.title)).toEqual(['Second']);
+
+    expect((await as('patch', '/read-all')).body.data).toEqual({ marked: 1, unreadCount: 0 });
+    expect((await as('delete', `/${first.id}`)).status).toBe(200);
+    expect((await as('get', '/unread-count', other.token)).body.data.count).toBe(1);
+  });
+
+  describe('stream', () => {
+    const openStream = (query) => new Promise((resolve, reject) => {
+      const { port } = app.address();
+      const req = http.get(`http://127.0.0.1:${port}/api/notifications/stream?${query}`, resolve);
+      req.on('error', reject);
+    });
+
+    // Resolve with everything received once it contains the expected text
+    const readUntil = (res, expected) => new Promise(resolve => {
+      let received = '';
+      const onData = (chunk) => {
+        received += chunk;
+        if (received.includes(expected)) {
+          res.off('data', onData);
+          resolve(received);
+        }
+      };
+      res.setEncoding('utf8');
+      res.on('data', onData);
+    });
+
+    afterEach(async () => {
+      await notificationService.stopListener();
+    });
+
+    it('opens once per ticket and pushes new notifications with the unread count', async () => {
+      await notificationService.startListener();
+      const { ticket } = (await as('post', '/stream-ticket')).body.data;
+
+      const res = await openStream(`ticket=${ticket}`);
+      try {
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+        expect(await readUntil(res, 'event: unread-count')).toContain('data: {"count":0}');
+
+        const pushed = readUntil(res, 'data: {"count":1}');
+        await notificationService.notify(user.id, notice({ title: 'Live' }));
+        expect(await pushed).toContain('"title":"Live"');
+      } finally {
+        res.destroy();
+      }
+
+      expect((await openStream(`ticket=${ticket}`)).statusCode).toBe(401);
+    });
+
+    it('refuses expired and unknown tickets', async () => {
+      const { ticket } = await notificationService.createStreamTicket(user.id);
+      await pool.query("UPDATE notification_stream_tickets SET expires_at = NOW() - interval '1 second' WHERE user_id = $1", [user.id]);
+
+      expect(await notificationService.redeemStreamTicket(ticket)).toBeNull();
+      expect((await openStream('ticket=unknown')).statusCode).toBe(401);
+      expect((await openStream('token=unused')).statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const feeRoutes = require('../routes/fees');
+const userRoutes = require('../routes/users');
+const receiptService = require('../services/receiptService');
+const emailService = require('../src/services/emailService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const feesApp = buildApp('/api/fees', feeRoutes);
+const usersApp = buildApp('/api/users', userRoutes);
+
+describe('receiptService.formatReceiptNumber', () => {
+  it('combines the school code, the academic year start and a zero-padded sequence', () => {
+    expect(receiptService.formatReceiptNumber('SCH', '2024-09-01', 42)).toBe('SCH-2024-000042');
+  });
+});
+
+describe('/api/fees/receipts', () => {
+  let school;
+  let accountant;
+  let student;
+  let structure;
+  let studentFee;
+
+  const as = (method, path) => request(feesApp)[method](`/api/fees${path}`)
+    .set('Authorization', `Bearer ${accountant.token}`);
+
+  const collect = (body) => request(usersApp)
+    .post('/api/users/fees/collect')
+    .set('Authorization', `Bearer ${accountant.token}`)
+    .send({ payment_method: 'cash', student_fee_id: studentFee.id, ...body });
+
+  const receiptNumber = (sequence) => receiptService.formatReceiptNumber(school.code, '2025-09-01', sequence);
+
+  beforeAll(async () => {
+    await fixtures.grantPermissions('Accountant', [['finance', 'read'], ['finance', 'collect_fees']]);
+  });
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    accountant = await fixtures.createStaff('Accountant', school.id);
+    const year = await fixtures.createAcademicYear(school.id);
+    structure = await fixtures.createFeeStructure(school.id, year.id);
+    student = await fixtures.createStudent(school.id);
+    studentFee = await fixtures.createStudentFee(student.id, structure.id, { amount: 1000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('numbers concurrent payments one after another without gaps', async () => {
+    const otherFee = await fixtures.createStudentFee(student.id, structure.id, { amount: 1000, installment_number: 2 });
+
+    const responses = await Promise.all([
+      collect({ amount: '100' }),
+      collect({ amount: '100', student_fee_id: otherFee.id }),
+      collect({ amount: '100' })
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([201, 201, 201]);
+    expect(responses.map(response => response.body.data.receiptNumber).sort())
+      .toEqual([receiptNumber(1), receiptNumber(2), receiptNumber(3)]);
+  });
+
+  it('gives a rolled-back payment\'s number to the next one', async () => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const payment = await fixtures.insert('fee_payments', {
+        student_fee_id: studentFee.id,
+        amount_paid: 100,
+        payment_method: 'cash',
+        received_by: accountant.id
+      });
+      expect((await receiptService.issueReceipt(client, payment.id, accountant.id)).receipt_number).toBe(receiptNumber(1));
+      await client.query('ROLLBACK');
+    } finally {
+      client.release();
+    }
+
+    const response = await collect({ amount: '100' });
+
+    expect(response.body.data.receiptNumber).toBe(receiptNumber(1));
+  });
+
+  it('issues a receipt for a payment recorded without one, only once', async () => {
+    const payment = await fixtures.insert('fee_payments', {
+      student_fee_id: studentFee.id,
+      amount_paid: 250,
+      payment_method: 'cash',
+      received_by: accountant.id
+    });
+
+    const issued = await as('post', `/payments/${payment.id}/receipt`);
+    expect(issued.status).toBe(201);
+    expect(issued.body.data).toMatchObject({
+      receiptNumber: receiptNumber(1),
+      payment: { amount: 250 },
+      fee: { amount: 1000, paidToDate: 250, balance: 750 }
+    });
+
+    const again = await as('post', `/payments/${payment.id}/receipt`);
+    expect(again.body.data.id).toBe(issued.body.data.id);
+  });
+
+  it('prints later copies as duplicates', async () => {
+    const receiptId = (await collect({ amount: '100' })).body.data.receiptId;
+
+    const original = await as('get', `/receipts/${receiptId}`).query({ format: 'html' });
+    expect(original.status).toBe(200);
+    expect(original.text).toContain(receiptNumber(1));
+    expect(original.text).not.toContain('DUPLICATE');
+
+    const copy = await as('get', `/receipts/${receiptId}`).query({ format: 'html' });
+    expect(copy.text).toContain('DUPLICATE');
+  });
+
+  it('emails the receipt to the student\'s guardians', async () => {
+    const sendEmail = jest.spyOn(emailService, 'sendEmail')
+      .mockResolvedValue({ success: true, queued: true, queueId: 'queue-1', digested: [], optedOut: [] });
+    const guardian = await fixtures.createGuardian(school.id, student.id);
+    const receiptId = (await collect({ amount: '100' })).body.data.receiptId;
+
+    const response = await as('post', `/receipts/${receiptId}/email`).send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.recipients).toEqual([guardian.user.email]);
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: [guardian.user.email],
+      attachments: [expect.objectContaining({ filename: `receipt_${receiptNumber(1)}.html` })]
+    }));
+  });
+});
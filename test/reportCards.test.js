@@ -0,0 +1,129 @@
+const request = require('supertest');
+const academicRoutes = require('../routes/academic');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+describe('/api/academic/report-cards', () => {
+  let school;
+  let admin;
+  let classTeacher;
+  let term;
+  let cls;
+  let subject;
+  let students;
+
+  const as = (method, path, token = admin.token) => request(app)[method](`/api/academic${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const grade = (student, marksObtained) => fixtures.insert('grades', {
+    student_id: student.id,
+    subject_id: subject.id,
+    term_id: term.id,
+    assessment_type: 'final',
+    assessment_name: 'Final exam',
+    marks_obtained: marksObtained,
+    total_marks: 100,
+    assessed_by: classTeacher.id
+  });
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+    classTeacher = await fixtures.createStaff('Teacher', school.id, { first_name: 'Ada', last_name: 'Lovelace' });
+    const year = await fixtures.createAcademicYear(school.id);
+    term = await fixtures.createTerm(year.id, { name: 'Autumn' });
+    cls = await fixtures.createClass(school.id, year.id, { class_teacher_id: classTeacher.id });
+    subject = await fixtures.createSubject(school.id, { name: 'Mathematics' });
+
+    students = [];
+    for (const lastName of ['Able', 'Baker', 'Carter']) {
+      const student = await fixtures.createStudent(school.id, {}, { last_name: lastName });
+      await fixtures.createEnrollment(student.id, cls.id, year.id);
+      students.push(student);
+    }
+  });
+
+  it('builds a student\'s card with grades, rank and remarks', async () => {
+    await grade(students[0], 70);
+    await grade(students[1], 90);
+    await grade(students[2], 90);
+
+    const remarks = await as('put', '/report-cards/remarks', classTeacher.token)
+      .send({ student_id: students[0].id, term_id: term.id, class_teacher_remarks: 'Steady progress' });
+    expect(remarks.status).toBe(200);
+
+    const response = await as('get', `/report-cards/student/${students[0].id}`).query({ term_id: term.id });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      class: { teacherName: 'Ada Lovelace' },
+      term: { name: 'Autumn' },
+      average: 70,
+      letter: 'C',
+      rank: 3,
+      classSize: 3,
+      remarks: { classTeacher: 'Steady progress', principal: null }
+    });
+    expect(response.body.data.subjects).toEqual([
+      expect.objectContaining({ subjectName: 'Mathematics', percentage: 70, letter: 'C' })
+    ]);
+  });
+
+  it('updates remarks in place, keeping the half not being written', async () => {
+    const save = (body, token) => as('put', '/report-cards/remarks', token)
+      .send({ student_id: students[0].id, term_id: term.id, ...body });
+
+    await save({ class_teacher_remarks: 'Works hard' }, classTeacher.token);
+    await save({ principal_remarks: 'Well done' });
+    const response = await save({ class_teacher_remarks: 'Works very hard' }, classTeacher.token);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      classTeacherRemarks: 'Works very hard',
+      principalRemarks: 'Well done',
+      updatedBy: classTeacher.id
+    });
+  });
+
+  it('keeps principal remarks and other classes\' remarks from other teachers', async () => {
+    const otherTeacher = await fixtures.createStaff('Teacher', school.id);
+    const save = (body, token) => as('put', '/report-cards/remarks', token)
+      .send({ student_id: students[0].id, term_id: term.id, ...body });
+
+    expect((await save({ principal_remarks: 'Well done' }, classTeacher.token)).status).toBe(403);
+    expect((await save({ class_teacher_remarks: 'Hello' }, otherTeacher.token)).status).toBe(403);
+  });
+
+  it('renders HTML and reports PDF as unavailable without a browser', async () => {
+    await grade(students[0], 85);
+
+    const html = await as('get', `/report-cards/student/${students[0].id}`).query({ term_id: term.id, format: 'html' });
+    expect(html.status).toBe(200);
+    expect(html.type).toBe('text/html');
+    expect(html.text).toContain('Mathematics');
+
+    const pdf = await as('get', `/report-cards/student/${students[0].id}`).query({ term_id: term.id, format: 'pdf' });
+    expect(pdf.status).toBe(503);
+  });
+
+  it('shows a student their own card but not a classmate\'s', async () => {
+    await fixtures.assignRole(students[0].user_id, 'Student', school.id);
+    const token = fixtures.tokenFor(students[0].user_id);
+
+    expect((await as('get', `/report-cards/student/${students[0].id}`, token).query({ term_id: term.id })).status).toBe(200);
+    expect((await as('get', `/report-cards/student/${students[1].id}`, token).query({ term_id: term.id })).status).toBe(403);
+  });
+
+  it('returns every card in the class and rejects a term from another year', async () => {
+    const cards = await as('get', `/report-cards/class/${cls.id}`).query({ term_id: term.id, format: 'json' });
+    expect(cards.status).toBe(200);
+    expect(cards.body.data.map(card => card.student.lastName)).toEqual(['Able', 'Baker', 'Carter']);
+
+    const otherYear = await fixtures.createAcademicYear(school.id);
+    const otherTerm = await fixtures.createTerm(otherYear.id);
+    const mismatch = await as('get', `/report-cards/class/${cls.id}`).query({ term_id: otherTerm.id, format: 'json' });
+    expect(mismatch.status).toBe(400);
+  });
+});
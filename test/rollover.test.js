@@ -0,0 +1,132 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const academicRoutes = require('../routes/academic');
+const userRoutes = require('../routes/users');
+const rolloverService = require('../services/rolloverService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+const feeApp = buildApp('/api/users', userRoutes);
+
+describe('rolloverService.suggestNextName', () => {
+  it('moves every year in the name forward by one', () => {
+    expect(rolloverService.suggestNextName('2024-2025')).toBe('2025-2026');
+    expect(rolloverService.suggestNextName('Year 2024')).toBe('Year 2025');
+    expect(rolloverService.suggestNextName('Current')).toBe('Current (next)');
+  });
+});
+
+describe('POST /api/academic/academic-years/:id/rollover', () => {
+  let school;
+  let admin;
+  let year;
+  let student;
+  let unpaidFee;
+  let partlyPaidFee;
+
+  const rollover = (body = {}, token = admin.token) => request(app)
+    .post(`/api/academic/academic-years/${year.id}/rollover`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const count = async (sql, params) => (await pool.query(sql, params)).rows[0].count;
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+    year = await fixtures.createAcademicYear(school.id, { name: '2025-2026', start_date: '2025-09-01', end_date: '2026-07-31' });
+    await fixtures.createTerm(year.id, { name: 'Term 1', start_date: '2025-09-01', end_date: '2025-12-19' });
+    await fixtures.createTerm(year.id, { name: 'Term 2', start_date: '2026-01-05', end_date: '2026-04-03' });
+    await fixtures.createClass(school.id, year.id, { name: 'Grade 5-A', grade_level: 5, section: 'A' });
+
+    const structure = await fixtures.createFeeStructure(school.id, year.id);
+    student = await fixtures.createStudent(school.id);
+    unpaidFee = await fixtures.createStudentFee(student.id, structure.id, { amount: 500 });
+    partlyPaidFee = await fixtures.createStudentFee(student.id, structure.id, { amount: 800, status: 'partially_paid' });
+    await fixtures.createStudentFee(student.id, structure.id, { amount: 300, status: 'paid' });
+    await fixtures.insert('fee_payments', {
+      student_fee_id: partlyPaidFee.id,
+      amount_paid: 300,
+      payment_method: 'cash',
+      received_by: admin.id
+    });
+  });
+
+  it('previews the rollover without writing anything', async () => {
+    const response = await rollover({ dry_run: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      dryRun: true,
+      academicYear: { name: '2026-2027', startDate: '2026-09-01', endDate: '2027-07-31' },
+      terms: [
+        { name: 'Term 1', startDate: '2026-09-01', endDate: '2026-12-19' },
+        { name: 'Term 2', startDate: '2027-01-05', endDate: '2027-04-03' }
+      ],
+      conflicts: [],
+      summary: { terms: 2, classes: 1, arrears: 2, arrearsTotal: 1000 }
+    });
+    expect(await count('SELECT COUNT(*)::int AS count FROM academic_years WHERE school_id = $1', [school.id])).toBe(1);
+  });
+
+  it('creates the next year and carries unpaid balances forward once', async () => {
+    const response = await rollover();
+
+    expect(response.status).toBe(201);
+    const newYearId = response.body.data.academicYear.id;
+    expect(response.body.data.classIds).toHaveLength(1);
+
+    const arrears = await pool.query(
+      `SELECT sf.amount::float AS amount, fs.fee_type
+       FROM student_fees sf JOIN fee_structures fs ON sf.fee_structure_id = fs.id
+       WHERE fs.academic_year_id = $1 ORDER BY sf.amount`,
+      [newYearId]
+    );
+    expect(arrears.rows).toEqual([
+      { amount: 500, fee_type: 'arrears' },
+      { amount: 500, fee_type: 'arrears' }
+    ]);
+
+    const carried = await pool.query(
+      'SELECT id FROM student_fees WHERE student_id = $1 AND carried_forward_to IS NOT NULL ORDER BY amount',
+      [student.id]
+    );
+    expect(carried.rows.map(row => row.id)).toEqual([unpaidFee.id, partlyPaidFee.id]);
+
+    // The same source year cannot be rolled into the now-existing 2026-2027
+    const again = await rollover();
+    expect(again.status).toBe(409);
+  });
+
+  it('refuses payments against a fee that was carried forward', async () => {
+    await fixtures.grantPermissions('Admin', [['finance', 'collect_fees']]);
+    await rollover();
+
+    const response = await request(feeApp)
+      .post('/api/users/fees/collect')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ student_fee_id: unpaidFee.id, amount: '100', payment_method: 'cash' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.details.arrearsFeeId).toBeTruthy();
+  });
+
+  it('reports terms that fall outside a custom year as conflicts', async () => {
+    const response = await rollover({
+      start_date: '2026-09-01',
+      end_date: '2027-06-30',
+      terms: [{ name: 'Long term', start_date: '2026-09-01', end_date: '2027-07-15' }]
+    });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('refuses admins of another school', async () => {
+    const outsider = await fixtures.createStaff('Admin', (await fixtures.createSchool()).id);
+
+    const response = await rollover({ dry_run: true }, outsider.token);
+
+    expect(response.status).toBe(403);
+  });
+});
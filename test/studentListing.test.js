@@ -0,0 +1,91 @@
+const request = require('supertest');
+const userRoutes = require('../routes/users');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/users', userRoutes);
+
+describe('GET /api/users/students', () => {
+  let school;
+  let teacher;
+  let classA;
+  let classB;
+  let abebe;
+
+  const list = (query, token = teacher.token) => request(app)
+    .get('/api/users/students')
+    .query({ school_id: school.id, ...query })
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await fixtures.grantPermissions('Teacher', [['students', 'read']]);
+
+    school = await fixtures.createSchool();
+    teacher = await fixtures.createStaff('Teacher', school.id);
+    const year = await fixtures.createAcademicYear(school.id, { is_current: true });
+    classA = await fixtures.createClass(school.id, year.id, { name: 'Grade 5-A', grade_level: 5 });
+    classB = await fixtures.createClass(school.id, year.id, { name: 'Grade 6-A', grade_level: 6 });
+
+    abebe = await fixtures.createStudent(school.id, { gender: 'male' }, { first_name: 'Abebe', last_name: 'Kebede' });
+    const hana = await fixtures.createStudent(school.id, { gender: 'female' }, { first_name: 'Hana', last_name: 'Alemu' });
+    await fixtures.createStudent(school.id, { is_active: false }, { first_name: 'Left', last_name: 'School' });
+
+    await fixtures.createEnrollment(abebe.id, classA.id, year.id);
+    await fixtures.createEnrollment(hana.id, classB.id, year.id);
+    await fixtures.createGuardian(school.id, abebe.id, { first_name: 'Other' }, { relationship_type: 'other' });
+    await fixtures.createGuardian(school.id, abebe.id, { first_name: 'Almaz' }, { relationship_type: 'mother', is_primary: true });
+
+    // A student at another school must never show up
+    const otherSchool = await fixtures.createSchool();
+    await fixtures.createStudent(otherSchool.id, {}, { first_name: 'Abebe', last_name: 'Elsewhere' });
+  });
+
+  it('lists active students with their current enrollment and primary guardian', async () => {
+    const response = await list();
+
+    expect(response.status).toBe(200);
+    const { data: students, pagination } = response.body.data;
+    expect(pagination.totalItems).toBe(2);
+    expect(students.map(student => student.lastName)).toEqual(['Alemu', 'Kebede']);
+
+    const listed = students.find(student => student.id === abebe.id);
+    expect(listed.currentEnrollment).toMatchObject({ classId: classA.id, className: 'Grade 5-A', gradeLevel: 5 });
+    expect(listed.primaryGuardian).toMatchObject({ firstName: 'Almaz', relationshipType: 'mother' });
+    expect(listed.createdAt).toBeTruthy();
+  });
+
+  it('filters by class, grade, gender and search term', async () => {
+    expect((await list({ class_id: classB.id })).body.data.data.map(s => s.firstName)).toEqual(['Hana']);
+    expect((await list({ grade_level: 5 })).body.data.data.map(s => s.firstName)).toEqual(['Abebe']);
+    expect((await list({ gender: 'female' })).body.data.data.map(s => s.firstName)).toEqual(['Hana']);
+    expect((await list({ search: 'abebe keb' })).body.data.data.map(s => s.firstName)).toEqual(['Abebe']);
+  });
+
+  it('lists inactive students only when asked', async () => {
+    const response = await list({ is_active: 'false' });
+
+    expect(response.body.data.data.map(student => student.firstName)).toEqual(['Left']);
+  });
+
+  it('paginates', async () => {
+    const response = await list({ limit: 1, page: 2 });
+
+    expect(response.body.data.data.map(student => student.lastName)).toEqual(['Kebede']);
+    expect(response.body.data.pagination.totalItems).toBe(2);
+  });
+
+  it('refuses schools the user has no role at', async () => {
+    const otherSchool = await fixtures.createSchool();
+    const outsider = await fixtures.createStaff('Teacher', otherSchool.id);
+
+    const response = await list({}, outsider.token);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('requires a school id', async () => {
+    const response = await list({ school_id: undefined });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,27 @@
+const express = require('express');
+const http = require('http');
+
+/**
+ * Mount a router the way server.js does, without the rest of the server's
+ * middleware and background jobs. The returned server listens for the whole
+ * test file, so a test that fails mid-request cannot leave one open.
+ */
+const buildApp = (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  const server = http.createServer(app);
+
+  beforeAll(done => {
+    server.listen(0, '127.0.0.1', done);
+  });
+  afterAll(done => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  return server;
+};
+
+module.exports = { buildApp };
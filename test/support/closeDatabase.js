@@ -0,0 +1,3 @@
+const pool = require('../../config/database');
+
+afterAll(() => pool.end());
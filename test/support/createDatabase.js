@@ -0,0 +1,18 @@
+// Run as a child process by setupDatabase.js, which must create the database
+// synchronously before any test module opens the shared pool.
+const { Client } = require('pg');
+
+const [adminUrl, name] = process.argv.slice(2);
+
+(async () => {
+  const client = new Client({ connectionString: adminUrl });
+  await client.connect();
+  try {
+    await client.query(`CREATE DATABASE "${name}" TEMPLATE sims_template`);
+  } finally {
+    await client.end();
+  }
+})().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
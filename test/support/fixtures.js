@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const pool = require('../../config/database');
+const { generateToken } = require('../../utils/helpers');
+
+// Row factories for tests. Each returns the inserted row; anything not passed
+// in gets a unique placeholder so factories can be called repeatedly.
+
+const unique = () => crypto.randomBytes(4).toString('hex');
+
+const insert = async (table, values) => {
+  const keys = Object.keys(values);
+  const placeholders = keys.map((_, index) => `$${index + 1}`).join(', ');
+  const result = await pool.query(
+    `INSERT INTO ${table} (${keys.join(', ')}) VALUES (${placeholders}) RETURNING *`,
+    keys.map(key => values[key])
+  );
+  return result.rows[0];
+};
+
+const createSchool = (values = {}) => insert('schools', {
+  name: `School ${unique()}`,
+  code: `SCH-${unique()}`,
+  ...values
+});
+
+const createUser = (values = {}) => insert('users', {
+  email: `user-${unique()}@example.com`,
+  first_name: 'Test',
+  last_name: 'User',
+  ...values
+});
+
+const assignRole = async (userId, roleName, schoolId = null) => {
+  const role = await pool.query('SELECT id FROM roles WHERE name = $1', [roleName]);
+  return insert('user_roles', { user_id: userId, role_id: role.rows[0].id, school_id: schoolId });
+};
+
+/**
+ * Grant module/action permissions to a role. The base migration seeds roles
+ * and permissions but leaves role_permissions empty.
+ */
+const grantPermissions = async (roleName, permissions) => {
+  for (const [module, action] of permissions) {
+    await pool.query(
+      `INSERT INTO permissions (module, action) VALUES ($1, $2)
+       ON CONFLICT (module, action) DO NOTHING`,
+      [module, action]
+    );
+    await pool.query(
+      `INSERT INTO role_permissions (role_id, permission_id)
+       SELECT r.id, p.id FROM roles r, permissions p
+       WHERE r.name = $1 AND p.module = $2 AND p.action = $3
+       ON CONFLICT (role_id, permission_id) DO NOTHING`,
+      [roleName, module, action]
+    );
+  }
+};
+
+// Bearer token authenticateToken accepts for this user
+const tokenFor = (userId) => generateToken({ userId });
+
+/**
+ * Create a user holding the given role at a school and return it together
+ * with its bearer token.
+ */
+const createStaff = async (roleName, schoolId, values = {}) => {
+  const user = await createUser(values);
+  await assignRole(user.id, roleName, schoolId);
+  return { ...user, token: tokenFor(user.id) };
+};
+
+const createAcademicYear = (schoolId, values = {}) => insert('academic_years', {
+  school_id: schoolId,
+  name: `Year ${unique()}`,
+  start_date: '2025-09-01',
+  end_date: '2026-07-31',
+  ...values
+});
+
+const createTerm = (academicYearId, values = {}) => insert('terms', {
+  academic_year_id: academicYearId,
+  name: `Term ${unique()}`,
+  start_date: '2025-09-01',
+  end_date: '2025-12-19',
+  ...values
+});
+
+const createClass = (schoolId, academicYearId, values = {}) => insert('classes', {
+  school_id: schoolId,
+  academic_year_id: academicYearId,
+  name: `Class ${unique()}`,
+  grade_level: 5,
+  ...values
+});
+
+const createSubject = (schoolId, values = {}) => insert('subjects', {
+  school_id: schoolId,
+  name: `Subject ${unique()}`,
+  code: `SUB-${unique()}`,
+  ...values
+});
+
+/**
+ * Create a Teacher at the school with a teacher profile; returns the user with
+ * its token and the profile id as teacherId
+ */
+const createTeacher = async (schoolId, values = {}) => {
+  const teacher = await createStaff('Teacher', schoolId, values);
+  const profile = await insert('teacher_profiles', {
+    user_id: teacher.id,
+    school_id: schoolId,
+    employee_id: `EMP-${unique()}`,
+    hire_date: '2020-09-01'
+  });
+  return { ...teacher, teacherId: profile.id };
+};
+
+const createTimetableSlot = (classId, subjectId, teacherId, values = {}) => insert('timetables', {
+  class_id: classId,
+  subject_id: subjectId,
+  teacher_id: teacherId,
+  day_of_week: 1,
+  start_time: '08:00',
+  end_time: '08:45',
+  ...values
+});
+
+const createStudent = async (schoolId, values = {}, userValues = {}) => {
+  const user = await createUser({ first_name: 'Student', ...userValues });
+  return insert('student_profiles', {
+    user_id: user.id,
+    school_id: schoolId,
+    student_id: `STU-${unique()}`,
+    admission_number: `ADM-${unique()}`,
+    admission_date: '2025-09-01',
+    date_of_birth: '2015-01-01',
+    ...values
+  });
+};
+
+const createEnrollment = (studentId, classId, academicYearId, values = {}) => insert('enrollments', {
+  student_id: studentId,
+  class_id: classId,
+  academic_year_id: academicYearId,
+  ...values
+});
+
+/**
+ * Create a parent user linked to a student and return the parent profile
+ * together with its user.
+ */
+const createGuardian = async (schoolId, studentId, values = {}, relationship = {}) => {
+  const user = await createUser({ first_name: 'Parent', ...values });
+  const parent = await insert('parent_profiles', { user_id: user.id, school_id: schoolId });
+  await insert('parent_student_relationships', {
+    parent_id: parent.id,
+    student_id: studentId,
+    relationship_type: 'guardian',
+    ...relationship
+  });
+  return { ...parent, user };
+};
+
+const createFeeStructure = (schoolId, academicYearId, values = {}) => insert('fee_structures', {
+  school_id: schoolId,
+  academic_year_id: academicYearId,
+  fee_type: 'tuition',
+  amount: 1000,
+  ...values
+});
+
+const createStudentFee = (studentId, feeStructureId, values = {}) => insert('student_fees', {
+  student_id: studentId,
+  fee_structure_id: feeStructureId,
+  amount: 1000,
+  due_date: '2025-10-10',
+  ...values
+});
+
+module.exports = {
+  insert,
+  unique,
+  createSchool,
+  createUser,
+  assignRole,
+  grantPermissions,
+  tokenFor,
+  createStaff,
+  createAcademicYear,
+  createTerm,
+  createClass,
+  createSubject,
+  createTeacher,
+  createTimetableSlot,
+  createStudent,
+  createEnrollment,
+  createGuardian,
+  createFeeStructure,
+  createStudentFee
+};
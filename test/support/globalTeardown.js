@@ -0,0 +1,6 @@
+module.exports = async () => {
+  const server = globalThis.__SIMS_POSTGRES__;
+  if (server) {
+    await server.stop();
+  }
+};
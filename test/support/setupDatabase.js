@@ -0,0 +1,17 @@
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const path = require('path');
+
+// Every test file gets a fresh copy of the migrated template, so files never
+// see each other's rows and config/database.js can be used unchanged.
+const adminUrl = process.env.TEST_DATABASE_ADMIN_URL;
+const name = `sims_test_${crypto.randomBytes(6).toString('hex')}`;
+
+execFileSync(process.execPath, [path.join(__dirname, 'createDatabase.js'), adminUrl, name], {
+  stdio: ['ignore', 'ignore', 'inherit']
+});
+
+process.env.DATABASE_URL = adminUrl.replace(/\/postgres$/, `/${name}`);
+
+// The pool logs every connect and checkout; keep the test output readable.
+console.log = () => {};
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const academicRoutes = require('../routes/academic');
+const substitutionService = require('../services/substitutionService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+// A Monday and the Tuesday after it
+const MONDAY = '2025-03-03';
+const TUESDAY = '2025-03-04';
+
+describe('substitutionService', () => {
+  it('lists every date in a range, across month ends', () => {
+    expect(substitutionService.datesInRange('2025-02-27', '2025-03-02')).toEqual([
+      '2025-02-27', '2025-02-28', '2025-03-01', '2025-03-02'
+    ]);
+  });
+
+  it('matches specializations and subject names either way round', () => {
+    expect(substitutionService.isQualified('Physics and Chemistry', 'chemistry')).toBe(true);
+    expect(substitutionService.isQualified('Maths', 'Applied Maths')).toBe(true);
+    expect(substitutionService.isQualified('History', 'Chemistry')).toBe(false);
+    expect(substitutionService.isQualified(null, 'Chemistry')).toBe(false);
+  });
+});
+
+describe('/api/academic/teacher-absences', () => {
+  let school;
+  let admin;
+  let cls;
+  let chemistry;
+  let absent;
+  let chemist;
+  let historian;
+  let slot;
+
+  const as = (method, path, token = admin.token) => request(app)[method](`/api/academic${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const recordAbsence = (body = {}, token) => as('post', '/teacher-absences', token).send({
+    teacher_id: absent.teacherId,
+    start_date: MONDAY,
+    end_date: TUESDAY,
+    ...body
+  });
+
+  const createTeacher = async (specialization) => {
+    const teacher = await fixtures.createTeacher(school.id, { last_name: specialization });
+    await pool.query('UPDATE teacher_profiles SET specialization = $1 WHERE id = $2', [specialization, teacher.teacherId]);
+    return teacher;
+  };
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+    const year = await fixtures.createAcademicYear(school.id);
+    cls = await fixtures.createClass(school.id, year.id, { name: '5A' });
+    chemistry = await fixtures.createSubject(school.id, { name: 'Chemistry' });
+    absent = await createTeacher('Chemistry');
+    historian = await createTeacher('History');
+    chemist = await createTeacher('Physics and Chemistry');
+    slot = await fixtures.createTimetableSlot(cls.id, chemistry.id, absent.teacherId, { day_of_week: 1 });
+  });
+
+  it('records an absence once, even when two overlapping requests race', async () => {
+    const responses = await Promise.all([recordAbsence(), recordAbsence({ start_date: TUESDAY })]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+
+    const stored = await pool.query("SELECT 1 FROM teacher_absences WHERE teacher_id = $1 AND status = 'active'", [absent.teacherId]);
+    expect(stored.rows).toHaveLength(1);
+  });
+
+  it('lets teachers record only their own absences', async () => {
+    expect((await recordAbsence({}, historian.token)).status).toBe(403);
+    const own = await recordAbsence({ teacher_id: undefined }, absent.token);
+    expect(own.status).toBe(201);
+    expect(own.body.data).toMatchObject({ teacherId: absent.teacherId, affectedLessons: 1 });
+  });
+
+  it('proposes qualified free teachers first and caps the list', async () => {
+    const absence = (await recordAbsence()).body.data;
+
+    const cover = await as('get', `/teacher-absences/${absence.id}/cover`);
+    expect(cover.status).toBe(200);
+    expect(cover.body.data.uncovered).toBe(1);
+    expect(cover.body.data.lessons[0].candidates.map(candidate => [candidate.teacherId, candidate.qualified])).toEqual([
+      [chemist.teacherId, true],
+      [historian.teacherId, false]
+    ]);
+
+    const capped = await as('get', `/teacher-absences/${absence.id}/cover`).query({ limit: 1 });
+    expect(capped.body.data.lessons[0].candidates).toHaveLength(1);
+
+    expect((await as('get', `/teacher-absences/${absence.id}/cover`).query({ limit: 0 })).status).toBe(400);
+    expect((await as('get', `/teacher-absences/${absence.id}/cover`).query({ limit: 'all' })).status).toBe(400);
+  });
+
+  it('confirms a free substitute and shows the cover on the class\'s day', async () => {
+    const absence = (await recordAbsence()).body.data;
+    const otherClass = await fixtures.createClass(school.id, cls.academic_year_id);
+    await fixtures.createTimetableSlot(otherClass.id, chemistry.id, historian.teacherId, { day_of_week: 1 });
+    const confirm = (teacherId) => as('post', '/substitutions').send({
+      absence_id: absence.id,
+      timetable_id: slot.id,
+      date: MONDAY,
+      substitute_teacher_id: teacherId
+    });
+
+    expect((await confirm(historian.teacherId)).status).toBe(409);
+    expect((await confirm(chemist.teacherId)).status).toBe(201);
+
+    const day = await as('get', `/timetables/class/${cls.id}/day`).query({ date: MONDAY });
+    expect(day.body.data.lessons).toEqual([
+      expect.objectContaining({ teacherAbsent: true, substitution: expect.objectContaining({ substituteTeacherId: chemist.teacherId }) })
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const academicRoutes = require('../routes/academic');
+const termService = require('../services/termService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+describe('/api/academic/terms', () => {
+  let school;
+  let admin;
+  let year;
+
+  const as = (method, path, token = admin.token) => request(app)[method](`/api/academic${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const createTerm = (body) => as('post', '/terms').send({ academic_year_id: year.id, ...body });
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+    year = await fixtures.createAcademicYear(school.id, { start_date: '2025-09-01', end_date: '2026-07-31' });
+  });
+
+  it('creates terms inside the academic year and rejects overlaps', async () => {
+    const first = await createTerm({ name: 'Term 1', start_date: '2025-09-01', end_date: '2025-12-19' });
+    expect(first.status).toBe(201);
+
+    const overlapping = await createTerm({ name: 'Term 2', start_date: '2025-12-19', end_date: '2026-03-31' });
+    expect(overlapping.status).toBe(409);
+    expect(overlapping.body.details.termId).toBe(first.body.data.id);
+
+    const outside = await createTerm({ name: 'Summer', start_date: '2026-07-01', end_date: '2026-08-31' });
+    expect(outside.status).toBe(400);
+  });
+
+  it('accepts only one of two concurrent overlapping terms', async () => {
+    const responses = await Promise.all([
+      createTerm({ name: 'Term A', start_date: '2025-09-01', end_date: '2025-12-19' }),
+      createTerm({ name: 'Term B', start_date: '2025-11-01', end_date: '2026-02-27' })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+  });
+
+  it('keeps a single current term per school', async () => {
+    const first = await createTerm({ name: 'Term 1', start_date: '2025-09-01', end_date: '2025-12-19', is_current: true });
+    const second = await createTerm({ name: 'Term 2', start_date: '2026-01-05', end_date: '2026-04-03', is_current: true });
+
+    const current = await pool.query(
+      'SELECT id FROM terms WHERE academic_year_id = $1 AND is_current = true',
+      [year.id]
+    );
+    expect(current.rows.map(row => row.id)).toEqual([second.body.data.id]);
+
+    const moved = await as('put', `/terms/${first.body.data.id}`).send({ is_current: true });
+    expect(moved.status).toBe(200);
+    expect((await as('get', '/terms/current').query({ school_id: school.id })).body.data.id).toBe(first.body.data.id);
+  });
+
+  it('falls back to the term whose dates contain today', async () => {
+    const today = await pool.query(
+      "SELECT to_char(CURRENT_DATE - 10, 'YYYY-MM-DD') AS start_date, to_char(CURRENT_DATE + 10, 'YYYY-MM-DD') AS end_date"
+    );
+    const thisYear = await fixtures.createAcademicYear(school.id, {
+      start_date: today.rows[0].start_date,
+      end_date: today.rows[0].end_date
+    });
+    const running = await fixtures.createTerm(thisYear.id, today.rows[0]);
+
+    expect((await termService.findCurrentTerm(school.id)).id).toBe(running.id);
+  });
+
+  it('refuses to delete a term that has grades', async () => {
+    const term = await fixtures.createTerm(year.id);
+    const subject = await fixtures.insert('subjects', { school_id: school.id, name: 'Maths', code: 'MATH' });
+    const student = await fixtures.createStudent(school.id);
+    await fixtures.insert('grades', {
+      student_id: student.id,
+      subject_id: subject.id,
+      term_id: term.id,
+      assessment_type: 'quiz',
+      assessment_name: 'Quiz 1',
+      marks_obtained: 8,
+      total_marks: 10,
+      assessed_by: admin.id
+    });
+
+    expect((await as('delete', `/terms/${term.id}`)).status).toBe(409);
+  });
+
+  it('refuses admins of another school', async () => {
+    const outsider = await fixtures.createStaff('Admin', (await fixtures.createSchool()).id);
+
+    const response = await as('post', '/terms', outsider.token)
+      .send({ academic_year_id: year.id, name: 'Term 1', start_date: '2025-09-01', end_date: '2025-12-19' });
+
+    expect(response.status).toBe(403);
+  });
+});
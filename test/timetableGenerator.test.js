@@ -0,0 +1,189 @@
+const request = require('supertest');
+const pool = require('../config/database');
+const academicRoutes = require('../routes/academic');
+const timetableGeneratorService = require('../services/timetableGeneratorService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+const GRID = {
+  days: [1, 2, 3],
+  periods: [{ start_time: '08:00', end_time: '08:45' }, { start_time: '08:45', end_time: '09:30' }]
+};
+
+describe('timetableGeneratorService', () => {
+  const classes = [{ id: 'class-a', name: '5A', room_number: null, size: 30 }];
+  const requirement = (values) => ({
+    class_id: 'class-a',
+    subject_id: 'maths',
+    teacher_id: 'teacher-1',
+    periods_per_week: 1,
+    ...values
+  });
+
+  it('rejects grids with bad days or overlapping periods', () => {
+    expect(timetableGeneratorService.validatePeriodGrid(GRID)).toEqual([]);
+    expect(timetableGeneratorService.validatePeriodGrid({
+      days: [1, 8],
+      periods: [{ start_time: '08:00', end_time: '09:00' }, { start_time: '08:30', end_time: '09:30' }]
+    })).toEqual([
+      'Days must be a non-empty list of day numbers between 1 (Monday) and 7 (Sunday)',
+      'Periods 08:00 and 08:30 overlap'
+    ]);
+  });
+
+  it('fills the week without clashes, spreading each subject across days', () => {
+    const result = timetableGeneratorService.solve({
+      grid: GRID,
+      classes,
+      requirements: [
+        requirement({ periods_per_week: 3 }),
+        requirement({ subject_id: 'english', teacher_id: 'teacher-2', periods_per_week: 3 })
+      ],
+      seed: 42
+    });
+
+    expect(result.unmet).toEqual([]);
+    expect(result.slots).toHaveLength(6);
+    expect(new Set(result.slots.map(slot => `${slot.day_of_week} ${slot.start_time}`)).size).toBe(6);
+    const mathsDays = result.slots.filter(slot => slot.subject_id === 'maths').map(slot => slot.day_of_week);
+    expect(mathsDays.sort()).toEqual([1, 2, 3]);
+  });
+
+  it('gives the same draft for the same seed', () => {
+    const input = { grid: GRID, classes, requirements: [requirement({ periods_per_week: 4 })], seed: 7 };
+
+    expect(timetableGeneratorService.solve(input)).toEqual(timetableGeneratorService.solve(input));
+  });
+
+  it('keeps teachers out of cells they teach in or are unavailable for, and says why it fell short', () => {
+    const grid = { days: [1], periods: GRID.periods };
+    const result = timetableGeneratorService.solve({
+      grid,
+      classes,
+      requirements: [requirement({ periods_per_week: 1 }), requirement({ subject_id: 'art', teacher_id: 'teacher-2', periods_per_week: 2 })],
+      teacherCommitments: [{ teacher_id: 'teacher-1', day_of_week: 1, start_time: '08:00', end_time: '08:45' }],
+      unavailability: [{ teacher_id: 'teacher-1', day_of_week: 1, start_time: '08:30', end_time: '10:00' }],
+      seed: 1
+    });
+
+    expect(result.unmet).toEqual([
+      expect.objectContaining({ subjectId: 'maths', required: 1, placed: 0, reasons: ['teacher_unavailable'] })
+    ]);
+    expect(result.slots.map(slot => slot.subject_id)).toEqual(['art', 'art']);
+  });
+
+  it('puts a class without a home room in the smallest listed room that holds it', () => {
+    const result = timetableGeneratorService.solve({
+      grid: { days: [1], periods: [GRID.periods[0]] },
+      classes,
+      requirements: [requirement()],
+      busySlots: [{ day_of_week: 1, start_time: '08:00', end_time: '08:45', room_number: 'Hall' }],
+      rooms: [{ room_number: 'Lab', capacity: 20 }, { room_number: 'Hall', capacity: 60 }, { room_number: 'Annex', capacity: 80 }],
+      seed: 1
+    });
+
+    expect(result.slots[0].room_number).toBe('Annex');
+  });
+});
+
+describe('/api/academic/timetables/generate', () => {
+  let school;
+  let admin;
+  let cls;
+  let otherClass;
+  let maths;
+  let teacher;
+
+  const as = (method, path, token = admin.token) => request(app)[method](`/api/academic/timetables${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const generate = (body = {}, token) => as('post', '/generate', token).send({
+    school_id: school.id,
+    requirements: [{ class_id: cls.id, subject_id: maths.id, teacher_id: teacher.teacherId, periods_per_week: 2 }],
+    period_grid: { days: [1], periods: GRID.periods },
+    seed: 3,
+    ...body
+  });
+
+  const activeSlots = async (classId) => {
+    const result = await pool.query(
+      "SELECT to_char(start_time, 'HH24:MI') as start_time FROM timetables WHERE class_id = $1 AND is_active = true ORDER BY start_time",
+      [classId]
+    );
+    return result.rows.map(row => row.start_time);
+  };
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+    const year = await fixtures.createAcademicYear(school.id);
+    cls = await fixtures.createClass(school.id, year.id, { name: '5A' });
+    otherClass = await fixtures.createClass(school.id, year.id, { name: '5B' });
+    maths = await fixtures.createSubject(school.id, { name: 'Mathematics' });
+    teacher = await fixtures.createTeacher(school.id, { first_name: 'Ada', last_name: 'Lovelace' });
+  });
+
+  it('previews a draft with names, saving nothing', async () => {
+    const response = await generate({ dry_run: true });
+
+    expect(response.status).toBe(200);
+    const names = { className: '5A', subjectName: 'Mathematics', teacherName: 'Ada Lovelace' };
+    expect(response.body.data.slots).toEqual(expect.arrayContaining([
+      expect.objectContaining({ ...names, startTime: '08:00' }),
+      expect.objectContaining({ ...names, startTime: '08:45' })
+    ]));
+
+    const saved = await pool.query('SELECT 1 FROM timetable_generations WHERE school_id = $1', [school.id]);
+    expect(saved.rows).toEqual([]);
+  });
+
+  it('works around the teacher\'s other classes but not the slots it replaces', async () => {
+    await fixtures.createTimetableSlot(otherClass.id, maths.id, teacher.teacherId, { start_time: '08:00', end_time: '08:45' });
+    await fixtures.createTimetableSlot(cls.id, maths.id, teacher.teacherId, { start_time: '08:45', end_time: '09:30' });
+
+    const response = await generate();
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ status: 'draft', seed: 3 });
+    expect(response.body.data.unmet).toEqual([
+      expect.objectContaining({ className: '5A', required: 2, placed: 1, reasons: ['teacher_unavailable'] })
+    ]);
+    expect(response.body.data.classes[0].schedule.Monday).toEqual([
+      expect.objectContaining({ startTime: '08:45', subjectName: 'Mathematics' })
+    ]);
+  });
+
+  it('publishes a draft in place of the classes\' current slots', async () => {
+    await fixtures.createTimetableSlot(cls.id, maths.id, teacher.teacherId, { start_time: '10:00', end_time: '10:45' });
+    const draft = (await generate()).body.data;
+
+    expect(await activeSlots(cls.id)).toEqual(['10:00']);
+
+    const published = await as('post', `/generations/${draft.id}/publish`);
+    expect(published.status).toBe(200);
+    expect(published.body.data).toMatchObject({ replaced: 1, activated: 2 });
+    expect(await activeSlots(cls.id)).toEqual(['08:00', '08:45']);
+
+    expect((await as('post', `/generations/${draft.id}/publish`)).status).toBe(409);
+  });
+
+  it('refuses to publish a draft that clashes with a slot added since', async () => {
+    const draft = (await generate()).body.data;
+    await fixtures.createTimetableSlot(otherClass.id, maths.id, teacher.teacherId, { start_time: '08:00', end_time: '08:45' });
+
+    const response = await as('post', `/generations/${draft.id}/publish`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.details.conflicts[0].types).toEqual(['teacher']);
+
+    expect((await as('delete', `/generations/${draft.id}`)).status).toBe(200);
+    expect((await as('get', `/generations/${draft.id}`)).body.data.status).toBe('discarded');
+  });
+
+  it('validates the seed and leaves generation to admins', async () => {
+    expect((await generate({ seed: 2147483648 })).status).toBe(400);
+    expect((await generate({}, teacher.token)).status).toBe(403);
+  });
+});
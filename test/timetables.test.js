@@ -0,0 +1,149 @@
+const request = require('supertest');
+const academicRoutes = require('../routes/academic');
+const timetableService = require('../services/timetableService');
+const { buildApp } = require('./support/app');
+const fixtures = require('./support/fixtures');
+
+const app = buildApp('/api/academic', academicRoutes);
+
+describe('timetableService', () => {
+  const slot = (values) => ({
+    class_id: 'class-a',
+    teacher_id: 'teacher-1',
+    day_of_week: 1,
+    start_time: '08:00',
+    end_time: '08:45',
+    room_number: null,
+    ...values
+  });
+
+  it('finds clashes inside a batch, naming what they clash on', () => {
+    const conflicts = timetableService.findBatchConflicts([
+      slot({ room_number: 'Lab 1' }),
+      slot({ class_id: 'class-b', teacher_id: 'teacher-2', start_time: '08:30', end_time: '09:15', room_number: ' lab 1 ' }),
+      slot({ class_id: 'class-b', teacher_id: 'teacher-1', start_time: '08:45', end_time: '09:30' }),
+      slot({ class_id: 'class-c', teacher_id: 'teacher-3', day_of_week: 2 })
+    ]);
+
+    expect(conflicts).toEqual([
+      { index: 0, conflictsWithIndex: 1, types: ['room'] },
+      { index: 1, conflictsWithIndex: 2, types: ['class'] }
+    ]);
+  });
+});
+
+describe('/api/academic/timetables', () => {
+  let school;
+  let admin;
+  let cls;
+  let otherClass;
+  let subject;
+  let teacher;
+
+  const as = (method, path, token = admin.token) => request(app)[method](`/api/academic/timetables${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const slotBody = (values = {}) => ({
+    class_id: cls.id,
+    subject_id: subject.id,
+    teacher_id: teacher.teacherId,
+    day_of_week: 1,
+    start_time: '08:00',
+    end_time: '08:45',
+    ...values
+  });
+
+  beforeEach(async () => {
+    school = await fixtures.createSchool();
+    admin = await fixtures.createStaff('Admin', school.id);
+    const year = await fixtures.createAcademicYear(school.id);
+    cls = await fixtures.createClass(school.id, year.id, { name: '5A' });
+    otherClass = await fixtures.createClass(school.id, year.id, { name: '5B' });
+    subject = await fixtures.createSubject(school.id, { name: 'Mathematics' });
+    teacher = await fixtures.createTeacher(school.id, { first_name: 'Ada', last_name: 'Lovelace' });
+  });
+
+  it('creates a slot and shows it in the class and teacher weeks', async () => {
+    const created = await as('post', '').send(slotBody({ room_number: 'R1' }));
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({
+      className: '5A',
+      subjectName: 'Mathematics',
+      teacherName: 'Ada Lovelace',
+      dayName: 'Monday',
+      startTime: '08:00',
+      endTime: '08:45'
+    });
+
+    const classWeek = await as('get', `/class/${cls.id}`);
+    expect(classWeek.body.data.schedule.Monday).toHaveLength(1);
+    const teacherWeek = await as('get', `/teacher/${teacher.teacherId}`);
+    expect(teacherWeek.body.data.schedule.Monday[0].className).toBe('5A');
+    const roomWeek = await as('get', '/room').query({ school_id: school.id, room_number: 'r1' });
+    expect(roomWeek.body.data.schedule.Monday).toHaveLength(1);
+  });
+
+  it('rejects slots that clash on teacher, room or class', async () => {
+    await as('post', '').send(slotBody({ room_number: 'R1' }));
+    const otherTeacher = await fixtures.createTeacher(school.id);
+
+    const teacherClash = await as('post', '').send(slotBody({ class_id: otherClass.id, start_time: '08:30', end_time: '09:15' }));
+    expect(teacherClash.status).toBe(409);
+    expect(teacherClash.body.details.conflicts[0].types).toEqual(['teacher']);
+
+    const roomClash = await as('post', '').send(slotBody({ class_id: otherClass.id, teacher_id: otherTeacher.teacherId, room_number: 'r1' }));
+    expect(roomClash.body.details.conflicts[0].types).toEqual(['room']);
+
+    const backToBack = await as('post', '').send(slotBody({ start_time: '08:45', end_time: '09:30' }));
+    expect(backToBack.status).toBe(201);
+  });
+
+  it('moves a slot without clashing with itself and frees the time when deleted', async () => {
+    const created = (await as('post', '').send(slotBody())).body.data;
+
+    const moved = await as('put', `/${created.id}`).send({ start_time: '08:15', end_time: '09:00' });
+    expect(moved.status).toBe(200);
+    expect(moved.body.data.startTime).toBe('08:15');
+
+    expect((await as('delete', `/${created.id}`)).status).toBe(200);
+    expect((await as('post', '').send(slotBody({ class_id: otherClass.id }))).status).toBe(201);
+  });
+
+  it('checks a teacher\'s availability, skipping the slot being replaced', async () => {
+    const created = (await as('post', '').send(slotBody())).body.data;
+    const check = (start, end, excludeId) => timetableService.checkTeacherAvailability(
+      teacher.teacherId, 1, start, end, excludeId
+    );
+
+    expect(await check('08:30', '09:00')).toBe(false);
+    expect(await check('08:45', '09:30')).toBe(true);
+    expect(await check('08:30', '09:00', created.id)).toBe(true);
+  });
+
+  it('replaces a class week on import, or saves nothing when a slot clashes', async () => {
+    await as('post', '').send(slotBody());
+
+    const imported = await as('post', '/import').send({
+      class_id: cls.id,
+      slots: [slotBody({ start_time: '09:00', end_time: '09:45' }), slotBody({ day_of_week: 2 })]
+    });
+    expect(imported.status).toBe(201);
+    expect(imported.body.data).toMatchObject({ replaced: 1 });
+    expect(imported.body.data.created).toHaveLength(2);
+
+    const clashing = await as('post', '/import').send({
+      class_id: otherClass.id,
+      slots: [slotBody({ class_id: otherClass.id, start_time: '09:15', end_time: '10:00' })]
+    });
+    expect(clashing.status).toBe(409);
+    expect((await as('get', `/class/${otherClass.id}`)).body.data.schedule.Monday).toEqual([]);
+  });
+
+  it('leaves timetable changes to admins of the class\'s school', async () => {
+    const otherAdmin = await fixtures.createStaff('Admin', (await fixtures.createSchool()).id);
+
+    expect((await as('post', '', teacher.token).send(slotBody())).status).toBe(403);
+    expect((await as('post', '', otherAdmin.token).send(slotBody())).status).toBe(403);
+  });
+});
@@ -89,6 +89,35 @@ const errorResponse = (res, message = 'Internal server error', statusCode = 500,
   return res.status(statusCode).json(response);
 };
 
+// Access utilities
+const isSuperAdmin = (user) => {
+  return user.roles.some(role => role.roleName === 'Super Admin');
+};
+
+const hasSchoolAccess = (user, schoolId) => {
+  return user.roles.some(role => role.roleName === 'Super Admin' || role.schoolId === schoolId);
+};
+
+// True when the user holds one of roleNames at this school (Super Admin counts everywhere)
+const hasSchoolRole = (user, schoolId, roleNames) => {
+  return user.roles.some(role => roleNames.includes(role.roleName) &&
+    (role.roleName === 'Super Admin' || role.schoolId === schoolId));
+};
+
+const buildAuditContext = (req) => ({
+  userId: req.user.id,
+  email: req.user.email,
+  role: req.user.roles.map(role => role.roleName).join(','),
+  schoolId: req.user.roles.find(role => role.schoolId)?.schoolId || null,
+  ipAddress: req.ip || req.connection?.remoteAddress,
+  userAgent: req.get('User-Agent')
+});
+
+// Money utilities (numeric columns come back from pg as strings)
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+const fromCents = (cents) => cents / 100;
+
 // Date utilities
 const formatDate = (date) => {
   return new Date(date).toISOString().split('T')[0];
@@ -98,6 +127,24 @@ const isValidDateRange = (startDate, endDate) => {
   return new Date(startDate) < new Date(endDate);
 };
 
+// Export utilities
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, header }] so the column order and headings stay fixed even for empty exports
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column.key])).join(','));
+  });
+  return lines.join('\n');
+};
+
 module.exports = {
   hashPassword,
   comparePassword,
@@ -108,7 +155,14 @@ module.exports = {
   buildPaginatedResponse,
   successResponse,
   errorResponse,
+  isSuperAdmin,
+  hasSchoolAccess,
+  hasSchoolRole,
+  buildAuditContext,
+  toCents,
+  fromCents,
   formatDate,
   isValidDateRange,
+  toCsv,
   generateUUID: uuidv4
 };
\ No newline at end of file